@@ -0,0 +1,96 @@
+import { CONFIG } from '../config.js';
+import { ApiClient } from '../core/ApiClient.js';
+
+// localStorage key for the account last seen logged in (used while the server can't be reached)
+const ACCOUNT_KEY = 'noodel.account';
+
+/**
+ * AccountClient class - REST client for player accounts (routes in server/accountRoutes.js)
+ * The session itself is an HttpOnly cookie set by the server, so the browser sends it with
+ * every request to the game server. Requests resolve with the account's public view
+ * ({ id, username, displayName, createdAt }), or null when logged out.
+ */
+export class AccountClient extends ApiClient {
+    /**
+     * @param {string} baseURL - Accounts endpoint (defaults to the page's own server)
+     */
+    constructor(baseURL = CONFIG.ACCOUNTS.API_PATH) {
+        super(baseURL);
+    }
+
+    /**
+     * The account this browser is logged in as
+     * @returns {Promise<Object|null>} Account, or null if logged out
+     */
+    async me() {
+        const { user } = await this.request('GET', '/me');
+        return user;
+    }
+
+    /**
+     * Create an account (and log in to it)
+     * @param {Object} details - { username, password, displayName }
+     * @returns {Promise<Object>} The new account
+     */
+    async register(details) {
+        const { user } = await this.request('POST', '/register', details);
+        return user;
+    }
+
+    /**
+     * Log in
+     * @param {Object} credentials - { username, password }
+     * @returns {Promise<Object>} The account
+     */
+    async login(credentials) {
+        const { user } = await this.request('POST', '/login', credentials);
+        return user;
+    }
+
+    /**
+     * Log out (ends the session on the server)
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        await this.request('POST', '/logout');
+    }
+
+    /**
+     * Change the logged-in account's profile
+     * @param {Object} profile - { displayName }
+     * @returns {Promise<Object>} The updated account
+     */
+    async updateProfile(profile) {
+        const { user } = await this.request('PATCH', '/me', profile);
+        return user;
+    }
+
+    /**
+     * Account last seen logged in on this browser
+     * @returns {Object|null} Account, or null
+     */
+    loadCachedUser() {
+        try {
+            const raw = globalThis.localStorage?.getItem(ACCOUNT_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the logged-in account (or forget it after logging out)
+     * @param {Object|null} user - Account, or null
+     */
+    saveCachedUser(user) {
+        try {
+            if (user) {
+                globalThis.localStorage?.setItem(ACCOUNT_KEY, JSON.stringify(user));
+            } else {
+                globalThis.localStorage?.removeItem(ACCOUNT_KEY);
+            }
+        } catch (error) {
+            console.warn('AccountClient: Failed to save account:', error.message);
+        }
+    }
+}
@@ -0,0 +1,106 @@
+import { AccountClient } from './AccountClient.js';
+import { AccountStorage } from './AccountStorage.js';
+import { SyncedStorage } from './SyncedStorage.js';
+import { SyncClient } from './SyncClient.js';
+import { AccountPanel } from '../menu/AccountPanel.js';
+
+/**
+ * AccountController class - The player account behind LOGIN and its cloud saves
+ * Saves, daily results, level progress, replays and stats are kept per account: a logged-in
+ * player's storage is synced with the server (SyncedStorage), a guest's is plain localStorage.
+ * Whenever the player switches account, onSwitch is called with the new storage so Game can
+ * move its stores over to it.
+ */
+export class AccountController {
+    /**
+     * @param {Object} options - Callbacks
+     * @param {Function} options.onSwitch - (storage, user) => void, after switching to another account or to the guest
+     */
+    constructor({ onSwitch }) {
+        this.client = new AccountClient();
+        this.panel = new AccountPanel();
+        this.syncClient = new SyncClient();
+        this.onSwitch = onSwitch;
+
+        // The last account seen is assumed until refresh() hears back from the server
+        this.user = this.client.loadCachedUser();
+        this.storage = this.createStorage(this.user);
+    }
+
+    /**
+     * Storage for an account's saves and stats: synced with the server, or plain localStorage for a guest
+     * @param {Object|null} user - Logged-in account, or null
+     * @returns {Storage|SyncedStorage|null} Storage backend (null if there is no localStorage)
+     */
+    createStorage(user) {
+        const storage = AccountStorage.forUser(user);
+        return user && storage ? new SyncedStorage(storage, this.syncClient, user.id) : storage;
+    }
+
+    /**
+     * Play as an account (or as a guest), switching storage if it is another account
+     * @param {Object|null} user - Logged-in account, or null for a guest
+     */
+    use(user) {
+        const changed = (user?.id ?? null) !== (this.user?.id ?? null);
+        this.user = user;
+        this.client.saveCachedUser(user);
+        if (!changed) return;
+
+        // Send what's waiting for the account being left before switching
+        this.flush();
+        this.storage = this.createStorage(user);
+        console.log(user ? `👤 Playing as ${user.displayName} (${user.username})` : '👤 Playing as a guest');
+        this.onSwitch(this.storage, user);
+    }
+
+    /**
+     * Check with the server which account is logged in (keeps the last one seen if it can't be
+     * reached), then sync its cloud saves
+     */
+    async refresh() {
+        try {
+            this.use(await this.client.me());
+        } catch (error) {
+            console.warn('AccountController: Failed to check the account:', error.message);
+        }
+        await this.sync();
+    }
+
+    /**
+     * Show the account panel (log in, register, log out) until it is closed
+     * @returns {Promise<boolean>} True if another account was logged in and its cloud saves fetched
+     */
+    async showPanel() {
+        const previous = this.user;
+        this.use(await this.panel.show(this.client, this.user, this.getSyncNotice()));
+        return Boolean(this.user && this.user.id !== previous?.id && await this.sync());
+    }
+
+    /**
+     * Sync the account's storage with the server (nothing to do for a guest)
+     * @returns {Promise<boolean>} True if synced
+     */
+    sync() {
+        if (!(this.storage instanceof SyncedStorage)) return Promise.resolve(false);
+        return this.storage.sync();
+    }
+
+    /**
+     * Send the changes waiting for the sync delay right away (e.g., the page is being hidden)
+     */
+    flush() {
+        if (this.storage instanceof SyncedStorage) this.storage.flush();
+    }
+
+    /**
+     * Note for the account panel when some of the account's data can't be synced
+     * @returns {string|null} Note, or null if everything syncs
+     */
+    getSyncNotice() {
+        if (!(this.storage instanceof SyncedStorage)) return null;
+        const count = this.storage.getLocalOnlyKeys().length;
+        if (count === 0) return null;
+        return `${count === 1 ? 'One save is' : `${count} saves are`} too large to sync and kept on this device only`;
+    }
+}
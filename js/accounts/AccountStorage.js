@@ -0,0 +1,70 @@
+// localStorage key prefix for data kept per account (followed by the account id and a dot)
+const ACCOUNT_PREFIX = 'noodel.account.';
+
+/**
+ * AccountStorage class - The part of localStorage that belongs to one account
+ * Implements the Storage methods the stores use (getItem, setItem, removeItem, key, length)
+ * over keys prefixed with the account id, so SaveManager, DailyChallenge, LevelProgress,
+ * ReplayStore and GameHistory keep a logged-in player's saves and stats apart from the
+ * guest's and from other accounts on the same browser.
+ */
+export class AccountStorage {
+    /**
+     * @param {string} userId - Account id
+     * @param {Storage} storage - Underlying storage (localStorage)
+     */
+    constructor(userId, storage) {
+        this.prefix = `${ACCOUNT_PREFIX}${userId}.`;
+        this.storage = storage;
+    }
+
+    /**
+     * Storage for an account, or the plain storage for a guest
+     * @param {Object|null} user - Logged-in account, or null
+     * @returns {Storage|AccountStorage|null} Storage backend (null if there is no localStorage)
+     */
+    static forUser(user) {
+        const storage = globalThis.localStorage ?? null;
+        return user && storage ? new AccountStorage(user.id, storage) : storage;
+    }
+
+    getItem(key) {
+        return this.storage.getItem(this.prefix + key);
+    }
+
+    setItem(key, value) {
+        this.storage.setItem(this.prefix + key, value);
+    }
+
+    removeItem(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    /**
+     * Name of the nth key of this account
+     * @param {number} index - Key index
+     * @returns {string|null} Key without the account prefix, or null past the end
+     */
+    key(index) {
+        return this.getKeys()[index] ?? null;
+    }
+
+    get length() {
+        return this.getKeys().length;
+    }
+
+    /**
+     * This account's keys, without the prefix
+     * @returns {string[]} Keys
+     */
+    getKeys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key.slice(this.prefix.length));
+            }
+        }
+        return keys;
+    }
+}
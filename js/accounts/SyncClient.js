@@ -0,0 +1,33 @@
+import { CONFIG } from '../config.js';
+import { ApiClient } from '../core/ApiClient.js';
+
+/**
+ * SyncClient class - REST client for cloud saves (routes in server/syncRoutes.js)
+ * Needs a logged-in account (the session cookie). Items are { value, version, modifiedAt }.
+ */
+export class SyncClient extends ApiClient {
+    /**
+     * @param {string} baseURL - Sync endpoint (defaults to the page's own server)
+     */
+    constructor(baseURL = CONFIG.SYNC.API_PATH) {
+        super(baseURL);
+    }
+
+    /**
+     * Every item stored for the account
+     * @returns {Promise<Object>} { key: { value, version, modifiedAt } }
+     */
+    async pull() {
+        const { items } = await this.request('GET', '');
+        return items;
+    }
+
+    /**
+     * Write changed items
+     * @param {Object} items - { key: { value, baseVersion, modifiedAt } }
+     * @returns {Promise<Object>} { saved: { key: { version, modifiedAt } }, conflicts: { key: item }, rejected: { key: reason } }
+     */
+    push(items) {
+        return this.request('POST', '', { items });
+    }
+}
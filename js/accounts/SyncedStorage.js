@@ -0,0 +1,225 @@
+import { CONFIG } from '../config.js';
+
+// localStorage key prefix for each account's sync bookkeeping (followed by the account id)
+const META_PREFIX = 'noodel.sync.';
+
+// Rounds of writes per push: a conflict our change wins is written again on top of the new version
+const MAX_PUSH_ROUNDS = 3;
+
+/**
+ * SyncedStorage class - An account's storage, with a copy kept on the game server
+ * Reads and writes go to the local AccountStorage, so the game plays the same offline.
+ * Every write marks its key as changed, and changes are sent (SyncClient) once nothing
+ * has changed for CONFIG.SYNC.PUSH_DELAY_MS; sync() also takes in what other devices wrote.
+ * Whatever can't be sent stays marked and goes with the next sync. A value too large for
+ * the server (CONFIG.SYNC.MAX_ITEM_BYTES, or refused by it) is kept on this device only
+ * until it changes again, instead of holding up every later sync.
+ *
+ * Each key remembers the server version it last matched and when it last changed here.
+ * When the server's copy has moved on (another device wrote it), the newer change wins -
+ * last writer wins: ours is written again on top of their version, or theirs replaces ours.
+ */
+export class SyncedStorage {
+    /**
+     * @param {AccountStorage} storage - The account's local storage
+     * @param {SyncClient} client - Sync server client
+     * @param {string} userId - Account id (names the bookkeeping key)
+     */
+    constructor(storage, client, userId) {
+        this.storage = storage;
+        this.client = client;
+        this.metaKey = META_PREFIX + userId;
+        this.meta = this.loadMeta();  // key → { version, modifiedAt, dirty, localOnly }
+        this.timer = null;
+        this.running = Promise.resolve(true);  // Syncs run one at a time
+    }
+
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+        this.markChanged(key);
+    }
+
+    removeItem(key) {
+        this.storage.removeItem(key);
+        this.markChanged(key);
+    }
+
+    key(index) {
+        return this.storage.key(index);
+    }
+
+    get length() {
+        return this.storage.length;
+    }
+
+    /**
+     * Note a local change and send it once the changes stop
+     * @param {string} key - Changed key
+     */
+    markChanged(key) {
+        this.meta[key] = { version: this.meta[key]?.version ?? 0, modifiedAt: Date.now(), dirty: true };
+        this.saveMeta();
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.push();
+        }, CONFIG.SYNC.PUSH_DELAY_MS);
+    }
+
+    /**
+     * Send changes still waiting for the delay now (e.g. when the page is hidden)
+     * @returns {Promise<boolean>} True if there was nothing to send or it was sent
+     */
+    flush() {
+        if (this.timer === null) return this.running;
+        clearTimeout(this.timer);
+        this.timer = null;
+        return this.push();
+    }
+
+    /**
+     * Keys too large to sync, kept on this device only
+     * @returns {string[]} Keys
+     */
+    getLocalOnlyKeys() {
+        return Object.keys(this.meta).filter(key => this.meta[key].localOnly);
+    }
+
+    /**
+     * Stop sending a key the server can't take until it changes again
+     * @param {string} key - Key
+     * @param {string} reason - Why it can't be synced
+     */
+    keepLocal(key, reason) {
+        this.meta[key] = { ...this.meta[key], dirty: false, localOnly: true };
+        console.warn(`SyncedStorage: '${key}' is kept on this device only: ${reason}`);
+    }
+
+    /**
+     * Take in what other devices wrote, then send the changes made here
+     * Keys that were never synced (e.g. kept from before the account was first synced)
+     * are sent unless the server has them; keys the server has lost are sent again.
+     * @returns {Promise<boolean>} True if the server was reached
+     */
+    sync() {
+        return this.queue(async () => {
+            const remote = await this.client.pull();
+
+            this.storage.getKeys().forEach((key) => {
+                if (!this.meta[key]) {
+                    this.meta[key] = { version: 0, modifiedAt: 0, dirty: true };
+                }
+            });
+            Object.entries(this.meta).forEach(([key, entry]) => {
+                if (!remote[key] && entry.version > 0 && !entry.localOnly) {
+                    this.meta[key] = { ...entry, version: 0, dirty: true };
+                }
+            });
+            Object.entries(remote).forEach(([key, item]) => this.merge(key, item));
+            this.saveMeta();
+
+            await this.sendChanges();
+        });
+    }
+
+    /**
+     * Send the changes made here
+     * @returns {Promise<boolean>} True if the server was reached
+     */
+    push() {
+        return this.queue(() => this.sendChanges());
+    }
+
+    /**
+     * Run a sync task after the ones before it
+     * @param {Function} task - Async task
+     * @returns {Promise<boolean>} True if the task succeeded
+     */
+    queue(task) {
+        this.running = this.running.then(task).then(() => true, (error) => {
+            console.warn('SyncedStorage: Sync failed, changes are kept on this device:', error.message);
+            return false;
+        });
+        return this.running;
+    }
+
+    /**
+     * Write every changed key to the server, settling conflicts as they come back
+     */
+    async sendChanges() {
+        for (let round = 0; round < MAX_PUSH_ROUNDS; round++) {
+            const changes = {};
+            Object.entries(this.meta).forEach(([key, entry]) => {
+                if (!entry.dirty) return;
+                const value = this.storage.getItem(key);
+                if (value !== null && value.length > CONFIG.SYNC.MAX_ITEM_BYTES) {
+                    this.keepLocal(key, 'too large to sync');
+                    return;
+                }
+                changes[key] = { value, baseVersion: entry.version, modifiedAt: entry.modifiedAt };
+            });
+            if (Object.keys(changes).length === 0) {
+                this.saveMeta();
+                return;
+            }
+
+            const { saved, conflicts, rejected = {} } = await this.client.push(changes);
+            Object.entries(saved).forEach(([key, { version }]) => {
+                // A key changed again while the request was out stays marked, now on top of the new version
+                const entry = this.meta[key];
+                entry.version = version;
+                entry.dirty = entry.modifiedAt !== changes[key].modifiedAt;
+            });
+            Object.entries(conflicts).forEach(([key, item]) => this.merge(key, item));
+            Object.entries(rejected).forEach(([key, reason]) => {
+                // Changed again meanwhile: the new value gets its own try
+                if (this.meta[key].modifiedAt === changes[key].modifiedAt) this.keepLocal(key, reason);
+            });
+            this.saveMeta();
+        }
+    }
+
+    /**
+     * Settle a key against the server's copy: the newer change wins
+     * @param {string} key - Key
+     * @param {Object} item - Server copy { value, version, modifiedAt } (value null if deleted)
+     */
+    merge(key, item) {
+        const entry = this.meta[key] || { version: 0, modifiedAt: 0, dirty: false };
+        if (item.version === entry.version) return;
+
+        if (entry.dirty && entry.modifiedAt > item.modifiedAt) {
+            this.meta[key] = { ...entry, version: item.version };
+            return;
+        }
+
+        if (item.value === null) {
+            this.storage.removeItem(key);
+        } else {
+            this.storage.setItem(key, item.value);
+        }
+        this.meta[key] = { version: item.version, modifiedAt: item.modifiedAt, dirty: false };
+    }
+
+    loadMeta() {
+        try {
+            const raw = globalThis.localStorage?.getItem(this.metaKey);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveMeta() {
+        try {
+            globalThis.localStorage?.setItem(this.metaKey, JSON.stringify(this.meta));
+        } catch (error) {
+            console.warn('SyncedStorage: Failed to save sync state:', error.message);
+        }
+    }
+}
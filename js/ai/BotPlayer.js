@@ -0,0 +1,123 @@
+import { CONFIG } from '../config.js';
+import { HintAdvisor } from '../core/HintAdvisor.js';
+import { simulateDrop } from '../core/TurnRules.js';
+
+// Strength levels (settings in CONFIG.BOT)
+export const BotDifficulty = {
+    EASY: 'easy',
+    MEDIUM: 'medium',
+    HARD: 'hard'
+};
+
+/**
+ * BotPlayer class - AI player that plans ahead with the preview queue
+ *
+ * For each letter it can see (up to CONFIG.GAME.PREVIEW_COUNT) it tries every open
+ * column with TurnRules.simulateDrop, so words and cascades are scored by the
+ * current mode's rules and hooks (calculateWordScore in classic, the speed multiplier in Blitz). The most promising columns
+ * (BEAM) are followed up with the next letter, and so on for DEPTH letters; a plan is
+ * worth the points it makes minus FILL_WEIGHT for every letter it leaves on the board.
+ * Easy also plays a random column now and then (MISTAKE_RATE).
+ *
+ * Reads the board and letters from a GameState and never changes it, so the same bot
+ * drives the browser game (BotWatcher) and headless games in Node (HeadlessGame).
+ */
+export class BotPlayer {
+    /**
+     * @param {WordResolver} wordResolver - Word detection with a loaded dictionary
+     * @param {string} difficulty - Strength level (BotDifficulty)
+     * @param {Function} random - Random number source for mistakes (pass a seeded one for repeatable games)
+     */
+    constructor(wordResolver, difficulty = BotDifficulty.MEDIUM, random = Math.random) {
+        if (!Object.values(BotDifficulty).includes(difficulty)) {
+            throw new Error(`BotPlayer: Unknown difficulty '${difficulty}'`);
+        }
+
+        this.wordResolver = wordResolver;
+        this.difficulty = difficulty;
+        this.settings = CONFIG.BOT[difficulty];
+        this.random = random;
+    }
+
+    /**
+     * Pick a column for the next letter
+     * @param {GameState} state - Game state (board, preview queue, mode)
+     * @returns {number|null} Column, or null if there is no letter or every column is full
+     */
+    chooseMove(state) {
+        const letters = state.nextLetters.filter(Boolean).slice(0, this.settings.DEPTH);
+        if (letters.length === 0) return null;
+
+        const open = [];
+        for (let column = 0; column < state.board.columns; column++) {
+            if (!state.isColumnFull(column)) open.push(column);
+        }
+        if (open.length === 0) return null;
+
+        if (this.random() < this.settings.MISTAKE_RATE) {
+            return open[Math.floor(this.random() * open.length)];
+        }
+
+        return this.search(state, letters).column;
+    }
+
+    /**
+     * Best plan for dropping a sequence of letters, starting from a game state
+     * @param {GameState} state - State to start from (not modified)
+     * @param {string[]} letters - Letters to place, in order
+     * @returns {{column: number|null, value: number}} First column of the best plan and what the plan is worth
+     */
+    search(state, letters) {
+        const { BEAM } = this.settings;
+        const { FILL_WEIGHT, LOOKAHEAD_DISCOUNT } = CONFIG.BOT;
+
+        const [letter, ...rest] = letters;
+        const outcomes = [];
+        for (let column = 0; column < state.board.columns; column++) {
+            const outcome = simulateDrop(state, this.wordResolver, column, letter);
+            if (outcome) {
+                outcome.value = outcome.points - FILL_WEIGHT * outcome.board.getFilledCount();
+                outcomes.push(outcome);
+            }
+        }
+        if (outcomes.length === 0) {
+            return { column: null, value: -FILL_WEIGHT * state.board.getFilledCount() };
+        }
+
+        // Most promising first: best value, then the hint ordering
+        outcomes.sort((a, b) => (b.value - a.value) || HintAdvisor.compareOutcomes(a, b));
+        if (rest.length === 0) {
+            return { column: outcomes[0].column, value: outcomes[0].value };
+        }
+
+        let best = { column: null, value: -Infinity };
+        outcomes.slice(0, BEAM).forEach(outcome => {
+            const value = outcome.points + LOOKAHEAD_DISCOUNT * this.search(outcome.state, rest).value;
+            if (value > best.value) {
+                best = { column: outcome.column, value };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Play a headless game to the end
+     * In timed modes each move costs CONFIG.BOT.THINK_MS of clock time
+     * @param {HeadlessGame} game - Game to play
+     * @param {number} maxMoves - Stop after this many moves (for modes that never end)
+     * @param {Function|null} onMove - Called with what each drop did (HeadlessGame.drop)
+     * @returns {Object} Final stats (HeadlessGame.getStats)
+     */
+    play(game, maxMoves = Infinity, onMove = null) {
+        while (!game.isGameOver() && game.moves < maxMoves) {
+            game.passTime(CONFIG.BOT.THINK_MS);
+            if (game.isGameOver()) break;
+
+            const column = this.chooseMove(game.state);
+            if (column === null) break;
+            const move = game.drop(column);
+            onMove?.(move);
+        }
+        return game.getStats();
+    }
+}
@@ -0,0 +1,109 @@
+import { CONFIG } from '../config.js';
+import { GameplayStates } from '../core/GameplayStates.js';
+import { BotPlayer, BotDifficulty } from './BotPlayer.js';
+
+/**
+ * BotWatcher class - Watch mode: a BotPlayer plays the game in progress on the live board
+ * Moves go through Game.dropLetter like clicks do, with a pause before each one, so
+ * the bot's game animates, is logged for replays and ends like any other game. Grid
+ * clicks, undo and hints are ignored while the bot plays, and its games don't count
+ * as daily challenge attempts.
+ */
+export class BotWatcher {
+    /**
+     * @param {Game} game - The game instance to drive
+     */
+    constructor(game) {
+        this.game = game;
+        this.bot = null;
+        this.timer = null;
+    }
+
+    /**
+     * Check if the bot is playing
+     * @returns {boolean} True while watching the bot
+     */
+    isActive() {
+        return this.bot !== null;
+    }
+
+    /**
+     * Hand the game in progress to the bot
+     * @param {string} difficulty - Strength level (BotDifficulty)
+     * @returns {boolean} True if the bot started playing
+     */
+    start(difficulty = BotDifficulty.MEDIUM) {
+        const { game } = this;
+
+        if (!Object.values(BotDifficulty).includes(difficulty)) {
+            console.warn(`BotWatcher: Unknown difficulty '${difficulty}'`);
+            return false;
+        }
+        if (game.replay.isActive() || !game.wordResolver) {
+            console.warn('BotWatcher: The bot can only play a game in progress');
+            return false;
+        }
+
+        this.stop();
+        this.bot = new BotPlayer(game.wordResolver, difficulty);
+        game.currentDaily = null;
+        game.clearInactivityTimer();
+        game.updateUndoButton();
+        game.updateHintButton();
+
+        console.log(`🤖 Watching the ${difficulty} bot play`);
+        this.scheduleMove();
+        return true;
+    }
+
+    /**
+     * Stop playing (the game stays where the bot left it)
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.bot === null) return;
+
+        this.bot = null;
+        this.game.updateUndoButton();
+        this.game.updateHintButton();
+    }
+
+    /**
+     * Play the next move after CONFIG.BOT.MOVE_DELAY_MS (shorter at higher animation speeds)
+     */
+    scheduleMove() {
+        clearTimeout(this.timer);
+        const delay = CONFIG.BOT.MOVE_DELAY_MS / this.game.sequencer.speedMultiplier;
+        this.timer = setTimeout(() => this.playMove(), delay);
+    }
+
+    /**
+     * Drop a letter where the bot chooses, once the game is waiting for a move
+     */
+    async playMove() {
+        const { game } = this;
+        if (!this.isActive()) return;
+
+        const gameplayState = game.appState.getGameplayState();
+        if (gameplayState === GameplayStates.GAME_OVER) {
+            this.stop();
+            return;
+        }
+        if (gameplayState !== GameplayStates.AWAITING_INPUT || game.sequencer.isRunning()) {
+            this.scheduleMove();
+            return;
+        }
+
+        const column = this.bot.chooseMove(game.state);
+        if (column === null) {
+            this.stop();
+            return;
+        }
+
+        await game.dropLetter(column);
+        if (this.isActive()) {
+            this.scheduleMove();
+        }
+    }
+}
@@ -363,4 +363,26 @@ export class AnimationController {
         scoreValue.style.animation = '';
         lettersRemaining.style.animation = '';
     }
+
+    /**
+     * Flip in the letters already on the board (Clear Mode starting board)
+     * Columns reveal left to right with a short stagger
+     */
+    async revealBoard() {
+        const squares = [...this.dom.getAllGridSquares()].filter(square => square.classList.contains('filled'));
+        if (!squares.length) return;
+        
+        const stagger = 40; // ms between columns
+        squares.forEach(square => {
+            const column = Number(square.dataset.column) || 0;
+            square.style.animation = `tileReveal 0.4s ease-out ${column * stagger}ms both`;
+        });
+        
+        // Wait for the last column to finish
+        await new Promise(resolve => setTimeout(resolve, 400 + CONFIG.GRID.COLUMNS * stagger));
+        
+        squares.forEach(square => {
+            square.style.animation = '';
+        });
+    }
 }
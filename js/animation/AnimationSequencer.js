@@ -15,6 +15,7 @@ export class AnimationSequencer {
         this.paused = false;
         this.currentSequence = null;
         this.speedMultiplier = 1.0;
+        this.onRunningChange = null; // Optional callback(running) when a sequence starts or ends
     }
 
     /**
@@ -50,6 +51,7 @@ export class AnimationSequencer {
 
         this.running = true;
         this.currentSequence = sequenceName;
+        this.onRunningChange?.(true);
 
         if (this.features?.isEnabled('debug.logTiming')) {
             console.log(`🎬 Playing sequence: ${sequenceName}`);
@@ -110,6 +112,7 @@ export class AnimationSequencer {
         } finally {
             this.running = false;
             this.currentSequence = null;
+            this.onRunningChange?.(false);
         }
     }
 
@@ -165,7 +168,7 @@ export class AnimationSequencer {
             // Try to get duration from CONFIG or calculate
             duration = this.calculateDuration(step);
         }
-        duration = duration * this.speedMultiplier;
+        duration = duration / this.speedMultiplier;
 
         // Wait for specified duration (if method doesn't handle its own timing)
         if (duration > 0 && step.waitAfter !== false) {
@@ -7,6 +7,16 @@ import { WordItem } from '../word/WordItem.js';
 import { calculateWordScore } from '../scoring/ScoringUtils.js';
 import { CONFIG } from '../config.js';
 
+/**
+ * Progress bar args for the current mode ([remaining, total])
+ * @param {GameState} state - Game state
+ * @returns {number[]} Args for AnimationController.updateLetterProgress
+ */
+const progressArgs = (state) => {
+    const { remaining, total } = state.getProgress();
+    return [remaining, total];
+};
+
 /**
  * INTRO SEQUENCE
  * Plays when the game first loads (normal mode)
@@ -194,7 +204,7 @@ export const GAME_START_SEQUENCE = [
         target: 'animator',
         duration: 0,
         parallel: false,
-        args: (ctx) => [ctx.state.lettersRemaining, CONFIG.GAME.INITIAL_LETTERS]
+        args: (ctx) => progressArgs(ctx.state)
     },
     {
         name: 'showPreview',
@@ -268,7 +278,7 @@ export const LETTER_DROP_SEQUENCE = [
         // Args will be provided by Game.js: [column, letter, targetRow, callback]
         onAfter: (ctx) => {
             // Update game state after drop completes
-            ctx.state.incrementColumnFill(ctx.column);
+            ctx.state.placeLetter(ctx.column, ctx.letter);
             ctx.letters.advance();
             ctx.score.updateLettersRemaining();
         }
@@ -279,7 +289,7 @@ export const LETTER_DROP_SEQUENCE = [
         target: 'animator',
         duration: 0,
         parallel: false,
-        args: (ctx) => [ctx.state.lettersRemaining, CONFIG.GAME.INITIAL_LETTERS]
+        args: (ctx) => progressArgs(ctx.state)
     }
 ];
 
@@ -323,7 +333,7 @@ export const WORD_FOUND_SEQUENCE = [
             // Add all words to score
             ctx.foundWords.forEach(wordData => {
                 const points = calculateWordScore(wordData.word);
-                const wordItem = new WordItem(wordData.word, wordData.definition, points);
+                const wordItem = new WordItem(wordData.word, wordData.definition, points, wordData.direction);
                 ctx.score.addWord(wordItem);
             });
         }
@@ -340,6 +350,7 @@ export const WORD_FOUND_SEQUENCE = [
         onBefore: (ctx) => {
             // Clear all word cells
             ctx.foundWords.forEach(wordData => {
+                ctx.state.board.clearPositions(wordData.positions);
                 ctx.animator.clearWordCells(wordData.positions);
             });
         }
@@ -415,13 +426,200 @@ export const START_PREVIEW_GAME_START_SEQUENCE = [
         target: 'animator',
         duration: 0,
         parallel: false,
-        args: (ctx) => [ctx.state.lettersRemaining, CONFIG.GAME.INITIAL_LETTERS]
+        args: (ctx) => progressArgs(ctx.state)
+    },
+    {
+        name: 'showPreview',
+        method: 'display',
+        target: 'letters',
+        duration: 0,
+        parallel: false
+    }
+];
+
+/**
+ * RESUME SEQUENCE
+ * Plays instead of the intro when a saved game is resumed
+ * - Shake title
+ * - Show stats
+ * - Restore progress bar
+ * - Show letter preview
+ */
+export const RESUME_SEQUENCE = [
+    {
+        name: 'titleShake',
+        method: 'shakeAllTitleLetters',
+        target: 'animator',
+        duration: 'auto',
+        parallel: false,
+        feature: 'animations.titleShake'
+    },
+    {
+        name: 'showStats',
+        method: 'showStats',
+        target: 'animator',
+        duration: 0,
+        parallel: false
+    },
+    {
+        name: 'initProgressBar',
+        method: 'updateLetterProgress',
+        target: 'animator',
+        duration: 0,
+        parallel: false,
+        args: (ctx) => progressArgs(ctx.state)
     },
     {
         name: 'showPreview',
         method: 'display',
         target: 'letters',
         duration: 0,
+        parallel: false,
+        onBefore: (ctx) => {
+            ctx.dom.preview.classList.add('visible');
+        }
+    }
+];
+
+/**
+ * BOARD SETUP SEQUENCE
+ * Plays after the game start sequence, before the first move
+ * - Let the mode set up its starting board (Clear Mode fills about half of it)
+ * - Flip any starting letters in
+ * - Show the mode's progress stat and reset the progress bar
+ */
+export const BOARD_SETUP_SEQUENCE = [
+    {
+        name: 'setupBoard',
+        method: 'setupBoard',
+        target: 'game',
+        duration: 0,
+        parallel: false
+    },
+    {
+        name: 'revealBoard',
+        method: 'revealBoard',
+        target: 'animator',
+        duration: 0, // Resolves when the last column has flipped in
+        parallel: false,
+        feature: 'animations.boardReveal'
+    },
+    {
+        name: 'showProgress',
+        method: 'renderProgress',
+        target: 'score',
+        duration: 0,
+        parallel: false
+    },
+    {
+        name: 'initProgressBar',
+        method: 'updateLetterProgress',
+        target: 'animator',
+        duration: 0,
+        parallel: false,
+        args: (ctx) => progressArgs(ctx.state)
+    }
+];
+
+/**
+ * REPLAY MOVE SEQUENCE
+ * Plays one move of a replay (ReplayViewer)
+ * - Drop the letter through Game.dropLetter (word checks, cascades and gravity included)
+ * - Or undo the previous move, or show the hint the player asked for
+ * - Advance the replay position, then pause before the next move (scaled by setSpeed)
+ */
+export const REPLAY_MOVE_SEQUENCE = [
+    {
+        name: 'replayDrop',
+        method: 'dropLetter',
+        target: 'game',
+        duration: 0,
+        parallel: false,
+        shouldRun: (ctx) => !ctx.move.undo && !ctx.move.hint,
+        args: (ctx) => [ctx.move.column, ctx.move.clock]
+    },
+    {
+        name: 'replayUndo',
+        method: 'undo',
+        target: 'game',
+        duration: 0,
+        parallel: false,
+        shouldRun: (ctx) => ctx.move.undo
+    },
+    {
+        name: 'replayHint',
+        method: 'useHint',
+        target: 'game',
+        duration: 0,
+        parallel: false,
+        shouldRun: (ctx) => ctx.move.hint
+    },
+    {
+        name: 'advanceReplay',
+        method: 'advance',
+        target: 'replay',
+        duration: 500, // Pause between moves
+        parallel: false
+    }
+];
+
+/**
+ * GAME OVER SEQUENCE
+ * Plays when a game ends
+ * - Show the summary card
+ * - Count the score up
+ * - Reveal stats, word-length histogram and direction breakdown one by one
+ * - Show buttons (always ends with the whole card visible)
+ */
+export const GAME_OVER_SEQUENCE = [
+    {
+        name: 'showSummaryCard',
+        method: 'show',
+        target: 'gameOverScreen',
+        duration: 300,
+        parallel: false,
+        args: (ctx) => [ctx.summary, ctx.actions]
+    },
+    {
+        name: 'countUpScore',
+        method: 'countUpScore',
+        target: 'gameOverScreen',
+        duration: 0, // Resolves when the count-up finishes
+        parallel: false,
+        feature: 'animations.gameOverReveal'
+    },
+    {
+        name: 'revealStats',
+        method: 'revealSection',
+        target: 'gameOverScreen',
+        duration: 250,
+        parallel: false,
+        feature: 'animations.gameOverReveal',
+        args: ['stats']
+    },
+    {
+        name: 'revealHistogram',
+        method: 'revealSection',
+        target: 'gameOverScreen',
+        duration: 500, // Bars grow via CSS transition
+        parallel: false,
+        feature: 'animations.gameOverReveal',
+        args: ['histogram']
+    },
+    {
+        name: 'revealDirections',
+        method: 'revealSection',
+        target: 'gameOverScreen',
+        duration: 500,
+        parallel: false,
+        feature: 'animations.gameOverReveal',
+        args: ['directions']
+    },
+    {
+        name: 'revealAll',
+        method: 'revealAll',
+        target: 'gameOverScreen',
+        duration: 0,
         parallel: false
     }
 ];
@@ -436,5 +634,9 @@ export const SEQUENCES = {
     startPreviewGameStart: START_PREVIEW_GAME_START_SEQUENCE,
     reset: RESET_SEQUENCE,
     letterDrop: LETTER_DROP_SEQUENCE,
-    wordFound: WORD_FOUND_SEQUENCE
+    wordFound: WORD_FOUND_SEQUENCE,
+    resume: RESUME_SEQUENCE,
+    boardSetup: BOARD_SETUP_SEQUENCE,
+    replayMove: REPLAY_MOVE_SEQUENCE,
+    gameOver: GAME_OVER_SEQUENCE
 };
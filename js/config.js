@@ -1,5 +1,19 @@
 // Configuration constants
 // Note: Feature flags moved to FeatureFlags.js for better organization
+
+// Game mode ids (also used as save slot names and in move logs)
+export const GameModes = {
+    CLASSIC: 'classic',
+    DAILY: 'daily',
+    CLEAR: 'clear',  // Start on a half-full board with unlimited letters; win by emptying it
+    BLITZ: 'blitz',  // Unlimited letters against the clock; score and speed earn more
+    ZEN: 'zen',      // Endless: unlimited letters, no game over (a full board drops its oldest row)
+    PUZZLE: 'puzzle', // Authored levels (levels/*.json): fixed board and letters, goals to meet in a move limit
+    HOTSEAT: 'hotseat', // 2-4 players take turns dropping letters on one board; each scores the words they make
+    VERSUS: 'versus',   // Online head-to-head: two players race through the same letters on their own boards
+    MATCH: 'match'      // Asynchronous hot seat between two players, stored on the server; one drop per turn
+};
+
 export const CONFIG = {
     GRID: {
         ROWS: 6,
@@ -12,6 +26,115 @@ export const CONFIG = {
         // Note: Alphabet is now generated dynamically using LetterGenerator
         // based on English letter frequency distribution
     },
+    // Undo budget per game mode: how many undos a game allows and the points each one costs
+    UNDO: {
+        classic: { LIMIT: 3, COST: 2 },
+        daily: { LIMIT: 0, COST: 0 },  // Daily challenge stays fair: no undos
+        clear: { LIMIT: 3, COST: 2 },
+        blitz: { LIMIT: 0, COST: 0 },  // Undo would rewind the clock
+        zen: { LIMIT: 5, COST: 0 },
+        puzzle: { LIMIT: 3, COST: 0 },
+        hotseat: { LIMIT: 0, COST: 0 },  // Undo would hand back another player's turn
+        versus: { LIMIT: 0, COST: 0 },   // Moves are final once the server has them
+        match: { LIMIT: 0, COST: 0 }
+    },
+    // Hint budget per game mode: how many hints a game allows and the points each one costs
+    HINTS: {
+        classic: { LIMIT: 3, COST: 5 },
+        daily: { LIMIT: 0, COST: 0 },  // Daily challenge stays fair: no hints
+        clear: { LIMIT: 3, COST: 5 },
+        blitz: { LIMIT: 2, COST: 5 },
+        zen: { LIMIT: 10, COST: 0 },
+        puzzle: { LIMIT: 1, COST: 0 },  // One nudge per attempt
+        hotseat: { LIMIT: 0, COST: 0 },  // Players compete; no help from the game
+        versus: { LIMIT: 0, COST: 0 },
+        match: { LIMIT: 0, COST: 0 }
+    },
+    // AI player strength levels (see BotPlayer): how many preview letters it looks ahead,
+    // how many columns it follows up at each step, and how often it plays a random column
+    BOT: {
+        easy: { DEPTH: 1, BEAM: 7, MISTAKE_RATE: 0.3 },
+        medium: { DEPTH: 2, BEAM: 7, MISTAKE_RATE: 0 },
+        hard: { DEPTH: 5, BEAM: 3, MISTAKE_RATE: 0 },  // The whole preview queue
+        FILL_WEIGHT: 0.5,          // Points a letter left on the board is worth against (keeps the board low)
+        LOOKAHEAD_DISCOUNT: 0.9,   // Later letters count a little less, in case the plan changes
+        MOVE_DELAY_MS: 700,        // Pause before each move in watch mode
+        THINK_MS: 1500             // Clock time a headless bot spends per move in timed modes
+    },
+    CLEAR_MODE: {
+        FILL_RATIO: 0.5,       // Share of the grid filled with letters at the start
+        OPEN_ROWS: 2,          // Rows kept free at the top of every column
+        MAX_ATTEMPTS: 20       // Letters tried per cell before giving up on a word-free fill
+    },
+    BLITZ_MODE: {
+        DURATION_MS: 180000,       // Starting time budget (3 minutes)
+        BONUS_EVERY_POINTS: 50,    // Each time the score passes another multiple of this...
+        BONUS_MS: 15000,           // ...this much time is added to the clock for the first bonus,
+        BONUS_SHRINK_MS: 2000,     // ...and this much less for each one after it (so at most 64s in all and the game ends)
+        FAST_DROP_MS: 2000,        // A drop made within this long of the last one keeps the speed streak going
+        SPEED_STEP: 0.25,          // Word score multiplier added per drop in the streak
+        MAX_SPEED_MULTIPLIER: 2,
+        URGENT_MS: 10000           // Clock is highlighted below this much time
+    },
+    HOT_SEAT: {
+        MIN_PLAYERS: 2,
+        MAX_PLAYERS: 4,
+        MAX_NAME_LENGTH: 12
+    },
+    VERSUS: {
+        PATH: '/ws/versus',        // WebSocket endpoint on the game server (server/VersusServer.js)
+        MAX_NAME_LENGTH: 12,
+        MAX_MESSAGE_BYTES: 4096,   // Larger messages close the connection
+        HEARTBEAT_MS: 30000        // Connections that miss a ping for this long are dropped
+    },
+    ASYNC_MATCHES: {
+        API_PATH: '/api/matches',  // REST routes on the game server (server/matchRoutes.js)
+        MAX_NAME_LENGTH: 12,
+        MAX_ACTIVE: 10,            // Open and active matches a player can be in at once
+        EXPIRE_AFTER_MS: 604800000, // A match with no move for a week expires (the player on turn loses)
+        KEEP_MS: 259200000,        // Finished and expired matches stay listed for 3 days
+        SWEEP_MS: 3600000          // How often the server looks for stale matches
+    },
+    LEADERBOARD: {
+        API_PATH: '/api/scores',   // REST routes on the game server (server/scoreRoutes.js)
+        MODES: ['classic', 'daily', 'clear'], // Modes with leaderboards (single player, games that end; not Blitz, whose clock the server can't check)
+        WINDOWS: ['daily', 'weekly', 'all'], // Today and this week (UTC, weeks start on Monday) or all time
+        MAX_NAME_LENGTH: 12,
+        MAX_SCORE: 100000,         // Higher scores are refused
+        MAX_LOG_MOVES: 2000,       // Longest move log the server will play back to check a score
+        PAGE_SIZE: 10,
+        MAX_PAGE_SIZE: 50,
+        KEEP_RECENT_MS: 691200000, // Every score is kept for 8 days (the daily and weekly boards)...
+        KEEP_TOP: 500              // ...after that only each mode's best scores stay
+    },
+    ACCOUNTS: {
+        API_PATH: '/api/accounts', // REST routes on the game server (server/accountRoutes.js)
+        COOKIE_NAME: 'noodel_session',
+        SESSION_MS: 2592000000,    // Sessions last 30 days from login
+        MIN_USERNAME_LENGTH: 3,
+        MAX_USERNAME_LENGTH: 20,
+        MIN_PASSWORD_LENGTH: 8,
+        MAX_PASSWORD_LENGTH: 128,
+        MAX_NAME_LENGTH: 12        // Display name, shown on the leaderboards
+    },
+    SYNC: {
+        API_PATH: '/api/sync',     // REST routes on the game server (server/syncRoutes.js)
+        PUSH_DELAY_MS: 3000,       // Changes are sent once nothing has changed for this long
+        MAX_ITEMS: 200,            // Stored keys per account (deleted keys count until overwritten)
+        MAX_ITEM_BYTES: 262144,    // Longest stored value (a long Zen save is the biggest)
+        MAX_ACCOUNT_BYTES: 2097152, // All of an account's stored values together
+        IDLE_MS: 600000            // The server forgets an account's items (until its next request) after this long unused
+    },
+    STATS: {
+        MAX_GAMES: 500,            // Finished games kept one by one (lifetime totals and bests are kept apart)
+        CHART_GAMES: 30            // Most recent games on the score chart
+    },
+    ZEN_MODE: {
+        AUTOSAVE_MS: 15000         // Saves grow with the session, so save on a timer rather than every move
+    },
+    WORDS_LIST: {
+        PAGE_SIZE: 50              // Words shown per page of the Words Made list
+    },
     START_MENU: {
         LETTERS: ['S', 'T', 'A', 'R', 'T'],
         COLUMNS: [1, 2, 3, 4, 5]  // First 5 columns for START letters
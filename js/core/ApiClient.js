@@ -0,0 +1,48 @@
+/**
+ * ApiClient class - Base for the clients of the game server's REST routes (server/*Routes.js)
+ * Sends JSON, and resolves with the parsed response or rejects with an Error carrying
+ * the server's message. Subclasses add their own headers through getHeaders().
+ */
+export class ApiClient {
+    /**
+     * @param {string} baseURL - Endpoint the request paths are relative to
+     */
+    constructor(baseURL) {
+        this.baseURL = baseURL;
+    }
+
+    /**
+     * Extra headers sent with every request
+     * @returns {Object} Header names and values
+     */
+    getHeaders() {
+        return {};
+    }
+
+    /**
+     * Send a request to the endpoint
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the endpoint (may include a query string)
+     * @param {Object|null} body - JSON body
+     * @returns {Promise<Object>} Parsed response
+     * @throws {Error} If the server can't be reached or refuses the request
+     */
+    async request(method, path, body = null) {
+        let response;
+        try {
+            response = await fetch(`${this.baseURL}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', ...this.getHeaders() },
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new Error("Can't reach the game server");
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        return data;
+    }
+}
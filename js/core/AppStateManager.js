@@ -1,5 +1,5 @@
 import { WebpageStates, WebpageStateTransitions, isValidTransition } from './WebpageStates.js';
-import { GameplayStates, GameplayStateTransitions } from './GameplayStates.js';
+import { GameplayStates, isValidGameplayTransition } from './GameplayStates.js';
 import { MenuStates, MenuStateTransitions } from '../menu/MenuStates.js';
 
 /**
@@ -138,6 +138,12 @@ export class AppStateManager {
             return true;
         }
         
+        // Validate transition
+        if (!isValidGameplayTransition(currentState, newState)) {
+            console.error(`AppStateManager: Invalid gameplay transition: ${currentState} → ${newState}`);
+            return false;
+        }
+        
         // Update state
         this.gameplayState = newState;
         this.gameplayHistory.push(newState);
@@ -0,0 +1,64 @@
+/**
+ * Autosave class - Decides when the game in progress is written to its save slot
+ * Most modes save after every settled move. A mode with an autosave interval
+ * (GameMode.getAutosaveInterval, e.g. Zen, whose saves grow with the session)
+ * only marks the game as changed after a move and saves it on a timer instead.
+ *
+ * USAGE:
+ *   const autosave = new Autosave(() => game.saveProgress());
+ *   autosave.start(mode.getAutosaveInterval()); // null = save every move
+ *   autosave.moveSettled();                     // After each move
+ *   autosave.flush();                           // Save pending changes now (leaving the page, opening a replay)
+ */
+export class Autosave {
+    /**
+     * @param {Function} save - Writes the game in progress to its save slot
+     */
+    constructor(save) {
+        this.save = save;
+        this.interval = null;
+        this.dirty = false; // Moves made since the last timed save
+    }
+
+    /**
+     * Start autosaving a game
+     * @param {number|null} intervalMs - Save interval, or null to save after every move
+     */
+    start(intervalMs) {
+        this.stop();
+        if (intervalMs) {
+            this.interval = setInterval(() => this.flush(), intervalMs);
+        }
+    }
+
+    /**
+     * Stop the timer and drop pending changes (game over or abandoned)
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        this.dirty = false;
+    }
+
+    /**
+     * Called after every settled move: saves now, or on the next timed save
+     */
+    moveSettled() {
+        if (this.interval) {
+            this.dirty = true;
+        } else {
+            this.save();
+        }
+    }
+
+    /**
+     * Save now if there are changes waiting for the timer
+     */
+    flush() {
+        if (!this.dirty) return;
+        this.dirty = false;
+        this.save();
+    }
+}
@@ -7,10 +7,19 @@ export class DOMCache {
         this.gridWrapper = document.querySelector('.game-grid-wrapper');
         this.startBtn = document.getElementById('startBtn');
         this.muteBtn = document.getElementById('muteBtn');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.replayBtn = document.getElementById('replayBtn');
+        this.hintBtn = document.getElementById('hintBtn');
+        this.hintMessage = document.getElementById('hintMessage');
+        this.opponentPanel = document.getElementById('opponentPanel');
         this.preview = document.getElementById('nextLettersPreview');
         this.wordsList = document.getElementById('wordsList');
+        this.playersPanel = document.getElementById('playersPanel');
         this.scoreValue = document.getElementById('scoreValue');
         this.lettersRemaining = document.getElementById('lettersRemaining');
+        this.lettersLabel = document.getElementById('lettersLabel');
+        this.progressStat = document.getElementById('progressStat');
+        this.progressDetail = document.getElementById('progressDetail');
         this.controls = document.querySelector('.controls');
         this.stats = document.querySelector('.stats');
     }
@@ -45,7 +45,9 @@ export class FeatureManager {
                 letterDrop: true,
                 menuFlip: true,
                 menuDrop: false,
-                wordOverlay: true
+                wordOverlay: true,
+                gameOverReveal: true,
+                boardReveal: true
             },
             
             // Debug Features
@@ -80,7 +82,9 @@ export class FeatureManager {
                 'scoreTracking',
                 'animations.wordHighlight',
                 'animations.letterDrop',
-                'animations.wordOverlay'
+                'animations.wordOverlay',
+                'animations.gameOverReveal',
+                'animations.boardReveal'
             ],
             [WebpageStates.GAME_PAUSED]: [
                 'scoreTracking',
@@ -1,6 +1,9 @@
-import { CONFIG } from '../config.js';
+import { CONFIG, GameModes } from '../config.js';
 import { FeatureManager } from './FeatureManager.js';
+import { AppStateManager } from './AppStateManager.js';
+import { GameplayStates } from './GameplayStates.js';
 import { GameState } from './GameState.js';
+import { beginDrop, settleBoard, chargeHint, undoMove } from './TurnRules.js';
 import { DOMCache } from './DOMCache.js';
 import { AnimationController } from '../animation/AnimationController.js';
 import { GridController } from '../grid/GridController.js';
@@ -8,19 +11,64 @@ import { LetterController } from '../letter/LetterController.js';
 import { ScoreController } from '../scoring/ScoreController.js';
 import { WordResolver } from '../word/WordResolver.js';
 import { WordItem } from '../word/WordItem.js';
-import { calculateWordScore } from '../scoring/ScoringUtils.js';
 import { MenuController } from '../menu/MenuController.js';
 import { StartMenuPreview } from '../menu/StartMenuPreview.js';
 import { AnimationSequencer } from '../animation/AnimationSequencer.js';
+import { AnimationRegistry } from '../animation/AnimationRegistry.js';
 import { SEQUENCES } from '../animation/AnimationSequences.js';
+import { DailyChallenge } from '../daily/DailyChallenge.js';
+import { SaveManager } from './SaveManager.js';
+import { ResumeMenu } from '../menu/ResumeMenu.js';
+import { GameOverScreen } from '../menu/GameOverScreen.js';
+import { UndoHistory } from './UndoHistory.js';
+import { GameClock } from './GameClock.js';
+import { Autosave } from './Autosave.js';
+import { MoveLog } from '../replay/MoveLog.js';
+import { ReplayStore } from '../replay/ReplayStore.js';
+import { ReplayViewer } from '../replay/ReplayViewer.js';
+import { gameModes } from '../modes/index.js';
+import { LevelLoader } from '../levels/LevelLoader.js';
+import { LevelProgress } from '../levels/LevelProgress.js';
+import { LevelSelect } from '../menu/LevelSelect.js';
+import { PlayerSetup } from '../menu/PlayerSetup.js';
+import { MoreMenu } from '../menu/MoreMenu.js';
+import { HintAdvisor } from './HintAdvisor.js';
+import { BotWatcher } from '../ai/BotWatcher.js';
+import { VersusMatch } from '../versus/VersusMatch.js';
+import { MatchClient } from '../matches/MatchClient.js';
+import { AsyncMatch } from '../matches/AsyncMatch.js';
+import { LeaderboardController } from '../leaderboard/LeaderboardController.js';
+import { AccountController } from '../accounts/AccountController.js';
+import { StatsController } from '../stats/StatsController.js';
 
 /**
  * Game class - Main orchestrator that coordinates all controllers
+ *
+ * Gameplay flow runs through AppStateManager (window.appState):
+ * BOARD_READY → AWAITING_INPUT → PROCESSING_WORDS → AWAITING_INPUT ... → GAME_OVER.
+ * Grid input is only accepted in AWAITING_INPUT. Besides 'gameplayStateChanged',
+ * appState emits these gameplay events:
+ * - 'letterDropped' { column, row, letter }
+ * - 'wordsFound' { words: [{ word, points, direction, player }], cascade } (cascade = 1 for the first pass)
+ * - 'gameOver' { stats, reason, mode, replay }
+ *
+ * Mode-specific rules (starting board, letter supply, word scoring, end condition,
+ * HUD labels) come from the GameMode picked from the mode registry (this.modes).
+ * Features around the game have their own controllers, which Game coordinates: accounts and
+ * cloud saves (AccountController), online and asynchronous matches (VersusMatch, AsyncMatch),
+ * leaderboards (LeaderboardController), lifetime stats (StatsController) and replays (ReplayViewer).
  */
 export class Game {
-    constructor() {
+    /**
+     * @param {Object} options - Game options
+     * @param {string|number|null} options.seed - Seed for the first game's letter sequence (random if omitted)
+     * @param {MoveLog|null} options.replay - Replay to open instead of the intro (e.g., from a share link)
+     * @param {Object|null} options.level - Puzzle level to test-play after the intro (from the level editor)
+     */
+    constructor(options = {}) {
         // Initialize core state and DOM cache
-        this.state = new GameState();
+        this.modes = gameModes;
+        this.state = new GameState(options.seed ?? null);
         this.dom = new DOMCache();
         
         // Initialize feature manager
@@ -32,21 +80,85 @@ export class Game {
         this.animator = new AnimationController(this.dom, this.features);
         this.score = new ScoreController(this.state, this.dom);
         this.wordResolver = null; // Will be initialized asynchronously
+        this.hints = null;        // HintAdvisor, created with the WordResolver
+        this.currentHint = null;  // Hint on show until the next move
         
         // Initialize menu controller with callbacks
         this.menu = new MenuController(
             this.dom,
             () => this.start(),           // onStart callback
             () => this.handleLogin(),     // onLogin callback
-            () => this.handleMore()       // onMore callback
+            () => this.handleMore(),      // onMore callback
+            () => this.startDaily(false), // onDaily callback
+            () => this.startMode(GameModes.CLEAR, false), // onClear callback
+            () => this.startMode(GameModes.BLITZ, false)  // onBlitz callback
         );
         
         // Initialize START menu preview (alternative to grid-based menu)
         this.startMenuPreview = new StartMenuPreview(
             this.dom,
-            () => this.startFromPreview() // onStart callback
+            () => this.startFromPreview(), // onStart callback
+            () => this.startDaily(true),   // onDaily callback
+            () => this.startMode(GameModes.CLEAR, true), // onClear callback
+            () => this.startMode(GameModes.BLITZ, true), // onBlitz callback
+            () => this.startMode(GameModes.ZEN, true),   // onZen callback
+            () => this.openLevelSelect(true),            // onPuzzle callback
+            () => this.startHotSeat(true),               // onHotSeat callback
+            () => this.versus.start(true),               // onVersus callback
+            () => this.match.openList(true),             // onMatches callback
+            () => this.openLeaderboard(true)             // onScores callback
         );
         
+        // Player account behind LOGIN. Saves, daily results, level progress, replays and stats
+        // are kept per account, and synced with the server (cloud saves) while logged in
+        this.accounts = new AccountController({ onSwitch: (storage) => this.useStorage(storage) });
+        const { storage } = this.accounts;
+        
+        // Daily challenge results/streak, and the daily game in progress ({ dateKey, scored } or null)
+        this.daily = new DailyChallenge(storage);
+        this.currentDaily = null;
+        
+        // Puzzle levels (loaded on first visit to the level select), completed levels and the picker
+        this.levels = null;
+        this.levelProgress = new LevelProgress(storage);
+        this.levelSelect = new LevelSelect();
+        
+        // Hot seat player setup (names are kept in GameState.players for rematches)
+        this.playerSetup = new PlayerSetup();
+        
+        // Leaderboards on the game server
+        this.leaderboard = new LeaderboardController();
+        
+        // Options behind the MORE menu button
+        this.moreMenu = new MoreMenu();
+        
+        // Level opened from the level editor; test plays don't touch saves or level progress
+        this.pendingLevel = options.level ?? null;
+        this.playtest = false;
+        
+        // Save slots for in-progress games (one per mode) and the resume prompt
+        this.saves = new SaveManager(storage);
+        this.resumeMenu = new ResumeMenu();
+        this.autosave = new Autosave(() => this.saveProgress());
+        
+        // Pre-move snapshots for undo
+        this.undoHistory = new UndoHistory();
+        
+        // End-of-game summary card
+        this.gameOverScreen = new GameOverScreen();
+        
+        // Move log of the game in progress, and the replay viewer with the finished games
+        this.moveLog = new MoveLog({ seed: this.state.seed });
+        this.replay = new ReplayViewer(this, new ReplayStore(storage));
+        this.pendingReplay = options.replay ?? null;
+        
+        // Lifetime stats of every finished solo game, and the stats page
+        this.stats = new StatsController(storage);
+        
+        // AI player for watch mode; with a difficulty (?bot=<difficulty>) it plays every game started
+        this.bot = new BotWatcher(this);
+        this.watchBot = options.bot ?? null;
+        
         // Initialize animation sequencer with all controllers
         this.sequencer = new AnimationSequencer({
             animator: this.animator,
@@ -55,12 +167,37 @@ export class Game {
             grid: this.grid,
             letters: this.letters,
             score: this.score,
+            replay: this.replay,
+            gameOverScreen: this.gameOverScreen,
             game: this  // Add game controller for timer methods
         }, this.features);
         
         // Load predefined sequences
         this.sequencer.loadSequences(SEQUENCES);
         
+        // App state machine (gameplay state + events); transition animations are still played by the sequencer
+        this.animationRegistry = new AnimationRegistry(this.sequencer.controllers, this.features);
+        this.appState = new AppStateManager(this.features, this.animationRegistry);
+        
+        // Countdown for timed modes - only charged while waiting for the player's move,
+        // so it pauses (exactly) whenever the gameplay state changes or a sequence plays
+        this.clock = new GameClock(this.state, {
+            canRun: () => this.isClockRunning(),
+            onTick: () => {
+                this.score.renderProgress();
+                this.updateProgressBar();
+            },
+            onExpire: () => this.handleTimeUp()
+        });
+        this.appState.on('gameplayStateChanged', () => this.clock.tick());
+        this.sequencer.onRunningChange = () => this.clock.tick();
+        
+        // Online head-to-head match in progress (sends every drop to the match server)
+        this.versus = new VersusMatch(this);
+        
+        // Asynchronous matches stored on the server, and the one open on the board (sends the player's drop to the server)
+        this.match = new AsyncMatch(this, new MatchClient());
+        
         // Flag to prevent multiple simultaneous word checks
         this.isProcessingWords = false;
         
@@ -70,9 +207,17 @@ export class Game {
     }
 
     async init() {
+        if (this.features.isEnabled('debug.enabled')) {
+            this.appState.enableDebug();
+        }
+        
+        // Ask the server who is logged in while the dictionary loads
+        const accountCheck = this.accounts.refresh();
+        
         // Load dictionary and initialize WordResolver
         console.log('Loading dictionary...');
         this.wordResolver = await WordResolver.create(this.state, this.dom);
+        this.hints = new HintAdvisor(this.wordResolver);
         console.log('Dictionary loaded successfully!');
         
         // Initialize score display with config values
@@ -96,6 +241,27 @@ export class Game {
             game: this
         };
         
+        // Open a shared replay instead of the intro
+        if (this.pendingReplay) {
+            const log = this.pendingReplay;
+            this.pendingReplay = null;
+            if (await this.replay.open(log)) {
+                this.setupEventListeners();
+                return;
+            }
+        }
+        
+        // Offer to resume a saved game instead of playing the intro (not when test-playing a level)
+        await accountCheck;
+        const saves = this.pendingLevel ? [] : this.saves.listSaves();
+        if (saves.length > 0) {
+            const slot = await this.resumeMenu.choose(saves);
+            if (slot && await this.resume(slot, context)) {
+                this.setupEventListeners();
+                return;
+            }
+        }
+        
         // Play appropriate intro sequence based on debug mode
         if (this.features.isEnabled('debug.enabled')) {
             await this.sequencer.play('debugIntro', context);
@@ -108,6 +274,14 @@ export class Game {
         
         // Setup event listeners
         this.setupEventListeners();
+        
+        // Test-play a level from the editor as if it had been picked from the level select
+        if (this.pendingLevel) {
+            const level = this.pendingLevel;
+            this.pendingLevel = null;
+            this.playtest = true;
+            await this.startLevel(level, this.features.isEnabled('previewStartMenu'));
+        }
     }
 
     setupEventListeners() {
@@ -115,7 +289,7 @@ export class Game {
         this.dom.startBtn.addEventListener('click', () => {
             if (!this.state.started) {
                 this.start();
-            } else {
+            } else if (!this.isPlayingMove()) {
                 this.reset();
             }
         });
@@ -124,6 +298,39 @@ export class Game {
         this.dom.muteBtn.addEventListener('click', () => {
             this.dom.muteBtn.textContent = this.dom.muteBtn.textContent === '🔊' ? '🔇' : '🔊';
         });
+        
+        // Undo button
+        this.dom.undoBtn.addEventListener('click', () => this.undo());
+        
+        // Hint button (best column for the next letter)
+        this.dom.hintBtn.addEventListener('click', () => this.useHint());
+        
+        // Replay button (watch the last finished game)
+        this.dom.replayBtn.addEventListener('click', () => this.replay.openLatest());
+        this.replay.updateButton();
+        
+        // Leaving the page: save what the move saves haven't yet - a timed game's clock,
+        // or moves still waiting for the autosave timer
+        window.addEventListener('pagehide', () => this.saveBeforeLeaving());
+        
+        // Hidden (e.g. switched away on a phone to carry on on a laptop): the same, and send
+        // cloud saves without waiting for the sync delay
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'hidden') return;
+            this.saveBeforeLeaving();
+            this.accounts.flush();
+        });
+    }
+
+    saveBeforeLeaving() {
+        if (this.appState.getGameplayState() !== GameplayStates.AWAITING_INPUT) return;
+        
+        if (this.state.isTimed()) {
+            this.clock.tick();
+            this.saveProgress();
+        } else {
+            this.autosave.flush();
+        }
     }
 
     async start() {
@@ -145,12 +352,14 @@ export class Game {
         
         // Play game start sequence
         await this.sequencer.play('gameStart', context);
+        await this.sequencer.play('boardSetup', context);
         
         // Clear noodelItem reference after it's been added
         this.noodelItem = null;
         
         // Add click handlers to grid squares
         this.grid.addClickHandlers((e) => this.handleSquareClick(e));
+        this.beginMoveTracking();
         
         // Reset flag for gameplay inactivity tracking
         this.hasClickedGrid = false;
@@ -184,12 +393,14 @@ export class Game {
         
         // Play START preview game start sequence
         await this.sequencer.play('startPreviewGameStart', context);
+        await this.sequencer.play('boardSetup', context);
         
         // Clear noodelItem reference after it's been added
         this.noodelItem = null;
         
         // Add click handlers to grid squares
         this.grid.addClickHandlers((e) => this.handleSquareClick(e));
+        this.beginMoveTracking();
         
         // Reset flag for gameplay inactivity tracking
         this.hasClickedGrid = false;
@@ -198,35 +409,717 @@ export class Game {
         this.startInactivityTimer();
     }
 
-    handleLogin() {
+    /**
+     * Resume a saved game from a save slot
+     * @param {string} slot - Save slot name
+     * @param {Object} context - Sequence context
+     * @returns {Promise<boolean>} True if the game was resumed
+     */
+    async resume(slot, context) {
+        const save = this.saves.load(slot);
+        if (!save) return false;
+        
+        this.restoreSave(save);
+        
+        await this.sequencer.play('resume', context);
+        
+        this.grid.addClickHandlers((e) => this.handleSquareClick(e));
+        console.log(`💾 Resumed ${slot} game`);
+        return true;
+    }
+
+    /**
+     * Restore state, move log and every view from a save
+     * @param {Object} save - Save loaded from SaveManager
+     */
+    restoreSave(save) {
+        this.gameOverScreen.hide();
+        this.clearHint();
+        this.state.restoreSnapshot(save.state);
+        this.currentDaily = save.daily || null;
+        this.moveLog = MoveLog.fromJSON(save.moveLog);
+        this.undoHistory.clear();
+        
+        this.grid.render();
+        this.score.restoreWords(save.madeWords);
+        this.letters.display();
+        this.updateProgressBar();
+        
+        this.dom.startBtn.textContent = '🔄';
+        this.awaitFirstMove();
+    }
+
+    /**
+     * Start recording a fresh game (empty undo history and a new move log) and accept input
+     */
+    beginMoveTracking() {
+        this.undoHistory.clear();
+        this.state.markStartBoard();
+        this.moveLog = new MoveLog({
+            seed: this.state.seed,
+            mode: this.getModeId(),
+            level: this.state.level,
+            players: this.state.getActivePlayer() === null ? [] : this.state.players.map(player => player.name),
+            startBoard: this.state.board.isEmpty() ? null : this.state.board.toArray()
+        });
+        this.awaitFirstMove();
+    }
+
+    /**
+     * Move the gameplay state to a fresh board that accepts input (BOARD_READY → AWAITING_INPUT)
+     * In watch mode the bot takes the game from here
+     */
+    awaitFirstMove() {
+        this.appState.setGameplayState(GameplayStates.BOARD_READY);
+        this.appState.setGameplayState(GameplayStates.AWAITING_INPUT);
+        this.clock.start();
+        this.autosave.start(this.state.getMode().getAutosaveInterval());
+        if (this.watchBot && !this.replay.isActive() && !this.match.isActive()) {
+            this.bot.start(this.watchBot);
+        }
+        this.updateUndoButton();
+        this.updateHintButton();
+    }
+
+    /**
+     * Check if the clock of a timed game should be charged right now
+     * Only while waiting for a move - never during sequences, drops, cascades or replays
+     * @returns {boolean} True if time is passing
+     */
+    isClockRunning() {
+        return this.appState.getGameplayState() === GameplayStates.AWAITING_INPUT &&
+            !this.sequencer.isRunning() &&
+            !this.replay.isActive();
+    }
+
+    /**
+     * End a timed game when its clock runs out
+     * If a drop is still settling, it finishes first and then ends the game
+     */
+    handleTimeUp() {
+        if (this.appState.getGameplayState() !== GameplayStates.AWAITING_INPUT) return;
+        
+        this.clearHint();
+        this.saveProgress();
+        this.appState.setGameplayState(GameplayStates.GAME_OVER);
+        this.handleGameOver();
+        this.updateUndoButton();
+        this.updateHintButton();
+    }
+
+    /**
+     * Check if a drop or its word cascades are still resolving
+     * @returns {boolean} True while PROCESSING_WORDS
+     */
+    isPlayingMove() {
+        return this.appState.getGameplayState() === GameplayStates.PROCESSING_WORDS;
+    }
+
+    /**
+     * Clear the board for a game that takes it over (a replay, an asynchronous match or a
+     * resumed save): stop the bot, the clock and the autosave, leave any match and close
+     * the menus and cards on screen
+     */
+    takeOverBoard() {
+        this.clearInactivityTimer();
+        this.hasClickedGrid = true;
+        
+        this.bot.stop();
+        this.versus.leave();
+        this.match.leave();
+        this.clock.stop();
+        this.autosave.stop();
+        this.gameOverScreen.hide();
+        this.clearHint();
+        if (this.menu.isActive()) this.menu.hide();
+        if (this.startMenuPreview.isMenuActive()) this.startMenuPreview.hide();
+        document.getElementById('noodel-word-overlay')?.remove();
+        this.currentDaily = null;
+    }
+
+    /**
+     * Current game mode id (GameModes; a replay runs in its log's mode)
+     * @returns {string} Mode id
+     */
+    getModeId() {
+        return this.state.mode;
+    }
+
+    /**
+     * Save slot for the current game (one in-progress game per mode)
+     * @returns {{slot: string, label: string}} Slot name and display label
+     */
+    getSaveSlot() {
+        return { slot: this.getModeId(), label: this.state.getMode().label };
+    }
+
+    /**
+     * Let the current mode set up its starting board (called by the 'boardSetup' sequence)
+     * Classic starts empty; Clear Mode fills half the board; a puzzle loads its level's board
+     */
+    setupBoard() {
+        this.state.getMode().setupBoard(this.state.board, this.state.seed, {
+            wordResolver: this.wordResolver,
+            level: this.state.level
+        });
+        this.state.markStartBoard();
+        this.grid.render();
+    }
+
+    /**
+     * Sync the NOODEL title progress bar with the current mode's progress
+     */
+    updateProgressBar() {
+        const { remaining, total } = this.state.getProgress();
+        this.animator.updateLetterProgress(remaining, total);
+    }
+
+    /**
+     * Undo settings for the current mode
+     * @returns {{LIMIT: number, COST: number}} Undos allowed per game and points per undo
+     */
+    getUndoConfig() {
+        return this.state.getMode().getUndoConfig();
+    }
+
+    /**
+     * Number of undos left in this game
+     */
+    getUndosRemaining() {
+        return Math.max(0, this.getUndoConfig().LIMIT - this.state.undosUsed);
+    }
+
+    /**
+     * Check if the last move can be undone right now
+     * Not while a drop or word cascade is still settling, after game over, or while the bot plays
+     */
+    canUndo() {
+        return this.appState.getGameplayState() === GameplayStates.AWAITING_INPUT &&
+            !this.bot.isActive() &&
+            this.getUndosRemaining() > 0 &&
+            !this.undoHistory.isEmpty();
+    }
+
+    /**
+     * Roll back the most recent drop, including any word clears, gravity and
+     * score changes it caused, and the preview queue. Costs points per the mode's undo config.
+     * @returns {boolean} True if a move was undone
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+        
+        const entry = this.undoHistory.pop();
+        const { COST } = this.getUndoConfig();
+        undoMove(this.state, entry.state);
+        this.clearHint();
+        
+        if (!this.replay.isActive()) {
+            this.moveLog.recordUndo();
+        }
+        
+        // Re-render every view from the restored state
+        this.grid.render();
+        this.score.restoreWords(entry.madeWords);
+        this.letters.display();
+        this.updateProgressBar();
+        
+        this.undoHistory.setCapacity(this.getUndosRemaining());
+        this.autosave.moveSettled();
+        this.updateUndoButton();
+        this.updateHintButton();
+        
+        console.log(`↩️ Undid last move (-${COST} pts, ${this.getUndosRemaining()} undos left)`);
+        return true;
+    }
+
+    /**
+     * Sync the undo button with the undo budget and whether undo is possible now
+     */
+    updateUndoButton() {
+        const button = this.dom.undoBtn;
+        if (!button) return;
+        
+        const { LIMIT, COST } = this.getUndoConfig();
+        button.disabled = this.replay.isActive() || !this.canUndo();
+        
+        if (LIMIT > 0) {
+            button.dataset.remaining = this.getUndosRemaining();
+            button.title = COST > 0 ? `Undo last move (-${COST} pts)` : 'Undo last move';
+        } else {
+            delete button.dataset.remaining;
+            button.title = 'Undo is not available in this mode';
+        }
+    }
+
+    /**
+     * Hint settings for the current mode
+     * @returns {{LIMIT: number, COST: number}} Hints allowed per game and points per hint
+     */
+    getHintConfig() {
+        return this.state.getMode().getHintConfig();
+    }
+
+    /**
+     * Number of hints left in this game
+     */
+    getHintsRemaining() {
+        return Math.max(0, this.getHintConfig().LIMIT - this.state.hintsUsed);
+    }
+
+    /**
+     * Check if a hint can be shown right now
+     * Only while waiting for a move, with hints left and no hint already showing (never for the bot)
+     */
+    canHint() {
+        return this.appState.getGameplayState() === GameplayStates.AWAITING_INPUT &&
+            !this.bot.isActive() &&
+            this.getHintsRemaining() > 0 &&
+            this.currentHint === null &&
+            this.hints !== null;
+    }
+
+    /**
+     * Show the best column for the next letter and the words it would make
+     * Costs points per the mode's hint config; the hint stays up until the next move
+     * @returns {Object|null} The hint (see HintAdvisor.findBestMove), or null if none was shown
+     */
+    useHint() {
+        if (!this.canHint()) return null;
+        
+        const hint = this.hints.findBestMove(this.state, this.letters.getNextLetter());
+        if (!hint) return null;
+        
+        chargeHint(this.state);
+        this.score.renderScore();
+        
+        if (!this.replay.isActive()) {
+            this.moveLog.recordHint();
+        }
+        
+        this.currentHint = hint;
+        this.grid.showHint(hint);
+        this.dom.hintMessage.textContent = HintAdvisor.describe(hint);
+        this.dom.hintMessage.hidden = false;
+        
+        this.autosave.moveSettled();
+        this.updateHintButton();
+        
+        console.log(`💡 Hint: column ${hint.column} (${hint.points} pts, ${this.getHintsRemaining()} hints left)`);
+        return hint;
+    }
+
+    /**
+     * Remove the hint on show (the board it was computed for has changed)
+     */
+    clearHint() {
+        if (this.currentHint === null) return;
+        
+        this.currentHint = null;
+        this.grid.clearHint();
+        this.dom.hintMessage.textContent = '';
+        this.dom.hintMessage.hidden = true;
+    }
+
+    /**
+     * Sync the hint button with the hint budget and whether a hint is possible now
+     */
+    updateHintButton() {
+        const button = this.dom.hintBtn;
+        if (!button) return;
+        
+        const { LIMIT, COST } = this.getHintConfig();
+        button.disabled = this.replay.isActive() || !this.canHint();
+        
+        if (LIMIT > 0) {
+            button.dataset.remaining = this.getHintsRemaining();
+            button.title = COST > 0 ? `Hint: best column for the next letter (-${COST} pts)` : 'Hint: best column for the next letter';
+        } else {
+            delete button.dataset.remaining;
+            button.title = 'Hints are not available in this mode';
+        }
+    }
+
+    /**
+     * Snapshot the current game to its save slot (through Autosave after settled moves)
+     * A finished game clears its slot instead
+     */
+    saveProgress() {
+        // Replays, level test plays, the bot's games and online matches never touch the save slots
+        // (an asynchronous match is saved by the server)
+        if (this.replay.isActive() || this.playtest || this.bot.isActive() ||
+            this.state.mode === GameModes.VERSUS || this.state.mode === GameModes.MATCH) return;
+        
+        const { slot, label } = this.getSaveSlot();
+        
+        if (this.state.isGameOver()) {
+            this.saves.clear(slot);
+            return;
+        }
+        
+        this.saves.save(slot, {
+            label,
+            state: this.state.toSnapshot(),
+            madeWords: this.score.madeWords,
+            daily: this.currentDaily,
+            moveLog: this.moveLog.toJSON()
+        });
+    }
+
+    /**
+     * Start today's daily challenge (date-seeded letter sequence)
+     * Only the first attempt each day is scored; later attempts are practice
+     * @param {boolean} fromPreview - True if started from the START preview menu
+     */
+    async startDaily(fromPreview = true) {
+        const dateKey = DailyChallenge.getDateKey();
+        let scored = true;
+        
+        if (this.daily.hasPlayed(dateKey)) {
+            const result = this.daily.getResult(dateKey);
+            const scoreText = result.completed ? `Your score: ${result.score}` : 'Your attempt was not finished.';
+            const practice = confirm(
+                `You've already played today's daily challenge.\n${scoreText}\n` +
+                `Streak: ${this.daily.getStreak(dateKey)} day(s)\n\nPlay it again for practice (not scored)?`
+            );
+            
+            if (!practice) {
+                this.returnToMenu(fromPreview);
+                return;
+            }
+            scored = false;
+        }
+        
+        // Same letters for everyone today
+        this.state.setMode(GameModes.DAILY);
+        this.state.loadLetterSequence(DailyChallenge.getSeed(dateKey));
+        this.letters.initialize();
+        
+        this.currentDaily = { dateKey, scored };
+        if (scored) {
+            this.daily.markAttempt(dateKey);
+        }
+        
+        if (fromPreview) {
+            await this.startFromPreview();
+        } else {
+            await this.start();
+        }
+    }
+
+    /**
+     * Go back to the menu the player came from
+     * @param {boolean} fromPreview - True for the START preview menu, false for the grid menu
+     */
+    returnToMenu(fromPreview) {
+        if (fromPreview) {
+            this.startMenuPreview.show();
+        } else {
+            this.menu.show(false, this);
+        }
+    }
+
+    /**
+     * Puzzle levels of the campaign, loaded once
+     * @returns {Promise<Object[]>} Levels in play order (empty if they can't be loaded)
+     */
+    async loadLevels() {
+        if (!this.levels) {
+            try {
+                this.levels = await LevelLoader.loadCampaign();
+            } catch (error) {
+                console.warn('Game: Failed to load puzzle levels:', error.message);
+                return [];
+            }
+        }
+        return this.levels;
+    }
+
+    /**
+     * Show the puzzle level select and start the chosen level
+     * @param {boolean} fromPreview - True if opened from the START preview menu
+     */
+    async openLevelSelect(fromPreview = true) {
+        const level = await this.levelSelect.choose(await this.loadLevels(), this.levelProgress);
+        
+        if (!level) {
+            this.returnToMenu(fromPreview);
+            return;
+        }
+        await this.startLevel(level, fromPreview);
+    }
+
+    /**
+     * Start a puzzle level (fixed board, letters, move limit and goals)
+     * @param {Object} level - Level from LevelLoader
+     * @param {boolean} fromPreview - True if started from the START preview menu
+     */
+    async startLevel(level, fromPreview = true) {
+        this.state.setMode(GameModes.PUZZLE);
+        this.state.loadLevel(level);
+        this.letters.initialize();
+        this.currentDaily = null;
+        
+        if (fromPreview) {
+            await this.startFromPreview();
+        } else {
+            await this.start();
+        }
+    }
+
+    /**
+     * Ask who is playing, then start a hot seat game for them
+     * @param {boolean} fromPreview - True if opened from the START preview menu
+     */
+    async startHotSeat(fromPreview = true) {
+        const names = await this.playerSetup.choose(this.state.players.map(player => player.name));
+        
+        if (!names) {
+            this.returnToMenu(fromPreview);
+            return;
+        }
+        this.state.setPlayers(names);
+        console.log(`🪑 Hot seat: ${names.join(', ')}`);
+        await this.startMode(GameModes.HOTSEAT, fromPreview);
+    }
+
+    /**
+     * Start a game in a registered mode (e.g., GameModes.CLEAR)
+     * The daily challenge has its own entry point (startDaily) for its seed and attempt rules
+     * @param {string} modeId - Mode id
+     * @param {boolean} fromPreview - True if started from the START preview menu
+     */
+    async startMode(modeId, fromPreview = true) {
+        if (!this.modes.has(modeId)) {
+            console.warn(`Game: Unknown mode '${modeId}'`);
+            return;
+        }
+        
+        this.state.setMode(modeId);
+        this.currentDaily = null;
+        
+        if (fromPreview) {
+            await this.startFromPreview();
+        } else {
+            await this.start();
+        }
+    }
+
+    /**
+     * Handle the end of a game (as decided by the current mode), after the GAME_OVER transition
+     * Emits 'gameOver', stores the game's move log for replays, records the daily
+     * challenge result if this was a scored daily game (or the result of a completed
+     * puzzle level), and plays the summary card
+     */
+    handleGameOver() {
+        this.clock.stop();
+        this.autosave.stop();
+        this.saveProgress(); // Clears the finished game's slot
+        
+        const stats = this.score.getStats();
+        const { title, reason, completed, notes } = this.state.getMode().getEndResult(this.state);
+        const replaying = this.replay.isActive();
+        
+        this.appState.emit('gameOver', { stats, reason, mode: this.getModeId(), replay: replaying });
+        
+        if (replaying) return;
+        
+        const log = this.moveLog;
+        log.finish({ score: stats.totalScore, words: stats.totalWords });
+        const submittable = this.canSubmitScore(log); // Before the daily game below is settled
+        this.replay.record(log);
+        
+        // Lifetime stats are the player's own: not a level test play, the bot's game or a shared board
+        if (!this.playtest && !this.bot.isActive() && !this.state.getMode().multiplayer) {
+            this.stats.record(stats, this.getModeId());
+        }
+        
+        let dailyStreak = null;
+        if (this.currentDaily) {
+            const { dateKey, scored } = this.currentDaily;
+            this.currentDaily = null;
+            
+            if (scored) {
+                const result = this.daily.recordResult(stats, dateKey);
+                dailyStreak = this.daily.getStreak(dateKey);
+                console.log(`📅 Daily challenge ${dateKey} complete: ${result.score} points, streak ${dailyStreak}`);
+            }
+        }
+        
+        // A completed puzzle unlocks the next level (unless the bot solved it)
+        let nextLevel = null;
+        const level = this.state.level;
+        if (level && completed && !this.playtest && !this.bot.isActive()) {
+            this.levelProgress.recordResult(level.id, { score: stats.totalScore, moves: level.letters.length - this.state.lettersRemaining });
+            const index = (this.levels || []).findIndex(other => other.id === level.id);
+            if (index >= 0 && this.levelProgress.isUnlocked(this.levels, index + 1)) {
+                nextLevel = this.levels[index + 1];
+            }
+            console.log(`🧩 Level ${level.id} complete`);
+        }
+        
+        console.log(`🏁 Game over (${reason}): ${stats.totalScore} points`);
+        this.sequencer.play('gameOver', {
+            summary: { title, reason, stats, dailyStreak, notes },
+            actions: {
+                onPlayAgain: () => this.reset(),
+                onNextLevel: nextLevel ? () => this.reset(nextLevel) : null,
+                onShare: () => this.shareResult(stats, log),
+                onReplay: () => this.replay.open(log),
+                onSubmitScore: submittable ? () => this.leaderboard.submit(stats, log, this.accounts.user) : null
+            }
+        });
+    }
+
+    /**
+     * Share a finished game's result with a replay link
+     * Uses the native share sheet when available, otherwise the clipboard
+     * @param {Object} stats - Stats from ScoreController.getStats()
+     * @param {MoveLog} log - The game's move log
+     * @returns {Promise<string|null>} Status label for the share button
+     */
+    async shareResult(stats, log) {
+        const best = stats.highestScoringWord;
+        const lines = [
+            `NOODEL - ${stats.totalScore} points`,
+            `${stats.totalWords} words` + (best.text ? ` · best: ${best.text} (${best.points} pts)` : '')
+        ];
+        const text = lines.join('\n');
+        const url = this.replay.getShareURL(log);
+        
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'NOODEL', text, url });
+                return 'Shared!';
+            }
+            await navigator.clipboard.writeText(`${text}\n${url}`);
+            return 'Copied!';
+        } catch (error) {
+            if (error.name === 'AbortError') return null; // Share sheet dismissed
+            prompt('Copy your result:', `${text}\n${url}`);
+            return null;
+        }
+    }
+
+    /**
+     * Check if a finished game can go on the leaderboard
+     * @param {MoveLog} log - The game's move log
+     * @returns {boolean} True for leaderboard modes (the daily challenge only for its scored attempt), unless it was a level test play or the bot played
+     */
+    canSubmitScore(log) {
+        // Only the day's scored attempt goes on the daily board, not the practice runs after it
+        if (log.mode === GameModes.DAILY && !this.currentDaily?.scored) return false;
+        return this.leaderboard.hasBoard(log.mode) && !this.playtest && !this.bot.isActive();
+    }
+
+    /**
+     * Show the leaderboards
+     * @param {boolean} fromPreview - True if opened from the START preview menu (shown again on Back)
+     */
+    async openLeaderboard(fromPreview = false) {
+        await this.leaderboard.show(this.getModeId());
+        if (fromPreview) this.returnToMenu(true);
+    }
+
+    async handleLogin() {
         // Clear inactivity timer when menu button is clicked
         this.clearInactivityTimer();
         this.hasClickedGrid = true;
         
         console.log('Login button clicked');
-        alert('Login feature coming soon!');
+        // Just logged in: offer to carry on a game from another device
+        if (await this.accounts.showPanel()) {
+            await this.offerResume();
+        }
     }
 
-    handleMore() {
+    /**
+     * Offer the resume prompt for the saved games (e.g. fetched after logging in) and carry
+     * on the one picked - only while no game, match or replay is being played
+     */
+    async offerResume() {
+        const playing = this.state.started && this.moveLog.moves.length > 0 && !this.state.isGameOver();
+        if (playing || this.replay.isActive() || this.match.isActive() || this.versus.isActive()) return;
+        const saves = this.saves.listSaves();
+        if (saves.length === 0) return;
+        
+        const slot = await this.resumeMenu.choose(saves);
+        const save = slot ? this.saves.load(slot) : null;
+        if (!save) return;
+        
+        this.takeOverBoard();
+        this.restoreSave(save);
+        await this.sequencer.play('resume', { state: this.state, dom: this.dom });
+        this.grid.addClickHandlers((e) => this.handleSquareClick(e));
+        console.log(`💾 Resumed ${slot} game`);
+    }
+
+    /**
+     * Move saves, daily results, level progress, replays and lifetime stats over to the
+     * storage of the account now playing (AccountController onSwitch)
+     * @param {Storage|SyncedStorage|null} storage - Storage of the account, or the guest's
+     */
+    useStorage(storage) {
+        this.saves = new SaveManager(storage);
+        this.daily = new DailyChallenge(storage);
+        this.levelProgress = new LevelProgress(storage);
+        this.replay.useStore(new ReplayStore(storage));
+        this.stats.useStorage(storage);
+    }
+
+    async handleMore() {
         // Clear inactivity timer when menu button is clicked
         this.clearInactivityTimer();
         this.hasClickedGrid = true;
         
         console.log('More button clicked');
-        const choice = confirm('More options:\n\nWould you like to reset the game?');
-        if (choice && this.menu) {
+        const choice = await this.moreMenu.choose([
+            { id: 'matches', label: 'Matches' },
+            { id: 'leaderboard', label: 'Leaderboard' },
+            { id: 'stats', label: 'Stats' },
+            { id: 'reset', label: 'Reset Game' }
+        ]);
+        if (choice === 'matches') {
+            await this.match.openList(false);
+        } else if (choice === 'leaderboard') {
+            await this.openLeaderboard(false);
+        } else if (choice === 'stats') {
+            await this.stats.show(this.getModeId());
+        } else if (choice === 'reset') {
             this.menu.hide();
-            this.reset();
+            // Same rule as the reset button: a drop still resolving can't be abandoned halfway
+            if (!this.isPlayingMove()) {
+                await this.reset();
+            }
         }
     }
 
-    async reset() {
+    /**
+     * Abandon the game in progress and start a new one
+     * @param {Object|null} nextLevel - Puzzle level to play next (defaults to replaying the current level)
+     */
+    async reset(nextLevel = null) {
         // Clear inactivity timer
         this.clearInactivityTimer();
         this.hasClickedGrid = true;
         
-        // Reset game state (score, letters, grid data)
-        this.state.reset();
+        this.gameOverScreen.hide();
+        this.clearHint();
+        this.bot.stop();
+        this.versus.leave(); // Forfeits a match in progress
+        this.match.leave();  // The asynchronous match stays on the server
+        this.clock.stop();
+        this.autosave.stop();
+        this.appState.setGameplayState(GameplayStates.BOARD_READY);
+        
+        // Reset game state (score, letters, grid data) - abandons the game in progress and its save
+        // Most modes play again in the same mode; a daily game is followed by a classic one,
+        // and a puzzle retries its level
+        const mode = this.state.getMode().getPlayAgainMode();
+        const level = nextLevel ?? (mode === this.state.mode ? this.state.level : null);
+        this.saves.clear(this.getSaveSlot().slot);
+        this.currentDaily = null;
+        this.undoHistory.clear();
+        this.state.reset(null, mode, level);
         
         // Reset all controller displays (this updates the DOM)
         this.score.displayReset();
@@ -256,9 +1149,11 @@ export class Game {
         
         // Play game start sequence (adds NOODEL word to the list)
         await this.sequencer.play('gameStart', context);
+        await this.sequencer.play('boardSetup', context);
         
         // Add click handlers to grid squares
         this.grid.addClickHandlers((e) => this.handleSquareClick(e));
+        this.beginMoveTracking();
     }
 
     handleSquareClick(e) {
@@ -266,7 +1161,14 @@ export class Game {
         if (this.menu && this.menu.isActive()) return;
         if (this.startMenuPreview && this.startMenuPreview.isMenuActive()) return;
         
-        if (!this.state.started) return;
+        // The board is driven by the replay viewer while a replay is open, and by the bot in watch mode
+        if (this.replay.isActive() || this.bot.isActive()) return;
+        
+        // An asynchronous match takes one drop, on the player's turn
+        if (this.match.isActive() && !this.match.canMove()) return;
+        
+        // Only one move at a time, and none before the game starts or after it ends
+        if (this.appState.getGameplayState() !== GameplayStates.AWAITING_INPUT) return;
         
         // Clear inactivity timer and stop pulsating on first grid click during gameplay
         if (!this.hasClickedGrid) {
@@ -289,86 +1191,117 @@ export class Game {
         this.dropLetter(column);
     }
 
-    dropLetter(column) {
+    /**
+     * Drop the next letter into a column and resolve any words it makes
+     * @param {number} column - Column index
+     * @param {number|null} clock - Clock reading to drop at (replays of timed games)
+     * @returns {Promise} Resolves once the drop and its word cascades have settled
+     */
+    dropLetter(column, clock = null) {
         const nextLetter = this.letters.getNextLetter();
         const targetRow = this.state.getLowestAvailableRow(column);
         
+        // Remember the pre-move state so this drop can be undone
+        this.pushUndoSnapshot();
+        this.clearHint();
+        this.appState.setGameplayState(GameplayStates.PROCESSING_WORDS); // Pauses the clock
+        this.updateUndoButton();
+        this.updateHintButton();
+        
+        if (clock !== null) {
+            this.state.timeRemaining = clock;
+        }
+        if (!this.replay.isActive()) {
+            this.moveLog.record(column, this.state.timeRemaining);
+        }
+        beginDrop(this.state);
+        
         // Use animation controller with callback
-        this.animator.dropLetterInColumn(column, nextLetter, targetRow, async () => {
+        return new Promise(resolve => this.animator.dropLetterInColumn(column, nextLetter, targetRow, async () => {
             // Update game state after animation completes
-            this.state.incrementColumnFill(column);
+            const row = this.state.placeLetter(column, nextLetter);
+            this.appState.emit('letterDropped', { column, row, letter: nextLetter });
+            this.grid.render();
             this.letters.advance();
             this.score.updateLettersRemaining();
             
             // Update progress bar in NOODEL title
-            this.animator.updateLetterProgress(
-                this.state.lettersRemaining,
-                CONFIG.GAME.INITIAL_LETTERS
-            );
+            this.updateProgressBar();
             
-            // Check for words after the letter has been placed (if enabled)
-            if (this.features.isEnabled('wordDetection')) {
-                await this.checkAndProcessWords();
+            // Clear the words the letter makes and any cascade they set off
+            await this.settleBoard();
+            
+            // Mode bookkeeping for the settled move (e.g., Blitz time bonuses)
+            this.state.getMode().afterMove(this.state);
+            this.score.renderProgress();
+            this.updateProgressBar();
+            
+            // Snapshot the settled board so a reload can resume
+            this.autosave.moveSettled();
+            
+            if (this.state.isGameOver()) {
+                this.appState.setGameplayState(GameplayStates.GAME_OVER);
+                this.handleGameOver();
+            } else {
+                this.appState.setGameplayState(GameplayStates.AWAITING_INPUT);
             }
+            this.updateUndoButton();
+            this.updateHintButton();
+            resolve();
+        }));
+    }
+
+    /**
+     * Apply a drop with no animation and no rendering (replay scrubbing)
+     * Same rules as dropLetter; the caller renders once afterwards
+     * @param {number} column - Column index
+     * @param {number|null} clock - Clock reading to drop at (timed games)
+     */
+    async applyDropInstantly(column, clock = null) {
+        const nextLetter = this.letters.getNextLetter();
+        
+        this.pushUndoSnapshot();
+        this.clearHint();
+        beginDrop(this.state, clock);
+        this.state.placeLetter(column, nextLetter);
+        this.letters.advance();
+        this.state.decrementLettersRemaining();
+        
+        await this.settleBoard(true);
+        this.state.getMode().afterMove(this.state);
+    }
+
+    /**
+     * Remember the pre-move state so the next move can be undone
+     */
+    pushUndoSnapshot() {
+        this.undoHistory.setCapacity(this.getUndosRemaining());
+        this.undoHistory.push({
+            state: this.state.toSnapshot(),
+            madeWords: this.score.madeWords.slice()
         });
     }
 
-    // Check for words and process them with animation
-    async checkAndProcessWords() {
+    /**
+     * Settle the board after a drop (TurnRules.settleBoard) and animate each step:
+     * the word passes of a cascade, and the mode making room on a full board
+     * @param {boolean} instant - Skip animations and delays (replay scrubbing)
+     */
+    async settleBoard(instant = false) {
         // Prevent overlapping word processing
         if (this.isProcessingWords) return;
         this.isProcessingWords = true;
         
         try {
-            // Keep checking for words until no more are found (each iteration is a new game state)
-            let wordsFound = true;
-            while (wordsFound) {
-                const foundWords = this.wordResolver.checkForWords();
-                
-                // Check if word highlighting animation is enabled
-                const shouldAnimate = this.features.isEnabled('animations.wordHighlight');
-                
-                if (foundWords.length > 0) {
-                    // Animate all words in this game state SIMULTANEOUSLY (if enabled)
-                    if (shouldAnimate) {
-                        const animationPromises = foundWords.map(wordData => 
-                            this.animator.highlightAndShakeWord(wordData.positions)
-                        );
-                        
-                        // Wait for all animations to complete together
-                        await Promise.all(animationPromises);
-                    }
-                    
-                    // Add all words to made words list
-                    foundWords.forEach(wordData => {
-                        const points = calculateWordScore(wordData.word); // Calculate points using Scrabble values + length bonus
-                        const wordItem = new WordItem(wordData.word, wordData.definition, points);
-                        this.score.addWord(wordItem);
-                    });
-                    
-                    // Clear all word cells after animation
-                    foundWords.forEach(wordData => {
-                        this.animator.clearWordCells(wordData.positions);
-                    });
-                    
-                    // Wait a bit before applying gravity (if animation was shown)
-                    if (shouldAnimate) {
-                        const root = getComputedStyle(document.documentElement);
-                        const wordClearDelay = parseFloat(root.getPropertyValue('--animation-delay-word-clear').trim());
-                        await new Promise(resolve => 
-                            setTimeout(resolve, wordClearDelay)
-                        );
-                    }
-                    
-                    // Apply gravity to drop letters down (creates new game state) - if enabled
-                    if (this.features.isEnabled('gravityPhysics')) {
-                        this.grid.applyGravity();
-                    }
-                    
-                    // Short delay before checking for new words in the new game state
-                    await new Promise(resolve => setTimeout(resolve, 300));
+            const steps = settleBoard(this.state, this.wordResolver, {
+                wordDetection: this.features.isEnabled('wordDetection'),
+                gravity: this.features.isEnabled('gravityPhysics')
+            });
+            for (const step of steps) {
+                if (step.type === 'words') {
+                    await this.animateWordPass(step, instant);
                 } else {
-                    wordsFound = false;
+                    await this.animateOverflowClear(step, instant);
                 }
             }
         } finally {
@@ -376,6 +1309,60 @@ export class Game {
         }
     }
 
+    /**
+     * Show one pass of a cascade: highlight the words, score them, clear them and let the letters fall
+     * The board model has already settled the pass; the grid catches up here
+     * @param {Object} step - { cascade, found, words } from TurnRules.settleBoard
+     * @param {boolean} instant - Skip animations and delays
+     */
+    async animateWordPass({ cascade, found, words }, instant) {
+        const shouldAnimate = !instant && this.features.isEnabled('animations.wordHighlight');
+        
+        // Animate all words in this pass SIMULTANEOUSLY (if enabled)
+        if (shouldAnimate) {
+            await Promise.all(found.map(wordData => this.animator.highlightAndShakeWord(wordData.positions)));
+        }
+        
+        // Add all words to made words list (points from the mode's scoring hooks)
+        const scoredWords = words.map(({ word, definition, points, direction, player }) => {
+            this.score.addWord(new WordItem(word, definition, points, direction, player));
+            return { word, points, direction, player };
+        });
+        this.appState.emit('wordsFound', { words: scoredWords, cascade });
+        
+        found.forEach(wordData => this.animator.clearWordCells(wordData.positions));
+        
+        // Wait a bit before the letters fall (if animation was shown)
+        if (shouldAnimate) {
+            const root = getComputedStyle(document.documentElement);
+            const wordClearDelay = parseFloat(root.getPropertyValue('--animation-delay-word-clear').trim());
+            await new Promise(resolve => setTimeout(resolve, wordClearDelay));
+        }
+        this.grid.render();
+        
+        // Short delay before the next pass (Clear Mode progress moves as each pass clears letters)
+        if (!instant) {
+            this.score.renderProgress();
+            this.updateProgressBar();
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+    }
+
+    /**
+     * Show the mode making room on a full board (Zen clears the oldest row)
+     * @param {Object} step - { positions } from TurnRules.settleBoard
+     * @param {boolean} instant - Skip animations
+     */
+    async animateOverflowClear({ positions }, instant) {
+        if (!instant && this.features.isEnabled('animations.wordHighlight')) {
+            await this.animator.highlightAndShakeWord(positions);
+        }
+        if (!instant) {
+            this.animator.clearWordCells(positions);
+        }
+        this.grid.render();
+    }
+
     // Start timer to pulsate grid if user doesn't click within 5 seconds
     startInactivityTimer() {
         this.inactivityTimer = setTimeout(() => {
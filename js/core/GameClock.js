@@ -0,0 +1,97 @@
+// How often the clock updates while a timed game is on (ms)
+const TICK_MS = 200;
+
+/**
+ * GameClock class - Counts down GameState.timeRemaining in timed modes (Blitz)
+ * Only time spent waiting for the player is charged: while canRun() is false
+ * (animation sequences, a drop and its word cascades, replays) the clock is paused.
+ * Call tick() whenever canRun() may have changed, so a pause starts and ends exactly
+ * then rather than on the next scheduled tick.
+ *
+ * USAGE:
+ *   const clock = new GameClock(state, { canRun, onTick, onExpire });
+ *   clock.start();   // No-op (stops) for untimed modes
+ *   clock.tick();    // After anything that pauses or unpauses the clock
+ *   clock.stop();
+ */
+export class GameClock {
+    /**
+     * @param {GameState} state - Game state holding timeRemaining
+     * @param {Object} options - Clock options
+     * @param {Function} options.canRun - Returns true while time should be charged
+     * @param {Function} options.onTick - Called after time is charged
+     * @param {Function} options.onExpire - Called once the clock reaches zero
+     * @param {Function} options.now - Time source in ms
+     */
+    constructor(state, { canRun, onTick = () => {}, onExpire = () => {}, now = () => performance.now() }) {
+        this.state = state;
+        this.canRun = canRun;
+        this.onTick = onTick;
+        this.onExpire = onExpire;
+        this.now = now;
+        this.interval = null;
+        this.counting = false; // Whether time since lastTick is charged
+        this.lastTick = 0;
+    }
+
+    /**
+     * Start ticking for the current game (stops instead if the mode is untimed)
+     */
+    start() {
+        if (!this.state.isTimed()) {
+            this.stop();
+            return;
+        }
+
+        if (!this.interval) {
+            this.counting = false;
+            this.lastTick = this.now();
+            this.interval = setInterval(() => this.tick(), TICK_MS);
+        }
+        this.tick();
+    }
+
+    /**
+     * Stop ticking (game over, new game, untimed mode)
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        this.counting = false;
+    }
+
+    /**
+     * Check if the clock is ticking for a timed game (it may still be paused)
+     * @returns {boolean} True if started
+     */
+    isStarted() {
+        return this.interval !== null;
+    }
+
+    /**
+     * Charge the time since the last tick (if the clock was running) and
+     * decide whether the time until the next tick is charged
+     */
+    tick() {
+        if (!this.interval) return;
+
+        const now = this.now();
+        const charged = this.counting ? Math.round(now - this.lastTick) : 0;
+        this.lastTick = now;
+
+        if (charged > 0) {
+            this.state.timeRemaining = Math.max(0, this.state.timeRemaining - charged);
+            this.onTick();
+        }
+
+        if (this.counting && this.state.timeRemaining <= 0) {
+            this.stop();
+            this.onExpire();
+            return;
+        }
+
+        this.counting = this.canRun();
+    }
+}
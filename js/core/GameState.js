@@ -1,36 +1,107 @@
-import { CONFIG } from '../config.js';
+import { CONFIG, GameModes } from '../config.js';
 import { LetterGenerator } from '../letter/LetterGenerator.js';
-import { calculateWordScore } from '../scoring/ScoringUtils.js';
+import { createSeededRandom, generateSeed } from '../letter/SeededRandom.js';
+import { BoardModel } from '../grid/BoardModel.js';
+import { gameModes } from '../modes/index.js';
 
 /**
  * GameState class - Manages all game state data
+ * Rules that differ between modes (letter supply, starting score, end condition,
+ * progress) come from the GameMode registered for this.mode
  */
 export class GameState {
-    constructor() {
+    /**
+     * @param {string|number|null} seed - Seed for the letter sequence (random if omitted)
+     * @param {Object} tables - Letter weights and scoring values to play with instead of the game's
+     *   ({ letterFrequencies, letterValues, lengthBonuses }, any of them; only the balance simulator sets these)
+     */
+    constructor(seed = null, tables = {}) {
+        this.tables = tables;
+
         // Game flow state
         this.started = false;
+        this.mode = GameModes.CLASSIC; // Mode id; rules come from getMode()
         this.isFirstLoad = true; // Track if this is the first load (shows NOODEL overlay) vs a reset
         
         // Score tracking (starts negative to account for NOODEL title word)
-        this.score = -calculateWordScore('NOODEL');
+        this.score = this.getMode().getStartingScore();
         
         // Letter management
-        this.letterSequence = this.generateLetterSequence();  // The actual 100-letter sequence
+        this.seed = null; // Seed of the current letter sequence (set by generateLetterSequence)
+        this.letterSequence = this.generateLetterSequence(seed);  // The actual 100-letter sequence
         this.currentLetterIndex = 0;
-        this.lettersRemaining = CONFIG.GAME.INITIAL_LETTERS;
+        this.lettersRemaining = this.getMode().letterCount;
         this.nextLetters = [];  // Preview queue (4 upcoming letters)
         
-        // Grid state
-        this.columnFillCounts = Array(CONFIG.GRID.COLUMNS).fill(0);
+        // Undo and hint budget tracking
+        this.undosUsed = 0;
+        this.hintsUsed = 0;
+        
+        // Most word-clearing passes triggered by a single drop
+        this.biggestCascade = 0;
+        
+        // Grid state (pure data - the grid DOM is rendered from this)
+        this.board = new BoardModel(CONFIG.GRID.ROWS, CONFIG.GRID.COLUMNS);
+        this.startTileCount = 0; // Letters on the board when the game started (Clear Mode progress)
+        
+        // Puzzle level being played (see LevelLoader) and the words made in it
+        this.level = null;
+        this.levelWords = [];
+        
+        // Hot seat players ({ name, score }, in turn order) and whose turn it is (multiplayer modes only)
+        this.players = [];
+        this.turn = 0;
+        
+        // Clock (timed modes only; see resetClock)
+        this.resetClock();
+    }
+
+    /**
+     * Switch to another mode before the game starts (keeps the letter sequence and board)
+     * @param {string} mode - Game mode id (GameModes)
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.resetClock();
+    }
+
+    /**
+     * Reset the clock to the mode's time limit
+     * timeRemaining is null in untimed modes; the speed streak and time bonuses are Blitz bookkeeping
+     */
+    resetClock() {
+        this.timeRemaining = this.getMode().getTimeLimit();
+        this.clockAtLastMove = this.timeRemaining; // Clock reading when the board last settled
+        this.speedStreak = 0;  // Fast consecutive drops
+        this.timeBonuses = 0;  // Time extensions earned from score
+    }
+
+    /**
+     * Check if the current mode plays against the clock
+     */
+    isTimed() {
+        return this.timeRemaining !== null;
+    }
+
+    /**
+     * Rules for the current mode
+     * @returns {GameMode} Mode from the registry
+     */
+    getMode() {
+        return gameModes.get(this.mode);
     }
 
     /**
      * Generate a new letter sequence using weighted random letters
-     * @returns {string} Letter sequence of 100 letters
+     * The same seed always produces the same sequence
+     * @param {string|number|null} seed - Seed to use (a fresh random seed if omitted)
+     * @returns {string} Letter sequence (the mode's letter count, 100 in classic)
      */
-    generateLetterSequence() {
+    generateLetterSequence(seed = null) {
+        this.seed = seed ?? generateSeed();
+        
         // Create a new LetterGenerator instance for this sequence
-        const generator = new LetterGenerator(CONFIG.GAME.INITIAL_LETTERS);
+        const generator = new LetterGenerator(this.getMode().letterCount, createSeededRandom(this.seed), this.tables.letterFrequencies);
         
         // Generate all letters at once
         const lettersArray = generator.generateAllLetters();
@@ -39,7 +110,7 @@ export class GameState {
         // Log statistics in debug mode
         if (CONFIG.DEBUG) {
             const stats = this.getSequenceStats(sequence);
-            console.log('🎲 Generated new letter sequence:');
+            console.log(`🎲 Generated new letter sequence (seed: ${this.seed}):`);
             console.log(`   Total: ${stats.totalLetters} letters`);
             console.log(`   Unique: ${stats.uniqueLetters} different letters`);
             console.log('   Top 5 most frequent:');
@@ -51,6 +122,30 @@ export class GameState {
         return sequence;
     }
 
+    /**
+     * Append another batch of letters to the sequence (unlimited-letter modes)
+     * Regenerates from the seed, so the letters already dealt stay the same
+     */
+    extendLetterSequence() {
+        const length = this.letterSequence.length + this.getMode().letterCount;
+        const generator = new LetterGenerator(length, createSeededRandom(this.seed), this.tables.letterFrequencies);
+        this.letterSequence = generator.generateAllLetters().join('');
+    }
+
+    /**
+     * Take the next letter from the sequence
+     * @returns {string} Letter, or '' once a limited sequence is used up
+     */
+    takeNextLetter() {
+        if (this.currentLetterIndex >= this.letterSequence.length && this.hasUnlimitedLetters()) {
+            this.extendLetterSequence();
+        }
+        if (this.currentLetterIndex >= this.letterSequence.length) {
+            return '';
+        }
+        return this.letterSequence[this.currentLetterIndex++];
+    }
+
     /**
      * Get statistics about a letter sequence
      * @param {string} sequence - The letter sequence to analyze
@@ -81,37 +176,183 @@ export class GameState {
         };
     }
 
-    reset() {
+    /**
+     * Reset for a new game
+     * @param {string|number|null} seed - Seed for the new letter sequence (random if omitted)
+     * @param {string} mode - Game mode id (GameModes)
+     * @param {Object|null} level - Puzzle level to play (its letters replace the seeded sequence)
+     */
+    reset(seed = null, mode = GameModes.CLASSIC, level = null) {
         // Game flow state
         this.started = false;
+        this.mode = mode;
         this.isFirstLoad = false; // After first reset, we're no longer in first load
         
         // Score tracking (starts negative to account for NOODEL title word)
-        this.score = -calculateWordScore('NOODEL');
+        this.score = this.getMode().getStartingScore();
         
         // Letter management - generate fresh sequence
-        this.letterSequence = this.generateLetterSequence();
+        this.letterSequence = this.generateLetterSequence(seed);
         this.currentLetterIndex = 0;
-        this.lettersRemaining = CONFIG.GAME.INITIAL_LETTERS;
+        this.lettersRemaining = this.getMode().letterCount;
         this.nextLetters = [];
+        this.undosUsed = 0;
+        this.hintsUsed = 0;
+        this.biggestCascade = 0;
         
         // Grid state
-        this.columnFillCounts = Array(CONFIG.GRID.COLUMNS).fill(0);
+        this.board = new BoardModel(CONFIG.GRID.ROWS, CONFIG.GRID.COLUMNS);
+        this.startTileCount = 0;
+        this.resetClock();
+        
+        this.level = null;
+        this.levelWords = [];
+        if (level) {
+            this.loadLevel(level);
+        }
+        
+        // Same players (a rematch), back to zero and the first player's turn
+        this.players.forEach(player => { player.score = 0; });
+        this.turn = 0;
+    }
+
+    /**
+     * Seat the players for a multiplayer game (used before the game starts)
+     * @param {string[]} names - Player names, in turn order
+     */
+    setPlayers(names) {
+        this.players = names.map(name => ({ name, score: 0 }));
+        this.turn = 0;
+    }
+
+    /**
+     * Index of the player whose turn it is
+     * @returns {number|null} Player index, or null outside multiplayer modes
+     */
+    getActivePlayer() {
+        if (!this.getMode().multiplayer || this.players.length === 0) return null;
+        return this.turn;
+    }
+
+    /**
+     * Play a puzzle level: its fixed letters replace the letter sequence
+     * Used before the game starts; the level's board is set up by PuzzleMode.setupBoard
+     * @param {Object} level - Level from LevelLoader
+     */
+    loadLevel(level) {
+        this.level = level;
+        this.levelWords = [];
+        this.seed = `level:${level.id}`;
+        this.letterSequence = level.letters;
+        this.currentLetterIndex = 0;
+        this.lettersRemaining = level.letters.length;
+        this.nextLetters = [];
+    }
+
+    /**
+     * Replace the letter sequence with one generated from a specific seed
+     * Used before a game starts (e.g., daily challenge) - keeps board and score untouched
+     * @param {string|number} seed - Seed for the new letter sequence
+     */
+    loadLetterSequence(seed) {
+        this.letterSequence = this.generateLetterSequence(seed);
+        this.currentLetterIndex = 0;
+        this.lettersRemaining = this.getMode().letterCount;
+        this.nextLetters = [];
+    }
+
+    /**
+     * Serialize the in-progress game (letters, board, score, clock) to plain data
+     * @returns {Object} JSON-safe snapshot
+     */
+    toSnapshot() {
+        return {
+            mode: this.mode,
+            seed: this.seed,
+            letterSequence: this.letterSequence,
+            currentLetterIndex: this.currentLetterIndex,
+            lettersRemaining: this.lettersRemaining,
+            nextLetters: this.nextLetters.slice(),
+            score: this.score,
+            undosUsed: this.undosUsed,
+            hintsUsed: this.hintsUsed,
+            biggestCascade: this.biggestCascade,
+            board: this.board.toArray(),
+            startTileCount: this.startTileCount,
+            timeRemaining: this.timeRemaining,
+            clockAtLastMove: this.clockAtLastMove,
+            speedStreak: this.speedStreak,
+            timeBonuses: this.timeBonuses,
+            level: this.level,
+            levelWords: this.levelWords.slice(),
+            players: this.players.map(player => ({ ...player })),
+            turn: this.turn
+        };
+    }
+
+    /**
+     * Restore an in-progress game from a snapshot created by toSnapshot()
+     * @param {Object} snapshot - Snapshot data
+     */
+    restoreSnapshot(snapshot) {
+        this.mode = snapshot.mode || GameModes.CLASSIC;
+        this.seed = snapshot.seed;
+        this.letterSequence = snapshot.letterSequence;
+        this.currentLetterIndex = snapshot.currentLetterIndex;
+        this.lettersRemaining = snapshot.lettersRemaining;
+        this.nextLetters = snapshot.nextLetters.slice();
+        this.score = snapshot.score;
+        this.undosUsed = snapshot.undosUsed || 0;
+        this.hintsUsed = snapshot.hintsUsed || 0;
+        this.biggestCascade = snapshot.biggestCascade || 0;
+        this.board.loadPattern(snapshot.board);
+        this.startTileCount = snapshot.startTileCount || 0;
+        this.timeRemaining = snapshot.timeRemaining ?? null;
+        this.clockAtLastMove = snapshot.clockAtLastMove ?? this.timeRemaining;
+        this.speedStreak = snapshot.speedStreak || 0;
+        this.timeBonuses = snapshot.timeBonuses || 0;
+        this.level = snapshot.level || null;
+        this.levelWords = (snapshot.levelWords || []).slice();
+        this.players = (snapshot.players || []).map(player => ({ ...player }));
+        this.turn = snapshot.turn || 0;
+        
+        this.started = true;
+        this.isFirstLoad = false;
+    }
+
+    /**
+     * Copy of the state to try moves on (hints and bots)
+     * The board, preview queue, level words and players are copied; the letter sequence
+     * and level are shared, as a move never changes them
+     * @returns {GameState} Copy
+     */
+    clone() {
+        const copy = Object.assign(Object.create(GameState.prototype), this);
+        copy.board = this.board.clone();
+        copy.nextLetters = this.nextLetters.slice();
+        copy.levelWords = this.levelWords.slice();
+        copy.players = this.players.map(player => ({ ...player }));
+        return copy;
     }
 
     isColumnFull(column) {
-        return this.columnFillCounts[column] >= CONFIG.GRID.ROWS;
+        return this.board.isColumnFull(column);
     }
 
     getLowestAvailableRow(column) {
-        return CONFIG.GRID.ROWS - 1 - this.columnFillCounts[column];
+        return this.board.getLowestAvailableRow(column);
     }
 
-    incrementColumnFill(column) {
-        this.columnFillCounts[column]++;
+    /**
+     * Place a letter in a column on the board model
+     * @returns {number} Row the letter landed on (-1 if column full)
+     */
+    placeLetter(column, letter) {
+        return this.board.dropLetter(column, letter);
     }
 
     decrementLettersRemaining() {
+        if (this.hasUnlimitedLetters()) return;
         this.lettersRemaining--;
     }
 
@@ -119,7 +360,33 @@ export class GameState {
         this.score += points;
     }
 
+    /**
+     * Check if letters never run out in this mode (e.g., Clear Mode)
+     */
+    hasUnlimitedLetters() {
+        return this.getMode().unlimitedLetters;
+    }
+
+    /**
+     * Remember how many letters the board starts with (call once the starting board is set)
+     */
+    markStartBoard() {
+        this.startTileCount = this.board.getFilledCount();
+    }
+
+    /**
+     * Values for the title progress bar (per mode: letters left to play, letters left on the board, ...)
+     * @returns {{remaining: number, total: number}} Progress values
+     */
+    getProgress() {
+        return this.getMode().getProgress(this);
+    }
+
+    /**
+     * Check if the game has ended under the current mode's rules
+     * (classic: out of letters or board full)
+     */
     isGameOver() {
-        return this.lettersRemaining <= 0;
+        return this.getMode().isGameOver(this);
     }
 }
@@ -24,7 +24,8 @@ export const GameplayStates = {
  */
 export const GameplayStateTransitions = {
     [GameplayStates.BOARD_READY]: [GameplayStates.AWAITING_INPUT],
-    [GameplayStates.AWAITING_INPUT]: [GameplayStates.PROCESSING_WORDS, GameplayStates.GAME_OVER],
+    // BOARD_READY from AWAITING_INPUT: the game in progress is abandoned (reset, resume, replay)
+    [GameplayStates.AWAITING_INPUT]: [GameplayStates.PROCESSING_WORDS, GameplayStates.GAME_OVER, GameplayStates.BOARD_READY],
     [GameplayStates.PROCESSING_WORDS]: [GameplayStates.AWAITING_INPUT, GameplayStates.GAME_OVER],
     [GameplayStates.GAME_OVER]: [GameplayStates.BOARD_READY] // Can reset to start new game
 };
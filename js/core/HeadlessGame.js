@@ -0,0 +1,279 @@
+import { CONFIG, GameModes } from '../config.js';
+import { GameState } from './GameState.js';
+import { WordResolver } from '../word/WordResolver.js';
+import { calculateWordScore } from '../scoring/ScoringUtils.js';
+import { UndoHistory } from './UndoHistory.js';
+import { beginDrop, settleBoard, chargeHint, undoMove } from './TurnRules.js';
+
+/**
+ * HeadlessGame class - A whole game played on a GameState with no DOM, animations or clock
+ * Applies the same rules as Game (both go through TurnRules): the mode's starting board,
+ * letter queue, word cascades with the mode's scoring hooks, overflow clearing, undo and
+ * hint charges, and end condition. Used by bots in Node, the match servers, and the
+ * leaderboard's score checks (replayLog), anywhere a game has to be played out without a page.
+ *
+ * There is no real clock: timed modes only lose time through passTime() (or a clock
+ * reading passed to drop()), and endless modes like Zen never end, so callers cap the moves.
+ */
+export class HeadlessGame {
+    /**
+     * @param {Map<string, string>} dictionary - Word list (DictionaryManager.loadDictionaries)
+     * @param {Object} options - Game to play
+     * @param {string|number|null} options.seed - Letter sequence seed (random if omitted)
+     * @param {string} options.mode - Game mode id (GameModes)
+     * @param {Object|null} options.level - Puzzle level (see LevelLoader)
+     * @param {string[][]|null} options.startBoard - Starting board to use instead of the mode's setup (e.g., from a MoveLog)
+     * @param {string[]} options.players - Player names, in turn order (multiplayer modes)
+     * @param {Object} options.tables - Letter weights and scoring values to play with instead of the game's (see GameState)
+     */
+    constructor(dictionary, { seed = null, mode = GameModes.CLASSIC, level = null, startBoard = null, players = [], tables = {} } = {}) {
+        this.state = new GameState(seed, tables);
+        this.state.setPlayers(players);
+        this.wordResolver = new WordResolver(this.state, null, dictionary);
+        this.words = [];  // { word, definition, points, cascade, direction, player } in the order they were made
+        this.moves = 0;
+        this.undoHistory = new UndoHistory();
+        this.hintShowing = false;  // A hint stays up (and no other can be taken) until the next move
+
+        this.start(seed, mode, level, startBoard);
+    }
+
+    /**
+     * Set up a fresh game: letters, starting board, the NOODEL title word and the preview queue
+     * @param {string|number|null} seed - Letter sequence seed
+     * @param {string} mode - Game mode id
+     * @param {Object|null} level - Puzzle level
+     * @param {string[][]|null} startBoard - Starting board, or null for the mode's own setup
+     */
+    start(seed, mode, level, startBoard) {
+        const { state } = this;
+        state.reset(seed, mode, level);
+
+        if (startBoard) {
+            state.board.loadPattern(startBoard);
+        } else {
+            state.getMode().setupBoard(state.board, state.seed, {
+                wordResolver: this.wordResolver,
+                level: state.level,
+                letterFrequencies: state.tables.letterFrequencies
+            });
+        }
+        state.markStartBoard();
+
+        // The title word is scored at the start of every game (the starting score cancels it out)
+        state.addToScore(calculateWordScore('NOODEL'));
+
+        for (let i = 0; i < CONFIG.GAME.PREVIEW_COUNT; i++) {
+            state.nextLetters.push(state.takeNextLetter());
+        }
+        state.started = true;
+        this.words = [];
+        this.moves = 0;
+        this.undoHistory.clear();
+        this.hintShowing = false;
+    }
+
+    /**
+     * Letter the next drop will place
+     * @returns {string} Letter, or '' once a limited sequence is used up
+     */
+    getNextLetter() {
+        return this.state.nextLetters[0] || '';
+    }
+
+    /**
+     * Check if a drop into a column is allowed right now
+     * @param {number} column - Column index
+     * @returns {boolean} True if the game is on, there is a letter, and the column has room
+     */
+    canDrop(column) {
+        return Number.isInteger(column) &&
+            column >= 0 && column < this.state.board.columns &&
+            !this.state.isGameOver() &&
+            this.getNextLetter() !== '' &&
+            !this.state.isColumnFull(column);
+    }
+
+    /**
+     * Charge time spent waiting for a move to the clock of a timed game
+     * @param {number} ms - Milliseconds of thinking time
+     */
+    passTime(ms) {
+        if (!this.state.isTimed()) return;
+        this.state.timeRemaining = Math.max(0, this.state.timeRemaining - ms);
+    }
+
+    /**
+     * Drop the next letter into a column and resolve everything it causes
+     * @param {number} column - Column index
+     * @param {number|null} clock - Clock reading to drop at (timed modes)
+     * @returns {{column: number, row: number, letter: string, words: Object[]}} What the drop did
+     * @throws {Error} If the drop isn't allowed (see canDrop)
+     */
+    drop(column, clock = null) {
+        if (!this.canDrop(column)) {
+            throw new Error(`HeadlessGame: Can't drop into column ${column}`);
+        }
+
+        const { state } = this;
+        const mode = state.getMode();
+        const letter = this.getNextLetter();
+
+        this.pushUndoSnapshot();
+        this.hintShowing = false;
+        beginDrop(state, clock);
+
+        const row = state.placeLetter(column, letter);
+        state.nextLetters.shift();
+        state.nextLetters.push(state.takeNextLetter());
+        state.decrementLettersRemaining();
+        this.moves++;
+
+        const words = this.settle();
+        mode.afterMove(state);
+
+        return { column, row, letter, words };
+    }
+
+    /**
+     * Settle the board after a drop (TurnRules.settleBoard) and add up the words it makes
+     * @returns {Object[]} Words made, { word, definition, points, cascade, direction, player }
+     */
+    settle() {
+        const { state } = this;
+        const made = [];
+
+        for (const step of settleBoard(state, this.wordResolver)) {
+            if (step.type !== 'words') continue;
+            step.words.forEach(scored => {
+                state.addToScore(scored.points);
+                made.push(scored);
+            });
+        }
+
+        this.words.push(...made);
+        return made;
+    }
+
+    /**
+     * Remember the pre-move state so the next move can be undone (see Game.pushUndoSnapshot)
+     */
+    pushUndoSnapshot() {
+        this.undoHistory.setCapacity(this.getUndosRemaining());
+        if (this.undoHistory.capacity === 0) return;
+        this.undoHistory.push({ state: this.state.toSnapshot(), words: this.words.slice(), moves: this.moves });
+    }
+
+    /**
+     * Number of undos left in this game
+     * @returns {number} Undos left under the mode's undo config
+     */
+    getUndosRemaining() {
+        return Math.max(0, this.state.getMode().getUndoConfig().LIMIT - this.state.undosUsed);
+    }
+
+    /**
+     * Number of hints left in this game
+     * @returns {number} Hints left under the mode's hint config
+     */
+    getHintsRemaining() {
+        return Math.max(0, this.state.getMode().getHintConfig().LIMIT - this.state.hintsUsed);
+    }
+
+    /**
+     * Roll back the most recent drop and charge for it (see Game.undo)
+     * @returns {boolean} True if a move was undone
+     */
+    undo() {
+        if (this.state.isGameOver() || this.getUndosRemaining() === 0 || this.undoHistory.isEmpty()) return false;
+
+        const entry = this.undoHistory.pop();
+        undoMove(this.state, entry.state);
+        this.words = entry.words;
+        this.moves = entry.moves;
+        this.hintShowing = false;
+        this.undoHistory.setCapacity(this.getUndosRemaining());
+        return true;
+    }
+
+    /**
+     * Charge for a hint (see Game.useHint); the hint itself doesn't change the board
+     * @returns {boolean} True if a hint was allowed
+     */
+    useHint() {
+        if (this.state.isGameOver() || this.getHintsRemaining() === 0 || this.hintShowing) return false;
+
+        chargeHint(this.state);
+        this.hintShowing = true;
+        return true;
+    }
+
+    /**
+     * Play a recorded game back move by move (undos and hints included) to check it
+     * Timed games must record the clock with every drop, and the clock may only run down
+     * between drops - time is only ever added by the mode's own bonuses.
+     * @param {Map<string, string>} dictionary - Word list
+     * @param {MoveLog} log - Recorded game
+     * @returns {HeadlessGame} The game after the last move
+     * @throws {Error} If any move couldn't have been made in the game
+     */
+    static replayLog(dictionary, log) {
+        const game = new HeadlessGame(dictionary, {
+            seed: log.seed,
+            mode: log.mode,
+            level: log.level,
+            startBoard: log.startBoard,
+            players: log.players
+        });
+        const timed = game.state.isTimed();
+
+        for (let i = 0; i < log.length; i++) {
+            const { column, clock, undo, hint } = log.getMove(i);
+            let legal;
+            if (undo) {
+                legal = game.undo();
+            } else if (hint) {
+                legal = game.useHint();
+            } else if (timed) {
+                legal = clock !== null && clock > 0 && clock <= game.state.timeRemaining && game.canDrop(column);
+            } else {
+                legal = game.canDrop(column);
+            }
+
+            if (!legal) {
+                throw new Error(`HeadlessGame: Move ${i + 1} of the log isn't allowed`);
+            }
+            if (!undo && !hint) {
+                game.drop(column, timed ? clock : null);
+            }
+        }
+        return game;
+    }
+
+    /**
+     * Check if the game has ended under its mode's rules
+     * @returns {boolean} True if over
+     */
+    isGameOver() {
+        return this.state.isGameOver();
+    }
+
+    /**
+     * Summary of the game so far (board words only - not the NOODEL title word)
+     * @returns {Object} { score, moves, words, longestWord, bestWord, biggestCascade, lettersOnBoard }
+     */
+    getStats() {
+        const longest = this.words.reduce((a, b) => (b.word.length > a.word.length ? b : a), { word: '', points: 0 });
+        const best = this.words.reduce((a, b) => (b.points > a.points ? b : a), { word: '', points: 0 });
+
+        return {
+            score: this.state.score,
+            moves: this.moves,
+            words: this.words.length,
+            longestWord: longest.word,
+            bestWord: best.word,
+            biggestCascade: this.state.biggestCascade,
+            lettersOnBoard: this.state.board.getFilledCount()
+        };
+    }
+}
@@ -0,0 +1,76 @@
+import { simulateDrop } from './TurnRules.js';
+
+/**
+ * HintAdvisor class - Finds the best column for the next letter
+ * Tries the letter in every open column with TurnRules.simulateDrop (words, gravity,
+ * cascades and overflow clearing, scored by the current mode's rules and hooks) and ranks
+ * the outcomes. Works on copies of the GameState only, so it never touches the live game or the DOM.
+ */
+export class HintAdvisor {
+    /**
+     * @param {WordResolver} wordResolver - Word detection with a loaded dictionary
+     */
+    constructor(wordResolver) {
+        this.wordResolver = wordResolver;
+    }
+
+    /**
+     * Outcome of dropping a letter into each open column
+     * @param {GameState} state - Game state (board, mode and scoring state)
+     * @param {string} letter - Letter to drop
+     * @returns {Object[]} Outcomes (see TurnRules.simulateDrop), left to right
+     */
+    getOutcomes(state, letter) {
+        const outcomes = [];
+
+        for (let column = 0; column < state.board.columns; column++) {
+            const outcome = simulateDrop(state, this.wordResolver, column, letter);
+            if (outcome) outcomes.push(outcome);
+        }
+
+        return outcomes;
+    }
+
+    /**
+     * Best column for a letter: most points, then most letters cleared, then the
+     * lowest column afterwards (leftmost on a tie)
+     * @param {GameState} state - Game state
+     * @param {string} letter - Letter to drop
+     * @returns {Object|null} Best outcome, or null if there is no letter or every column is full
+     */
+    findBestMove(state, letter) {
+        if (!letter) return null;
+
+        const outcomes = this.getOutcomes(state, letter);
+        outcomes.sort(HintAdvisor.compareOutcomes);
+        return outcomes[0] || null;
+    }
+
+    /**
+     * Sort order for outcomes, best first
+     * @param {Object} a - Outcome
+     * @param {Object} b - Outcome
+     * @returns {number} Negative if a is better
+     */
+    static compareOutcomes(a, b) {
+        return (b.points - a.points) ||
+            (b.cleared - a.cleared) ||
+            (a.board.getColumnHeight(a.column) - b.board.getColumnHeight(b.column));
+    }
+
+    /**
+     * Hint text for an outcome
+     * @param {Object} outcome - Outcome from findBestMove
+     * @returns {string} Description (columns are numbered from 1)
+     */
+    static describe(outcome) {
+        const column = `column ${outcome.column + 1}`;
+        if (outcome.words.length === 0) {
+            return `💡 No words this turn - ${column} keeps the board lowest`;
+        }
+
+        const words = outcome.words.map(({ word }) => word).join(', ');
+        const cascade = outcome.words.some(({ cascade }) => cascade > 1) ? ' with a cascade' : '';
+        return `💡 Drop in ${column}: ${words}${cascade} (+${outcome.points})`;
+    }
+}
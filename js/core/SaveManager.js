@@ -0,0 +1,116 @@
+// localStorage key prefix for save slots (one key per slot)
+const STORAGE_PREFIX = 'noodel.save.';
+
+// Bump when the snapshot format changes; older saves are discarded
+const SAVE_VERSION = 4;
+
+/**
+ * SaveManager class - Stores in-progress game snapshots in localStorage
+ * Each game mode gets its own slot (e.g., 'classic', 'daily', 'clear'), so games
+ * in different modes can all be resumed independently.
+ */
+export class SaveManager {
+    /**
+     * @param {Storage|null} storage - Storage backend (defaults to localStorage, in-memory if unavailable)
+     */
+    constructor(storage = globalThis.localStorage ?? null) {
+        this.storage = storage;
+        this.memory = new Map(); // Fallback when no storage backend is available
+    }
+
+    /**
+     * Save a snapshot into a slot
+     * @param {string} slot - Slot name (usually the game mode)
+     * @param {Object} data - Snapshot data ({ state, madeWords, ... })
+     */
+    save(slot, data) {
+        const entry = {
+            version: SAVE_VERSION,
+            slot,
+            savedAt: Date.now(),
+            ...data
+        };
+
+        if (!this.storage) {
+            this.memory.set(slot, entry);
+            return;
+        }
+
+        try {
+            this.storage.setItem(STORAGE_PREFIX + slot, JSON.stringify(entry));
+        } catch (error) {
+            console.warn(`SaveManager: Failed to save slot '${slot}':`, error.message);
+        }
+    }
+
+    /**
+     * Load the snapshot in a slot
+     * @param {string} slot - Slot name
+     * @returns {Object|null} Snapshot or null if empty/unreadable
+     */
+    load(slot) {
+        let entry = null;
+
+        if (!this.storage) {
+            entry = this.memory.get(slot) || null;
+        } else {
+            try {
+                const raw = this.storage.getItem(STORAGE_PREFIX + slot);
+                entry = raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                console.warn(`SaveManager: Failed to read slot '${slot}':`, error.message);
+                return null;
+            }
+        }
+
+        if (entry && entry.version !== SAVE_VERSION) {
+            console.warn(`SaveManager: Discarding slot '${slot}' saved with version ${entry.version}`);
+            this.clear(slot);
+            return null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Delete the snapshot in a slot
+     * @param {string} slot - Slot name
+     */
+    clear(slot) {
+        if (!this.storage) {
+            this.memory.delete(slot);
+            return;
+        }
+
+        try {
+            this.storage.removeItem(STORAGE_PREFIX + slot);
+        } catch (error) {
+            console.warn(`SaveManager: Failed to clear slot '${slot}':`, error.message);
+        }
+    }
+
+    /**
+     * Get all saved snapshots, most recent first
+     * @returns {Object[]} Array of snapshots
+     */
+    listSaves() {
+        let slots;
+
+        if (!this.storage) {
+            slots = Array.from(this.memory.keys());
+        } else {
+            slots = [];
+            for (let i = 0; i < this.storage.length; i++) {
+                const key = this.storage.key(i);
+                if (key && key.startsWith(STORAGE_PREFIX)) {
+                    slots.push(key.slice(STORAGE_PREFIX.length));
+                }
+            }
+        }
+
+        return slots
+            .map(slot => this.load(slot))
+            .filter(entry => entry !== null)
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * TurnRules - The rules of a move, shared by Game (in the browser) and HeadlessGame
+ * (bots, replays and the server's score checks), so both always score a game the same way.
+ * Each function only changes the GameState; drawing and animating the change is up to the caller.
+ */
+
+/**
+ * Start a drop: set the clock reading it was made at and run the mode's beforeDrop hook
+ * @param {GameState} state - Game state
+ * @param {number|null} clock - Clock reading to drop at (timed modes), or null to keep the clock
+ */
+export function beginDrop(state, clock = null) {
+    if (clock !== null) {
+        state.timeRemaining = clock;
+    }
+    state.getMode().beforeDrop(state);
+}
+
+/**
+ * Score one pass of a word cascade with the mode's hooks
+ * Every word of the pass goes to the player who dropped. The caller adds the points to
+ * the score (Game through ScoreController.addWord) and then clears the words.
+ * @param {GameState} state - Game state
+ * @param {Object[]} found - Words found on the board (WordResolver.checkForWords)
+ * @param {number} cascade - Pass number, starting at 1
+ * @returns {Object[]} Scored words, { word, definition, points, cascade, direction, player }
+ */
+export function scoreWords(state, found, cascade) {
+    const mode = state.getMode();
+    const player = state.getActivePlayer();
+
+    const scored = found.map(({ word, definition, direction }) => {
+        const points = mode.scoreWord(word, { cascade, direction, state });
+        mode.onWordMade(state, word, points);
+        return { word, definition, points, cascade, direction, player };
+    });
+
+    state.biggestCascade = Math.max(state.biggestCascade, cascade);
+    return scored;
+}
+
+/**
+ * Cells the mode clears to make room on a full board (Zen clears the oldest row)
+ * @param {GameState} state - Game state
+ * @returns {Array<{row: number, col: number}>|null} Positions to clear, or null if nothing is cleared
+ */
+export function getOverflowClear(state) {
+    if (!state.board.isFull()) return null;
+    return state.getMode().getOverflowClear(state) || null;
+}
+
+/**
+ * Settle the board after a drop, one step at a time
+ * Words are scored and cleared and the letters fall, pass after pass, until no more words
+ * form; then the mode may make room on a full board, and the letters that fall settle the
+ * same way (passes counted from 1 again). Each step is applied to the state before it is
+ * yielded, and the caller adds a pass's points to the score before asking for the next step.
+ * @param {GameState} state - Game state
+ * @param {WordResolver} wordResolver - Finds the words on state.board
+ * @param {Object} options - Rules switched off by feature flags (both on by default)
+ * @param {boolean} options.wordDetection - Find and clear words
+ * @param {boolean} options.gravity - Let letters fall into cleared cells
+ * @yields {Object} { type: 'words', cascade, found, words } - found from WordResolver.checkForWords, words from scoreWords -
+ *   or { type: 'overflow', positions }
+ */
+export function* settleBoard(state, wordResolver, { wordDetection = true, gravity = true } = {}) {
+    const clear = (positions) => {
+        state.board.clearPositions(positions);
+        if (gravity) state.board.applyGravity();
+    };
+
+    function* wordPasses() {
+        if (!wordDetection) return;
+        let cascade = 0;
+        let found = wordResolver.checkForWords(state.board);
+        while (found.length > 0) {
+            cascade++;
+            const words = scoreWords(state, found, cascade);
+            clear(found.flatMap(({ positions }) => positions));
+            yield { type: 'words', cascade, found, words };
+            found = wordResolver.checkForWords(state.board);
+        }
+    }
+
+    yield* wordPasses();
+
+    const positions = getOverflowClear(state);
+    if (positions) {
+        clear(positions);
+        yield { type: 'overflow', positions };
+        yield* wordPasses();
+    }
+}
+
+/**
+ * Play out a drop on a copy of the state, with the same rules as a real drop (beginDrop,
+ * the mode's scoring hooks and settleBoard, overflow clearing included) up to the mode's
+ * afterMove bookkeeping. Never touches the live state or the DOM, so hints and bots can try every column.
+ * @param {GameState} state - State to start from (not modified)
+ * @param {WordResolver} wordResolver - Finds the words on a board
+ * @param {number} column - Column to drop into
+ * @param {string} letter - Letter to drop
+ * @returns {Object|null} Outcome ({ column, row, words, points, cleared, board, state }), or null if the column is full.
+ *   words are { word, points, cascade, direction, positions }; positions of cascade 1 match the board before the drop
+ */
+export function simulateDrop(state, wordResolver, column, letter) {
+    if (state.board.isColumnFull(column)) return null;
+
+    const after = state.clone();
+    beginDrop(after);
+    const row = after.placeLetter(column, letter);
+    const words = [];
+    for (const step of settleBoard(after, wordResolver)) {
+        if (step.type !== 'words') continue;
+        step.words.forEach(({ word, points, cascade, direction }, index) => {
+            after.addToScore(points);
+            words.push({ word, points, cascade, direction, positions: step.found[index].positions });
+        });
+    }
+
+    return {
+        column,
+        row,
+        words,
+        points: words.reduce((sum, { points }) => sum + points, 0),
+        cleared: state.board.getFilledCount() + 1 - after.board.getFilledCount(),
+        board: after.board,
+        state: after
+    };
+}
+
+/**
+ * Charge a hint to the score (never below zero)
+ * @param {GameState} state - Game state
+ */
+export function chargeHint(state) {
+    const { COST } = state.getMode().getHintConfig();
+    state.hintsUsed++;
+    state.addToScore(-Math.min(COST, state.score));
+}
+
+/**
+ * Roll the state back to a pre-move snapshot and charge the undo
+ * The snapshot's score already includes earlier charges, so every undo and hint used
+ * since it was taken is charged again. The score never drops below zero.
+ * @param {GameState} state - Game state
+ * @param {Object} snapshot - Pre-move snapshot (GameState.toSnapshot)
+ */
+export function undoMove(state, snapshot) {
+    const undosUsed = state.undosUsed + 1;
+    const hintsUsed = state.hintsUsed;
+
+    state.restoreSnapshot(snapshot);
+    const mode = state.getMode();
+    const penalty = mode.getUndoConfig().COST * (undosUsed - snapshot.undosUsed) +
+        mode.getHintConfig().COST * (hintsUsed - snapshot.hintsUsed);
+    state.undosUsed = undosUsed;
+    state.hintsUsed = hintsUsed;
+    state.addToScore(-Math.min(penalty, state.score));
+}
@@ -0,0 +1,54 @@
+/**
+ * UndoHistory class - Bounded stack of pre-move snapshots
+ * Only the most recent `capacity` moves are kept, since the undo budget
+ * never allows rolling back further than that.
+ */
+export class UndoHistory {
+    /**
+     * @param {number} capacity - Maximum number of snapshots to keep
+     */
+    constructor(capacity = 0) {
+        this.capacity = capacity;
+        this.entries = [];
+    }
+
+    /**
+     * Record the state before a move
+     * @param {Object} entry - Snapshot ({ state, madeWords })
+     */
+    push(entry) {
+        if (this.capacity <= 0) return;
+
+        this.entries.push(entry);
+        if (this.entries.length > this.capacity) {
+            this.entries.shift();
+        }
+    }
+
+    /**
+     * Take the most recent snapshot
+     * @returns {Object|null} Snapshot or null if empty
+     */
+    pop() {
+        return this.entries.pop() || null;
+    }
+
+    /**
+     * Change how many snapshots are kept (drops the oldest if shrinking)
+     * @param {number} capacity - New capacity
+     */
+    setCapacity(capacity) {
+        this.capacity = Math.max(0, capacity);
+        while (this.entries.length > this.capacity) {
+            this.entries.shift();
+        }
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    isEmpty() {
+        return this.entries.length === 0;
+    }
+}
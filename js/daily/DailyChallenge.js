@@ -0,0 +1,196 @@
+// localStorage key for daily results
+const STORAGE_KEY = 'noodel.daily';
+
+/**
+ * DailyChallenge class - Date-seeded daily game with local streak and history
+ * Everyone gets the same letter sequence on a given day (seed derived from the date).
+ * Only the first attempt each day is scored; results are kept in localStorage.
+ */
+export class DailyChallenge {
+    /**
+     * @param {Storage|null} storage - Storage backend (defaults to localStorage, in-memory if unavailable)
+     */
+    constructor(storage = globalThis.localStorage ?? null) {
+        this.storage = storage;
+        this.memory = null; // Fallback when no storage backend is available
+    }
+
+    /**
+     * Get the UTC date key for a day (YYYY-MM-DD)
+     * Days are UTC everywhere, so every player is on the same challenge at once and the
+     * server's daily leaderboard (UTC days) holds exactly that challenge's scores
+     * @param {Date} date - Date to format (default: today)
+     * @returns {string} Date key
+     */
+    static getDateKey(date = new Date()) {
+        const year = date.getUTCFullYear();
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(date.getUTCDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Get the date key of the day before a given key
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {string} Previous day's date key
+     */
+    static getPreviousDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return DailyChallenge.getDateKey(new Date(Date.UTC(year, month - 1, day - 1)));
+    }
+
+    /**
+     * Get the letter sequence seed for a day
+     * @param {string} dateKey - Date key (default: today)
+     * @returns {string} Seed shared by every player that day
+     */
+    static getSeed(dateKey = DailyChallenge.getDateKey()) {
+        return `daily-${dateKey}`;
+    }
+
+    /**
+     * Load all daily results from storage
+     * @returns {Object} Map of dateKey → result
+     */
+    loadResults() {
+        if (!this.storage) {
+            return this.memory || {};
+        }
+
+        try {
+            const raw = this.storage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.warn('DailyChallenge: Failed to read results:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Save all daily results to storage
+     * @param {Object} results - Map of dateKey → result
+     */
+    saveResults(results) {
+        if (!this.storage) {
+            this.memory = results;
+            return;
+        }
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(results));
+        } catch (error) {
+            console.warn('DailyChallenge: Failed to save results:', error.message);
+        }
+    }
+
+    /**
+     * Get the result for a day
+     * @param {string} dateKey - Date key (default: today)
+     * @returns {Object|null} Result or null if not played
+     */
+    getResult(dateKey = DailyChallenge.getDateKey()) {
+        return this.loadResults()[dateKey] || null;
+    }
+
+    /**
+     * Check if the scored attempt for a day has been used
+     * @param {string} dateKey - Date key (default: today)
+     * @returns {boolean} True if already attempted
+     */
+    hasPlayed(dateKey = DailyChallenge.getDateKey()) {
+        return this.getResult(dateKey) !== null;
+    }
+
+    /**
+     * Record that the scored attempt for a day has started
+     * Called at game start so a reload or reset can't grant a second attempt
+     * @param {string} dateKey - Date key (default: today)
+     */
+    markAttempt(dateKey = DailyChallenge.getDateKey()) {
+        const results = this.loadResults();
+        if (results[dateKey]) return;
+
+        results[dateKey] = {
+            date: dateKey,
+            seed: DailyChallenge.getSeed(dateKey),
+            completed: false,
+            score: null,
+            totalWords: 0,
+            longestWord: ''
+        };
+        this.saveResults(results);
+    }
+
+    /**
+     * Record the final result for a day's scored attempt
+     * @param {Object} stats - Stats from ScoreController.getStats()
+     * @param {string} dateKey - Date key (default: today)
+     * @returns {Object} The stored result
+     */
+    recordResult(stats, dateKey = DailyChallenge.getDateKey()) {
+        const results = this.loadResults();
+
+        results[dateKey] = {
+            date: dateKey,
+            seed: DailyChallenge.getSeed(dateKey),
+            completed: true,
+            score: stats.totalScore,
+            totalWords: stats.totalWords,
+            longestWord: stats.longestWord?.text || ''
+        };
+        this.saveResults(results);
+
+        return results[dateKey];
+    }
+
+    /**
+     * Get all results, newest first
+     * @returns {Object[]} Array of results
+     */
+    getHistory() {
+        return Object.values(this.loadResults())
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * Get the current streak of consecutive completed days
+     * Today counts if completed; otherwise the streak runs through yesterday
+     * @param {string} dateKey - Date key to count back from (default: today)
+     * @returns {number} Streak length in days
+     */
+    getStreak(dateKey = DailyChallenge.getDateKey()) {
+        const results = this.loadResults();
+        let day = results[dateKey]?.completed ? dateKey : DailyChallenge.getPreviousDateKey(dateKey);
+        let streak = 0;
+
+        while (results[day]?.completed) {
+            streak++;
+            day = DailyChallenge.getPreviousDateKey(day);
+        }
+
+        return streak;
+    }
+
+    /**
+     * Get the longest streak of consecutive completed days ever
+     * @returns {number} Best streak length in days
+     */
+    getBestStreak() {
+        const completedDays = this.getHistory()
+            .filter(result => result.completed)
+            .map(result => result.date)
+            .reverse(); // oldest first
+
+        let best = 0;
+        let current = 0;
+        let previous = null;
+
+        completedDays.forEach(day => {
+            current = previous && DailyChallenge.getPreviousDateKey(day) === previous ? current + 1 : 1;
+            best = Math.max(best, current);
+            previous = day;
+        });
+
+        return best;
+    }
+}
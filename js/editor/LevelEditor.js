@@ -0,0 +1,382 @@
+import { CONFIG } from '../config.js';
+import { GameState } from '../core/GameState.js';
+import { DOMCache } from '../core/DOMCache.js';
+import { GridController } from '../grid/GridController.js';
+import { WordResolver } from '../word/WordResolver.js';
+import { LevelLoader } from '../levels/LevelLoader.js';
+import { GoalTypes, GoalFields } from '../levels/LevelGoals.js';
+
+// Page the editor opens to test-play a level (?level=<code>)
+const GAME_PAGE = 'index.html';
+
+/**
+ * LevelEditor class - Builds puzzle level files (see LevelLoader) in the browser
+ *
+ * The board is a GameState board drawn by GridController, so it looks exactly like
+ * the game. The level is validated after every change: LevelLoader.parse checks the
+ * fields, and WordResolver makes sure the starting board has no ready-made words
+ * (their squares are highlighted). A valid level can be test-played in the game
+ * page or exported as the JSON that LevelLoader reads.
+ */
+export class LevelEditor {
+    constructor() {
+        this.state = new GameState();
+        this.dom = new DOMCache();
+        this.grid = new GridController(this.state, this.dom);
+        this.wordResolver = null; // Will be initialized asynchronously
+
+        this.selected = null; // Index of the selected square
+        this.level = null;    // Last valid level, or null while there are problems
+        this.campaign = [];
+
+        this.fields = {
+            open: document.getElementById('levelOpen'),
+            id: document.getElementById('levelId'),
+            name: document.getElementById('levelName'),
+            description: document.getElementById('levelDescription'),
+            letters: document.getElementById('levelLetters'),
+            moveLimit: document.getElementById('levelMoveLimit')
+        };
+        this.goalList = document.getElementById('levelGoals');
+        this.messages = document.getElementById('levelMessages');
+        this.output = document.getElementById('levelOutput');
+        this.testPlayBtn = document.getElementById('testPlayBtn');
+        this.downloadBtn = document.getElementById('downloadBtn');
+        this.copyBtn = document.getElementById('copyBtn');
+    }
+
+    async init() {
+        console.log('Loading dictionary...');
+        this.wordResolver = await WordResolver.create(this.state, this.dom);
+
+        this.grid.generate();
+        this.grid.addClickHandlers((e) => this.selectSquare(parseInt(e.target.dataset.index)));
+        this.setupEventListeners();
+        this.addGoalRow({ type: GoalTypes.CLEAR_BOARD });
+
+        // Existing levels can be opened as a starting point
+        try {
+            this.campaign = await LevelLoader.loadCampaign();
+            this.campaign.forEach(level => {
+                const option = document.createElement('option');
+                option.value = level.id;
+                option.textContent = level.name;
+                this.fields.open.appendChild(option);
+            });
+        } catch (error) {
+            console.warn('LevelEditor: Failed to load puzzle levels:', error.message);
+        }
+
+        this.validate();
+        console.log('🛠️ Level editor ready');
+    }
+
+    setupEventListeners() {
+        ['id', 'name', 'description', 'letters', 'moveLimit'].forEach(name => {
+            this.fields[name].addEventListener('input', () => this.validate());
+        });
+        this.fields.open.addEventListener('change', () => {
+            const level = this.campaign.find(other => other.id === this.fields.open.value);
+            this.loadLevel(level || null);
+        });
+
+        document.getElementById('addGoalBtn').addEventListener('click', () => {
+            this.addGoalRow({ type: GoalTypes.WORD_COUNT });
+            this.validate();
+        });
+        document.getElementById('clearBoardBtn').addEventListener('click', () => {
+            this.state.board.clear();
+            this.grid.render();
+            this.validate();
+        });
+
+        this.testPlayBtn.addEventListener('click', () => this.testPlay());
+        this.downloadBtn.addEventListener('click', () => this.download());
+        this.copyBtn.addEventListener('click', () => this.copy());
+
+        // Typing edits the selected square (but not while a form field has focus)
+        document.addEventListener('keydown', (e) => {
+            if (this.selected === null || e.target.closest?.('input, select, textarea')) return;
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (this.handleKey(e.key)) {
+                e.preventDefault();
+            }
+        });
+    }
+
+    /**
+     * Select a board square for typing
+     * @param {number|null} index - Square index, or null to clear the selection
+     */
+    selectSquare(index) {
+        this.selected = Number.isInteger(index) ? index : null;
+        this.dom.getAllGridSquares().forEach(square => {
+            square.classList.toggle('selected', parseInt(square.dataset.index) === this.selected);
+        });
+    }
+
+    /**
+     * Apply a key press to the selected square
+     * Letters fill it and move right; Backspace clears and moves left; Delete/Space clear; arrows move
+     * @param {string} key - KeyboardEvent.key
+     * @returns {boolean} True if the key was used
+     */
+    handleKey(key) {
+        const { COLUMNS } = CONFIG.GRID;
+        const row = Math.floor(this.selected / COLUMNS);
+        const col = this.selected % COLUMNS;
+        const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+        if (/^[a-zA-Z]$/.test(key)) {
+            this.setLetter(row, col, key.toUpperCase());
+            this.moveSelection(row, col + 1);
+        } else if (key === 'Backspace') {
+            this.setLetter(row, col, '');
+            this.moveSelection(row, col - 1);
+        } else if (key === 'Delete' || key === ' ') {
+            this.setLetter(row, col, '');
+        } else if (moves[key]) {
+            const [dRow, dCol] = moves[key];
+            this.moveSelection(row + dRow, col + dCol);
+        } else if (key === 'Escape') {
+            this.selectSquare(null);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Move the selection, staying put at the edges of the board
+     * @param {number} row - Target row
+     * @param {number} col - Target column
+     */
+    moveSelection(row, col) {
+        if (this.state.board.isInBounds(row, col)) {
+            this.selectSquare(this.state.board.getIndex(row, col));
+        }
+    }
+
+    /**
+     * Set one square of the starting board and revalidate
+     * @param {number} row - Row
+     * @param {number} col - Column
+     * @param {string} letter - Letter, or '' to clear
+     */
+    setLetter(row, col, letter) {
+        this.state.board.setLetter(row, col, letter);
+        this.grid.render();
+        this.validate();
+    }
+
+    /**
+     * Add an editable goal row
+     * @param {Object} goal - Goal to show
+     */
+    addGoalRow(goal) {
+        const row = document.createElement('div');
+        row.className = 'editor-goal';
+
+        const type = document.createElement('select');
+        Object.values(GoalTypes).forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            type.appendChild(option);
+        });
+        type.value = goal.type;
+
+        const value = document.createElement('input');
+        value.type = 'text';
+        value.value = GoalFields[goal.type] ? goal[GoalFields[goal.type]] ?? '' : '';
+
+        const remove = document.createElement('button');
+        remove.className = 'editor-btn secondary';
+        remove.textContent = '✕';
+        remove.title = 'Remove goal';
+
+        const syncValue = () => {
+            const field = GoalFields[type.value];
+            value.hidden = !field;
+            value.placeholder = field || '';
+        };
+        syncValue();
+
+        type.addEventListener('change', () => {
+            syncValue();
+            this.validate();
+        });
+        value.addEventListener('input', () => this.validate());
+        remove.addEventListener('click', () => {
+            row.remove();
+            this.validate();
+        });
+
+        row.append(type, value, remove);
+        this.goalList.appendChild(row);
+    }
+
+    /**
+     * Goals as entered in the goal rows
+     * @returns {Object[]} Goals (unvalidated)
+     */
+    readGoals() {
+        return [...this.goalList.querySelectorAll('.editor-goal')].map(row => {
+            const type = row.querySelector('select').value;
+            const field = GoalFields[type];
+            const goal = { type };
+            if (field) {
+                const raw = row.querySelector('input').value.trim();
+                goal[field] = type === GoalTypes.WORD ? raw.toUpperCase() : (raw === '' ? null : Number(raw));
+            }
+            return goal;
+        });
+    }
+
+    /**
+     * Level data as entered in the form and on the board (unvalidated)
+     * @returns {Object} Level file data
+     */
+    readLevel() {
+        const moveLimit = this.fields.moveLimit.value.trim();
+        return {
+            id: this.fields.id.value.trim(),
+            name: this.fields.name.value.trim(),
+            description: this.fields.description.value.trim(),
+            board: this.state.board.toArray(),
+            letters: this.fields.letters.value.trim(),
+            moveLimit: moveLimit === '' ? undefined : Number(moveLimit),
+            goals: this.readGoals()
+        };
+    }
+
+    /**
+     * Fill the form and board from a level, or reset them for a new level
+     * @param {Object|null} level - Level from LevelLoader
+     */
+    loadLevel(level) {
+        this.fields.id.value = level?.id || '';
+        this.fields.name.value = level?.name || '';
+        this.fields.description.value = level?.description || '';
+        this.fields.letters.value = level?.letters || '';
+        this.fields.moveLimit.value = level && level.moveLimit !== level.letters.length ? level.moveLimit : '';
+
+        this.goalList.innerHTML = '';
+        (level?.goals || [{ type: GoalTypes.CLEAR_BOARD }]).forEach(goal => this.addGoalRow(goal));
+
+        if (level) {
+            this.state.board.loadPattern(level.board);
+        } else {
+            this.state.board.clear();
+        }
+        this.grid.render();
+        this.validate();
+    }
+
+    /**
+     * Check the level, show its problems and the exported JSON
+     * @returns {Object|null} The valid level, or null
+     */
+    validate() {
+        const { level, problems, preformed } = LevelEditor.check(this.readLevel(), this.state.board, this.wordResolver);
+
+        this.dom.getAllGridSquares().forEach(square => {
+            square.classList.toggle('preformed', preformed.has(parseInt(square.dataset.index)));
+        });
+
+        this.level = level;
+        this.renderMessages(problems);
+        this.output.value = this.level ? LevelLoader.stringify(this.level) : '';
+        [this.testPlayBtn, this.downloadBtn, this.copyBtn].forEach(button => {
+            button.disabled = this.level === null;
+        });
+
+        return this.level;
+    }
+
+    /**
+     * Check level data: a level is valid when LevelLoader accepts it and the starting board has no words
+     * @param {Object} data - Level file data (readLevel)
+     * @param {BoardModel} board - The starting board
+     * @param {WordResolver|null} wordResolver - Finds the words on the board (null while the dictionary loads)
+     * @returns {{level: Object|null, problems: string[], preformed: Set<number>}} The level (null unless valid),
+     *   what is wrong with it, and the indexes of squares in ready-made words
+     */
+    static check(data, board, wordResolver) {
+        const problems = [];
+        let level = null;
+
+        try {
+            level = LevelLoader.parse(data);
+        } catch (error) {
+            problems.push(error.message.replace(/^LevelLoader: /, ''));
+        }
+
+        // Ready-made words would clear on the first drop
+        const words = wordResolver ? wordResolver.checkForWords(board) : [];
+        const preformed = new Set();
+        words.forEach(({ word, positions }) => {
+            problems.push(`The starting board already has the word ${word}`);
+            positions.forEach(({ index }) => preformed.add(index));
+        });
+
+        return { level: problems.length === 0 ? level : null, problems, preformed };
+    }
+
+    /**
+     * Show validation problems (or that the level is ready)
+     * @param {string[]} problems - Problems found
+     */
+    renderMessages(problems) {
+        this.messages.innerHTML = '';
+        const lines = problems.length > 0 ? problems.map(problem => `⚠️ ${problem}`) : ['✅ Level is valid'];
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            this.messages.appendChild(item);
+        });
+        this.messages.classList.toggle('valid', problems.length === 0);
+    }
+
+    /**
+     * Open the game in a new tab playing this level
+     */
+    testPlay() {
+        if (!this.validate()) return;
+
+        const url = new URL(GAME_PAGE, window.location.href);
+        url.searchParams.set('level', LevelLoader.encode(this.level));
+        window.open(url.toString(), '_blank');
+    }
+
+    /**
+     * Download the level file (<id>.json)
+     */
+    download() {
+        if (!this.validate()) return;
+
+        const blob = new Blob([LevelLoader.stringify(this.level)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.level.id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Copy the level file to the clipboard
+     */
+    async copy() {
+        if (!this.validate()) return;
+
+        try {
+            await navigator.clipboard.writeText(LevelLoader.stringify(this.level));
+            this.copyBtn.textContent = 'Copied!';
+        } catch (error) {
+            console.warn('LevelEditor: Failed to copy:', error.message);
+            this.output.select();
+            this.copyBtn.textContent = 'Select + copy below';
+        }
+        setTimeout(() => { this.copyBtn.textContent = 'Copy JSON'; }, 1500);
+    }
+}
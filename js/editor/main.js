@@ -0,0 +1,13 @@
+import { LevelEditor } from './LevelEditor.js';
+
+/**
+ * Level editor entry point (editor.html)
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const editor = new LevelEditor();
+    
+    editor.init().then(() => {
+        // Expose the editor for console access
+        window.editor = editor;
+    });
+});
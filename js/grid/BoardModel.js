@@ -0,0 +1,202 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * BoardModel class - Pure data model of the letter grid
+ * Owns cell letters and column heights so game rules can run without a DOM
+ * (GridController renders from this model; WordResolver reads from it)
+ *
+ * Cells are addressed by (row, col) with row 0 at the top, matching the grid DOM.
+ * Empty cells hold an empty string.
+ */
+export class BoardModel {
+    /**
+     * @param {number} rows - Number of rows (default: CONFIG.GRID.ROWS)
+     * @param {number} columns - Number of columns (default: CONFIG.GRID.COLUMNS)
+     */
+    constructor(rows = CONFIG.GRID.ROWS, columns = CONFIG.GRID.COLUMNS) {
+        this.rows = rows;
+        this.columns = columns;
+        this.cells = Array.from({ length: rows }, () => Array(columns).fill(''));
+    }
+
+    /**
+     * Create a board from a 2D array of letters (e.g., CONFIG.DEBUG_GRID)
+     * @param {string[][]} pattern - Rows of letters, '' for empty cells
+     * @returns {BoardModel} New board containing the pattern
+     */
+    static fromArray(pattern) {
+        const board = new BoardModel(pattern.length, pattern[0]?.length || CONFIG.GRID.COLUMNS);
+        board.loadPattern(pattern);
+        return board;
+    }
+
+    /**
+     * Convert a (row, col) position to a flat grid index
+     */
+    getIndex(row, col) {
+        return row * this.columns + col;
+    }
+
+    /**
+     * Check whether a position lies on the board
+     */
+    isInBounds(row, col) {
+        return row >= 0 && row < this.rows && col >= 0 && col < this.columns;
+    }
+
+    /**
+     * Get the letter at a position
+     * @returns {string} Letter, or '' when empty or out of bounds
+     */
+    getLetter(row, col) {
+        if (!this.isInBounds(row, col)) return '';
+        return this.cells[row][col];
+    }
+
+    /**
+     * Set the letter at a position ('' clears the cell)
+     */
+    setLetter(row, col, letter) {
+        if (!this.isInBounds(row, col)) return;
+        this.cells[row][col] = letter || '';
+    }
+
+    isFilled(row, col) {
+        return this.getLetter(row, col) !== '';
+    }
+
+    /**
+     * Number of filled cells stacked contiguously from the bottom of a column
+     * @param {number} col - Column index
+     * @returns {number} Column height (0 to rows)
+     */
+    getColumnHeight(col) {
+        let height = 0;
+        for (let row = this.rows - 1; row >= 0; row--) {
+            if (!this.isFilled(row, col)) break;
+            height++;
+        }
+        return height;
+    }
+
+    /**
+     * Column heights for every column
+     * @returns {number[]} Array of heights indexed by column
+     */
+    getColumnHeights() {
+        return Array.from({ length: this.columns }, (_, col) => this.getColumnHeight(col));
+    }
+
+    isColumnFull(col) {
+        return this.getColumnHeight(col) >= this.rows;
+    }
+
+    /**
+     * Row a letter dropped into this column would land on
+     * @returns {number} Row index (-1 when the column is full)
+     */
+    getLowestAvailableRow(col) {
+        return this.rows - 1 - this.getColumnHeight(col);
+    }
+
+    /**
+     * Drop a letter into a column
+     * @param {number} col - Column index
+     * @param {string} letter - Letter to place
+     * @returns {number} Row the letter landed on, or -1 if the column is full
+     */
+    dropLetter(col, letter) {
+        if (this.isColumnFull(col)) return -1;
+        const row = this.getLowestAvailableRow(col);
+        this.setLetter(row, col, letter);
+        return row;
+    }
+
+    /**
+     * Clear the given cells
+     * @param {Array<{row: number, col: number}>} positions - Cells to clear
+     */
+    clearPositions(positions) {
+        positions.forEach(({ row, col }) => this.setLetter(row, col, ''));
+    }
+
+    /**
+     * Apply gravity - letters fall down to fill empty cells below them
+     * @returns {Array<{col: number, fromRow: number, toRow: number}>} Letters that moved
+     */
+    applyGravity() {
+        const moves = [];
+
+        for (let col = 0; col < this.columns; col++) {
+            // Next free row to settle into, scanning bottom to top
+            let writeRow = this.rows - 1;
+
+            for (let row = this.rows - 1; row >= 0; row--) {
+                const letter = this.cells[row][col];
+                if (letter === '') continue;
+
+                if (row !== writeRow) {
+                    this.cells[writeRow][col] = letter;
+                    this.cells[row][col] = '';
+                    moves.push({ col, fromRow: row, toRow: writeRow });
+                }
+                writeRow--;
+            }
+        }
+
+        return moves;
+    }
+
+    /**
+     * Replace the board contents with a 2D letter pattern
+     * @param {string[][]} pattern - Rows of letters, '' for empty cells
+     */
+    loadPattern(pattern) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.columns; col++) {
+                this.cells[row][col] = (pattern[row] && pattern[row][col]) || '';
+            }
+        }
+    }
+
+    /**
+     * Empty every cell
+     */
+    clear() {
+        this.cells.forEach(row => row.fill(''));
+    }
+
+    /**
+     * Count filled cells on the board
+     */
+    getFilledCount() {
+        return this.cells.reduce((sum, row) => sum + row.filter(letter => letter !== '').length, 0);
+    }
+
+    isEmpty() {
+        return this.getFilledCount() === 0;
+    }
+
+    /**
+     * Check if every cell is filled (no column can take another letter)
+     */
+    isFull() {
+        return this.getFilledCount() === this.rows * this.columns;
+    }
+
+    /**
+     * Copy of the cells as a 2D array (same format as CONFIG.DEBUG_GRID)
+     */
+    toArray() {
+        return this.cells.map(row => row.slice());
+    }
+
+    /**
+     * Independent copy of this board (for simulations)
+     */
+    clone() {
+        const copy = new BoardModel(this.rows, this.columns);
+        copy.loadPattern(this.cells);
+        return copy;
+    }
+}
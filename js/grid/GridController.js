@@ -51,90 +51,69 @@ export class GridController {
 
     // Apply gravity - make letters fall down after cells are cleared
     applyGravity() {
-        let moved = false;
-        
-        // Process each column from bottom to top
-        for (let col = 0; col < CONFIG.GRID.COLUMNS; col++) {
-            // Start from bottom row and work upwards
-            for (let row = CONFIG.GRID.ROWS - 1; row >= 0; row--) {
-                const currentIndex = row * CONFIG.GRID.COLUMNS + col;
-                const currentSquare = this.dom.getGridSquare(currentIndex);
-                
-                // If current cell is empty, look for filled cells above it
-                if (!currentSquare.classList.contains('filled')) {
-                    // Search upwards for a filled cell
-                    for (let searchRow = row - 1; searchRow >= 0; searchRow--) {
-                        const searchIndex = searchRow * CONFIG.GRID.COLUMNS + col;
-                        const searchSquare = this.dom.getGridSquare(searchIndex);
-                        
-                        if (searchSquare.classList.contains('filled')) {
-                            // Move the letter down
-                            currentSquare.textContent = searchSquare.textContent;
-                            currentSquare.classList.add('filled');
-                            searchSquare.textContent = '';
-                            searchSquare.classList.remove('filled');
-                            moved = true;
-                            break; // Found a letter to move, continue with next empty cell
-                        }
-                    }
-                }
-            }
-        }
-        
-        // Update column fill counts
-        this.updateColumnFillCounts();
-        
-        return moved;
+        const moves = this.gameState.board.applyGravity();
+        this.render();
+        return moves.length > 0;
     }
 
-    // Update column fill counts based on actual grid state
-    updateColumnFillCounts() {
-        for (let col = 0; col < CONFIG.GRID.COLUMNS; col++) {
-            let count = 0;
-            for (let row = CONFIG.GRID.ROWS - 1; row >= 0; row--) {
-                const index = row * CONFIG.GRID.COLUMNS + col;
-                const square = this.dom.getGridSquare(index);
-                if (square.classList.contains('filled')) {
-                    count++;
-                } else {
-                    break; // Stop counting when we hit an empty cell
-                }
+    /**
+     * Render the board model into the grid squares
+     * The board model is the source of truth; squares only mirror its letters
+     */
+    render() {
+        const board = this.gameState.board;
+        
+        for (let row = 0; row < board.rows; row++) {
+            for (let col = 0; col < board.columns; col++) {
+                const square = this.dom.getGridSquare(board.getIndex(row, col));
+                if (!square) continue;
+                
+                const letter = board.getLetter(row, col);
+                square.textContent = letter;
+                square.classList.toggle('filled', letter !== '');
             }
-            this.gameState.columnFillCounts[col] = count;
         }
     }
 
     // Load debug grid pattern for testing (only in DEBUG mode)
     loadDebugGrid() {
-        if (!FeatureFlags.isEnabled('debug.gridPattern') || !CONFIG.DEBUG_GRID) {
+        if (!CONFIG.DEBUG_GRID) {
             return;
         }
 
         console.log('🔧 Loading debug grid pattern...');
 
-        // Iterate through the debug grid pattern
-        for (let row = 0; row < CONFIG.GRID.ROWS; row++) {
-            for (let col = 0; col < CONFIG.GRID.COLUMNS; col++) {
-                const letter = CONFIG.DEBUG_GRID[row][col];
-                
-                if (letter && letter !== '') {
-                    const index = row * CONFIG.GRID.COLUMNS + col;
-                    const square = this.dom.getGridSquare(index);
-                    
-                    if (square) {
-                        square.textContent = letter;
-                        square.classList.add('filled');
-                    }
-                }
-            }
-        }
-
-        // Update column fill counts to match the debug grid
-        this.updateColumnFillCounts();
+        this.gameState.board.loadPattern(CONFIG.DEBUG_GRID);
+        this.render();
         
         console.log('✅ Debug grid loaded successfully');
     }
 
+    /**
+     * Highlight a hint: its column, and the squares of the words the drop would make
+     * (first pass only - later cascade words form after letters have moved)
+     * @param {Object} hint - Outcome from HintAdvisor.findBestMove
+     */
+    showHint(hint) {
+        this.clearHint();
+        
+        const wordCells = new Set(hint.words
+            .filter(({ cascade }) => cascade === 1)
+            .flatMap(({ positions }) => positions.map(({ index }) => index)));
+        
+        this.dom.getAllGridSquares().forEach(square => {
+            square.classList.toggle('hint-column', parseInt(square.dataset.column) === hint.column);
+            square.classList.toggle('hint-word', wordCells.has(parseInt(square.dataset.index)));
+        });
+    }
+
+    // Remove hint highlights
+    clearHint() {
+        this.dom.getAllGridSquares().forEach(square => {
+            square.classList.remove('hint-column', 'hint-word');
+        });
+    }
+
     // Start pulsating animation on all grid squares
     startPulsating() {
         const squares = this.dom.getAllGridSquares();
@@ -0,0 +1,68 @@
+import { CONFIG } from '../config.js';
+import { ScoreClient } from './ScoreClient.js';
+import { LeaderboardView } from '../menu/LeaderboardView.js';
+
+/**
+ * LeaderboardController class - Submitting finished games to the leaderboards and showing the boards
+ * A game is submitted with its move log, so the server can replay it and check the score.
+ * Each game can only be submitted once (the logs already sent are remembered).
+ */
+export class LeaderboardController {
+    constructor() {
+        this.client = new ScoreClient();
+        this.view = new LeaderboardView();
+        this.submitted = new WeakSet();
+    }
+
+    /**
+     * Check if a mode has a leaderboard
+     * @param {string} mode - Mode id
+     * @returns {boolean} True for the modes in CONFIG.LEADERBOARD.MODES
+     */
+    hasBoard(mode) {
+        return CONFIG.LEADERBOARD.MODES.includes(mode);
+    }
+
+    /**
+     * Submit a finished game's score, then show the board it made
+     * Logged-in players submit under their display name; guests are asked for a name
+     * @param {Object} stats - Stats from ScoreController.getStats()
+     * @param {MoveLog} log - The game's move log
+     * @param {Object|null} account - Logged-in account, or null for a guest
+     * @returns {Promise<string|null>} Status label for the submit button
+     */
+    async submit(stats, log, account) {
+        if (this.submitted.has(log)) return 'Already submitted';
+
+        const name = account ? account.displayName : prompt('Name for the leaderboard:', this.client.loadName())?.trim();
+        if (!name) return null;
+        if (!account) this.client.saveName(name);
+
+        try {
+            const { score, ranks } = await this.client.submit({
+                name,
+                mode: log.mode,
+                seed: log.seed,
+                score: stats.totalScore,
+                words: stats.totalWords,
+                log: log.toJSON()
+            });
+            this.submitted.add(log);
+            console.log(`🏆 Score submitted: #${ranks.daily} today, #${ranks.all} all time`);
+            this.view.show(this.client, { mode: log.mode, window: 'daily', highlightId: score.id });
+            return `#${ranks.daily} today`;
+        } catch (error) {
+            console.warn('LeaderboardController: Failed to submit score:', error.message);
+            return 'Not submitted';
+        }
+    }
+
+    /**
+     * Show the leaderboards until Back is pressed
+     * @param {string} mode - Mode to open on
+     * @returns {Promise<void>} Resolves when closed
+     */
+    show(mode) {
+        return this.view.show(this.client, { mode });
+    }
+}
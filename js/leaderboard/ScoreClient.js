@@ -0,0 +1,69 @@
+import { CONFIG } from '../config.js';
+import { ApiClient } from '../core/ApiClient.js';
+
+// localStorage key for the name scores were last submitted under
+const NAME_KEY = 'noodel.leaderboardName';
+
+/**
+ * ScoreClient class - REST client for the leaderboard (routes in server/scoreRoutes.js)
+ * Boards are per mode (CONFIG.LEADERBOARD.MODES), over a window ('daily', 'weekly' or
+ * 'all'), optionally for one seed only.
+ */
+export class ScoreClient extends ApiClient {
+    /**
+     * @param {string} baseURL - Scores endpoint (defaults to the page's own server)
+     */
+    constructor(baseURL = CONFIG.LEADERBOARD.API_PATH) {
+        super(baseURL);
+    }
+
+    /**
+     * Fetch one page of a board
+     * @param {Object} query - Board to show
+     * @param {string} query.mode - Mode id
+     * @param {string} query.window - 'daily', 'weekly' or 'all'
+     * @param {string|null} query.seed - Only scores on this seed
+     * @param {number} query.page - Page number, from 1
+     * @returns {Promise<Object>} { scores: [{ rank, id, name, score, words }], page, pageSize, total }
+     */
+    query({ mode, window, seed = null, page = 1 }) {
+        const params = new URLSearchParams({ mode, window, page: String(page) });
+        if (seed !== null) {
+            params.set('seed', String(seed));
+        }
+        return this.request('GET', `?${params}`);
+    }
+
+    /**
+     * Submit a finished game's score
+     * @param {Object} submission - { name, mode, seed, score, words, log } (log: MoveLog.toJSON(), replayed by the server)
+     * @returns {Promise<Object>} { score, ranks: { daily, weekly, all } }
+     */
+    submit(submission) {
+        return this.request('POST', '', submission);
+    }
+
+    /**
+     * Name the last score was submitted under
+     * @returns {string} Name, or '' if none
+     */
+    loadName() {
+        try {
+            return globalThis.localStorage?.getItem(NAME_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Remember the name for the next submission
+     * @param {string} name - Player name
+     */
+    saveName(name) {
+        try {
+            globalThis.localStorage?.setItem(NAME_KEY, name);
+        } catch (error) {
+            console.warn('ScoreClient: Failed to save name:', error.message);
+        }
+    }
+}
@@ -13,13 +13,8 @@ export class LetterController {
     initialize() {
         this.gameState.nextLetters = [];
         for (let i = 0; i < CONFIG.GAME.PREVIEW_COUNT; i++) {
-            if (this.gameState.currentLetterIndex < this.gameState.letterSequence.length) {
-                this.gameState.nextLetters.push(this.gameState.letterSequence[this.gameState.currentLetterIndex]);
-                this.gameState.currentLetterIndex++;
-            } else {
-                // No more letters available
-                this.gameState.nextLetters.push('');
-            }
+            // '' once no more letters are available
+            this.gameState.nextLetters.push(this.gameState.takeNextLetter());
         }
     }
 
@@ -52,14 +47,8 @@ export class LetterController {
         // Remove first letter and add new one at the end
         this.gameState.nextLetters.shift();
         
-        // Check if we've reached the end of the letter sequence
-        if (this.gameState.currentLetterIndex < this.gameState.letterSequence.length) {
-            this.gameState.nextLetters.push(this.gameState.letterSequence[this.gameState.currentLetterIndex]);
-            this.gameState.currentLetterIndex++;
-        } else {
-            // No more letters - push empty string
-            this.gameState.nextLetters.push('');
-        }
+        // Empty string once the letter sequence runs out (never in unlimited-letter modes)
+        this.gameState.nextLetters.push(this.gameState.takeNextLetter());
         
         // Update display
         this.display();
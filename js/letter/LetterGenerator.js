@@ -1,46 +1,57 @@
+// Letter frequency based on English language usage
+// Frequencies are approximate percentages from corpus analysis
+const DEFAULT_FREQUENCIES = [
+  { letter: 'E', weight: 12.70 },
+  { letter: 'T', weight: 9.06 },
+  { letter: 'A', weight: 8.17 },
+  { letter: 'O', weight: 7.51 },
+  { letter: 'I', weight: 6.97 },
+  { letter: 'N', weight: 6.75 },
+  { letter: 'S', weight: 6.33 },
+  { letter: 'H', weight: 6.09 },
+  { letter: 'R', weight: 5.99 },
+  { letter: 'D', weight: 4.25 },
+  { letter: 'L', weight: 4.03 },
+  { letter: 'C', weight: 2.78 },
+  { letter: 'U', weight: 2.76 },
+  { letter: 'M', weight: 2.41 },
+  { letter: 'W', weight: 2.36 },
+  { letter: 'F', weight: 2.23 },
+  { letter: 'G', weight: 2.02 },
+  { letter: 'Y', weight: 1.97 },
+  { letter: 'P', weight: 1.93 },
+  { letter: 'B', weight: 1.29 },
+  { letter: 'V', weight: 0.98 },
+  { letter: 'K', weight: 0.77 },
+  { letter: 'J', weight: 0.15 },
+  { letter: 'X', weight: 0.15 },
+  { letter: 'Q', weight: 0.10 },
+  { letter: 'Z', weight: 0.07 }
+];
+
 /**
  * LetterGenerator
  * Generates letters based on English language frequency distributions
  * with constraints to avoid repetitive patterns
  */
 class LetterGenerator {
-  constructor(numberOfLetters) {
+  /**
+   * @param {number} numberOfLetters - How many letters this generator may produce
+   * @param {Function} random - Random source returning floats in [0, 1)
+   *                            (defaults to Math.random; pass a seeded PRNG for reproducible games)
+   * @param {Array<{letter: string, weight: number}>} frequencies - Letter weights
+   *                            (defaults to the game's; see LetterGenerator.createFrequencies)
+   */
+  constructor(numberOfLetters, random = Math.random, frequencies = DEFAULT_FREQUENCIES) {
     this.numberOfLetters = numberOfLetters;
+    this.random = random;
     this.generatedLetters = [];
     
     // Define vowels and consonants
     this.vowels = new Set(['A', 'E', 'I', 'O', 'U']);
     
-    // Letter frequency based on English language usage
-    // Frequencies are approximate percentages from corpus analysis
-    this.letterFrequencies = [
-      { letter: 'E', weight: 12.70 },
-      { letter: 'T', weight: 9.06 },
-      { letter: 'A', weight: 8.17 },
-      { letter: 'O', weight: 7.51 },
-      { letter: 'I', weight: 6.97 },
-      { letter: 'N', weight: 6.75 },
-      { letter: 'S', weight: 6.33 },
-      { letter: 'H', weight: 6.09 },
-      { letter: 'R', weight: 5.99 },
-      { letter: 'D', weight: 4.25 },
-      { letter: 'L', weight: 4.03 },
-      { letter: 'C', weight: 2.78 },
-      { letter: 'U', weight: 2.76 },
-      { letter: 'M', weight: 2.41 },
-      { letter: 'W', weight: 2.36 },
-      { letter: 'F', weight: 2.23 },
-      { letter: 'G', weight: 2.02 },
-      { letter: 'Y', weight: 1.97 },
-      { letter: 'P', weight: 1.93 },
-      { letter: 'B', weight: 1.29 },
-      { letter: 'V', weight: 0.98 },
-      { letter: 'K', weight: 0.77 },
-      { letter: 'J', weight: 0.15 },
-      { letter: 'X', weight: 0.15 },
-      { letter: 'Q', weight: 0.10 },
-      { letter: 'Z', weight: 0.07 }
-    ];
+    // Letter weights
+    this.letterFrequencies = frequencies;
     
     // Create cumulative weights for weighted random selection
     this.cumulativeWeights = [];
@@ -52,6 +63,36 @@ class LetterGenerator {
     this.totalWeight = sum;
   }
   
+  /**
+   * The game's letter weights, highest first
+   * @returns {Array<{letter: string, weight: number}>} Copy of the weight table
+   */
+  static getFrequencies() {
+    return DEFAULT_FREQUENCIES.map(item => ({ ...item }));
+  }
+  
+  /**
+   * Weight table with some weights changed, to pass to a generator (balance simulator)
+   * Letters that aren't given keep their default weight; a weight of 0 takes a letter out
+   * @param {Object} weights - Weight by letter, e.g. { E: 11, Q: 0.3 }
+   * @returns {Array<{letter: string, weight: number}>} Weight table, highest first
+   */
+  static createFrequencies(weights) {
+    const table = new Map(DEFAULT_FREQUENCIES.map(({ letter, weight }) => [letter, weight]));
+    
+    Object.entries(weights).forEach(([letter, weight]) => {
+      if (!/^[A-Z]$/i.test(letter) || !Number.isFinite(weight) || weight < 0) {
+        throw new Error(`LetterGenerator: Invalid weight ${letter}=${weight}`);
+      }
+      table.set(letter.toUpperCase(), weight);
+    });
+    
+    return [...table]
+      .filter(([, weight]) => weight > 0)
+      .map(([letter, weight]) => ({ letter, weight }))
+      .sort((a, b) => b.weight - a.weight);
+  }
+  
   /**
    * Generates a single letter following the constraints
    * @returns {string} A single uppercase letter
@@ -85,7 +126,7 @@ class LetterGenerator {
    * @returns {string} A single uppercase letter
    */
   getWeightedRandomLetter() {
-    const random = Math.random() * this.totalWeight;
+    const random = this.random() * this.totalWeight;
     
     for (const item of this.cumulativeWeights) {
       if (random <= item.cumWeight) {
@@ -0,0 +1,68 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generators
+ * Same seed → same sequence, so games can be shared and reproduced exactly
+ */
+
+/**
+ * Hash a seed (string or number) into a 32-bit unsigned integer (FNV-1a)
+ * Numeric seeds that are already 32-bit integers are used as-is
+ * @param {string|number} seed - Seed value
+ * @returns {number} 32-bit unsigned integer
+ */
+export function hashSeed(seed) {
+    if (Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF) {
+        return seed;
+    }
+
+    const text = String(seed);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random function (mulberry32)
+ * Drop-in replacement for Math.random: returns floats in [0, 1)
+ * @param {string|number} seed - Seed value
+ * @returns {Function} () => number
+ */
+export function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a fresh random seed for a new game
+ * @returns {number} 32-bit unsigned integer seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Normalize a seed from user input (e.g., a ?seed= URL parameter)
+ * Digit-only strings become numbers so "42" and 42 play the same game
+ * @param {string|number|null} value - Raw seed value
+ * @returns {string|number|null} Normalized seed, or null if empty
+ */
+export function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (text === '') return null;
+
+    if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) {
+        return Number(text);
+    }
+    return text;
+}
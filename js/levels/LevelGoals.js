@@ -0,0 +1,91 @@
+/**
+ * LevelGoals - Goals a puzzle level can set, and how they are checked
+ * A level is complete once all of its goals are met. Goals are read from
+ * GameState only (board, score, levelWords), so they also check headless.
+ */
+
+// Goal types and the fields each one takes
+export const GoalTypes = {
+    CLEAR_BOARD: 'clearBoard',  // { type } - no letters left on the board
+    WORD_LENGTH: 'wordLength',  // { type, length } - make a word of at least this many letters
+    WORD: 'word',               // { type, word } - make this exact word
+    SCORE: 'score',             // { type, points } - reach this score
+    WORD_COUNT: 'wordCount'     // { type, count } - make this many words
+};
+
+// The value field of each goal type (clearBoard has none)
+export const GoalFields = {
+    [GoalTypes.WORD_LENGTH]: 'length',
+    [GoalTypes.WORD]: 'word',
+    [GoalTypes.SCORE]: 'points',
+    [GoalTypes.WORD_COUNT]: 'count'
+};
+
+/**
+ * Check if a goal has been met
+ * @param {Object} goal - Goal from a level
+ * @param {GameState} state - Game state (level words, board, score)
+ * @returns {boolean} True if met
+ */
+export function isGoalMet(goal, state) {
+    switch (goal.type) {
+        case GoalTypes.CLEAR_BOARD:
+            return state.board.isEmpty();
+        case GoalTypes.WORD_LENGTH:
+            return state.levelWords.some(word => word.length >= goal.length);
+        case GoalTypes.WORD:
+            return state.levelWords.includes(goal.word);
+        case GoalTypes.SCORE:
+            return state.score >= goal.points;
+        case GoalTypes.WORD_COUNT:
+            return state.levelWords.length >= goal.count;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Short description of a goal for the HUD, level select and summary card
+ * @param {Object} goal - Goal from a level
+ * @returns {string} Description
+ */
+export function describeGoal(goal) {
+    switch (goal.type) {
+        case GoalTypes.CLEAR_BOARD:
+            return 'Clear the board';
+        case GoalTypes.WORD_LENGTH:
+            return `Make a ${goal.length}-letter word`;
+        case GoalTypes.WORD:
+            return `Make ${goal.word}`;
+        case GoalTypes.SCORE:
+            return `Score ${goal.points} points`;
+        case GoalTypes.WORD_COUNT:
+            return `Make ${goal.count} words`;
+        default:
+            return goal.type;
+    }
+}
+
+/**
+ * Check a goal's fields
+ * @param {Object} goal - Goal from a level file
+ * @returns {string|null} What is wrong with the goal, or null if valid
+ */
+export function validateGoal(goal) {
+    const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+    switch (goal?.type) {
+        case GoalTypes.CLEAR_BOARD:
+            return null;
+        case GoalTypes.WORD_LENGTH:
+            return isPositiveInteger(goal.length) && goal.length >= 3 ? null : 'wordLength goal needs a length of 3 or more';
+        case GoalTypes.WORD:
+            return typeof goal.word === 'string' && /^[A-Z]{3,}$/.test(goal.word) ? null : 'word goal needs an uppercase word of 3+ letters';
+        case GoalTypes.SCORE:
+            return isPositiveInteger(goal.points) ? null : 'score goal needs positive points';
+        case GoalTypes.WORD_COUNT:
+            return isPositiveInteger(goal.count) ? null : 'wordCount goal needs a positive count';
+        default:
+            return `unknown goal type '${goal?.type}'`;
+    }
+}
@@ -0,0 +1,191 @@
+import { CONFIG } from '../config.js';
+import { validateGoal } from './LevelGoals.js';
+
+// Campaign file: level file names in play order
+const CAMPAIGN_FILE = 'levels/index.json';
+
+// Level names and descriptions are plain text of bounded length (levels also arrive in share links)
+const MAX_NAME_LENGTH = 40;
+const MAX_DESCRIPTION_LENGTH = 200;
+const PLAIN_TEXT = /^[^<>\u0000-\u001f\u007f]*$/;
+
+/**
+ * LevelLoader class - Loads and validates puzzle levels from JSON level files
+ *
+ * LEVEL FORMAT (levels/<name>.json):
+ *   {
+ *     "id": "first-words",                 // Unique id (progress is stored under it)
+ *     "name": "First Words",
+ *     "description": "Optional hint text",
+ *     "board": [[...7 cells], ...6 rows],  // Starting board, same layout as CONFIG.DEBUG_GRID
+ *                                          // (row 0 is the top, '' is empty; no floating letters)
+ *     "letters": "CATS",                   // Fixed letter sequence, dealt in order
+ *     "moveLimit": 4,                      // Optional, defaults to the number of letters
+ *     "goals": [{ "type": "clearBoard" }]  // See GoalTypes; all must be met
+ *   }
+ */
+export class LevelLoader {
+    /**
+     * Load every level listed in the campaign file, in order
+     * Levels that fail to load or validate are skipped with a warning
+     * @param {Function} readText - Async (filepath) => file text; defaults to fetch (pass an fs reader in Node)
+     * @returns {Promise<Object[]>} Validated levels
+     */
+    static async loadCampaign(readText = LevelLoader.fetchText) {
+        const campaign = JSON.parse(await readText(CAMPAIGN_FILE));
+        const levels = [];
+
+        for (const file of campaign.levels || []) {
+            try {
+                const level = LevelLoader.parse(JSON.parse(await readText(`levels/${file}`)));
+                if (levels.some(other => other.id === level.id)) {
+                    throw new Error(`LevelLoader: Duplicate level id '${level.id}'`);
+                }
+                levels.push(level);
+            } catch (error) {
+                console.warn(`LevelLoader: Skipping ${file}:`, error.message);
+            }
+        }
+
+        console.log(`🧩 Loaded ${levels.length} puzzle levels`);
+        return levels;
+    }
+
+    /**
+     * Fetch a text file (browser)
+     * @param {string} filepath - Path to the file
+     * @returns {Promise<string>} File contents
+     */
+    static async fetchText(filepath) {
+        const response = await fetch(filepath);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return response.text();
+    }
+
+    /**
+     * Validate level data and fill in defaults
+     * @param {Object} data - Parsed level file
+     * @returns {Object} Level ({ id, name, description, board, letters, moveLimit, goals })
+     * @throws {Error} If the level is not valid
+     */
+    static parse(data) {
+        const fail = (message) => {
+            throw new Error(`LevelLoader: Level '${data?.id}' ${message}`);
+        };
+
+        if (typeof data?.id !== 'string' || !data.id) fail('has no id');
+        if (typeof data.name !== 'string' || !data.name.trim()) fail('has no name');
+        if (data.name.length > MAX_NAME_LENGTH || !PLAIN_TEXT.test(data.name)) {
+            fail(`needs a name of plain text, at most ${MAX_NAME_LENGTH} characters`);
+        }
+        const description = data.description ?? '';
+        if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH || !PLAIN_TEXT.test(description)) {
+            fail(`needs a description of plain text, at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+
+        const board = LevelLoader.parseBoard(data.board, fail);
+
+        if (typeof data.letters !== 'string' || !/^[A-Za-z]+$/.test(data.letters)) {
+            fail('needs a letter sequence of A-Z letters');
+        }
+        const letters = data.letters.toUpperCase();
+
+        const moveLimit = data.moveLimit ?? letters.length;
+        if (!Number.isInteger(moveLimit) || moveLimit < 1 || moveLimit > letters.length) {
+            fail(`has a move limit of ${moveLimit}; it must be between 1 and the number of letters (${letters.length})`);
+        }
+
+        if (!Array.isArray(data.goals) || data.goals.length === 0) fail('has no goals');
+        data.goals.forEach(goal => {
+            const problem = validateGoal(goal);
+            if (problem) fail(`has an invalid goal: ${problem}`);
+        });
+
+        return {
+            id: data.id,
+            name: data.name.trim(),
+            description: description.trim(),
+            board,
+            letters,
+            moveLimit,
+            goals: data.goals.map(goal => ({ ...goal }))
+        };
+    }
+
+    /**
+     * Level file text, laid out like the files in levels/ (one board row per line)
+     * @param {Object} level - Level (as returned by parse)
+     * @returns {string} JSON text
+     */
+    static stringify(level) {
+        const fields = [
+            `    "id": ${JSON.stringify(level.id)}`,
+            `    "name": ${JSON.stringify(level.name)}`,
+            `    "description": ${JSON.stringify(level.description)}`,
+            `    "board": [\n${level.board.map(row => `        ${JSON.stringify(row).replace(/,/g, ', ')}`).join(',\n')}\n    ]`,
+            `    "letters": ${JSON.stringify(level.letters)}`
+        ];
+        if (level.moveLimit !== level.letters.length) {
+            fields.push(`    "moveLimit": ${level.moveLimit}`);
+        }
+        fields.push(`    "goals": [\n${level.goals.map(goal => `        ${JSON.stringify(goal).replace(/,/g, ', ').replace(/:/g, ': ')}`).join(',\n')}\n    ]`);
+
+        return `{\n${fields.join(',\n')}\n}\n`;
+    }
+
+    /**
+     * Encode a level as a URL-safe string (for ?level= test-play links from the editor)
+     * @param {Object} level - Level
+     * @returns {string} Base64url-encoded level
+     */
+    static encode(level) {
+        const bytes = new TextEncoder().encode(JSON.stringify(level));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a string produced by encode()
+     * @param {string} code - Base64url-encoded level
+     * @returns {Object} Validated level
+     * @throws {Error} If the code is not a valid level
+     */
+    static decode(code) {
+        const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return LevelLoader.parse(JSON.parse(new TextDecoder().decode(bytes)));
+    }
+
+    /**
+     * Validate a starting board (CONFIG.GRID size, single letters, no letter above an empty cell)
+     * @param {Array} board - Board rows from the level file
+     * @param {Function} fail - Throws with a message
+     * @returns {string[][]} Board with uppercase letters
+     */
+    static parseBoard(board, fail) {
+        const { ROWS, COLUMNS } = CONFIG.GRID;
+
+        if (!Array.isArray(board) || board.length !== ROWS ||
+            !board.every(row => Array.isArray(row) && row.length === COLUMNS)) {
+            fail(`needs a ${ROWS}x${COLUMNS} board`);
+        }
+        if (!board.every(row => row.every(cell => cell === '' || /^[A-Za-z]$/.test(cell)))) {
+            fail('has a board cell that is not a single letter or empty');
+        }
+
+        for (let col = 0; col < COLUMNS; col++) {
+            for (let row = 1; row < ROWS; row++) {
+                if (board[row - 1][col] && !board[row][col]) {
+                    fail(`has a floating letter in column ${col}`);
+                }
+            }
+        }
+
+        return board.map(row => row.map(cell => cell.toUpperCase()));
+    }
+}
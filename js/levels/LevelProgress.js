@@ -0,0 +1,100 @@
+// localStorage key for puzzle level results
+const STORAGE_KEY = 'noodel.levels';
+
+/**
+ * LevelProgress class - Completed puzzle levels and unlock progression
+ * The first level is always open; every other level unlocks when the one before it
+ * is completed. Best results are kept per level id in localStorage.
+ */
+export class LevelProgress {
+    /**
+     * @param {Storage|null} storage - Storage backend (defaults to localStorage, in-memory if unavailable)
+     */
+    constructor(storage = globalThis.localStorage ?? null) {
+        this.storage = storage;
+        this.memory = null; // Fallback when no storage backend is available
+    }
+
+    /**
+     * Load all level results from storage
+     * @returns {Object} Map of level id → result
+     */
+    loadResults() {
+        if (!this.storage) {
+            return this.memory || {};
+        }
+
+        try {
+            const raw = this.storage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.warn('LevelProgress: Failed to read results:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Save all level results to storage
+     * @param {Object} results - Map of level id → result
+     */
+    saveResults(results) {
+        if (!this.storage) {
+            this.memory = results;
+            return;
+        }
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(results));
+        } catch (error) {
+            console.warn('LevelProgress: Failed to save results:', error.message);
+        }
+    }
+
+    /**
+     * Get the best result for a level
+     * @param {string} levelId - Level id
+     * @returns {{bestScore: number, fewestMoves: number, completedAt: number}|null} Result, or null if never completed
+     */
+    getResult(levelId) {
+        return this.loadResults()[levelId] || null;
+    }
+
+    /**
+     * Check if a level has been completed
+     * @param {string} levelId - Level id
+     * @returns {boolean} True if completed at least once
+     */
+    isCompleted(levelId) {
+        return this.getResult(levelId) !== null;
+    }
+
+    /**
+     * Check if a level can be played
+     * @param {Object[]} levels - Campaign levels in order
+     * @param {number} index - Index of the level
+     * @returns {boolean} True if it's the first level or the previous one is completed
+     */
+    isUnlocked(levels, index) {
+        return index === 0 || (index > 0 && index < levels.length && this.isCompleted(levels[index - 1].id));
+    }
+
+    /**
+     * Record a completed level, keeping the best score and fewest moves
+     * @param {string} levelId - Level id
+     * @param {{score: number, moves: number}} result - This completion
+     * @returns {Object} The stored best result
+     */
+    recordResult(levelId, { score, moves }) {
+        const results = this.loadResults();
+        const previous = results[levelId];
+
+        results[levelId] = {
+            bestScore: previous ? Math.max(previous.bestScore, score) : score,
+            fewestMoves: previous ? Math.min(previous.fewestMoves, moves) : moves,
+            completedAt: previous?.completedAt ?? Date.now()
+        };
+        this.saveResults(results);
+
+        return results[levelId];
+    }
+}
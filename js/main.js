@@ -1,11 +1,22 @@
 import { Game } from './core/Game.js';
+import { parseSeed } from './letter/SeededRandom.js';
+import { MoveLog } from './replay/MoveLog.js';
+import { LevelLoader } from './levels/LevelLoader.js';
+import { BotDifficulty } from './ai/BotPlayer.js';
 
 /**
  * Main entry point - Initialize the game when DOM is ready
  * Note: Animation timing is now controlled via CSS custom properties in base.css
  */
 document.addEventListener('DOMContentLoaded', () => {
-    const game = new Game();
+    // Start a specific, reproducible game with ?seed=<value>, watch a shared ?replay=<code>,
+    // test-play a level from the level editor (?level=<code>), or watch the AI play (?bot=<difficulty>)
+    const game = new Game({
+        seed: loadSeedFromURL(),
+        replay: loadReplayFromURL(),
+        level: loadLevelFromURL(),
+        bot: loadBotFromURL()
+    });
     
     // Load feature flags from URL parameters (e.g., ?debug=true&skipAnimations=true)
     loadFeaturesFromURL(game.features);
@@ -13,6 +24,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Log active flags in debug mode
     if (game.features.isEnabled('debug.enabled')) {
         console.log('🚩 Features loaded:', game.features.getAll());
+        console.log(`🎲 Letter sequence seed: ${game.state.seed}`);
     }
     
     game.init().then(() => {
@@ -25,6 +37,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Setup keyboard shortcuts
         setupKeyboardShortcuts(game.sequencer);
+        setupGameShortcuts(game);
         
         if (game.features.isEnabled('debug.enabled')) {
             console.log('🎮 Game initialized. Available console commands:');
@@ -34,6 +47,10 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('  - appState.getAllStates() // Get current states');
             console.log('  - appState.getDebugInfo() // Get state history and listeners');
             console.log('  - Press ESC to skip/speed up animations');
+            console.log('  - Press Ctrl+Z to undo the last move');
+            console.log('  - game.replay.openLatest() // Watch the last finished game');
+            console.log('  - game.replay.seek(10) // Jump to a replay move');
+            console.log('  - game.bot.start("hard") // Let the AI finish this game');
         }
     });
 });
@@ -58,6 +75,8 @@ function loadFeaturesFromURL(features) {
         features.disable('animations.wordHighlight');
         features.disable('animations.letterDrop');
         features.disable('animations.menuFlip');
+        features.disable('animations.gameOverReveal');
+        features.disable('animations.boardReveal');
     }
     
     // Debug grid pattern
@@ -90,6 +109,65 @@ function loadFeaturesFromURL(features) {
     }
 }
 
+/**
+ * Read the letter sequence seed from URL parameters (?seed=...)
+ * @returns {string|number|null} Seed, or null for a random game
+ */
+function loadSeedFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    return parseSeed(params.get('seed'));
+}
+
+/**
+ * Read a shared replay from URL parameters (?replay=...)
+ * @returns {MoveLog|null} Replay log, or null if absent or unreadable
+ */
+function loadReplayFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('replay');
+    if (!code) return null;
+    
+    try {
+        return MoveLog.decode(code);
+    } catch (error) {
+        console.warn('Ignoring invalid replay link:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Read a level to test-play from URL parameters (?level=..., opened by the level editor)
+ * @returns {Object|null} Level, or null if absent or invalid
+ */
+function loadLevelFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('level');
+    if (!code) return null;
+    
+    try {
+        return LevelLoader.decode(code);
+    } catch (error) {
+        console.warn('Ignoring invalid level link:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Read the watch mode bot difficulty from URL parameters (?bot=easy|medium|hard)
+ * @returns {string|null} Difficulty, or null to play yourself
+ */
+function loadBotFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    const difficulty = params.get('bot');
+    if (!difficulty) return null;
+    
+    if (!Object.values(BotDifficulty).includes(difficulty)) {
+        console.warn(`Ignoring unknown bot difficulty: ${difficulty}`);
+        return null;
+    }
+    return difficulty;
+}
+
 /**
  * Setup keyboard shortcuts for animation control
  * @param {AnimationSequencer} sequencer - The animation sequencer instance
@@ -128,3 +206,19 @@ function setupKeyboardShortcuts(sequencer) {
         }
     });
 }
+
+/**
+ * Setup keyboard shortcuts for gameplay actions
+ * @param {Game} game - The game instance
+ */
+function setupGameShortcuts(game) {
+    document.addEventListener('keydown', (e) => {
+        // Ctrl+Z / Cmd+Z - Undo last move (not while watching a replay)
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (!game.replay.isActive()) {
+                game.undo();
+            }
+        }
+    });
+}
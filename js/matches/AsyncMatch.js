@@ -0,0 +1,238 @@
+import { CONFIG } from '../config.js';
+import { GameplayStates } from '../core/GameplayStates.js';
+import { WordItem } from '../word/WordItem.js';
+import { calculateWordScore } from '../scoring/ScoringUtils.js';
+import { MatchList } from '../menu/MatchList.js';
+
+/**
+ * AsyncMatch class - The asynchronous match open on the board, owned by Game
+ * Matches are picked from the player's match list, and the board shows the match as the
+ * server has it (open() replays its moves).
+ * On the player's turn one letter can be dropped; the move is sent to the server, and
+ * once it is accepted the board waits for the opponent. A card says whose turn is next
+ * and leads back to the match list; a match that is over shows how it ended. A move the
+ * server refuses reloads the match.
+ */
+export class AsyncMatch {
+    /**
+     * @param {Game} game - The game instance
+     * @param {MatchClient} client - Match server client
+     */
+    constructor(game, client) {
+        this.game = game;
+        this.client = client;
+        this.list = new MatchList();
+        this.current = null;      // Match as last received from the server
+        this.sending = null;      // Promise of the move being sent
+        this.overlay = null;
+
+        game.appState.on('letterDropped', ({ column }) => this.sendMove(column));
+    }
+
+    /**
+     * Check if a match is open on the board
+     * @returns {boolean} True while playing or viewing a match
+     */
+    isActive() {
+        return this.current !== null;
+    }
+
+    /**
+     * Check if the player may drop a letter now
+     * @returns {boolean} True on the player's turn, with no move waiting for the server
+     */
+    canMove() {
+        return this.isActive() && this.current.yourTurn && !this.sending &&
+            this.game.state.turn === this.current.seat;
+    }
+
+    /**
+     * Show the player's matches and open the one picked
+     * @param {boolean} fromPreview - True if opened from the START preview menu (shown again on Back);
+     *   otherwise Back leaves the screen as it was (the grid menu stays up under the list)
+     */
+    async openList(fromPreview = false) {
+        const match = await this.list.choose(this.client);
+
+        if (!match) {
+            if (fromPreview) this.game.returnToMenu(true);
+            return;
+        }
+        await this.open(match);
+    }
+
+    /**
+     * Put a match on the board: its letters and every move so far, replayed without
+     * animation. On the player's turn the next drop is sent to the match server.
+     * @param {Object} match - Match from MatchClient
+     */
+    async open(match) {
+        const { game } = this;
+
+        // Whatever was on the board gives way to the match
+        game.takeOverBoard();
+        this.begin(match);
+
+        game.state.setPlayers(match.players);
+        game.state.reset(match.seed, match.mode);
+        game.state.started = true;
+        game.letters.initialize();
+        game.score.displayReset();
+        game.beginMoveTracking();
+
+        // Every game starts with the NOODEL title word in the list
+        const noodelDef = game.wordResolver?.dictionary.get('NOODEL') || CONFIG.GAME_INFO.NOODEL_DEFINITION;
+        game.score.addWord(new WordItem('NOODEL', noodelDef, calculateWordScore('NOODEL')));
+
+        for (const column of match.moves) {
+            game.moveLog.record(column, game.state.timeRemaining);
+            await game.applyDropInstantly(column);
+        }
+        if (game.state.isGameOver()) {
+            game.appState.setGameplayState(GameplayStates.GAME_OVER);
+        }
+
+        // Render every view from the rebuilt state
+        game.grid.render();
+        game.letters.display();
+        game.score.renderProgress();
+        game.updateProgressBar();
+        game.updateUndoButton();
+        game.updateHintButton();
+        game.dom.startBtn.textContent = '🔄';
+
+        await game.sequencer.play('resume', { state: game.state, dom: game.dom });
+        game.grid.addClickHandlers((e) => game.handleSquareClick(e));
+        this.showOutcome();
+    }
+
+    /**
+     * Take over the board for a match (open() then loads its moves)
+     * @param {Object} match - Match from MatchClient
+     */
+    begin(match) {
+        this.leave();
+        this.current = match;
+        console.log(`📬 Match against ${match.players[1 - match.seat]} (${match.moves.length} moves played)`);
+    }
+
+    /**
+     * Send the player's drop to the server, then show whose turn is next
+     * @param {number} column - Column the letter was dropped into
+     */
+    async sendMove(column) {
+        if (!this.isActive() || this.game.replay.isActive()) return;
+
+        const { id, moves } = this.current;
+        const sending = this.client.move(id, column, moves.length);
+        this.sending = sending;
+        let match;
+        try {
+            match = await sending;
+        } catch (error) {
+            if (this.sending !== sending) return; // Left the match meanwhile
+            console.warn('AsyncMatch: Move not accepted:', error.message);
+            this.sending = null;
+            this.showCard('Move Not Sent', error.message, () => this.reload());
+            return;
+        }
+        if (this.sending !== sending) return;
+        this.sending = null;
+        this.current = match;
+
+        // A finished match gets the game over summary instead
+        if (this.current.status === 'finished') return;
+        this.showCard('Move Sent', `${this.current.players[this.current.turn]}'s turn next`);
+    }
+
+    /**
+     * Show how a match that is over ended (when it is opened from the list)
+     */
+    showOutcome() {
+        const { players, seat, scores, result } = this.current;
+        if (!result) return;
+
+        const { winner, reason } = result;
+        let title = winner === seat ? 'You Win!' : `${players[winner]} Wins`;
+        if (winner === null) {
+            title = reason === 'expired' ? 'Match Expired' : "It's a Tie!";
+        }
+        const reasons = { resigned: ' - resigned', expired: ' - ran out of time' };
+        const loser = winner === null ? '' : players[1 - winner];
+        const detail = `${players[0]} ${scores[0]} · ${players[1]} ${scores[1]}` + (reasons[reason] ? ` (${loser}${reasons[reason]})` : '');
+        this.showCard(title, detail);
+    }
+
+    /**
+     * Load the match again from the server (after a refused move)
+     */
+    async reload() {
+        try {
+            const match = await this.client.get(this.current.id);
+            await this.open(match);
+        } catch (error) {
+            this.showCard('Match Unavailable', error.message);
+        }
+    }
+
+    /**
+     * Stop showing the match (the game on the board carries on as a local game)
+     */
+    leave() {
+        this.current = null;
+        this.sending = null;
+        this.hideCard();
+    }
+
+    /**
+     * Show a card with the match's status
+     * @param {string} title - Card title
+     * @param {string} detail - Card text
+     * @param {Function|null} onOk - Called when OK is pressed
+     */
+    showCard(title, detail, onOk = null) {
+        this.hideCard();
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'overlay';
+
+        const card = document.createElement('div');
+        card.className = 'overlay-card';
+        card.innerHTML = `
+            <div class="overlay-title"></div>
+            <div class="overlay-subtitle"></div>
+        `;
+        card.querySelector('.overlay-title').textContent = title;
+        card.querySelector('.overlay-subtitle').textContent = detail;
+
+        const listButton = document.createElement('button');
+        listButton.className = 'overlay-btn';
+        listButton.textContent = 'Matches';
+        listButton.addEventListener('click', () => {
+            this.hideCard();
+            this.openList();
+        });
+
+        const okButton = document.createElement('button');
+        okButton.className = 'overlay-btn secondary';
+        okButton.textContent = 'OK';
+        okButton.addEventListener('click', () => {
+            this.hideCard();
+            onOk?.();
+        });
+
+        card.append(listButton, okButton);
+        this.overlay.appendChild(card);
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Remove the status card
+     */
+    hideCard() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
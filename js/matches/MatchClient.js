@@ -0,0 +1,98 @@
+import { CONFIG } from '../config.js';
+import { ApiClient } from '../core/ApiClient.js';
+
+// localStorage key for this browser's player id
+const PLAYER_KEY = 'noodel.matchPlayer';
+
+/**
+ * MatchClient class - REST client for asynchronous matches (routes in server/matchRoutes.js)
+ * The player is identified by a random id made up on first use and kept in localStorage,
+ * sent with every request; matches can only be played from the browser that joined them.
+ * Requests resolve with the server's match objects (see MatchStore.view).
+ */
+export class MatchClient extends ApiClient {
+    /**
+     * @param {string} baseURL - Matches endpoint (defaults to the page's own server)
+     */
+    constructor(baseURL = CONFIG.ASYNC_MATCHES.API_PATH) {
+        super(baseURL);
+        this.playerId = null;
+    }
+
+    /**
+     * This browser's player id, created on first use
+     * @returns {string} Player id
+     */
+    getPlayerId() {
+        if (!this.playerId) {
+            try {
+                this.playerId = globalThis.localStorage?.getItem(PLAYER_KEY) || null;
+            } catch (error) {
+                this.playerId = null;
+            }
+        }
+        if (!this.playerId) {
+            // getRandomValues also works on plain http (randomUUID needs a secure context)
+            const bytes = crypto.getRandomValues(new Uint8Array(16));
+            this.playerId = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+            try {
+                globalThis.localStorage?.setItem(PLAYER_KEY, this.playerId);
+            } catch (error) {
+                console.warn('MatchClient: Failed to save player id:', error.message);
+            }
+        }
+        return this.playerId;
+    }
+
+    /**
+     * The player's matches, most recently played first
+     * @returns {Promise<Object[]>} Matches
+     */
+    async list() {
+        const { matches } = await this.request('GET', '');
+        return matches;
+    }
+
+    /**
+     * Join a match someone is waiting in, or start a new one
+     * @param {string} name - Display name
+     * @returns {Promise<Object>} The match
+     */
+    join(name) {
+        return this.request('POST', '', { name });
+    }
+
+    /**
+     * Fetch one match
+     * @param {string} id - Match id
+     * @returns {Promise<Object>} The match
+     */
+    get(id) {
+        return this.request('GET', `/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Take a turn
+     * @param {string} id - Match id
+     * @param {number} column - Column the letter was dropped into
+     * @param {number} index - Moves played before this one
+     * @returns {Promise<Object>} The match after the move
+     */
+    move(id, column, index) {
+        return this.request('POST', `/${encodeURIComponent(id)}/moves`, { column, index });
+    }
+
+    /**
+     * Cancel an open match or resign an active one
+     * @param {string} id - Match id
+     * @returns {Promise<Object|null>} The resigned match, or null if it was cancelled
+     */
+    async resign(id) {
+        const { match } = await this.request('DELETE', `/${encodeURIComponent(id)}`);
+        return match;
+    }
+
+    getHeaders() {
+        return { 'X-Noodel-Player': this.getPlayerId() };
+    }
+}
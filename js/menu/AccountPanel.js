@@ -0,0 +1,209 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * AccountPanel class - Log in, create an account or edit the profile, shown as an overlay card
+ * Logged out, the card has a log in form that can switch to registration (which also asks
+ * for a display name). Logged in, it shows the account with its display name, which can be
+ * changed, and Log Out.
+ */
+export class AccountPanel {
+    constructor() {
+        this.overlay = null;
+    }
+
+    /**
+     * Show the panel until the player goes back
+     * @param {AccountClient} client - Account server client
+     * @param {Object|null} user - Account logged in now, or null
+     * @param {string|null} notice - Note about the account's cloud saves shown with the profile
+     * @returns {Promise<Object|null>} Account logged in when the panel closes, or null
+     */
+    show(client, user, notice = null) {
+        return new Promise(resolve => {
+            this.hide();
+
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'overlay';
+
+            const card = document.createElement('div');
+            card.className = 'overlay-card account-panel';
+            this.overlay.appendChild(card);
+            document.body.appendChild(this.overlay);
+
+            let current = user;
+            const finish = () => {
+                this.hide();
+                resolve(current);
+            };
+            const render = () => {
+                card.innerHTML = `
+                    <div class="overlay-title">Account</div>
+                    <div class="overlay-subtitle"></div>
+                `;
+                if (current) {
+                    this.renderProfile(card, client, current, notice, {
+                        onChange: (changed) => { current = changed; },
+                        onLogout: () => { current = null; render(); }
+                    });
+                } else {
+                    this.renderLogin(card, client, (loggedIn) => { current = loggedIn; render(); });
+                }
+
+                const backButton = document.createElement('button');
+                backButton.className = 'overlay-btn secondary';
+                backButton.textContent = 'Back';
+                backButton.addEventListener('click', finish);
+                card.appendChild(backButton);
+            };
+            render();
+        });
+    }
+
+    /**
+     * Fill the card with the log in / registration form
+     * @param {HTMLElement} card - Overlay card
+     * @param {AccountClient} client - Account server client
+     * @param {Function} onLogin - Called with the account once logged in
+     */
+    renderLogin(card, client, onLogin) {
+        const { MAX_USERNAME_LENGTH, MAX_PASSWORD_LENGTH, MAX_NAME_LENGTH } = CONFIG.ACCOUNTS;
+        let registering = false;
+
+        const subtitle = card.querySelector('.overlay-subtitle');
+        const form = document.createElement('form');
+        form.className = 'account-form';
+
+        const usernameInput = this.createInput('text', 'Username', MAX_USERNAME_LENGTH, 'username');
+        const passwordInput = this.createInput('password', 'Password', MAX_PASSWORD_LENGTH, 'current-password');
+        const nameInput = this.createInput('text', 'Display name', MAX_NAME_LENGTH, 'nickname');
+
+        const status = document.createElement('div');
+        status.className = 'overlay-subtitle account-status';
+
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.className = 'overlay-btn';
+
+        const switchButton = document.createElement('button');
+        switchButton.type = 'button';
+        switchButton.className = 'overlay-btn secondary';
+
+        const setMode = (register) => {
+            registering = register;
+            subtitle.textContent = register
+                ? 'Create an account to keep your saves, stats and scores together'
+                : 'Log in to play with your saves, stats and scores';
+            nameInput.hidden = !register;
+            passwordInput.autocomplete = register ? 'new-password' : 'current-password';
+            submitButton.textContent = register ? 'Create Account' : 'Log In';
+            switchButton.textContent = register ? 'I have an account' : 'Create an account';
+            status.textContent = '';
+        };
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const username = usernameInput.value.trim();
+            const password = passwordInput.value;
+            submitButton.disabled = true;
+            status.textContent = registering ? 'Creating account...' : 'Logging in...';
+            try {
+                const user = registering
+                    ? await client.register({ username, password, displayName: nameInput.value.trim() })
+                    : await client.login({ username, password });
+                onLogin(user);
+            } catch (error) {
+                status.textContent = error.message;
+                submitButton.disabled = false;
+            }
+        });
+        switchButton.addEventListener('click', () => setMode(!registering));
+
+        form.append(usernameInput, passwordInput, nameInput, submitButton, switchButton, status);
+        card.appendChild(form);
+        setMode(false);
+    }
+
+    /**
+     * Fill the card with the logged-in account: display name and Log Out
+     * @param {HTMLElement} card - Overlay card
+     * @param {AccountClient} client - Account server client
+     * @param {Object} user - Logged-in account
+     * @param {string|null} notice - Note about the account's cloud saves
+     * @param {Object} actions - { onChange(user), onLogout() }
+     */
+    renderProfile(card, client, user, notice, { onChange, onLogout }) {
+        card.querySelector('.overlay-subtitle').textContent = `Logged in as ${user.username} - your saves, stats and scores go with this account`;
+
+        const nameInput = this.createInput('text', 'Display name', CONFIG.ACCOUNTS.MAX_NAME_LENGTH, 'nickname');
+        nameInput.value = user.displayName;
+
+        const status = document.createElement('div');
+        status.className = 'overlay-subtitle account-status';
+
+        const saveButton = document.createElement('button');
+        saveButton.className = 'overlay-btn';
+        saveButton.textContent = 'Save Name';
+        saveButton.addEventListener('click', async () => {
+            saveButton.disabled = true;
+            try {
+                const changed = await client.updateProfile({ displayName: nameInput.value.trim() });
+                nameInput.value = changed.displayName;
+                status.textContent = 'Name saved';
+                onChange(changed);
+            } catch (error) {
+                status.textContent = error.message;
+            }
+            saveButton.disabled = false;
+        });
+
+        const logoutButton = document.createElement('button');
+        logoutButton.className = 'overlay-btn secondary';
+        logoutButton.textContent = 'Log Out';
+        logoutButton.addEventListener('click', async () => {
+            logoutButton.disabled = true;
+            try {
+                await client.logout();
+                onLogout();
+            } catch (error) {
+                status.textContent = error.message;
+                logoutButton.disabled = false;
+            }
+        });
+
+        card.append(nameInput, saveButton, status, logoutButton);
+        if (notice) {
+            const note = document.createElement('div');
+            note.className = 'overlay-subtitle account-status';
+            note.textContent = notice;
+            card.appendChild(note);
+        }
+    }
+
+    /**
+     * Create a text field for the panel
+     * @param {string} type - Input type ('text' or 'password')
+     * @param {string} placeholder - Placeholder text
+     * @param {number} maxLength - Maximum length
+     * @param {string} autocomplete - Autocomplete hint
+     * @returns {HTMLInputElement} Input
+     */
+    createInput(type, placeholder, maxLength, autocomplete) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = 'account-input';
+        input.placeholder = placeholder;
+        input.maxLength = maxLength;
+        input.autocomplete = autocomplete;
+        return input;
+    }
+
+    /**
+     * Remove the overlay
+     */
+    hide() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
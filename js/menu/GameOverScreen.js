@@ -0,0 +1,253 @@
+// Word lengths always shown in the histogram (longer words get their own bar when made)
+const HISTOGRAM_LENGTHS = [3, 4, 5, 6, 7];
+
+/**
+ * GameOverScreen class - Summary card shown when a game ends
+ * Built hidden by show(), then revealed section by section by the 'gameOver'
+ * sequence (score count-up, stats, word-length histogram, directions, buttons)
+ */
+export class GameOverScreen {
+    constructor() {
+        this.overlay = null;
+        this.sections = {};
+        this.scoreElement = null;
+        this.finalScore = 0;
+    }
+
+    /**
+     * Build the summary card (sections start hidden until revealed)
+     * @param {Object} summary - Results to show
+     * @param {string} summary.title - Card title (default: 'Game Over')
+     * @param {string} summary.reason - Why the game ended (e.g., 'Out of letters')
+     * @param {Object} summary.stats - Stats from ScoreController.getStats()
+     * @param {number|null} summary.dailyStreak - Daily streak if this was a scored daily game
+     * @param {string[]} summary.notes - Extra result lines from the mode (e.g., puzzle goals)
+     * @param {Object} actions - Button callbacks
+     * @param {Function} actions.onPlayAgain - Start a new game
+     * @param {Function|null} actions.onNextLevel - Play the next puzzle level (button hidden if omitted)
+     * @param {Function|null} actions.onShare - Share the result; resolves to a status label (button hidden if omitted)
+     * @param {Function|null} actions.onReplay - Watch this game's replay (button hidden if omitted)
+     * @param {Function|null} actions.onSubmitScore - Submit the score to the leaderboard; resolves to a status label (button hidden if omitted)
+     */
+    show(summary, actions) {
+        this.hide();
+
+        const { title = 'Game Over', reason, stats, dailyStreak = null, notes = [] } = summary;
+        this.finalScore = stats.totalScore;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'overlay game-over';
+
+        const card = document.createElement('div');
+        card.className = 'overlay-card summary-card';
+        card.innerHTML = `
+            <div class="overlay-title"></div>
+            <div class="overlay-subtitle"></div>
+            <div class="summary-score">0</div>
+        `;
+        // The reason can be a puzzle level's name, which a shared level link sets
+        card.querySelector('.overlay-title').textContent = title;
+        card.querySelector('.overlay-subtitle').textContent = reason;
+        this.scoreElement = card.querySelector('.summary-score');
+
+        const best = stats.highestScoringWord;
+        this.sections.stats = this.addSection(card, `
+            <div class="overlay-stats">
+                <div class="overlay-stat"><span>Words</span><strong>${stats.totalWords}</strong></div>
+                <div class="overlay-stat"><span>Longest</span><strong>${stats.longestWord?.text || '-'}</strong></div>
+                <div class="overlay-stat"><span>Best Word</span><strong>${best?.text ? `${best.text} (${best.points})` : '-'}</strong></div>
+            </div>
+            <div class="overlay-stats">
+                <div class="overlay-stat"><span>Biggest Cascade</span><strong>${stats.biggestCascade > 1 ? `×${stats.biggestCascade}` : stats.biggestCascade}</strong></div>
+                <div class="overlay-stat"><span>Letters Left on Board</span><strong>${stats.lettersOnBoard}</strong></div>
+            </div>
+        `);
+
+        this.sections.histogram = this.addSection(card,
+            `<div class="summary-heading">Word Lengths</div>${this.renderBars(this.getHistogramRows(stats.lengthHistogram))}`
+        );
+
+        const { horizontal, vertical, diagonal } = stats.directions;
+        this.sections.directions = this.addSection(card,
+            `<div class="summary-heading">Directions</div>${this.renderBars([
+                ['Horizontal', horizontal],
+                ['Vertical', vertical],
+                ['Diagonal', diagonal]
+            ])}`
+        );
+
+        const actionsSection = this.addSection(card, '');
+        actionsSection.classList.add('summary-actions');
+        this.sections.actions = actionsSection;
+
+        if (dailyStreak !== null) {
+            const daily = document.createElement('div');
+            daily.className = 'overlay-subtitle';
+            daily.textContent = `Daily challenge complete · 🔥 ${dailyStreak} day streak`;
+            actionsSection.appendChild(daily);
+        }
+
+        notes.forEach(note => {
+            const line = document.createElement('div');
+            line.className = 'overlay-subtitle';
+            line.textContent = note;
+            actionsSection.appendChild(line);
+        });
+
+        if (actions.onNextLevel) {
+            this.addButton(actionsSection, 'Next Level', 'overlay-btn', actions.onNextLevel);
+        }
+        this.addButton(actionsSection, 'Play Again', actions.onNextLevel ? 'overlay-btn secondary' : 'overlay-btn', actions.onPlayAgain);
+        if (actions.onShare) {
+            this.addButton(actionsSection, 'Share', 'overlay-btn secondary', actions.onShare, true);
+        }
+        if (actions.onSubmitScore) {
+            this.addButton(actionsSection, 'Submit Score', 'overlay-btn secondary', actions.onSubmitScore, true);
+        }
+        if (actions.onReplay) {
+            this.addButton(actionsSection, 'View Replay', 'overlay-btn secondary', actions.onReplay);
+        }
+        this.addButton(actionsSection, 'View Board', 'overlay-btn secondary', null);
+
+        this.overlay.appendChild(card);
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Append a hidden section to the card
+     * @param {HTMLElement} card - Card element
+     * @param {string} html - Section content
+     * @returns {HTMLElement} Section element
+     */
+    addSection(card, html) {
+        const section = document.createElement('div');
+        section.className = 'summary-section';
+        section.innerHTML = html;
+        card.appendChild(section);
+        return section;
+    }
+
+    /**
+     * Append a button to a section
+     * @param {HTMLElement} section - Section element
+     * @param {string} label - Button label
+     * @param {string} className - Button classes
+     * @param {Function|null} onClick - Click callback
+     * @param {boolean} keepOpen - Keep the card open and show the callback's result as the label
+     */
+    addButton(section, label, className, onClick, keepOpen = false) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener('click', async () => {
+            if (!keepOpen) {
+                this.hide();
+                if (onClick) onClick();
+                return;
+            }
+
+            const status = await onClick();
+            if (status) {
+                button.textContent = status;
+                setTimeout(() => { button.textContent = label; }, 1500);
+            }
+        });
+        section.appendChild(button);
+    }
+
+    /**
+     * Histogram rows for word lengths 3-7 plus any longer lengths made
+     * @param {Object} lengthHistogram - Word count by length
+     * @returns {Array<[string, number]>} [label, count] rows
+     */
+    getHistogramRows(lengthHistogram) {
+        const lengths = new Set([...HISTOGRAM_LENGTHS, ...Object.keys(lengthHistogram).map(Number)]);
+        return [...lengths]
+            .sort((a, b) => a - b)
+            .map(length => [String(length), lengthHistogram[length] || 0]);
+    }
+
+    /**
+     * Render horizontal bars scaled to the largest count
+     * Bars grow to --bar-size when their section is revealed
+     * @param {Array<[string, number]>} rows - [label, count] rows
+     * @returns {string} HTML
+     */
+    renderBars(rows) {
+        const max = Math.max(1, ...rows.map(([, count]) => count));
+        return `<div class="summary-bars">${rows.map(([label, count]) => `
+            <div class="summary-bar-row">
+                <span class="summary-bar-label">${label}</span>
+                <div class="summary-bar-track">
+                    <div class="summary-bar" style="--bar-size: ${(count / max) * 100}%"></div>
+                </div>
+                <span class="summary-bar-count">${count}</span>
+            </div>`).join('')}
+        </div>`;
+    }
+
+    /**
+     * Count the score display up to the final score
+     * @param {number} duration - Count-up time in ms
+     * @returns {Promise} Resolves when the final score is shown
+     */
+    countUpScore(duration = 800) {
+        if (!this.scoreElement) return Promise.resolve();
+
+        const element = this.scoreElement;
+        const target = this.finalScore;
+        const start = performance.now();
+
+        return new Promise(resolve => {
+            const tick = (now) => {
+                const progress = Math.min(1, (now - start) / duration);
+                element.textContent = Math.round(target * progress);
+                if (progress < 1 && this.overlay) {
+                    requestAnimationFrame(tick);
+                } else {
+                    element.textContent = target;
+                    resolve();
+                }
+            };
+            requestAnimationFrame(tick);
+        });
+    }
+
+    /**
+     * Reveal one section of the card
+     * @param {string} name - 'stats', 'histogram', 'directions' or 'actions'
+     */
+    revealSection(name) {
+        this.sections[name]?.classList.add('visible');
+    }
+
+    /**
+     * Show the whole card at once (final score and every section)
+     */
+    revealAll() {
+        if (this.scoreElement) {
+            this.scoreElement.textContent = this.finalScore;
+        }
+        Object.keys(this.sections).forEach(name => this.revealSection(name));
+    }
+
+    /**
+     * Check if the card is showing
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        return this.overlay !== null;
+    }
+
+    /**
+     * Remove the overlay
+     */
+    hide() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+            this.sections = {};
+            this.scoreElement = null;
+        }
+    }
+}
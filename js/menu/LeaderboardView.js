@@ -0,0 +1,167 @@
+import { CONFIG, GameModes } from '../config.js';
+import { DailyChallenge } from '../daily/DailyChallenge.js';
+import { gameModes } from '../modes/index.js';
+
+// Window tabs, in CONFIG.LEADERBOARD.WINDOWS order
+const WINDOW_LABELS = { daily: 'Today', weekly: 'This Week', all: 'All Time' };
+
+/**
+ * LeaderboardView class - Leaderboards shown as an overlay card
+ * One tab per mode (CONFIG.LEADERBOARD.MODES) and per time window, a page of scores
+ * and Prev/Next. The daily challenge board only shows today's letters.
+ */
+export class LeaderboardView {
+    constructor() {
+        this.overlay = null;
+    }
+
+    /**
+     * Show the leaderboard until Back is pressed
+     * @param {ScoreClient} client - Leaderboard client
+     * @param {Object} options - Board to open on
+     * @param {string} options.mode - Mode id (the first leaderboard mode if it has no board)
+     * @param {string} options.window - 'daily', 'weekly' or 'all'
+     * @param {string|null} options.highlightId - Score to highlight (one just submitted)
+     * @returns {Promise<void>} Resolves when closed
+     */
+    show(client, { mode = GameModes.CLASSIC, window = 'daily', highlightId = null } = {}) {
+        const { MODES, WINDOWS } = CONFIG.LEADERBOARD;
+        const board = { mode: MODES.includes(mode) ? mode : MODES[0], window, page: 1 };
+
+        return new Promise(resolve => {
+            this.hide();
+
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'overlay';
+
+            const card = document.createElement('div');
+            card.className = 'overlay-card leaderboard';
+            card.innerHTML = '<div class="overlay-title">Leaderboard</div>';
+
+            const modeTabs = this.createTabs(MODES.map(id => [id, gameModes.get(id).label]), () => board.mode, (id) => {
+                board.mode = id;
+                load(1);
+            });
+            const windowTabs = this.createTabs(WINDOWS.map(id => [id, WINDOW_LABELS[id]]), () => board.window, (id) => {
+                board.window = id;
+                load(1);
+            });
+
+            const status = document.createElement('div');
+            status.className = 'overlay-subtitle leaderboard-status';
+
+            const rows = document.createElement('div');
+            rows.className = 'leaderboard-rows';
+
+            const pager = document.createElement('div');
+            pager.className = 'leaderboard-pager';
+            const prevButton = document.createElement('button');
+            prevButton.className = 'overlay-btn secondary';
+            prevButton.textContent = 'Prev';
+            prevButton.addEventListener('click', () => load(board.page - 1));
+            const pageLabel = document.createElement('span');
+            const nextButton = document.createElement('button');
+            nextButton.className = 'overlay-btn secondary';
+            nextButton.textContent = 'Next';
+            nextButton.addEventListener('click', () => load(board.page + 1));
+            pager.append(prevButton, pageLabel, nextButton);
+
+            const load = async (page) => {
+                board.page = page;
+                modeTabs.update();
+                windowTabs.update();
+                prevButton.disabled = nextButton.disabled = true;
+                status.textContent = 'Loading...';
+
+                // The daily challenge changes every day; only today's letters are compared
+                const seed = board.mode === GameModes.DAILY ? DailyChallenge.getSeed() : null;
+                try {
+                    const result = await client.query({ ...board, seed });
+                    if (board.page !== page) return; // Another page was asked for meanwhile
+                    const pages = Math.max(1, Math.ceil(result.total / result.pageSize));
+                    this.renderRows(rows, result.scores, highlightId);
+                    status.textContent = result.total ? (seed ? "Today's challenge" : '') : 'No scores yet';
+                    pageLabel.textContent = `Page ${page} of ${pages}`;
+                    prevButton.disabled = page <= 1;
+                    nextButton.disabled = page >= pages;
+                } catch (error) {
+                    status.textContent = error.message;
+                }
+            };
+
+            const backButton = document.createElement('button');
+            backButton.className = 'overlay-btn secondary';
+            backButton.textContent = 'Back';
+            backButton.addEventListener('click', () => {
+                this.hide();
+                resolve();
+            });
+
+            card.append(modeTabs.element, windowTabs.element, status, rows, pager, backButton);
+            this.overlay.appendChild(card);
+            document.body.appendChild(this.overlay);
+
+            load(1);
+        });
+    }
+
+    /**
+     * A row of tab buttons, one selected
+     * @param {Array<[string, string]>} tabs - [id, label] pairs
+     * @param {Function} getSelected - Returns the selected id
+     * @param {Function} onSelect - Called with the id of a tab clicked
+     * @returns {{element: HTMLElement, update: Function}} The row, and a function that marks the selected tab
+     */
+    createTabs(tabs, getSelected, onSelect) {
+        const element = document.createElement('div');
+        element.className = 'leaderboard-tabs';
+        tabs.forEach(([id, label]) => {
+            const button = document.createElement('button');
+            button.className = 'overlay-btn secondary';
+            button.textContent = label;
+            button.dataset.id = id;
+            button.addEventListener('click', () => onSelect(id));
+            element.appendChild(button);
+        });
+
+        const update = () => {
+            element.querySelectorAll('button').forEach(button => {
+                button.classList.toggle('selected', button.dataset.id === getSelected());
+            });
+        };
+        return { element, update };
+    }
+
+    /**
+     * Fill the list with one row per score
+     * @param {HTMLElement} container - List element
+     * @param {Object[]} scores - Scores from ScoreClient.query()
+     * @param {string|null} highlightId - Score to highlight
+     */
+    renderRows(container, scores, highlightId) {
+        container.innerHTML = '';
+        scores.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'leaderboard-row';
+            row.classList.toggle('highlight', entry.id === highlightId);
+            row.innerHTML = `
+                <span class="leaderboard-rank">${entry.rank}</span>
+                <span class="leaderboard-name"></span>
+                <span class="leaderboard-words">${entry.words} words</span>
+                <strong class="leaderboard-score">${entry.score}</strong>
+            `;
+            row.querySelector('.leaderboard-name').textContent = entry.name;
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Remove the overlay
+     */
+    hide() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
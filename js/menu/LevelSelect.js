@@ -0,0 +1,101 @@
+import { describeGoal } from '../levels/LevelGoals.js';
+
+/**
+ * LevelSelect class - Puzzle level picker shown as an overlay card
+ * Lists the campaign in order; locked levels (previous level not yet completed)
+ * are shown but can't be picked. Completed levels show their best result.
+ */
+export class LevelSelect {
+    constructor() {
+        this.overlay = null;
+    }
+
+    /**
+     * Show the levels and wait for the player's choice
+     * @param {Object[]} levels - Campaign levels in order (LevelLoader)
+     * @param {LevelProgress} progress - Completed levels
+     * @returns {Promise<Object|null>} Chosen level, or null to go back
+     */
+    choose(levels, progress) {
+        return new Promise(resolve => {
+            this.hide();
+
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'overlay';
+
+            const card = document.createElement('div');
+            card.className = 'overlay-card level-select';
+            card.innerHTML = `
+                <div class="overlay-title">Puzzles</div>
+                <div class="overlay-subtitle">${levels.filter(level => progress.isCompleted(level.id)).length} of ${levels.length} solved</div>
+            `;
+
+            const finish = (level) => {
+                this.hide();
+                resolve(level);
+            };
+
+            const list = document.createElement('div');
+            list.className = 'level-list';
+            levels.forEach((level, index) => {
+                list.appendChild(this.createLevelButton(level, index, progress, levels, finish));
+            });
+            card.appendChild(list);
+
+            const backButton = document.createElement('button');
+            backButton.className = 'overlay-btn secondary';
+            backButton.textContent = 'Back';
+            backButton.addEventListener('click', () => finish(null));
+            card.appendChild(backButton);
+
+            this.overlay.appendChild(card);
+            document.body.appendChild(this.overlay);
+        });
+    }
+
+    /**
+     * Button for one level (disabled while locked)
+     * @param {Object} level - Level
+     * @param {number} index - Position in the campaign
+     * @param {LevelProgress} progress - Completed levels
+     * @param {Object[]} levels - Campaign levels
+     * @param {Function} onPick - Called with the level when clicked
+     * @returns {HTMLButtonElement} Button
+     */
+    createLevelButton(level, index, progress, levels, onPick) {
+        const button = document.createElement('button');
+        button.className = 'overlay-btn level-btn';
+        button.dataset.levelId = level.id;
+
+        const result = progress.getResult(level.id);
+        const unlocked = progress.isUnlocked(levels, index);
+        let detail;
+        if (!unlocked) {
+            detail = '🔒 Solve the previous puzzle to unlock';
+        } else if (result) {
+            detail = `✅ Best ${result.bestScore} pts · ${result.fewestMoves} moves`;
+        } else {
+            detail = level.goals.map(describeGoal).join(' · ') + ` · ${level.moveLimit} moves`;
+        }
+
+        const small = document.createElement('small');
+        small.textContent = detail;
+        button.append(`${index + 1}. ${level.name}`, small);
+        button.title = level.description;
+        button.disabled = !unlocked;
+        if (result) button.classList.add('completed');
+        button.addEventListener('click', () => onPick(level));
+
+        return button;
+    }
+
+    /**
+     * Remove the overlay
+     */
+    hide() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
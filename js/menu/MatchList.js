@@ -0,0 +1,222 @@
+import { CONFIG } from '../config.js';
+
+// localStorage key for the name used in matches
+const NAME_KEY = 'noodel.matchName';
+
+/**
+ * MatchList class - The player's asynchronous matches, shown as an overlay card
+ * Matches waiting on the player's move come first, with a Play button; the others can be
+ * viewed, cancelled or resigned. New Match joins someone who is waiting for an opponent,
+ * or starts a match for the next player who looks for one.
+ */
+export class MatchList {
+    constructor() {
+        this.overlay = null;
+    }
+
+    /**
+     * Show the player's matches and wait for one to be opened
+     * @param {MatchClient} client - Match server client
+     * @returns {Promise<Object|null>} Match to open (MatchClient match object), or null to go back
+     */
+    choose(client) {
+        return new Promise(resolve => {
+            this.hide();
+
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'overlay';
+
+            const card = document.createElement('div');
+            card.className = 'overlay-card match-list';
+            card.innerHTML = `
+                <div class="overlay-title">Matches</div>
+                <div class="overlay-subtitle">Take turns on one board, whenever you like - a match with no move for a week expires</div>
+            `;
+
+            const finish = (match) => {
+                this.hide();
+                resolve(match);
+            };
+
+            const status = document.createElement('div');
+            status.className = 'overlay-subtitle match-status';
+
+            const rows = document.createElement('div');
+            rows.className = 'match-rows';
+
+            const refresh = async () => {
+                try {
+                    const matches = await client.list();
+                    this.renderRows(rows, matches, {
+                        // The list may be out of date; open the match as the server has it now
+                        onOpen: async (match) => {
+                            try {
+                                finish(await client.get(match.id));
+                            } catch (error) {
+                                status.textContent = error.message;
+                            }
+                        },
+                        onResign: async (match) => {
+                            const question = match.status === 'open' ? 'Cancel this match?' : `Resign against ${this.getOpponent(match)}?`;
+                            if (!confirm(question)) return;
+                            try {
+                                await client.resign(match.id);
+                            } catch (error) {
+                                status.textContent = error.message;
+                            }
+                            refresh();
+                        }
+                    });
+                    status.textContent = matches.length ? '' : 'No matches yet';
+                } catch (error) {
+                    status.textContent = error.message;
+                }
+            };
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'match-name-input';
+            nameInput.placeholder = 'Your name';
+            nameInput.maxLength = CONFIG.ASYNC_MATCHES.MAX_NAME_LENGTH;
+            nameInput.value = this.loadName();
+
+            const newButton = document.createElement('button');
+            newButton.className = 'overlay-btn';
+            newButton.textContent = 'New Match';
+            newButton.addEventListener('click', async () => {
+                const name = nameInput.value.trim() || 'Player';
+                this.saveName(name);
+                newButton.disabled = true;
+                try {
+                    const match = await client.join(name);
+                    await refresh();
+                    status.textContent = match.status === 'open' ? 'Match started - waiting for an opponent' : `Matched with ${this.getOpponent(match)}`;
+                } catch (error) {
+                    status.textContent = error.message;
+                }
+                newButton.disabled = false;
+            });
+
+            const backButton = document.createElement('button');
+            backButton.className = 'overlay-btn secondary';
+            backButton.textContent = 'Back';
+            backButton.addEventListener('click', () => finish(null));
+
+            card.append(nameInput, newButton, status, rows, backButton);
+            this.overlay.appendChild(card);
+            document.body.appendChild(this.overlay);
+
+            status.textContent = 'Loading...';
+            refresh();
+        });
+    }
+
+    /**
+     * Fill the list with one row per match, matches waiting on the player first
+     * @param {HTMLElement} container - List element
+     * @param {Object[]} matches - Matches from MatchClient.list()
+     * @param {Object} actions - { onOpen(match), onResign(match) }
+     */
+    renderRows(container, matches, { onOpen, onResign }) {
+        const rank = (match) => match.yourTurn ? 0 : (match.status === 'open' || match.status === 'active') ? 1 : 2;
+        container.innerHTML = '';
+
+        matches.slice().sort((a, b) => rank(a) - rank(b)).forEach(match => {
+            const row = document.createElement('div');
+            row.className = 'match-row';
+            row.classList.toggle('your-turn', match.yourTurn);
+            row.innerHTML = `
+                <div class="match-info">
+                    <div class="match-opponent"></div>
+                    <div class="match-detail"></div>
+                </div>
+            `;
+            row.querySelector('.match-opponent').textContent = `vs ${this.getOpponent(match)}`;
+            row.querySelector('.match-detail').textContent = this.describe(match);
+
+            const openButton = document.createElement('button');
+            openButton.className = match.yourTurn ? 'overlay-btn' : 'overlay-btn secondary';
+            openButton.textContent = match.yourTurn ? 'Play' : 'View';
+            openButton.addEventListener('click', () => onOpen(match));
+            row.appendChild(openButton);
+
+            if (match.status === 'open' || match.status === 'active') {
+                const resignButton = document.createElement('button');
+                resignButton.className = 'overlay-btn secondary';
+                resignButton.textContent = match.status === 'open' ? 'Cancel' : 'Resign';
+                resignButton.addEventListener('click', () => onResign(match));
+                row.appendChild(resignButton);
+            }
+
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Opponent's name
+     * @param {Object} match - Match
+     * @returns {string} Name ('Opponent' until someone joins)
+     */
+    getOpponent(match) {
+        return match.players[1 - match.seat];
+    }
+
+    /**
+     * One-line summary of where a match stands
+     * @param {Object} match - Match
+     * @returns {string} e.g. "Your turn · You 12 · Bob 30" or "You won 57-73 (resigned)"
+     */
+    describe(match) {
+        const opponent = this.getOpponent(match);
+        const mine = match.scores[match.seat];
+        const theirs = match.scores[1 - match.seat];
+
+        if (match.result) {
+            const { winner, reason } = match.result;
+            if (winner === null && reason === 'expired') {
+                return 'Expired - nobody joined';
+            }
+            const outcome = winner === null ? 'Tied' : winner === match.seat ? 'You won' : 'You lost';
+            const notes = { resigned: ' (resigned)', expired: ' (timed out)' };
+            return `${outcome} ${mine}-${theirs}${notes[reason] || ''}`;
+        }
+
+        const turn = match.yourTurn ? 'Your turn' : `${opponent}'s turn`;
+        const waiting = match.status === 'open' ? ' · waiting for an opponent' : '';
+        return `${turn}${waiting} · You ${mine} · ${opponent} ${theirs}`;
+    }
+
+    /**
+     * Name used in the last match
+     * @returns {string} Name, or '' if none
+     */
+    loadName() {
+        try {
+            return globalThis.localStorage?.getItem(NAME_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Remember the name for next time
+     * @param {string} name - Player name
+     */
+    saveName(name) {
+        try {
+            globalThis.localStorage?.setItem(NAME_KEY, name);
+        } catch (error) {
+            console.warn('MatchList: Failed to save name:', error.message);
+        }
+    }
+
+    /**
+     * Remove the overlay
+     */
+    hide() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
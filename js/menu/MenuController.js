@@ -3,19 +3,29 @@ import { CONFIG } from '../config.js';
 
 /**
  * MenuController class - Manages the menu interface using grid-based buttons
- * Displays START, LOGIN, and MORE as clickable words in the game grid
+ * Displays BLITZ, START, DAILY, LOGIN, CLEAR, and MORE as clickable words in the game grid
  */
 export class MenuController {
-    constructor(domCache, onStart, onLogin, onMore) {
+    constructor(domCache, onStart, onLogin, onMore, onDaily = null, onClear = null, onBlitz = null) {
         this.dom = domCache;
         this.onStart = onStart;
         this.onLogin = onLogin;
         this.onMore = onMore;
+        this.onDaily = onDaily;
+        this.onClear = onClear;
+        this.onBlitz = onBlitz;
         this.isMenuActive = false;
         
         // Define button words and their positions
         // Grid is 7 columns x 6 rows
         this.menuWords = [
+            {
+                word: 'BLITZ',
+                row: 0,
+                startCol: 1,
+                className: 'menu-blitz',
+                hasArrow: false
+            },
             {
                 word: 'START',
                 row: 1,
@@ -24,6 +34,13 @@ export class MenuController {
                 hasArrow: true,
                 arrowCol: 0
             },
+            {
+                word: 'DAILY',
+                row: 2,
+                startCol: 1,
+                className: 'menu-daily',
+                hasArrow: false
+            },
             {
                 word: 'LOGIN',
                 row: 3,
@@ -31,6 +48,13 @@ export class MenuController {
                 className: 'menu-login',
                 hasArrow: false
             },
+            {
+                word: 'CLEAR',
+                row: 4,
+                startCol: 1,
+                className: 'menu-clear',
+                hasArrow: false
+            },
             {
                 word: 'MORE',
                 row: 5,
@@ -55,7 +79,7 @@ export class MenuController {
         const squares = this.dom.getAllGridSquares();
         squares.forEach(square => {
             square.textContent = '';
-            square.classList.remove('filled', 'menu-button', 'menu-start', 'menu-login', 'menu-more', 'menu-arrow', 'flipping');
+            square.classList.remove('filled', 'menu-button', 'menu-start', 'menu-daily', 'menu-clear', 'menu-blitz', 'menu-login', 'menu-more', 'menu-arrow', 'flipping');
         });
         
         // Show preview squares (one for each column)
@@ -363,6 +387,21 @@ export class MenuController {
                 this.hide();
                 if (this.onStart) this.onStart();
                 break;
+            case 'daily':
+                console.log('Daily clicked...');
+                this.hide();
+                if (this.onDaily) this.onDaily();
+                break;
+            case 'clear':
+                console.log('Clear Mode clicked...');
+                this.hide();
+                if (this.onClear) this.onClear();
+                break;
+            case 'blitz':
+                console.log('Blitz clicked...');
+                this.hide();
+                if (this.onBlitz) this.onBlitz();
+                break;
             case 'login':
                 console.log('Login clicked...');
                 if (this.onLogin) this.onLogin();
@@ -390,7 +429,7 @@ export class MenuController {
         const spacers = this.dom.preview.querySelectorAll('.preview-letter-block');
         spacers.forEach(spacer => {
             spacer.textContent = '';
-            spacer.classList.remove('filled', 'menu-button', 'menu-start', 'menu-login', 'menu-more', 'menu-arrow');
+            spacer.classList.remove('filled', 'menu-button', 'menu-start', 'menu-daily', 'menu-clear', 'menu-blitz', 'menu-login', 'menu-more', 'menu-arrow');
             delete spacer.dataset.menuButton;
         });
         
@@ -405,7 +444,7 @@ export class MenuController {
         const spacers = this.dom.preview.querySelectorAll('.preview-letter-block');
         spacers.forEach(spacer => {
             spacer.textContent = '';
-            spacer.classList.remove('filled', 'menu-button', 'menu-start', 'menu-login', 'menu-more', 'menu-arrow');
+            spacer.classList.remove('filled', 'menu-button', 'menu-start', 'menu-daily', 'menu-clear', 'menu-blitz', 'menu-login', 'menu-more', 'menu-arrow');
             delete spacer.dataset.menuButton;
         });
     }
@@ -425,7 +464,7 @@ export class MenuController {
         squares.forEach(square => {
             if (square.classList.contains('menu-button') || square.classList.contains('menu-arrow')) {
                 square.textContent = '';
-                square.classList.remove('filled', 'menu-button', 'menu-start', 'menu-login', 'menu-more', 'menu-arrow');
+                square.classList.remove('filled', 'menu-button', 'menu-start', 'menu-daily', 'menu-clear', 'menu-blitz', 'menu-login', 'menu-more', 'menu-arrow');
                 delete square.dataset.menuButton;
             }
         });
@@ -0,0 +1,59 @@
+/**
+ * MoreMenu class - The MORE button's options, shown as an overlay card
+ * Game passes the options to offer; the one picked is returned for Game to act on.
+ */
+export class MoreMenu {
+    constructor() {
+        this.overlay = null;
+    }
+
+    /**
+     * Show the options and wait for a pick
+     * @param {Array<{id: string, label: string}>} options - Options, in display order
+     * @returns {Promise<string|null>} Id of the option picked, or null to go back
+     */
+    choose(options) {
+        return new Promise(resolve => {
+            this.hide();
+
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'overlay';
+
+            const card = document.createElement('div');
+            card.className = 'overlay-card more-menu';
+            card.innerHTML = '<div class="overlay-title">More</div>';
+
+            const finish = (id) => {
+                this.hide();
+                resolve(id);
+            };
+
+            options.forEach(({ id, label }) => {
+                const button = document.createElement('button');
+                button.className = 'overlay-btn';
+                button.textContent = label;
+                button.addEventListener('click', () => finish(id));
+                card.appendChild(button);
+            });
+
+            const backButton = document.createElement('button');
+            backButton.className = 'overlay-btn secondary';
+            backButton.textContent = 'Back';
+            backButton.addEventListener('click', () => finish(null));
+            card.appendChild(backButton);
+
+            this.overlay.appendChild(card);
+            document.body.appendChild(this.overlay);
+        });
+    }
+
+    /**
+     * Remove the overlay
+     */
+    hide() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
@@ -0,0 +1,101 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * PlayerSetup class - Hot seat setup shown as an overlay card
+ * Pick how many players share the board (CONFIG.HOT_SEAT) and name them; blank names
+ * become "Player N". The names entered last time are filled in again.
+ */
+export class PlayerSetup {
+    constructor() {
+        this.overlay = null;
+    }
+
+    /**
+     * Show the setup and wait for the players
+     * @param {string[]} previousNames - Names from the last hot seat game
+     * @returns {Promise<string[]|null>} Player names in turn order, or null to go back
+     */
+    choose(previousNames = []) {
+        const { MIN_PLAYERS, MAX_PLAYERS, MAX_NAME_LENGTH } = CONFIG.HOT_SEAT;
+
+        return new Promise(resolve => {
+            this.hide();
+
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'overlay';
+
+            const card = document.createElement('div');
+            card.className = 'overlay-card player-setup';
+            card.innerHTML = `
+                <div class="overlay-title">Hot Seat</div>
+                <div class="overlay-subtitle">Take turns on one board - every word your drop makes is yours</div>
+            `;
+
+            const finish = (names) => {
+                this.hide();
+                resolve(names);
+            };
+
+            // One name field per seat; only the first `count` are shown
+            const inputs = [];
+            const fields = document.createElement('div');
+            fields.className = 'player-fields';
+            for (let i = 0; i < MAX_PLAYERS; i++) {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = `player-name-input player-${i + 1}`;
+                input.placeholder = `Player ${i + 1}`;
+                input.maxLength = MAX_NAME_LENGTH;
+                input.value = previousNames[i] || '';
+                inputs.push(input);
+                fields.appendChild(input);
+            }
+
+            let count = Math.min(MAX_PLAYERS, Math.max(MIN_PLAYERS, previousNames.length));
+            const countButtons = document.createElement('div');
+            countButtons.className = 'player-count';
+            const setCount = (value) => {
+                count = value;
+                inputs.forEach((input, index) => { input.hidden = index >= count; });
+                countButtons.querySelectorAll('button').forEach(button => {
+                    button.classList.toggle('selected', Number(button.dataset.count) === count);
+                });
+            };
+            for (let value = MIN_PLAYERS; value <= MAX_PLAYERS; value++) {
+                const button = document.createElement('button');
+                button.className = 'overlay-btn secondary';
+                button.textContent = `${value} players`;
+                button.dataset.count = value;
+                button.addEventListener('click', () => setCount(value));
+                countButtons.appendChild(button);
+            }
+            setCount(count);
+
+            const startButton = document.createElement('button');
+            startButton.className = 'overlay-btn';
+            startButton.textContent = 'Start';
+            startButton.addEventListener('click', () => finish(
+                inputs.slice(0, count).map((input, index) => input.value.trim() || `Player ${index + 1}`)
+            ));
+
+            const backButton = document.createElement('button');
+            backButton.className = 'overlay-btn secondary';
+            backButton.textContent = 'Back';
+            backButton.addEventListener('click', () => finish(null));
+
+            card.append(countButtons, fields, startButton, backButton);
+            this.overlay.appendChild(card);
+            document.body.appendChild(this.overlay);
+        });
+    }
+
+    /**
+     * Remove the overlay
+     */
+    hide() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
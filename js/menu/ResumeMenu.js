@@ -0,0 +1,84 @@
+import { gameModes } from '../modes/index.js';
+
+/**
+ * ResumeMenu class - Offers to resume saved games on page load
+ * Shows one button per save slot plus "New Game", as an overlay card
+ */
+export class ResumeMenu {
+    constructor() {
+        this.overlay = null;
+    }
+
+    /**
+     * Show the resume options and wait for the player's choice
+     * @param {Object[]} saves - Snapshots from SaveManager.listSaves()
+     * @returns {Promise<string|null>} Chosen slot, or null for a new game
+     */
+    choose(saves) {
+        return new Promise(resolve => {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'overlay';
+
+            const card = document.createElement('div');
+            card.className = 'overlay-card';
+            card.innerHTML = '<div class="overlay-title">Welcome back!</div>';
+
+            const finish = (slot) => {
+                this.hide();
+                resolve(slot);
+            };
+
+            saves.forEach(save => {
+                const button = document.createElement('button');
+                button.className = 'overlay-btn';
+                const detail = document.createElement('small');
+                detail.textContent = this.describeSave(save);
+                button.append(`Resume ${save.label || save.slot}`, detail);
+                button.addEventListener('click', () => finish(save.slot));
+                card.appendChild(button);
+            });
+
+            const newGameButton = document.createElement('button');
+            newGameButton.className = 'overlay-btn secondary';
+            newGameButton.textContent = 'New Game';
+            newGameButton.addEventListener('click', () => finish(null));
+            card.appendChild(newGameButton);
+
+            this.overlay.appendChild(card);
+            document.body.appendChild(this.overlay);
+        });
+    }
+
+    /**
+     * Short summary of a save (score, letters left, age)
+     * @param {Object} save - Snapshot from SaveManager
+     * @returns {string} Summary text
+     */
+    describeSave(save) {
+        const minutes = Math.round((Date.now() - save.savedAt) / 60000);
+        let age;
+        if (minutes < 1) {
+            age = 'just now';
+        } else if (minutes < 60) {
+            age = `${minutes} min ago`;
+        } else if (minutes < 60 * 24) {
+            age = `${Math.round(minutes / 60)} h ago`;
+        } else {
+            age = `${Math.round(minutes / (60 * 24))} d ago`;
+        }
+
+        const progress = gameModes.get(save.state.mode).describeProgress(save.state);
+
+        return `Score ${save.state.score} · ${progress} · ${age}`;
+    }
+
+    /**
+     * Remove the overlay
+     */
+    hide() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
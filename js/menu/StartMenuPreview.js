@@ -4,14 +4,24 @@ import { AnimationHelpers } from '../animation/AnimationHelpers.js';
 /**
  * StartMenuPreview class - Displays START in the letter preview area
  * Alternative to grid-based menu system
- * Shows "START" where S is the next-up letter (index 0)
+ * Shows "START" where S is the next-up letter (index 0), with DAILY, CLEAR, BLITZ, ZEN, PUZZLE, HOTSEAT, VERSUS, MATCHES and SCORES buttons beside it
  */
 export class StartMenuPreview {
-    constructor(domCache, onStart) {
+    constructor(domCache, onStart, onDaily = null, onClear = null, onBlitz = null, onZen = null, onPuzzle = null, onHotSeat = null, onVersus = null, onMatches = null, onScores = null) {
         this.dom = domCache;
         this.onStart = onStart;
+        this.onDaily = onDaily;
+        this.onClear = onClear;
+        this.onBlitz = onBlitz;
+        this.onZen = onZen;
+        this.onPuzzle = onPuzzle;
+        this.onHotSeat = onHotSeat;
+        this.onVersus = onVersus;
+        this.onMatches = onMatches;
+        this.onScores = onScores;
         this.isActive = false;
         this.clickHandlers = []; // Store handlers for cleanup
+        this.modeButtons = null; // Container for the mode buttons (DAILY, CLEAR, BLITZ, ZEN, PUZZLE, HOTSEAT, VERSUS, MATCHES, SCORES)
         
         // Use CONFIG for letters
         this.startLetters = CONFIG.START_MENU.LETTERS;
@@ -69,10 +79,67 @@ export class StartMenuPreview {
         // Make preview visible
         this.dom.preview.classList.add('visible');
         
+        // Show DAILY challenge and the CLEAR, BLITZ, ZEN, PUZZLE, HOTSEAT and VERSUS mode buttons beside START
+        this.showModeButtons();
+        
         // Add click handlers
         this.addClickHandlers();
     }
 
+    /**
+     * Show the game mode buttons (DAILY, CLEAR, BLITZ, ZEN, PUZZLE, HOTSEAT, VERSUS, MATCHES, SCORES) at the end of the preview row
+     * Recreated on each show since LetterController.display() rebuilds the preview
+     */
+    showModeButtons() {
+        this.removeModeButtons();
+        
+        const modes = [
+            { mode: 'daily', title: "Today's challenge - same letters for everyone" },
+            { mode: 'clear', title: 'Clear Mode - empty a half-full board' },
+            { mode: 'blitz', title: 'Blitz - score all you can in 3 minutes' },
+            { mode: 'zen', title: 'Zen - endless play, no game over' },
+            { mode: 'puzzle', title: 'Puzzles - solve hand-made boards in a few moves' },
+            { mode: 'hotseat', title: 'Hot Seat - 2-4 players take turns on one board' },
+            { mode: 'versus', title: 'Versus - race an online opponent through the same letters' },
+            { mode: 'matches', title: 'Matches - take turns against other players whenever you like' },
+            { mode: 'scores', title: 'Leaderboards - the best scores today, this week and of all time' }
+        ].filter(({ mode }) => this.getModeCallback(mode));
+        if (!modes.length) return;
+        
+        const container = document.createElement('div');
+        container.className = 'preview-mode-buttons';
+        modes.forEach(({ mode, title }) => {
+            const button = document.createElement('button');
+            button.className = `mode-btn ${mode}-btn`;
+            button.textContent = mode.toUpperCase();
+            button.title = title;
+            button.dataset.mode = mode;
+            container.appendChild(button);
+        });
+        
+        this.dom.preview.appendChild(container);
+        this.modeButtons = container;
+    }
+
+    /**
+     * Callback for a mode button
+     * @param {string} mode - 'daily', 'clear', 'blitz', 'zen', 'puzzle', 'hotseat', 'versus', 'matches' or 'scores'
+     * @returns {Function|null} Callback, or null if the mode isn't offered
+     */
+    getModeCallback(mode) {
+        return { daily: this.onDaily, clear: this.onClear, blitz: this.onBlitz, zen: this.onZen, puzzle: this.onPuzzle, hotseat: this.onHotSeat, versus: this.onVersus, matches: this.onMatches, scores: this.onScores }[mode] || null;
+    }
+
+    /**
+     * Remove the game mode buttons
+     */
+    removeModeButtons() {
+        if (this.modeButtons) {
+            this.modeButtons.remove();
+            this.modeButtons = null;
+        }
+    }
+
     /**
      * Add click handlers to START letters
      */
@@ -92,6 +159,32 @@ export class StartMenuPreview {
                 this.clickHandlers.push({ element: block, handler });
             }
         });
+        
+        this.modeButtons?.querySelectorAll('.mode-btn').forEach(button => {
+            const handler = () => this.handleModeClick(button);
+            button.addEventListener('click', handler);
+            this.clickHandlers.push({ element: button, handler });
+        });
+    }
+
+    /**
+     * Handle click on a mode button (DAILY starts today's challenge, the others start their mode)
+     * @param {HTMLButtonElement} button - Clicked mode button
+     */
+    handleModeClick(button) {
+        if (!this.isActive) return;
+        
+        console.log(`${button.textContent} clicked in preview`);
+        this.isActive = false; // Prevent further clicks
+        
+        // Remove click handlers and the buttons (START letters stay for the drop sequence)
+        this.clickHandlers.forEach(({ element, handler }) => {
+            element.removeEventListener('click', handler);
+        });
+        this.clickHandlers = [];
+        this.removeModeButtons();
+        
+        this.getModeCallback(button.dataset.mode)();
     }
 
     /**
@@ -108,6 +201,7 @@ export class StartMenuPreview {
             element.removeEventListener('click', handler);
         });
         this.clickHandlers = [];
+        this.removeModeButtons();
         
         // Trigger the onStart callback which will run the animation sequence
         if (this.onStart) {
@@ -224,6 +318,7 @@ export class StartMenuPreview {
             element.removeEventListener('click', handler);
         });
         this.clickHandlers = [];
+        this.removeModeButtons();
         
         const previewBlocks = this.dom.preview.querySelectorAll('.preview-letter-block');
         
@@ -0,0 +1,197 @@
+import { CONFIG } from '../config.js';
+import { gameModes } from '../modes/index.js';
+
+// Word lengths always shown in the distribution (longer words get their own bar when made)
+const DISTRIBUTION_LENGTHS = [3, 4, 5, 6, 7];
+
+// Score chart drawing area (SVG units; the chart is stretched to the card's width)
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 100;
+
+/**
+ * StatsView class - Lifetime stats shown as an overlay card
+ * A tab for every mode played (and one for all of them together) with the lifetime totals,
+ * a chart of the recent scores, the word-length distribution and the personal bests.
+ */
+export class StatsView {
+    constructor() {
+        this.overlay = null;
+    }
+
+    /**
+     * Show the stats until Back is pressed
+     * @param {GameHistory} history - Finished games
+     * @param {string|null} mode - Mode to open on (null or a mode never played for all modes)
+     * @returns {Promise<void>} Resolves when closed
+     */
+    show(history, mode = null) {
+        const totalsByMode = history.getTotalsByMode();
+        const modes = Object.keys(totalsByMode);
+        let selected = modes.includes(mode) ? mode : null;
+
+        return new Promise(resolve => {
+            this.hide();
+
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'overlay';
+
+            const card = document.createElement('div');
+            card.className = 'overlay-card stats-view';
+            card.innerHTML = '<div class="overlay-title">Stats</div>';
+
+            const tabs = document.createElement('div');
+            tabs.className = 'stats-tabs';
+            [[null, 'All'], ...modes.map(id => [id, this.getModeLabel(id)])].forEach(([id, label]) => {
+                const button = document.createElement('button');
+                button.className = 'overlay-btn secondary';
+                button.textContent = label;
+                button.addEventListener('click', () => {
+                    selected = id;
+                    render();
+                });
+                tabs.appendChild(button);
+            });
+
+            const body = document.createElement('div');
+            body.className = 'stats-body';
+
+            const render = () => {
+                tabs.querySelectorAll('button').forEach((button, index) => {
+                    button.classList.toggle('selected', (index === 0 ? null : modes[index - 1]) === selected);
+                });
+                body.innerHTML = this.renderBody(history, selected);
+            };
+
+            const backButton = document.createElement('button');
+            backButton.className = 'overlay-btn secondary';
+            backButton.textContent = 'Back';
+            backButton.addEventListener('click', () => {
+                this.hide();
+                resolve();
+            });
+
+            if (modes.length > 1) card.appendChild(tabs);
+            card.append(body, backButton);
+            this.overlay.appendChild(card);
+            document.body.appendChild(this.overlay);
+
+            render();
+        });
+    }
+
+    /**
+     * Stats for one mode, or every mode together
+     * @param {GameHistory} history - Finished games
+     * @param {string|null} mode - Mode id, or null for all modes
+     * @returns {string} HTML
+     */
+    renderBody(history, mode) {
+        const totals = history.getTotals(mode);
+        if (totals.games === 0) {
+            return '<div class="overlay-subtitle">No finished games yet</div>';
+        }
+
+        const recent = history.getGames(mode).slice(0, CONFIG.STATS.CHART_GAMES).reverse();
+        return `
+            <div class="overlay-stats">
+                <div class="overlay-stat"><span>Games</span><strong>${totals.games}</strong></div>
+                <div class="overlay-stat"><span>Average Score</span><strong>${totals.averageScore}</strong></div>
+            </div>
+            <div class="overlay-stats">
+                <div class="overlay-stat"><span>Points per Word</span><strong>${totals.averagePoints}</strong></div>
+                <div class="overlay-stat"><span>Letters Wasted per Game</span><strong>${Math.round(totals.lettersWasted / totals.games)}</strong></div>
+            </div>
+            <div class="summary-heading">Score Over Time</div>
+            ${this.renderScoreChart(recent.map(game => game.score))}
+            <div class="summary-heading">Word Lengths</div>
+            ${this.renderDistribution(totals.lengthHistogram)}
+            <div class="summary-heading">Personal Bests</div>
+            ${this.renderBests(history.getTotalsByMode(), mode)}
+        `;
+    }
+
+    /**
+     * Line chart of scores, oldest on the left
+     * @param {number[]} scores - Scores in play order
+     * @returns {string} SVG markup
+     */
+    renderScoreChart(scores) {
+        const max = Math.max(1, ...scores);
+        // A single game is drawn as a flat line across the chart
+        const plotted = scores.length > 1 ? scores : [scores[0], scores[0]];
+        const points = plotted.map((score, index) => {
+            const x = (index / (plotted.length - 1)) * CHART_WIDTH;
+            const y = CHART_HEIGHT - (score / max) * CHART_HEIGHT;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+
+        return `
+            <div class="stats-chart">
+                <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Scores of the last ${scores.length} games">
+                    <polyline class="stats-chart-line" points="${points.join(' ')}" vector-effect="non-scaling-stroke"></polyline>
+                </svg>
+                <div class="stats-chart-labels">
+                    <span>${scores.length === 1 ? 'Last game' : `Last ${scores.length} games`}</span>
+                    <span>Best ${Math.max(...scores)}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Bars for the words made of each length (3-7 plus any longer lengths made)
+     * @param {Object} lengthHistogram - Word count by length
+     * @returns {string} HTML
+     */
+    renderDistribution(lengthHistogram) {
+        const lengths = new Set([...DISTRIBUTION_LENGTHS, ...Object.keys(lengthHistogram).map(Number)]);
+        const rows = [...lengths].sort((a, b) => a - b).map(length => [String(length), lengthHistogram[length] || 0]);
+        const max = Math.max(1, ...rows.map(([, count]) => count));
+
+        return `<div class="summary-bars visible">${rows.map(([label, count]) => `
+            <div class="summary-bar-row">
+                <span class="summary-bar-label">${label}</span>
+                <div class="summary-bar-track">
+                    <div class="summary-bar" style="--bar-size: ${(count / max) * 100}%"></div>
+                </div>
+                <span class="summary-bar-count">${count}</span>
+            </div>`).join('')}
+        </div>`;
+    }
+
+    /**
+     * One row of personal bests per mode
+     * @param {Object} totalsByMode - From GameHistory.getTotalsByMode()
+     * @param {string|null} mode - Only this mode, or null for every mode played
+     * @returns {string} HTML
+     */
+    renderBests(totalsByMode, mode) {
+        const entries = Object.entries(totalsByMode).filter(([id]) => !mode || id === mode);
+        return `<div class="stats-bests">${entries.map(([id, { best }]) => `
+            <div class="stats-best-row">
+                <span class="stats-best-mode">${this.getModeLabel(id)}</span>
+                <span class="stats-best-words">Best word ${best.bestWord ? `${best.bestWord.text} (${best.bestWord.points})` : '-'} · Longest ${best.longestWord || '-'} · Most words ${best.words.value}</span>
+                <strong class="stats-best-score">${best.score.value}</strong>
+            </div>`).join('')}
+        </div>`;
+    }
+
+    /**
+     * Display name of a mode (the id for a mode no longer registered)
+     * @param {string} id - Mode id
+     * @returns {string} Label
+     */
+    getModeLabel(id) {
+        return gameModes.has(id) ? gameModes.get(id).label : id;
+    }
+
+    /**
+     * Remove the overlay
+     */
+    hide() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
@@ -0,0 +1,128 @@
+import { CONFIG } from '../config.js';
+import { VersusClient } from '../versus/VersusClient.js';
+
+// localStorage key for the name used in the last match
+const NAME_KEY = 'noodel.versusName';
+
+/**
+ * VersusLobby class - Find an online opponent, shown as an overlay card
+ * Connects to the match server, joins with the player's name and waits until the
+ * server pairs them with someone. The connection is handed to VersusMatch.
+ */
+export class VersusLobby {
+    constructor() {
+        this.overlay = null;
+    }
+
+    /**
+     * Show the lobby and wait for a match
+     * @returns {Promise<Object|null>} { client, seed, mode, opponent } once matched, or null to go back
+     */
+    choose() {
+        return new Promise(resolve => {
+            this.hide();
+
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'overlay';
+
+            const card = document.createElement('div');
+            card.className = 'overlay-card versus-lobby';
+            card.innerHTML = `
+                <div class="overlay-title">Versus</div>
+                <div class="overlay-subtitle">Race another player through the same letters - highest score wins</div>
+            `;
+
+            let client = null;
+            const finish = (match) => {
+                this.hide();
+                resolve(match);
+            };
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'versus-name-input';
+            nameInput.placeholder = 'Your name';
+            nameInput.maxLength = CONFIG.VERSUS.MAX_NAME_LENGTH;
+            nameInput.value = this.loadName();
+
+            const status = document.createElement('div');
+            status.className = 'overlay-subtitle versus-status';
+
+            const findButton = document.createElement('button');
+            findButton.className = 'overlay-btn';
+            findButton.textContent = 'Find Opponent';
+            findButton.addEventListener('click', async () => {
+                const name = nameInput.value.trim() || 'Player';
+                this.saveName(name);
+                findButton.disabled = true;
+                nameInput.disabled = true;
+                status.textContent = 'Connecting...';
+
+                client = new VersusClient();
+                client.on('waiting', () => { status.textContent = 'Waiting for an opponent...'; });
+                client.on('start', ({ seed, mode, opponent }) => finish({ client, seed, mode, opponent }));
+                client.on('error', ({ message }) => { status.textContent = message; });
+                client.on('disconnected', () => {
+                    status.textContent = 'Connection lost';
+                    findButton.disabled = false;
+                    nameInput.disabled = false;
+                });
+
+                try {
+                    await client.connect();
+                    client.send('join', { name });
+                } catch (error) {
+                    status.textContent = error.message;
+                    findButton.disabled = false;
+                    nameInput.disabled = false;
+                }
+            });
+
+            const backButton = document.createElement('button');
+            backButton.className = 'overlay-btn secondary';
+            backButton.textContent = 'Back';
+            backButton.addEventListener('click', () => {
+                client?.close();
+                finish(null);
+            });
+
+            card.append(nameInput, findButton, status, backButton);
+            this.overlay.appendChild(card);
+            document.body.appendChild(this.overlay);
+        });
+    }
+
+    /**
+     * Name used in the last match
+     * @returns {string} Name, or '' if none
+     */
+    loadName() {
+        try {
+            return globalThis.localStorage?.getItem(NAME_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Remember the name for next time
+     * @param {string} name - Player name
+     */
+    saveName(name) {
+        try {
+            globalThis.localStorage?.setItem(NAME_KEY, name);
+        } catch (error) {
+            console.warn('VersusLobby: Failed to save name:', error.message);
+        }
+    }
+
+    /**
+     * Remove the overlay
+     */
+    hide() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
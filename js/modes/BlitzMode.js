@@ -0,0 +1,99 @@
+import { CONFIG, GameModes } from '../config.js';
+import { GameMode } from './GameMode.js';
+import { calculateWordScore } from '../scoring/ScoringUtils.js';
+
+/**
+ * BlitzMode - Unlimited letters against a 3-minute clock (CONFIG.BLITZ_MODE)
+ * Every BONUS_EVERY_POINTS points adds time to the clock (each bonus a little less than
+ * the one before, so even a strong game runs out of time), and drops made in quick
+ * succession build a speed streak that multiplies word scores. The clock itself is
+ * run by Game (GameClock); this class only reads and updates the clock fields in GameState.
+ */
+export class BlitzMode extends GameMode {
+    constructor() {
+        super({ id: GameModes.BLITZ, label: 'Blitz', letterCount: CONFIG.GAME.INITIAL_LETTERS, unlimitedLetters: true });
+    }
+
+    getTimeLimit() {
+        return CONFIG.BLITZ_MODE.DURATION_MS;
+    }
+
+    /**
+     * Word score multiplier for the current speed streak
+     * @param {GameState} state - Game state
+     * @returns {number} Multiplier (1 with no streak)
+     */
+    getSpeedMultiplier(state) {
+        const { SPEED_STEP, MAX_SPEED_MULTIPLIER } = CONFIG.BLITZ_MODE;
+        return Math.min(MAX_SPEED_MULTIPLIER, 1 + state.speedStreak * SPEED_STEP);
+    }
+
+    beforeDrop(state) {
+        // Time on the clock since the board last settled (animations are never charged)
+        const thinkTime = state.clockAtLastMove - state.timeRemaining;
+        state.speedStreak = thinkTime <= CONFIG.BLITZ_MODE.FAST_DROP_MS ? state.speedStreak + 1 : 0;
+    }
+
+    scoreWord(word, context) {
+        return Math.round(calculateWordScore(word, context.state.tables) * this.getSpeedMultiplier(context.state));
+    }
+
+    /**
+     * Time added by a time bonus
+     * @param {number} index - Bonuses earned before this one
+     * @returns {number} Milliseconds (0 once the bonuses have shrunk away)
+     */
+    getTimeBonus(index) {
+        const { BONUS_MS, BONUS_SHRINK_MS } = CONFIG.BLITZ_MODE;
+        return Math.max(0, BONUS_MS - index * BONUS_SHRINK_MS);
+    }
+
+    afterMove(state) {
+        const earned = Math.floor(Math.max(0, state.score) / CONFIG.BLITZ_MODE.BONUS_EVERY_POINTS);
+
+        while (state.timeBonuses < earned) {
+            state.timeRemaining += this.getTimeBonus(state.timeBonuses);
+            state.timeBonuses++;
+        }
+        state.clockAtLastMove = state.timeRemaining;
+    }
+
+    isGameOver(state) {
+        return state.timeRemaining <= 0 || state.board.isFull();
+    }
+
+    getEndResult(state) {
+        if (state.timeRemaining <= 0) {
+            return { title: "Time's Up!", reason: 'Out of time' };
+        }
+        return { title: 'Game Over', reason: 'Board full' };
+    }
+
+    getProgress(state) {
+        return { remaining: state.timeRemaining, total: CONFIG.BLITZ_MODE.DURATION_MS };
+    }
+
+    getHUD(state) {
+        const multiplier = this.getSpeedMultiplier(state);
+        return {
+            label: 'Time Left',
+            value: BlitzMode.formatClock(state.timeRemaining),
+            detail: multiplier > 1 ? `×${multiplier} speed` : '',
+            urgent: state.timeRemaining <= CONFIG.BLITZ_MODE.URGENT_MS
+        };
+    }
+
+    describeProgress(snapshot) {
+        return `${BlitzMode.formatClock(snapshot.timeRemaining)} left`;
+    }
+
+    /**
+     * Format clock time as m:ss (rounded up, so 0:00 only shows once time is out)
+     * @param {number} ms - Milliseconds
+     * @returns {string} Formatted time
+     */
+    static formatClock(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
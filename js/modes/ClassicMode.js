@@ -0,0 +1,12 @@
+import { GameModes } from '../config.js';
+import { GameMode } from './GameMode.js';
+
+/**
+ * ClassicMode - The original game: 100 letters on an empty board, play for score
+ * Uses the GameMode defaults unchanged
+ */
+export class ClassicMode extends GameMode {
+    constructor() {
+        super({ id: GameModes.CLASSIC, label: 'Classic' });
+    }
+}
@@ -0,0 +1,53 @@
+import { CONFIG, GameModes } from '../config.js';
+import { GameMode } from './GameMode.js';
+import { ClearModeInitializer } from './ClearModeInitializer.js';
+
+/**
+ * ClearMode - Start on a half-full board with unlimited letters; win by emptying it
+ * Loses if the board fills up. Progress is the share of the starting letters cleared.
+ */
+export class ClearMode extends GameMode {
+    constructor() {
+        super({ id: GameModes.CLEAR, label: 'Clear', letterCount: CONFIG.GAME.INITIAL_LETTERS, unlimitedLetters: true });
+    }
+
+    setupBoard(board, seed, { wordResolver = null, letterFrequencies } = {}) {
+        const placed = ClearModeInitializer.populate(board, seed, wordResolver, letterFrequencies);
+        console.log(`🧹 Clear Mode: ${placed} letters to clear`);
+    }
+
+    isGameOver(state) {
+        return state.board.isEmpty() || state.board.isFull();
+    }
+
+    getEndResult(state) {
+        if (state.board.isEmpty()) {
+            return { title: 'Board Cleared!', reason: 'Every letter cleared' };
+        }
+        return { title: 'Game Over', reason: 'Board full' };
+    }
+
+    /**
+     * Share of the starting letters cleared so far
+     * @param {GameState} state - Game state
+     * @returns {number} Whole percentage 0-100
+     */
+    getClearPercent(state) {
+        if (state.startTileCount <= 0) return 100;
+        const cleared = 1 - state.board.getFilledCount() / state.startTileCount;
+        return Math.max(0, Math.round(cleared * 100));
+    }
+
+    getProgress(state) {
+        return { remaining: state.board.getFilledCount(), total: Math.max(1, state.startTileCount) };
+    }
+
+    getHUD(state) {
+        return { label: 'Board Cleared', value: `${this.getClearPercent(state)}%` };
+    }
+
+    describeProgress(snapshot) {
+        const onBoard = snapshot.board.flat().filter(letter => letter).length;
+        return `${onBoard} letters on board`;
+    }
+}
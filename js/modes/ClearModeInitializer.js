@@ -0,0 +1,55 @@
+import { CONFIG } from '../config.js';
+import { LetterGenerator } from '../letter/LetterGenerator.js';
+import { createSeededRandom } from '../letter/SeededRandom.js';
+
+/**
+ * ClearModeInitializer - Builds the starting board for Clear Mode
+ * Letters are dropped into random columns (so the board respects gravity) until
+ * about half the grid is filled. Any letter that would complete a word is taken
+ * back, so the player starts with nothing to clear for free.
+ *
+ * The fill uses its own PRNG stream derived from the game seed: the same seed
+ * always gives the same board, and the letter sequence is left untouched.
+ */
+export class ClearModeInitializer {
+    /**
+     * Fill a board for the start of a Clear Mode game
+     * @param {BoardModel} board - Board to fill (should be empty)
+     * @param {string|number} seed - Game seed
+     * @param {WordResolver|null} wordResolver - Used to keep the board word-free (skipped if null)
+     * @param {Array<{letter: string, weight: number}>} letterFrequencies - Letter weights (the game's if omitted)
+     * @returns {number} Number of letters placed
+     */
+    static populate(board, seed, wordResolver = null, letterFrequencies) {
+        const { FILL_RATIO, OPEN_ROWS, MAX_ATTEMPTS } = CONFIG.CLEAR_MODE;
+        const target = Math.round(board.rows * board.columns * FILL_RATIO);
+        const maxHeight = board.rows - OPEN_ROWS;
+        const maxAttempts = target * MAX_ATTEMPTS;
+
+        const random = createSeededRandom(`${seed}:clear`);
+        const generator = new LetterGenerator(maxAttempts, random, letterFrequencies);
+
+        let placed = 0;
+        for (let attempt = 0; attempt < maxAttempts && placed < target; attempt++) {
+            const openColumns = board.getColumnHeights()
+                .map((height, col) => (height < maxHeight ? col : -1))
+                .filter(col => col >= 0);
+            if (openColumns.length === 0) break;
+
+            const col = openColumns[Math.floor(random() * openColumns.length)];
+            const row = board.dropLetter(col, generator.generateLetter());
+
+            // Take back letters that complete a word
+            if (wordResolver && wordResolver.checkForWords(board).length > 0) {
+                board.setLetter(row, col, '');
+                continue;
+            }
+            placed++;
+        }
+
+        if (placed < target) {
+            console.warn(`ClearModeInitializer: Only placed ${placed}/${target} letters without forming a word`);
+        }
+        return placed;
+    }
+}
@@ -0,0 +1,16 @@
+import { GameModes } from '../config.js';
+import { GameMode } from './GameMode.js';
+
+/**
+ * DailyMode - Classic rules on today's date-seeded letters (see DailyChallenge)
+ * Has its own save slot and undo budget; Play Again starts a classic game
+ */
+export class DailyMode extends GameMode {
+    constructor() {
+        super({ id: GameModes.DAILY, label: 'Daily' });
+    }
+
+    getPlayAgainMode() {
+        return GameModes.CLASSIC;
+    }
+}
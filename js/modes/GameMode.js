@@ -0,0 +1,191 @@
+import { CONFIG } from '../config.js';
+import { calculateWordScore } from '../scoring/ScoringUtils.js';
+
+/**
+ * GameMode class - Rules of one way to play, looked up by id from the mode registry
+ * The base class plays the classic rules: an empty board, a fixed supply of letters,
+ * Scrabble-based word scores, and game over when the letters run out or the board fills.
+ * Modes override only the hooks they change:
+ * - setupBoard: starting board
+ * - letterCount / unlimitedLetters: letter supply
+ * - multiplayer: players take turns on the board (GameState.players)
+ * - getStartingScore / scoreWord / onWordMade: scoring
+ * - getTimeLimit / beforeDrop / afterMove: clock and per-move bookkeeping (timed modes)
+ * - getOverflowClear: making room on a full board instead of ending the game
+ * - getAutosaveInterval: when the game in progress is saved
+ * - isGameOver / getEndResult: end condition and how it's announced
+ * - getProgress / getHUD / describeProgress: progress bar, stats label and resume summary
+ *
+ * Modes hold no per-game state; everything they read lives in GameState, so
+ * saves, undo snapshots and replays keep working for every mode.
+ */
+export class GameMode {
+    /**
+     * @param {Object} options - Mode options
+     * @param {string} options.id - Mode id (GameModes), also the save slot name
+     * @param {string} options.label - Display name (resume prompt, save slots)
+     * @param {number} options.letterCount - Letters per game (batch size when unlimited)
+     * @param {boolean} options.unlimitedLetters - True if the letter supply never runs out
+     * @param {boolean} options.multiplayer - True if players take turns (words are credited to GameState.players)
+     */
+    constructor({ id, label, letterCount = CONFIG.GAME.INITIAL_LETTERS, unlimitedLetters = false, multiplayer = false }) {
+        this.id = id;
+        this.label = label;
+        this.letterCount = letterCount;
+        this.unlimitedLetters = unlimitedLetters;
+        this.multiplayer = multiplayer;
+    }
+
+    /**
+     * Prepare the starting board once the start sequence has played
+     * @param {BoardModel} board - Empty board to set up
+     * @param {string|number} seed - Game seed
+     * @param {Object} context - Helpers ({ wordResolver, level, letterFrequencies })
+     */
+    setupBoard(board, seed, context) {
+        // Classic rules start on an empty board
+    }
+
+    /**
+     * Score the game starts with (the NOODEL title word is listed but not earned)
+     * @returns {number} Starting score
+     */
+    getStartingScore() {
+        return -calculateWordScore('NOODEL');
+    }
+
+    /**
+     * Points for a word made on the board
+     * @param {string} word - The word
+     * @param {Object} context - Word details ({ cascade, direction, state })
+     * @returns {number} Points
+     */
+    scoreWord(word, context) {
+        return calculateWordScore(word, context.state.tables);
+    }
+
+    /**
+     * Called for each word made on the board, once it has been scored
+     * @param {GameState} state - Game state
+     * @param {string} word - The word
+     * @param {number} points - Points it scored (from scoreWord)
+     */
+    onWordMade(state, word, points) {
+        // Classic rules only keep the score
+    }
+
+    /**
+     * Starting time budget; the clock only runs in modes that have one
+     * @returns {number|null} Milliseconds, or null for an untimed mode
+     */
+    getTimeLimit() {
+        return null;
+    }
+
+    /**
+     * Called as a letter is dropped, before any words it makes are scored
+     * @param {GameState} state - Game state
+     */
+    beforeDrop(state) {
+        // Nothing to track in the classic rules
+    }
+
+    /**
+     * Called once a drop and all its word cascades have settled
+     * @param {GameState} state - Game state
+     */
+    afterMove(state) {
+        // Nothing to track in the classic rules
+    }
+
+    /**
+     * Cells to clear when the board fills up, for modes that keep going on a full board
+     * @param {GameState} state - Game state
+     * @returns {Array<{row: number, col: number}>|null} Positions, or null if a full board ends the game
+     */
+    getOverflowClear(state) {
+        return null;
+    }
+
+    /**
+     * How often the game in progress is saved
+     * @returns {number|null} Interval in ms, or null to save after every move
+     */
+    getAutosaveInterval() {
+        return null;
+    }
+
+    /**
+     * Check if the game has ended
+     * @param {GameState} state - Game state
+     * @returns {boolean} True if over
+     */
+    isGameOver(state) {
+        return state.lettersRemaining <= 0 || state.board.isFull();
+    }
+
+    /**
+     * Summary card title and reason for a finished game
+     * Modes with a win condition may add completed (true on a win) and notes (extra summary lines)
+     * @param {GameState} state - Game state
+     * @returns {{title: string, reason: string, completed?: boolean, notes?: string[]}} End result
+     */
+    getEndResult(state) {
+        return {
+            title: 'Game Over',
+            reason: state.lettersRemaining <= 0 ? 'Out of letters' : 'Board full'
+        };
+    }
+
+    /**
+     * Values for the NOODEL title progress bar
+     * @param {GameState} state - Game state
+     * @returns {{remaining: number, total: number}} Progress values
+     */
+    getProgress(state) {
+        return { remaining: state.lettersRemaining, total: this.letterCount };
+    }
+
+    /**
+     * Label and value of the progress stat (beside Score)
+     * Modes may add a detail line under the value and flag the stat as urgent
+     * @param {GameState} state - Game state
+     * @returns {{label: string, value: string|number, detail?: string, urgent?: boolean}} Stat text
+     */
+    getHUD(state) {
+        return { label: 'Letters Remaining', value: state.lettersRemaining };
+    }
+
+    /**
+     * Progress text for a save in the resume prompt
+     * @param {Object} snapshot - GameState snapshot
+     * @returns {string} Summary text
+     */
+    describeProgress(snapshot) {
+        return `${snapshot.lettersRemaining} letters left`;
+    }
+
+    /**
+     * Undo budget and cost for this mode (CONFIG.UNDO)
+     * @returns {{LIMIT: number, COST: number}} Undo settings
+     */
+    getUndoConfig() {
+        return CONFIG.UNDO[this.id] || { LIMIT: 0, COST: 0 };
+    }
+
+    /**
+     * Hint budget and cost for this mode (CONFIG.HINTS)
+     * @returns {{LIMIT: number, COST: number}} Hint settings
+     */
+    getHintConfig() {
+        return CONFIG.HINTS[this.id] || { LIMIT: 0, COST: 0 };
+    }
+
+    /**
+     * Mode the next game uses after Play Again or reset
+     * @returns {string} Mode id
+     */
+    getPlayAgainMode() {
+        return this.id;
+    }
+}
@@ -0,0 +1,61 @@
+import { GameModes } from '../config.js';
+
+/**
+ * GameModeRegistry - Looks up GameMode rules by mode id
+ *
+ * USAGE:
+ *   const registry = new GameModeRegistry([new ClassicMode(), new ClearMode()]);
+ *   registry.register(new MyMode());
+ *   registry.get('clear').isGameOver(state);
+ */
+export class GameModeRegistry {
+    /**
+     * @param {GameMode[]} modes - Modes to register
+     */
+    constructor(modes = []) {
+        this.modes = new Map();
+        modes.forEach(mode => this.register(mode));
+    }
+
+    /**
+     * Register a mode (replaces any mode with the same id)
+     * @param {GameMode} mode - Mode to register
+     */
+    register(mode) {
+        if (!mode?.id) {
+            console.error('GameModeRegistry: Mode has no id', mode);
+            return;
+        }
+        this.modes.set(mode.id, mode);
+    }
+
+    /**
+     * Check if a mode is registered
+     * @param {string} id - Mode id
+     * @returns {boolean} True if registered
+     */
+    has(id) {
+        return this.modes.has(id);
+    }
+
+    /**
+     * Get a mode by id, falling back to classic for unknown ids (e.g., an old save)
+     * @param {string} id - Mode id
+     * @returns {GameMode} The mode
+     */
+    get(id) {
+        const mode = this.modes.get(id);
+        if (mode) return mode;
+
+        console.warn(`GameModeRegistry: Unknown mode '${id}', using classic rules`);
+        return this.modes.get(GameModes.CLASSIC);
+    }
+
+    /**
+     * All registered modes, in registration order
+     * @returns {GameMode[]} Modes
+     */
+    list() {
+        return [...this.modes.values()];
+    }
+}
@@ -0,0 +1,78 @@
+import { GameModes } from '../config.js';
+import { GameMode } from './GameMode.js';
+
+/**
+ * HotSeatMode - 2-4 players share one board and one letter supply, taking turns to drop
+ * Every word a drop makes is credited to the player who dropped, including the words of
+ * any cascade it sets off (the letters fell because of their move). Otherwise the classic
+ * rules apply, and the player with the most points when the game ends wins.
+ * The players and whose turn it is live in GameState.players / GameState.turn.
+ */
+export class HotSeatMode extends GameMode {
+    /**
+     * @param {Object} options - Mode id and label, for modes that play by hot seat rules (MatchMode)
+     */
+    constructor({ id = GameModes.HOTSEAT, label = 'Hot Seat' } = {}) {
+        super({ id, label, multiplayer: true });
+    }
+
+    onWordMade(state, word, points) {
+        const player = state.players[state.turn];
+        if (player) {
+            player.score += points;
+        }
+    }
+
+    afterMove(state) {
+        // Next player's turn once the drop and its cascades have settled
+        if (state.players.length > 0) {
+            state.turn = (state.turn + 1) % state.players.length;
+        }
+    }
+
+    /**
+     * Players from best to worst score (ties keep turn order)
+     * @param {Object} state - GameState or a snapshot of one
+     * @returns {Array<{name: string, score: number, index: number}>} Standings
+     */
+    getStandings(state) {
+        return state.players
+            .map((player, index) => ({ ...player, index }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    getEndResult(state) {
+        const { reason } = super.getEndResult(state);
+        const standings = this.getStandings(state);
+        if (standings.length === 0) {
+            return { title: 'Game Over', reason };
+        }
+
+        const best = standings[0].score;
+        const winners = standings.filter(player => player.score === best);
+        const title = winners.length > 1 ? "It's a Tie!" : `${winners[0].name} Wins!`;
+
+        // Players on the same score share a place
+        const medals = ['🥇', '🥈', '🥉'];
+        const notes = standings.map(player => {
+            const place = standings.findIndex(other => other.score === player.score);
+            return `${medals[place] || `${place + 1}.`} ${player.name} - ${player.score} pts`;
+        });
+
+        return { title, reason, notes };
+    }
+
+    getHUD(state) {
+        const player = state.players[state.turn];
+        return {
+            label: 'Letters Remaining',
+            value: state.lettersRemaining,
+            detail: player ? `▶ ${player.name}'s turn` : ''
+        };
+    }
+
+    describeProgress(snapshot) {
+        const scores = (snapshot.players || []).map(player => `${player.name} ${player.score}`);
+        return [`${snapshot.lettersRemaining} letters left`, ...scores].join(' · ');
+    }
+}
@@ -0,0 +1,19 @@
+import { GameModes } from '../config.js';
+import { HotSeatMode } from './HotSeatMode.js';
+
+/**
+ * MatchMode - Hot seat between two players on different devices, one drop per turn
+ * The match server keeps the seed and the columns dropped so far; each player takes
+ * their turn whenever they open the match, and the server replays every move with the
+ * same rules (HeadlessGame) before accepting it. Scoring and the winner are hot seat's.
+ * Play Again starts a classic game (new matches are started from the match list).
+ */
+export class MatchMode extends HotSeatMode {
+    constructor() {
+        super({ id: GameModes.MATCH, label: 'Match' });
+    }
+
+    getPlayAgainMode() {
+        return GameModes.CLASSIC;
+    }
+}
@@ -0,0 +1,78 @@
+import { GameModes } from '../config.js';
+import { GameMode } from './GameMode.js';
+import { isGoalMet, describeGoal } from '../levels/LevelGoals.js';
+
+/**
+ * PuzzleMode - Authored levels (see LevelLoader): a fixed starting board and letter
+ * sequence, a move limit, and goals to meet before the moves run out
+ * The level being played lives in GameState.level, and the words made in it in
+ * GameState.levelWords, so saves, undo and replays carry them along.
+ */
+export class PuzzleMode extends GameMode {
+    constructor() {
+        super({ id: GameModes.PUZZLE, label: 'Puzzle' });
+    }
+
+    setupBoard(board, seed, { level = null } = {}) {
+        if (!level) {
+            console.warn('PuzzleMode: No level loaded');
+            return;
+        }
+        board.loadPattern(level.board);
+        console.log(`🧩 Puzzle: ${level.name}`);
+    }
+
+    onWordMade(state, word) {
+        state.levelWords.push(word);
+    }
+
+    /**
+     * Moves left before the level fails
+     * @param {Object} state - GameState or a snapshot of one
+     * @returns {number} Moves left
+     */
+    getMovesLeft(state) {
+        const played = state.level.letters.length - state.lettersRemaining;
+        return state.level.moveLimit - played;
+    }
+
+    /**
+     * Check if every goal of the level is met
+     * @param {GameState} state - Game state
+     * @returns {boolean} True if complete
+     */
+    isComplete(state) {
+        return state.level.goals.every(goal => isGoalMet(goal, state));
+    }
+
+    isGameOver(state) {
+        return this.isComplete(state) || this.getMovesLeft(state) <= 0 || state.board.isFull();
+    }
+
+    getEndResult(state) {
+        const notes = state.level.goals.map(goal => `${isGoalMet(goal, state) ? '✅' : '❌'} ${describeGoal(goal)}`);
+
+        if (this.isComplete(state)) {
+            return { title: 'Level Complete!', reason: state.level.name, completed: true, notes };
+        }
+        return {
+            title: 'Level Failed',
+            reason: state.board.isFull() ? 'Board full' : 'Out of moves',
+            completed: false,
+            notes
+        };
+    }
+
+    getProgress(state) {
+        return { remaining: this.getMovesLeft(state), total: state.level.moveLimit };
+    }
+
+    getHUD(state) {
+        const goals = state.level.goals.map(goal => `${isGoalMet(goal, state) ? '✓' : '○'} ${describeGoal(goal)}`);
+        return { label: 'Moves Left', value: this.getMovesLeft(state), detail: goals.join(' · ') };
+    }
+
+    describeProgress(snapshot) {
+        return `${snapshot.level.name} · ${this.getMovesLeft(snapshot)} moves left`;
+    }
+}
@@ -0,0 +1,18 @@
+import { GameModes } from '../config.js';
+import { GameMode } from './GameMode.js';
+
+/**
+ * VersusMode - Online head-to-head: classic rules on letters seeded by the match server
+ * Both players get the same letters on their own boards; the server replays every move
+ * with the same rules (HeadlessGame) and decides the winner once both games end.
+ * Play Again starts a classic game (a rematch means finding a new opponent).
+ */
+export class VersusMode extends GameMode {
+    constructor() {
+        super({ id: GameModes.VERSUS, label: 'Versus' });
+    }
+
+    getPlayAgainMode() {
+        return GameModes.CLASSIC;
+    }
+}
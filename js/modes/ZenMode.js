@@ -0,0 +1,50 @@
+import { CONFIG, GameModes } from '../config.js';
+import { GameMode } from './GameMode.js';
+
+/**
+ * ZenMode - Endless, relaxed play: unlimited letters and no game over
+ * When the board fills, its oldest row (the bottom one) clears and the letters above
+ * fall into its place. Sessions can run for thousands of moves, so the game is
+ * saved on a timer (CONFIG.ZEN_MODE.AUTOSAVE_MS) instead of after every move.
+ */
+export class ZenMode extends GameMode {
+    constructor() {
+        super({ id: GameModes.ZEN, label: 'Zen', letterCount: CONFIG.GAME.INITIAL_LETTERS, unlimitedLetters: true });
+    }
+
+    /**
+     * Letters dropped so far (the preview queue has been dealt but not played)
+     * @param {Object} state - GameState or a snapshot of one
+     * @returns {number} Letters played
+     */
+    getLettersPlayed(state) {
+        return state.currentLetterIndex - state.nextLetters.length;
+    }
+
+    getOverflowClear(state) {
+        const { board } = state;
+        const row = board.rows - 1;
+        return Array.from({ length: board.columns }, (_, col) => ({ row, col, index: board.getIndex(row, col) }));
+    }
+
+    getAutosaveInterval() {
+        return CONFIG.ZEN_MODE.AUTOSAVE_MS;
+    }
+
+    isGameOver(state) {
+        return false;
+    }
+
+    getProgress(state) {
+        // Nothing runs out: keep the title fully lit
+        return { remaining: 1, total: 1 };
+    }
+
+    getHUD(state) {
+        return { label: 'Letters Played', value: this.getLettersPlayed(state) };
+    }
+
+    describeProgress(snapshot) {
+        return `${this.getLettersPlayed(snapshot)} letters played`;
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * Game Modes Index
+ *
+ * Builds the registry of every playable mode. GameState resolves its mode id
+ * through this registry, and Game picks modes from it. Register a new mode here.
+ */
+
+import { GameModeRegistry } from './GameModeRegistry.js';
+import { ClassicMode } from './ClassicMode.js';
+import { DailyMode } from './DailyMode.js';
+import { ClearMode } from './ClearMode.js';
+import { BlitzMode } from './BlitzMode.js';
+import { ZenMode } from './ZenMode.js';
+import { PuzzleMode } from './PuzzleMode.js';
+import { HotSeatMode } from './HotSeatMode.js';
+import { VersusMode } from './VersusMode.js';
+import { MatchMode } from './MatchMode.js';
+
+/**
+ * Registry of all game modes
+ */
+export const gameModes = new GameModeRegistry([
+    new ClassicMode(),
+    new DailyMode(),
+    new ClearMode(),
+    new BlitzMode(),
+    new ZenMode(),
+    new PuzzleMode(),
+    new HotSeatMode(),
+    new VersusMode(),
+    new MatchMode()
+]);
+
+export { GameMode } from './GameMode.js';
+export { GameModeRegistry };
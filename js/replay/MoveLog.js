@@ -0,0 +1,160 @@
+import { LevelLoader } from '../levels/LevelLoader.js';
+
+// Bump when the log format changes; older logs can't be replayed
+export const MOVE_LOG_VERSION = 1;
+
+// Column values recorded for an undo or a hint instead of a drop
+export const UNDO_MOVE = -1;
+export const HINT_MOVE = -2;
+
+/**
+ * MoveLog class - Compact record of one game: the seed plus every column drop
+ * Each move is a [column, t] pair, where t is milliseconds since the game started
+ * and an undo or hint is recorded as column UNDO_MOVE or HINT_MOVE. Timed modes add a third value, the
+ * clock reading (ms left) when the letter was dropped. The seed fixes the letter
+ * sequence, so replaying the moves through the normal rules rebuilds the whole game.
+ */
+export class MoveLog {
+    /**
+     * @param {Object} options - Log options
+     * @param {string|number} options.seed - Letter sequence seed
+     * @param {string} options.mode - Game mode id (e.g., 'classic', 'daily')
+     * @param {string[][]|null} options.startBoard - Starting board if not empty (e.g., debug grid)
+     * @param {Object|null} options.level - Puzzle level played (its letters replace the seeded sequence)
+     * @param {string[]} options.players - Hot seat player names, in turn order (empty in single-player games)
+     * @param {number} options.startedAt - Start time (epoch ms)
+     * @param {Array<number[]>} options.moves - Recorded [column, t] or [column, t, clock] moves
+     * @param {Object|null} options.result - Final result ({ score, words }) once finished
+     */
+    constructor({ seed, mode = 'classic', startBoard = null, level = null, players = [], startedAt = Date.now(), moves = [], result = null } = {}) {
+        this.seed = seed;
+        this.mode = mode;
+        this.startBoard = startBoard;
+        this.level = level;
+        this.players = players;
+        this.startedAt = startedAt;
+        this.moves = moves;
+        this.result = result;
+    }
+
+    /**
+     * Record a letter drop
+     * @param {number} column - Column the letter was dropped in
+     * @param {number|null} clock - Time left on the clock (timed modes only)
+     */
+    record(column, clock = null) {
+        const move = [column, Date.now() - this.startedAt];
+        if (clock !== null) move.push(clock);
+        this.moves.push(move);
+    }
+
+    /**
+     * Record an undo of the previous move
+     */
+    recordUndo() {
+        this.moves.push([UNDO_MOVE, Date.now() - this.startedAt]);
+    }
+
+    /**
+     * Record a hint (it costs points, so replays must charge it too)
+     */
+    recordHint() {
+        this.moves.push([HINT_MOVE, Date.now() - this.startedAt]);
+    }
+
+    /**
+     * Mark the game as finished
+     * @param {Object} result - Final result ({ score, words })
+     */
+    finish(result) {
+        this.result = result;
+    }
+
+    /**
+     * Get a move as an object
+     * @param {number} index - Move index
+     * @returns {{column: number, t: number, clock: number|null, undo: boolean, hint: boolean}} Move
+     */
+    getMove(index) {
+        const [column, t, clock = null] = this.moves[index];
+        return { column, t, clock, undo: column === UNDO_MOVE, hint: column === HINT_MOVE };
+    }
+
+    get length() {
+        return this.moves.length;
+    }
+
+    toJSON() {
+        return {
+            version: MOVE_LOG_VERSION,
+            seed: this.seed,
+            mode: this.mode,
+            startBoard: this.startBoard,
+            level: this.level,
+            players: this.players,
+            startedAt: this.startedAt,
+            moves: this.moves,
+            result: this.result
+        };
+    }
+
+    /**
+     * Create a log from data produced by toJSON()
+     * @param {Object} data - Plain log data
+     * @returns {MoveLog} The log
+     * @throws {Error} If the data is not a valid log
+     */
+    static fromJSON(data) {
+        if (!data || data.version !== MOVE_LOG_VERSION) {
+            throw new Error(`MoveLog: Unsupported log version ${data?.version}`);
+        }
+        if (data.seed === undefined || data.seed === null) {
+            throw new Error('MoveLog: Log has no seed');
+        }
+        const validMoves = Array.isArray(data.moves) && data.moves.every(move =>
+            Array.isArray(move) && Number.isInteger(move[0]) && move[0] >= HINT_MOVE && Number.isFinite(move[1]) &&
+            (move.length < 3 || Number.isFinite(move[2]))
+        );
+        if (!validMoves) {
+            throw new Error('MoveLog: Log has malformed moves');
+        }
+        const players = data.players || [];
+        if (!Array.isArray(players) || !players.every(name => typeof name === 'string')) {
+            throw new Error('MoveLog: Log has malformed players');
+        }
+
+        return new MoveLog({
+            seed: data.seed,
+            mode: data.mode,
+            startBoard: data.startBoard || null,
+            level: data.level ? LevelLoader.parse(data.level) : null,
+            players,
+            startedAt: data.startedAt,
+            moves: data.moves.map(move => move.slice(0, 3)),
+            result: data.result || null
+        });
+    }
+
+    /**
+     * Encode the log as a URL-safe string (for ?replay= share links)
+     * @returns {string} Base64url-encoded log
+     */
+    encode() {
+        const bytes = new TextEncoder().encode(JSON.stringify(this));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a string produced by encode()
+     * @param {string} code - Base64url-encoded log
+     * @returns {MoveLog} The log
+     * @throws {Error} If the code is not a valid log
+     */
+    static decode(code) {
+        const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return MoveLog.fromJSON(JSON.parse(new TextDecoder().decode(bytes)));
+    }
+}
@@ -0,0 +1,89 @@
+import { MoveLog } from './MoveLog.js';
+
+// localStorage key for finished game logs
+const STORAGE_KEY = 'noodel.replays';
+
+// Only the most recent games are kept
+const MAX_REPLAYS = 10;
+
+/**
+ * ReplayStore class - Keeps move logs of recently finished games in localStorage
+ */
+export class ReplayStore {
+    /**
+     * @param {Storage|null} storage - Storage backend (defaults to localStorage, in-memory if unavailable)
+     */
+    constructor(storage = globalThis.localStorage ?? null) {
+        this.storage = storage;
+        this.memory = []; // Fallback when no storage backend is available
+    }
+
+    /**
+     * Load stored logs as plain data, newest first
+     * @returns {Object[]} Array of log data
+     */
+    loadAll() {
+        if (!this.storage) {
+            return this.memory;
+        }
+
+        try {
+            const raw = this.storage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            console.warn('ReplayStore: Failed to read replays:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Save logs as plain data
+     * @param {Object[]} entries - Array of log data, newest first
+     */
+    saveAll(entries) {
+        if (!this.storage) {
+            this.memory = entries;
+            return;
+        }
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('ReplayStore: Failed to save replays:', error.message);
+        }
+    }
+
+    /**
+     * Store a finished game's log (drops the oldest beyond MAX_REPLAYS)
+     * @param {MoveLog} log - Move log
+     */
+    add(log) {
+        const entries = [log.toJSON(), ...this.loadAll()].slice(0, MAX_REPLAYS);
+        this.saveAll(entries);
+    }
+
+    /**
+     * Get all stored logs, newest first (unreadable entries are skipped)
+     * @returns {MoveLog[]} Array of logs
+     */
+    list() {
+        return this.loadAll()
+            .map(data => {
+                try {
+                    return MoveLog.fromJSON(data);
+                } catch (error) {
+                    console.warn(error.message);
+                    return null;
+                }
+            })
+            .filter(log => log !== null);
+    }
+
+    /**
+     * Get the most recently finished game's log
+     * @returns {MoveLog|null} Log or null if none stored
+     */
+    getLatest() {
+        return this.list()[0] || null;
+    }
+}
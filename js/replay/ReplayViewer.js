@@ -0,0 +1,390 @@
+import { CONFIG } from '../config.js';
+import { GameplayStates } from '../core/GameplayStates.js';
+import { WordItem } from '../word/WordItem.js';
+import { calculateWordScore } from '../scoring/ScoringUtils.js';
+
+// Playback speeds offered by the speed control (passed to AnimationSequencer.setSpeed)
+const SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * ReplayViewer class - Plays back a MoveLog on the live board
+ * Moves are re-driven through Game.dropLetter / Game.undo / Game.useHint via the 'replayMove'
+ * sequence, so a replay follows exactly the same rules and animations as the
+ * original game. Scrubbing rebuilds the game from the seed without animation.
+ * Finished games are kept in a ReplayStore for the replay button.
+ */
+export class ReplayViewer {
+    /**
+     * @param {Game} game - The game instance to drive
+     * @param {ReplayStore} store - Finished games of the account playing
+     */
+    constructor(game, store) {
+        this.game = game;
+        this.store = store;
+        this.log = null;
+        this.position = 0;        // Number of moves applied to the board
+        this.playing = false;
+        this.currentMove = null;  // Promise of the move being animated
+        this.returnSlot = null;   // Save slot to go back to when the replay closes
+        this.bar = null;
+        this.controls = {};
+    }
+
+    /**
+     * Check if a replay is being shown
+     * @returns {boolean} True if a replay is open
+     */
+    isActive() {
+        return this.log !== null;
+    }
+
+    /**
+     * Keep the finished games of another account from now on
+     * @param {ReplayStore} store - Finished games of the account now playing
+     */
+    useStore(store) {
+        this.store = store;
+        this.updateButton();
+    }
+
+    /**
+     * Keep a finished game for the replay button
+     * @param {MoveLog} log - The game's move log
+     */
+    record(log) {
+        this.store.add(log);
+        this.updateButton();
+    }
+
+    /**
+     * Enable the replay button once a finished game has been stored
+     */
+    updateButton() {
+        const button = this.game.dom.replayBtn;
+        if (!button) return;
+        button.disabled = this.isActive() || this.store.getLatest() === null;
+    }
+
+    /**
+     * Open the replay of the most recently finished game
+     * @returns {Promise<boolean>} True if a replay was opened
+     */
+    async openLatest() {
+        const log = this.store.getLatest();
+        if (!log) return false;
+        return this.open(log);
+    }
+
+    /**
+     * Open a replay, replacing the board until close() is called
+     * The game in progress stays in its save slot and is restored on close
+     * @param {MoveLog} log - Move log to replay
+     * @returns {Promise<boolean>} True if the replay was opened
+     */
+    async open(log) {
+        const { game } = this;
+
+        if (game.isPlayingMove()) {
+            console.warn('ReplayViewer: Wait for the current move to finish before opening a replay');
+            return false;
+        }
+
+        if (this.isActive()) {
+            await this.stop();
+        } else {
+            game.autosave.flush(); // The replay returns to the game's save
+            this.returnSlot = game.state.started ? game.getSaveSlot().slot : null;
+        }
+
+        // Take over the board: no menus, no bot, no online match, no daily result recording
+        game.takeOverBoard();
+
+        this.log = log;
+        this.showControls();
+        await this.rebuild(0);
+
+        await game.sequencer.play('resume', { state: game.state, dom: game.dom });
+
+        console.log(`🎬 Replaying ${log.mode} game (seed: ${log.seed}, ${log.length} moves)`);
+        return true;
+    }
+
+    /**
+     * Close the replay and go back to the game that was in progress (or a new game)
+     */
+    async close() {
+        if (!this.isActive()) return;
+
+        await this.stop();
+        this.log = null;
+        this.hideControls();
+
+        const save = this.returnSlot ? this.game.saves.load(this.returnSlot) : null;
+        this.returnSlot = null;
+        if (save) {
+            this.game.restoreSave(save);
+        } else {
+            await this.game.reset();
+        }
+        this.updateButton();
+    }
+
+    /**
+     * Play moves until the end of the log or until paused
+     */
+    async play() {
+        if (!this.isActive() || this.playing) return;
+
+        if (this.position >= this.log.length) {
+            await this.rebuild(0);
+        }
+
+        this.playing = true;
+        this.updateControls();
+
+        while (this.playing && this.isActive() && this.position < this.log.length) {
+            await this.playMove();
+        }
+
+        this.playing = false;
+        this.updateControls();
+    }
+
+    /**
+     * Pause after the move being played
+     */
+    pause() {
+        this.playing = false;
+        this.updateControls();
+    }
+
+    /**
+     * Play a single move (pauses playback first)
+     */
+    async step() {
+        await this.stop();
+        await this.playMove();
+    }
+
+    /**
+     * Jump to a move without animation
+     * @param {number} index - Number of moves to apply (0 = start of game)
+     */
+    async seek(index) {
+        await this.stop();
+        await this.rebuild(Math.max(0, Math.min(index, this.log.length)));
+    }
+
+    /**
+     * Pause and wait for the move being played to settle
+     */
+    async stop() {
+        this.pause();
+        if (this.currentMove) {
+            await this.currentMove;
+        }
+    }
+
+    /**
+     * Animate the next move through the 'replayMove' sequence
+     */
+    async playMove() {
+        if (this.currentMove || this.position >= this.log.length) return;
+
+        const context = {
+            game: this.game,
+            move: this.log.getMove(this.position)
+        };
+
+        this.currentMove = this.game.sequencer.play('replayMove', context);
+        try {
+            await this.currentMove;
+        } finally {
+            this.currentMove = null;
+        }
+    }
+
+    /**
+     * Count a played move (last step of the 'replayMove' sequence)
+     */
+    advance() {
+        this.position++;
+        this.updateControls();
+    }
+
+    /**
+     * Rebuild the game from the seed and apply moves without animation
+     * @param {number} index - Number of moves to apply
+     */
+    async rebuild(index) {
+        const { game, log } = this;
+
+        game.clearHint();
+        if (log.players.length > 0) {
+            game.state.setPlayers(log.players);
+        }
+        game.state.reset(log.seed, log.mode, log.level);
+        if (log.startBoard) {
+            game.state.board.loadPattern(log.startBoard);
+        }
+        game.state.markStartBoard();
+        game.state.started = true;
+        game.undoHistory.clear();
+        game.awaitFirstMove();
+        game.letters.initialize();
+        game.score.displayReset();
+
+        // Every game starts with the NOODEL title word in the list
+        const noodelDef = game.wordResolver?.dictionary.get('NOODEL') || CONFIG.GAME_INFO.NOODEL_DEFINITION;
+        game.score.addWord(new WordItem('NOODEL', noodelDef, calculateWordScore('NOODEL')));
+
+        for (let i = 0; i < index; i++) {
+            const move = log.getMove(i);
+            if (move.undo) {
+                game.undo();
+            } else if (move.hint) {
+                game.useHint();
+            } else {
+                await game.applyDropInstantly(move.column, move.clock);
+            }
+        }
+        this.position = index;
+
+        // A finished timed game that didn't end on a move ran out of time after the last one
+        if (index === log.length && log.result && game.state.isTimed() && !game.state.isGameOver()) {
+            game.state.timeRemaining = 0;
+        }
+
+        if (game.state.isGameOver()) {
+            game.appState.setGameplayState(GameplayStates.GAME_OVER);
+        }
+
+        // Render every view from the rebuilt state
+        game.grid.render();
+        game.letters.display();
+        game.score.renderProgress();
+        game.updateProgressBar();
+        game.updateUndoButton();
+        game.updateHintButton();
+        this.updateControls();
+    }
+
+    /**
+     * Share link that opens a replay (?replay=...)
+     * @param {MoveLog} log - Log to link to (default: the open replay)
+     * @returns {string} URL
+     */
+    getShareURL(log = this.log) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.searchParams.set('replay', log.encode());
+        return url.toString();
+    }
+
+    /**
+     * Copy the share link to the clipboard (falls back to a prompt)
+     */
+    async share() {
+        const link = this.getShareURL();
+        try {
+            await navigator.clipboard.writeText(link);
+            this.controls.share.textContent = '✅';
+            setTimeout(() => { if (this.controls.share) this.controls.share.textContent = '🔗'; }, 1500);
+        } catch (error) {
+            prompt('Copy this replay link:', link);
+        }
+    }
+
+    /**
+     * Format a move timestamp as m:ss
+     * @param {number} ms - Milliseconds since the game started
+     * @returns {string} Formatted time
+     */
+    formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Create the playback control bar
+     */
+    showControls() {
+        if (this.bar) return;
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'replay-bar';
+
+        const button = (label, title, onClick) => {
+            const element = document.createElement('button');
+            element.className = 'replay-bar-btn';
+            element.textContent = label;
+            element.title = title;
+            element.addEventListener('click', onClick);
+            this.bar.appendChild(element);
+            return element;
+        };
+
+        const info = document.createElement('div');
+        info.className = 'replay-bar-info';
+        this.bar.appendChild(info);
+
+        this.controls.info = info;
+        this.controls.restart = button('⏮', 'Back to start', () => this.seek(0));
+        this.controls.play = button('▶️', 'Play / pause', () => (this.playing ? this.pause() : this.play()));
+        this.controls.step = button('⏭', 'Next move', () => this.step());
+
+        const scrub = document.createElement('input');
+        scrub.type = 'range';
+        scrub.className = 'replay-bar-scrub';
+        scrub.min = 0;
+        scrub.addEventListener('change', () => this.seek(Number(scrub.value)));
+        this.bar.appendChild(scrub);
+        this.controls.scrub = scrub;
+
+        const speed = document.createElement('select');
+        speed.className = 'replay-bar-speed';
+        speed.title = 'Playback speed';
+        SPEEDS.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${value}x`;
+            speed.appendChild(option);
+        });
+        speed.value = SPEEDS.includes(this.game.sequencer.speedMultiplier) ? this.game.sequencer.speedMultiplier : 1;
+        speed.addEventListener('change', () => this.game.sequencer.setSpeed(Number(speed.value)));
+        this.bar.appendChild(speed);
+        this.controls.speed = speed;
+
+        this.controls.share = button('🔗', 'Copy replay link', () => this.share());
+        this.controls.close = button('✖', 'Close replay', () => this.close());
+
+        document.body.appendChild(this.bar);
+    }
+
+    /**
+     * Remove the playback control bar
+     */
+    hideControls() {
+        if (this.bar) {
+            this.bar.remove();
+            this.bar = null;
+            this.controls = {};
+        }
+    }
+
+    /**
+     * Sync the control bar with the playback position
+     */
+    updateControls() {
+        if (!this.bar || !this.log) return;
+
+        const { info, play, scrub } = this.controls;
+        const lastMove = this.position > 0 ? this.log.getMove(this.position - 1) : null;
+        const time = lastMove ? ` · ${this.formatTime(lastMove.t)}` : '';
+
+        info.textContent = `Move ${this.position} / ${this.log.length}${time}`;
+        play.textContent = this.playing ? '⏸' : '▶️';
+        scrub.max = this.log.length;
+        scrub.value = this.position;
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * PlayersView class - Hot seat scoreboard in #playersPanel: one column per player
+ * with their name, score and the words they made, in the player's color. The column of
+ * the player whose turn it is is highlighted. While it is shown, the Words Made container
+ * gets the 'multiplayer' class, which hides the single words list and its pager.
+ * Hidden outside multiplayer modes (GameState.getActivePlayer() is null).
+ */
+export class PlayersView {
+    /**
+     * @param {HTMLElement|null} panelElement - The #playersPanel element
+     */
+    constructor(panelElement) {
+        this.panel = panelElement;
+    }
+
+    /**
+     * Show every player's score and words
+     * @param {GameState} state - Game state (players and turn)
+     * @param {WordItem[]} words - Made words, oldest first (WordItem.player says who made each)
+     */
+    render(state, words) {
+        if (!this.panel) return;
+
+        const active = state.getActivePlayer();
+        const visible = active !== null;
+        this.panel.hidden = !visible;
+        this.panel.parentElement?.classList.toggle('multiplayer', visible);
+        this.panel.innerHTML = '';
+        if (!visible) return;
+
+        state.players.forEach((player, index) => {
+            const column = document.createElement('div');
+            column.className = `player-column player-${index + 1}`;
+            column.classList.toggle('active', index === active);
+
+            const header = document.createElement('div');
+            header.className = 'player-header';
+            header.innerHTML = `<span class="player-name"></span> <strong class="player-score">${player.score}</strong>`;
+            header.querySelector('.player-name').textContent = player.name;
+            column.appendChild(header);
+
+            // Newest first, like the single words list
+            const list = document.createElement('div');
+            list.className = 'player-words';
+            words.filter(word => word.player === index).reverse().forEach(word => {
+                const item = document.createElement('div');
+                item.className = 'player-word';
+                item.innerHTML = `<strong>${word.text}</strong> <small>(${word.points} pts)</small>`;
+                item.title = word.definition;
+                list.appendChild(item);
+            });
+            column.appendChild(list);
+
+            this.panel.appendChild(column);
+        });
+    }
+}
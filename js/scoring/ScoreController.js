@@ -1,5 +1,6 @@
 import { WordItem } from '../word/WordItem.js';
-import { CONFIG } from '../config.js';
+import { WordsListView } from './WordsListView.js';
+import { PlayersView } from './PlayersView.js';
 
 /**
  * ScoreController class - Manages scoring, words, and game progress
@@ -9,6 +10,8 @@ export class ScoreController {
         this.gameState = gameState;
         this.dom = domCache;
         this.madeWords = []; // Store WordItem instances for stats
+        this.wordsView = new WordsListView(domCache.wordsList, this.madeWords); // Paged #wordsList
+        this.playersView = new PlayersView(domCache.playersPanel); // Hot seat columns
     }
 
     /**
@@ -19,50 +22,114 @@ export class ScoreController {
         // Set initial score from game state (starts negative to account for NOODEL)
         this.dom.scoreValue.textContent = this.gameState.score;
         
-        // Set initial letters remaining from config
-        this.dom.lettersRemaining.textContent = CONFIG.GAME.INITIAL_LETTERS;
+        // Set initial letters remaining
+        this.renderProgress();
     }
 
     // Add word to the words list
     addWord(wordItem) {
         // Store the word item for stats tracking
         this.madeWords.push(wordItem);
-        
-        // Create DOM element and display in format: Word (pts) Definition
-        const wordDiv = document.createElement('div');
-        wordDiv.className = 'word-item';
-        wordDiv.innerHTML = `<strong>${wordItem.text}</strong> <small>(${wordItem.points} pts)</small> <span>${wordItem.definition}</span>`;
-        
-        // Insert at the top (prepend) so newest words appear first
-        this.dom.wordsList.insertBefore(wordDiv, this.dom.wordsList.firstChild);
+        this.renderWord(wordItem);
         
         // Update score
         this.gameState.addToScore(wordItem.points);
         this.dom.scoreValue.textContent = this.gameState.score;
     }
 
-    // Get stats about all words made during the game
+    // Show the current score (after a charge that isn't a word, e.g., a hint)
+    renderScore() {
+        this.dom.scoreValue.textContent = this.gameState.score;
+    }
+
+    // Display a word at the top of the words list (newest words appear first)
+    renderWord(wordItem) {
+        this.wordsView.add(wordItem);
+        this.renderPlayers();
+    }
+
+    // Show each hot seat player's score and words (hidden in single-player games)
+    renderPlayers() {
+        this.playersView.render(this.gameState, this.madeWords);
+    }
+
+    /**
+     * Restore made words from a save (score comes from the restored GameState, not re-added)
+     * @param {Array<{text, definition, points, direction, player}>} words - Saved words, oldest first
+     */
+    restoreWords(words) {
+        this.madeWords = words.map(({ text, definition, points, direction, player = null }) =>
+            new WordItem(text, definition, points, direction, player));
+        this.wordsView.setWords(this.madeWords);
+        
+        this.dom.scoreValue.textContent = this.gameState.score;
+        this.renderProgress();
+    }
+
+    /**
+     * Get stats about the words made on the board during the game
+     * The NOODEL title word (no direction) is listed but not counted
+     * @returns {Object} Stats (totals, best words, length histogram, direction breakdown, board info)
+     */
     getStats() {
+        const boardWords = this.madeWords.filter(word => word.direction);
+        
+        // Word count by length, e.g. { 3: 5, 4: 2 }
+        const lengthHistogram = {};
+        boardWords.forEach(word => {
+            lengthHistogram[word.text.length] = (lengthHistogram[word.text.length] || 0) + 1;
+        });
+        
+        // Both diagonal directions count as 'diagonal'
+        const directions = { horizontal: 0, vertical: 0, diagonal: 0 };
+        boardWords.forEach(word => {
+            const group = word.direction.startsWith('diagonal') ? 'diagonal' : word.direction;
+            if (group in directions) directions[group]++;
+        });
+        
         return {
-            totalWords: this.madeWords.length,
+            totalWords: boardWords.length,
             totalScore: this.gameState.score,
-            words: this.madeWords.slice(), // copy of WordItem array
-            longestWord: this.madeWords.reduce((a, b) => 
+            words: boardWords.slice(), // copy of WordItem array
+            longestWord: boardWords.reduce((a, b) => 
                 a.text.length > b.text.length ? a : b, 
                 new WordItem('', '', 0)
-            )
+            ),
+            highestScoringWord: boardWords.reduce((a, b) => 
+                a.points >= b.points ? a : b, 
+                new WordItem('', '', 0)
+            ),
+            lengthHistogram,
+            directions,
+            biggestCascade: this.gameState.biggestCascade,
+            lettersOnBoard: this.gameState.board.getFilledCount()
         };
     }
 
     // Update letters remaining counter
     updateLettersRemaining() {
         this.gameState.decrementLettersRemaining();
-        this.dom.lettersRemaining.textContent = this.gameState.lettersRemaining;
+        this.renderProgress();
+    }
+
+    /**
+     * Show game progress in the second stat, labelled by the current mode
+     * (e.g., letters remaining, in Clear Mode the share of the starting board cleared,
+     * in Blitz the clock with the speed multiplier underneath, in Hot Seat whose turn it is)
+     */
+    renderProgress() {
+        const { label, value, detail = '', urgent = false } = this.gameState.getMode().getHUD(this.gameState);
+        
+        if (this.dom.lettersLabel) {
+            this.dom.lettersLabel.textContent = label;
+        }
+        this.dom.lettersRemaining.textContent = value;
         
-        if (this.gameState.isGameOver()) {
-            // Game over logic
-            alert('Game Over! No more letters remaining.');
+        if (this.dom.progressDetail) {
+            this.dom.progressDetail.textContent = detail;
         }
+        this.dom.progressStat?.classList.toggle('urgent', urgent);
+        this.renderPlayers();
     }
 
     /**
@@ -71,12 +138,12 @@ export class ScoreController {
      */
     displayReset() {
         this.madeWords = [];
-        this.dom.wordsList.innerHTML = '';
+        this.wordsView.setWords(this.madeWords);
         
         // Update score display
         this.dom.scoreValue.textContent = this.gameState.score;
         
-        // Update letters remaining display from config
-        this.dom.lettersRemaining.textContent = this.gameState.lettersRemaining;
+        // Update letters remaining display
+        this.renderProgress();
     }
 }
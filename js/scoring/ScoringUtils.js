@@ -21,20 +21,21 @@ const LENGTH_BONUSES = {
 /**
  * Calculate the score for a word based on Scrabble tile values + length bonus
  * @param {string} word - The word to score
+ * @param {Object} tables - Other scoring values to use (createScoringTables); the defaults above if omitted
  * @returns {number} The total score
  */
-export function calculateWordScore(word) {
+export function calculateWordScore(word, { letterValues = LETTER_VALUES, lengthBonuses = LENGTH_BONUSES } = {}) {
     const upperWord = word.toUpperCase();
     
     // Calculate base score from letter values
     let baseScore = 0;
     for (let i = 0; i < upperWord.length; i++) {
         const letter = upperWord[i];
-        baseScore += LETTER_VALUES[letter] || 0;
+        baseScore += letterValues[letter] || 0;
     }
     
     // Add length bonus
-    const lengthBonus = LENGTH_BONUSES[word.length] || 0;
+    const lengthBonus = lengthBonuses[word.length] || 0;
     
     return baseScore + lengthBonus;
 }
@@ -47,3 +48,36 @@ export function calculateWordScore(word) {
 export function getLetterValue(letter) {
     return LETTER_VALUES[letter.toUpperCase()] || 0;
 }
+
+/**
+ * The game's scoring tables (copies)
+ * @returns {{letterValues: Object, lengthBonuses: Object}} Points per letter and bonus per word length
+ */
+export function getScoringTables() {
+    return { letterValues: { ...LETTER_VALUES }, lengthBonuses: { ...LENGTH_BONUSES } };
+}
+
+/**
+ * Scoring tables with some values changed, to pass to calculateWordScore (the balance
+ * simulator tries out other tables this way); the game's own tables are left as they are
+ * @param {Object} overrides - Values to change
+ * @param {Object} overrides.letterValues - Points by letter, e.g. { Q: 8 }
+ * @param {Object} overrides.lengthBonuses - Bonus by word length, e.g. { 4: 2 }
+ * @returns {{letterValues: Object, lengthBonuses: Object}} The game's tables with the overrides applied
+ */
+export function createScoringTables({ letterValues = {}, lengthBonuses = {} } = {}) {
+    const tables = getScoringTables();
+    Object.entries(letterValues).forEach(([letter, points]) => {
+        if (!/^[A-Z]$/i.test(letter) || !Number.isFinite(points)) {
+            throw new Error(`ScoringUtils: Invalid letter value ${letter}=${points}`);
+        }
+        tables.letterValues[letter.toUpperCase()] = points;
+    });
+    Object.entries(lengthBonuses).forEach(([length, bonus]) => {
+        if (!/^\d+$/.test(length) || !Number.isFinite(bonus)) {
+            throw new Error(`ScoringUtils: Invalid length bonus ${length}=${bonus}`);
+        }
+        tables.lengthBonuses[length] = bonus;
+    });
+    return tables;
+}
@@ -0,0 +1,147 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * WordsListView class - Paged display of the made words in #wordsList
+ * Only one page of words (CONFIG.WORDS_LIST.PAGE_SIZE, newest first) is ever in the
+ * DOM, so long sessions (e.g., Zen Mode) don't grow the list by thousands of nodes.
+ * A pager under the list appears once there is more than one page.
+ *
+ * USAGE:
+ *   const view = new WordsListView(dom.wordsList, madeWords);
+ *   view.setWords(madeWords);   // Render a new array from scratch (restore, undo, reset)
+ *   madeWords.push(word);
+ *   view.add(word);             // After a word is appended to the same array
+ */
+export class WordsListView {
+    /**
+     * @param {HTMLElement} listElement - The #wordsList element
+     * @param {WordItem[]} words - Words shown, oldest first (the caller appends to this array)
+     * @param {number} pageSize - Words per page
+     */
+    constructor(listElement, words = [], pageSize = CONFIG.WORDS_LIST.PAGE_SIZE) {
+        this.list = listElement;
+        this.pageSize = pageSize;
+        this.words = words; // Shared with ScoreController.madeWords
+        this.page = 0;    // 0 = newest words
+        this.pager = null; // { element, newer, older, label } once created
+    }
+
+    /**
+     * Show a new list of words from the first page
+     * @param {WordItem[]} words - Words, oldest first
+     */
+    setWords(words) {
+        this.words = words;
+        this.page = 0;
+        this.render();
+    }
+
+    /**
+     * Show a word just appended to the list
+     * On the first page it goes on top (dropping the oldest shown word past a full page);
+     * an older page is re-rendered, since every page moves back by one word
+     * @param {WordItem} wordItem - The new word
+     */
+    add(wordItem) {
+        if (this.page > 0) {
+            this.render();
+            return;
+        }
+
+        this.list.insertBefore(this.createItem(wordItem), this.list.firstChild);
+        if (this.list.children.length > this.pageSize) {
+            this.list.lastElementChild.remove();
+        }
+        this.updatePager();
+    }
+
+    /**
+     * Number of pages
+     * @returns {number} Pages (at least 1)
+     */
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.words.length / this.pageSize));
+    }
+
+    /**
+     * Show a page of words
+     * @param {number} page - Page index (0 = newest)
+     */
+    showPage(page) {
+        this.page = Math.max(0, Math.min(page, this.getPageCount() - 1));
+        this.render();
+    }
+
+    /**
+     * Render the current page from scratch
+     */
+    render() {
+        const end = this.words.length - this.page * this.pageSize;
+        const start = Math.max(0, end - this.pageSize);
+
+        this.list.innerHTML = '';
+        for (let i = end - 1; i >= start; i--) {
+            this.list.appendChild(this.createItem(this.words[i]));
+        }
+        this.updatePager();
+    }
+
+    /**
+     * Create the element for one word, in format: Word (pts) Definition
+     * @param {WordItem} wordItem - Word
+     * @returns {HTMLElement} Word element
+     */
+    createItem(wordItem) {
+        const wordDiv = document.createElement('div');
+        wordDiv.className = 'word-item';
+        wordDiv.innerHTML = `<strong>${wordItem.text}</strong> <small>(${wordItem.points} pts)</small> <span>${wordItem.definition}</span>`;
+        return wordDiv;
+    }
+
+    /**
+     * Sync the pager (created on first use, hidden while everything fits on one page)
+     */
+    updatePager() {
+        const pageCount = this.getPageCount();
+        if (pageCount <= 1 && !this.pager) return;
+
+        if (!this.pager) {
+            this.createPager();
+        }
+
+        const total = this.words.length;
+        const newest = total - this.page * this.pageSize;
+        const oldest = Math.max(1, newest - this.pageSize + 1);
+
+        this.pager.element.hidden = pageCount <= 1;
+        this.pager.newer.disabled = this.page === 0;
+        this.pager.older.disabled = this.page >= pageCount - 1;
+        this.pager.label.textContent = `${oldest}–${newest} of ${total}`;
+    }
+
+    /**
+     * Create the pager below the list
+     */
+    createPager() {
+        const pager = document.createElement('div');
+        pager.className = 'words-pager';
+
+        const newer = document.createElement('button');
+        newer.className = 'words-pager-btn';
+        newer.textContent = '‹ Newer';
+        newer.addEventListener('click', () => this.showPage(this.page - 1));
+
+        const label = document.createElement('span');
+        label.className = 'words-pager-label';
+
+        const older = document.createElement('button');
+        older.className = 'words-pager-btn';
+        older.textContent = 'Older ›';
+        older.addEventListener('click', () => this.showPage(this.page + 1));
+
+        pager.append(newer, label, older);
+        this.list.after(pager);
+
+        this.pager = { element: pager, newer, older, label };
+    }
+}
@@ -0,0 +1,257 @@
+import { CONFIG } from '../config.js';
+
+// localStorage key of the stats from before they were kept per device; each device's key is this plus '.<deviceId>'
+const STORAGE_KEY = 'noodel.stats';
+
+// Plain localStorage key naming this browser (never per account or synced, so every device has its own)
+const DEVICE_KEY = 'noodel.device';
+
+/**
+ * GameHistory class - Lifetime statistics across every finished game
+ * Each game is summarised from ScoreController.getStats() into a small record (score, mode,
+ * words, longest and best word, points per word, letters wasted, word lengths). The most
+ * recent CONFIG.STATS.MAX_GAMES records are kept for charts; per-mode totals and personal
+ * bests are added up as games finish, so they outlive the records that are dropped.
+ *
+ * Each device writes only its own key (noodel.stats.<deviceId>), so two devices of a synced
+ * account never overwrite each other's games; the stats shown combine every device's key
+ * (and the older single noodel.stats key).
+ *
+ * Stored data per key: { games: [record, ...newest first], modes: { modeId: totals } }
+ */
+export class GameHistory {
+    /**
+     * @param {Storage|null} storage - Storage backend (defaults to localStorage, in-memory if unavailable)
+     * @param {string} deviceId - This device's id (names the key its games are written to)
+     */
+    constructor(storage = globalThis.localStorage ?? null, deviceId = GameHistory.getDeviceId()) {
+        this.storage = storage;
+        this.key = `${STORAGE_KEY}.${deviceId}`;
+        this.memory = null; // Fallback when no storage backend is available
+    }
+
+    /**
+     * This browser's device id, made up and kept in localStorage the first time
+     * @returns {string} Device id
+     */
+    static getDeviceId() {
+        let deviceId = null;
+        try {
+            deviceId = globalThis.localStorage?.getItem(DEVICE_KEY) || null;
+        } catch (error) {
+            deviceId = null;
+        }
+        if (!deviceId) {
+            // getRandomValues also works on plain http (randomUUID needs a secure context)
+            const bytes = crypto.getRandomValues(new Uint8Array(8));
+            deviceId = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+            try {
+                globalThis.localStorage?.setItem(DEVICE_KEY, deviceId);
+            } catch (error) {
+                console.warn('GameHistory: Failed to save the device id:', error.message);
+            }
+        }
+        return deviceId;
+    }
+
+    /**
+     * Load one key's history
+     * @param {string} key - Storage key (this device's by default)
+     * @returns {Object} { games, modes }
+     */
+    loadData(key = this.key) {
+        if (!this.storage) {
+            return this.memory || { games: [], modes: {} };
+        }
+
+        try {
+            const raw = this.storage.getItem(key);
+            return raw ? JSON.parse(raw) : { games: [], modes: {} };
+        } catch (error) {
+            console.warn('GameHistory: Failed to read stats:', error.message);
+            return { games: [], modes: {} };
+        }
+    }
+
+    /**
+     * Save this device's history
+     * @param {Object} data - { games, modes }
+     */
+    saveData(data) {
+        if (!this.storage) {
+            this.memory = data;
+            return;
+        }
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(data));
+        } catch (error) {
+            console.warn('GameHistory: Failed to save stats:', error.message);
+        }
+    }
+
+    /**
+     * Every device's history together: the newest MAX_GAMES records and the totals of all of them
+     * @returns {Object} { games, modes }
+     */
+    loadCombined() {
+        if (!this.storage) {
+            return this.loadData();
+        }
+
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key === STORAGE_KEY || key?.startsWith(`${STORAGE_KEY}.`)) {
+                keys.push(key);
+            }
+        }
+
+        const combined = { games: [], modes: {} };
+        keys.map(key => this.loadData(key)).forEach(({ games, modes }) => {
+            combined.games.push(...games);
+            Object.entries(modes).forEach(([mode, totals]) => {
+                combined.modes[mode] = GameHistory.combineTotals(combined.modes[mode], totals);
+            });
+        });
+        combined.games = combined.games.sort((a, b) => b.playedAt - a.playedAt).slice(0, CONFIG.STATS.MAX_GAMES);
+        return combined;
+    }
+
+    /**
+     * Summarise a finished game as a history record
+     * @param {Object} stats - Stats from ScoreController.getStats()
+     * @param {string} mode - Mode id
+     * @param {number} playedAt - When the game finished (ms)
+     * @returns {Object} Record { playedAt, mode, score, words, longestWord, bestWord, wordPoints, averagePoints, lettersWasted, lengthHistogram }
+     */
+    static summarize(stats, mode, playedAt = Date.now()) {
+        const wordPoints = stats.words.reduce((sum, word) => sum + word.points, 0);
+        const best = stats.highestScoringWord;
+        return {
+            playedAt,
+            mode,
+            score: stats.totalScore,
+            words: stats.totalWords,
+            longestWord: stats.longestWord?.text || '',
+            bestWord: best?.text ? { text: best.text, points: best.points } : null,
+            wordPoints,
+            averagePoints: stats.totalWords > 0 ? Math.round((wordPoints / stats.totalWords) * 10) / 10 : 0,
+            // Letters dropped that never became part of a word
+            lettersWasted: stats.lettersOnBoard,
+            lengthHistogram: { ...stats.lengthHistogram }
+        };
+    }
+
+    /**
+     * Record a finished game (drops the oldest record beyond MAX_GAMES)
+     * @param {Object} stats - Stats from ScoreController.getStats()
+     * @param {string} mode - Mode id
+     * @returns {Object} The record
+     */
+    record(stats, mode) {
+        const record = GameHistory.summarize(stats, mode);
+        const data = this.loadData();
+        data.games = [record, ...data.games].slice(0, CONFIG.STATS.MAX_GAMES);
+        data.modes[mode] = GameHistory.addToTotals(data.modes[mode], record);
+        this.saveData(data);
+        return record;
+    }
+
+    /**
+     * Add a game to a mode's lifetime totals and personal bests
+     * @param {Object|undefined} totals - Totals so far (undefined for the mode's first game)
+     * @param {Object} record - Game record
+     * @returns {Object} Updated totals
+     */
+    static addToTotals(totals, record) {
+        const next = totals
+            ? { ...totals, lengthHistogram: { ...totals.lengthHistogram } }
+            : { games: 0, score: 0, words: 0, wordPoints: 0, lettersWasted: 0, lengthHistogram: {}, best: {} };
+
+        next.games++;
+        next.score += record.score;
+        next.words += record.words;
+        next.wordPoints += record.wordPoints;
+        next.lettersWasted += record.lettersWasted;
+        Object.entries(record.lengthHistogram).forEach(([length, count]) => {
+            next.lengthHistogram[length] = (next.lengthHistogram[length] || 0) + count;
+        });
+
+        const best = { ...next.best };
+        if (!(best.score?.value >= record.score)) best.score = { value: record.score, playedAt: record.playedAt };
+        if (!(best.words?.value >= record.words)) best.words = { value: record.words, playedAt: record.playedAt };
+        if (record.longestWord.length > (best.longestWord?.length ?? 0)) best.longestWord = record.longestWord;
+        if (record.bestWord && record.bestWord.points > (best.bestWord?.points ?? 0)) best.bestWord = record.bestWord;
+        if (record.averagePoints > (best.averagePoints ?? 0)) best.averagePoints = record.averagePoints;
+        next.best = best;
+        return next;
+    }
+
+    /**
+     * Two sets of totals together (e.g. two devices'): counts are added, the better of each personal best is kept
+     * @param {Object|undefined} totals - Totals (undefined for none)
+     * @param {Object|undefined} other - Totals to add (undefined for none)
+     * @returns {Object|undefined} Combined totals
+     */
+    static combineTotals(totals, other) {
+        if (!totals || !other) return totals || other;
+
+        const next = { ...totals, lengthHistogram: { ...totals.lengthHistogram } };
+        ['games', 'score', 'words', 'wordPoints', 'lettersWasted'].forEach(key => { next[key] += other[key]; });
+        Object.entries(other.lengthHistogram).forEach(([length, count]) => {
+            next.lengthHistogram[length] = (next.lengthHistogram[length] || 0) + count;
+        });
+
+        const best = { ...totals.best };
+        const theirs = other.best;
+        if (theirs.score && !(best.score?.value >= theirs.score.value)) best.score = theirs.score;
+        if (theirs.words && !(best.words?.value >= theirs.words.value)) best.words = theirs.words;
+        if ((theirs.longestWord?.length ?? 0) > (best.longestWord?.length ?? 0)) best.longestWord = theirs.longestWord;
+        if ((theirs.bestWord?.points ?? 0) > (best.bestWord?.points ?? 0)) best.bestWord = theirs.bestWord;
+        if ((theirs.averagePoints ?? 0) > (best.averagePoints ?? 0)) best.averagePoints = theirs.averagePoints;
+        next.best = best;
+        return next;
+    }
+
+    /**
+     * Recent game records from every device, newest first
+     * @param {string|null} mode - Only this mode's games (null for every mode)
+     * @returns {Object[]} Records
+     */
+    getGames(mode = null) {
+        const { games } = this.loadCombined();
+        return mode ? games.filter(game => game.mode === mode) : games;
+    }
+
+    /**
+     * Lifetime totals and personal bests per mode, from every device
+     * @returns {Object} modeId → { games, score, words, wordPoints, lettersWasted, lengthHistogram, best }
+     */
+    getTotalsByMode() {
+        return this.loadCombined().modes;
+    }
+
+    /**
+     * Lifetime totals for one mode or all of them together
+     * @param {string|null} mode - Mode id (null for every mode)
+     * @returns {Object} { games, score, words, averageScore, averagePoints, lettersWasted, lengthHistogram }
+     */
+    getTotals(mode = null) {
+        const modes = this.getTotalsByMode();
+        const selected = mode ? [modes[mode]].filter(Boolean) : Object.values(modes);
+
+        const sum = selected.reduce((combined, totals) => GameHistory.combineTotals(combined, totals), undefined) ||
+            { games: 0, score: 0, words: 0, wordPoints: 0, lettersWasted: 0, lengthHistogram: {} };
+
+        return {
+            games: sum.games,
+            score: sum.score,
+            words: sum.words,
+            averageScore: sum.games > 0 ? Math.round(sum.score / sum.games) : 0,
+            averagePoints: sum.words > 0 ? Math.round((sum.wordPoints / sum.words) * 10) / 10 : 0,
+            lettersWasted: sum.lettersWasted,
+            lengthHistogram: sum.lengthHistogram
+        };
+    }
+}
@@ -0,0 +1,43 @@
+import { GameHistory } from './GameHistory.js';
+import { StatsView } from '../menu/StatsView.js';
+
+/**
+ * StatsController class - Lifetime stats: recording finished games and showing the stats page
+ * Only the player's own games count: not level test plays, the bot's games or shared boards
+ * (Game decides which games to record).
+ */
+export class StatsController {
+    /**
+     * @param {Storage|SyncedStorage|null} storage - Storage of the account playing
+     */
+    constructor(storage) {
+        this.history = new GameHistory(storage);
+        this.view = new StatsView();
+    }
+
+    /**
+     * Keep the stats of another account from now on
+     * @param {Storage|SyncedStorage|null} storage - Storage of the account now playing
+     */
+    useStorage(storage) {
+        this.history = new GameHistory(storage);
+    }
+
+    /**
+     * Add a finished game to the lifetime stats
+     * @param {Object} stats - Stats from ScoreController.getStats()
+     * @param {string} mode - Mode id
+     */
+    record(stats, mode) {
+        this.history.record(stats, mode);
+    }
+
+    /**
+     * Show the stats page until Back is pressed
+     * @param {string|null} mode - Mode to open on
+     * @returns {Promise<void>} Resolves when closed
+     */
+    show(mode) {
+        return this.view.show(this.history, mode);
+    }
+}
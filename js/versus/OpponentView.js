@@ -0,0 +1,93 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * OpponentView class - The opponent's board as a mini grid in #opponentPanel,
+ * with their name, live score and status ("Playing", "Finished", ...)
+ * Fed with the server's 'opponent' updates by VersusMatch.
+ */
+export class OpponentView {
+    /**
+     * @param {HTMLElement|null} panelElement - The #opponentPanel element
+     */
+    constructor(panelElement) {
+        this.panel = panelElement;
+        this.cells = [];
+        this.score = null;
+        this.status = null;
+    }
+
+    /**
+     * Show an empty board for a new opponent
+     * @param {string} name - Opponent's name
+     */
+    show(name) {
+        if (!this.panel) return;
+
+        const { ROWS, COLUMNS } = CONFIG.GRID;
+        this.panel.innerHTML = `
+            <div class="opponent-header">
+                <span class="opponent-name"></span>
+                <strong class="opponent-score">0</strong>
+            </div>
+            <div class="opponent-grid"></div>
+            <div class="opponent-status">Playing</div>
+        `;
+        this.panel.querySelector('.opponent-name').textContent = name;
+        this.score = this.panel.querySelector('.opponent-score');
+        this.status = this.panel.querySelector('.opponent-status');
+
+        const grid = this.panel.querySelector('.opponent-grid');
+        grid.style.setProperty('--opponent-columns', COLUMNS);
+        this.cells = [];
+        for (let i = 0; i < ROWS * COLUMNS; i++) {
+            const cell = document.createElement('div');
+            cell.className = 'opponent-cell';
+            grid.appendChild(cell);
+            this.cells.push(cell);
+        }
+
+        this.panel.hidden = false;
+    }
+
+    /**
+     * Show the opponent's board and score after one of their moves
+     * @param {Object} update - Server update ({ board, score, over })
+     */
+    update({ board, score, over }) {
+        if (!this.score) return;
+
+        board.flat().forEach((letter, index) => {
+            if (this.cells[index]) {
+                this.cells[index].textContent = letter;
+                this.cells[index].classList.toggle('filled', letter !== '');
+            }
+        });
+        this.score.textContent = score;
+        if (over) {
+            this.setStatus('Finished');
+        }
+    }
+
+    /**
+     * Show a status line under the board
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        if (this.status) {
+            this.status.textContent = text;
+        }
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        if (!this.panel) return;
+
+        this.panel.hidden = true;
+        this.panel.innerHTML = '';
+        this.cells = [];
+        this.score = null;
+        this.status = null;
+    }
+}
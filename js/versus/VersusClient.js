@@ -0,0 +1,118 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * VersusClient class - WebSocket connection to the head-to-head match server
+ * Messages are JSON objects with a type (the protocol is described in server/VersusServer.js).
+ * Register one handler per message type with on(); 'disconnected' fires if the
+ * connection closes without close() being called.
+ *
+ * USAGE:
+ *   const client = new VersusClient();
+ *   client.on('start', ({ seed, opponent }) => ...);
+ *   await client.connect();
+ *   client.send('join', { name: 'Ann' });
+ */
+export class VersusClient {
+    /**
+     * @param {string} url - WebSocket URL (defaults to the page's own server)
+     */
+    constructor(url = VersusClient.getDefaultURL()) {
+        this.url = url;
+        this.socket = null;
+        this.handlers = new Map();
+    }
+
+    /**
+     * URL of the match endpoint on the server that served the page
+     * @returns {string} ws:// or wss:// URL
+     */
+    static getDefaultURL() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}${CONFIG.VERSUS.PATH}`;
+    }
+
+    /**
+     * Open the connection
+     * @returns {Promise<void>} Resolves once connected
+     * @throws {Error} If the server can't be reached
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+
+            socket.addEventListener('open', () => resolve(), { once: true });
+            socket.addEventListener('message', (event) => this.handleMessage(event.data));
+            socket.addEventListener('close', () => {
+                if (this.socket !== socket) return; // Closed on purpose
+                this.socket = null;
+                reject(new Error("Can't reach the game server"));
+                this.emit('disconnected', {});
+            });
+        });
+    }
+
+    /**
+     * Check if the connection is open
+     * @returns {boolean} True if messages can be sent
+     */
+    isConnected() {
+        return this.socket?.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Set the handler for a message type (replaces any earlier one)
+     * @param {string} type - Message type, or 'disconnected'
+     * @param {Function} callback - Called with the message
+     */
+    on(type, callback) {
+        this.handlers.set(type, callback);
+    }
+
+    /**
+     * Send a message
+     * @param {string} type - Message type
+     * @param {Object} data - Message fields
+     */
+    send(type, data = {}) {
+        if (!this.isConnected()) {
+            console.warn(`VersusClient: Not connected, '${type}' not sent`);
+            return;
+        }
+        this.socket.send(JSON.stringify({ type, ...data }));
+    }
+
+    /**
+     * Parse a server message and call its handler
+     * @param {string} data - Raw message
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('VersusClient: Malformed server message');
+            return;
+        }
+        this.emit(message.type, message);
+    }
+
+    /**
+     * Call the handler for a message type, if there is one
+     * @param {string} type - Message type
+     * @param {Object} message - Message
+     */
+    emit(type, message) {
+        this.handlers.get(type)?.(message);
+    }
+
+    /**
+     * Close the connection (no 'disconnected' event)
+     */
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        this.handlers.clear();
+        socket?.close();
+    }
+}
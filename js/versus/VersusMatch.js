@@ -0,0 +1,169 @@
+import { GameModes } from '../config.js';
+import { OpponentView } from './OpponentView.js';
+import { VersusLobby } from '../menu/VersusLobby.js';
+
+/**
+ * VersusMatch class - The online head-to-head match in progress, owned by Game
+ * An opponent is found in the lobby, then the local game is played as usual (VersusMode,
+ * seeded by the server with the same letters for both players); every letter
+ * dropped is sent to the match server, which replays it and passes the result on to the
+ * opponent. The opponent's moves arrive as board updates for the OpponentView mini grid.
+ * The match result (or a forfeit) is shown on a card above the game over summary.
+ */
+export class VersusMatch {
+    /**
+     * @param {Game} game - The game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.lobby = new VersusLobby();
+        this.client = null;        // VersusClient while the match is on
+        this.opponentName = null;
+        this.opponent = new OpponentView(game.dom.opponentPanel);
+        this.overlay = null;
+
+        game.appState.on('letterDropped', ({ column, letter }) => this.sendMove(column, letter));
+    }
+
+    /**
+     * Check if a match is in progress
+     * @returns {boolean} True while connected to an opponent
+     */
+    isActive() {
+        return this.client !== null;
+    }
+
+    /**
+     * Find an opponent in the lobby, then play the server's letters against them
+     * @param {boolean} fromPreview - True if opened from the START preview menu
+     */
+    async start(fromPreview = true) {
+        const { game } = this;
+        const match = await this.lobby.choose();
+
+        if (!match) {
+            game.returnToMenu(fromPreview);
+            return;
+        }
+
+        // Same letters as the opponent
+        game.state.setMode(GameModes.VERSUS);
+        game.state.loadLetterSequence(match.seed);
+        game.letters.initialize();
+        game.currentDaily = null;
+        this.begin(match);
+
+        if (fromPreview) {
+            await game.startFromPreview();
+        } else {
+            await game.start();
+        }
+    }
+
+    /**
+     * Take over a match found by the lobby
+     * @param {Object} match - { client, opponent } (VersusLobby.choose)
+     */
+    begin({ client, opponent }) {
+        this.leave();
+        this.client = client;
+        this.opponentName = opponent;
+        this.opponent.show(opponent);
+
+        client.on('opponent', (update) => this.opponent.update(update));
+        client.on('result', ({ score, opponentScore, outcome }) => {
+            const titles = { win: 'You Win!', lose: `${opponent} Wins`, draw: "It's a Draw" };
+            this.finish(titles[outcome], `You ${score} · ${opponent} ${opponentScore}`);
+        });
+        client.on('opponentLeft', () => {
+            this.opponent.setStatus('Left the match');
+            this.finish('You Win!', `${opponent} left the match`);
+        });
+        client.on('rejected', ({ reason }) => {
+            console.warn(`VersusMatch: Move rejected by the server (${reason})`);
+            this.finish('Match Forfeited', 'Your game got out of step with the server');
+        });
+        client.on('disconnected', () => {
+            this.opponent.setStatus('Disconnected');
+            this.finish('Connection Lost', 'The match has ended');
+        });
+
+        console.log(`⚔️ Versus match against ${opponent}`);
+    }
+
+    /**
+     * Send a dropped letter to the server
+     * @param {number} column - Column
+     * @param {string} letter - Letter dropped
+     */
+    sendMove(column, letter) {
+        if (!this.isActive() || this.game.replay.isActive()) return;
+        this.client.send('move', { column, letter });
+    }
+
+    /**
+     * The match is over: close the connection and show the result
+     * (the opponent's last board stays on screen until the next game)
+     * @param {string} title - Result title
+     * @param {string} detail - Result line
+     */
+    finish(title, detail) {
+        this.client.close();
+        this.client = null;
+        this.showResult(title, detail);
+    }
+
+    /**
+     * Leave the match (forfeits a match in progress) and hide the opponent's board
+     */
+    leave() {
+        if (this.isActive()) {
+            this.client.send('leave');
+            this.client.close();
+            this.client = null;
+            console.log('⚔️ Left the versus match');
+        }
+        this.hideResult();
+        this.opponent.hide();
+    }
+
+    /**
+     * Show the match result as an overlay card
+     * @param {string} title - Result title
+     * @param {string} detail - Result line
+     */
+    showResult(title, detail) {
+        this.hideResult();
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'overlay versus-result';
+
+        const card = document.createElement('div');
+        card.className = 'overlay-card';
+        card.innerHTML = `
+            <div class="overlay-title"></div>
+            <div class="overlay-subtitle"></div>
+        `;
+        card.querySelector('.overlay-title').textContent = title;
+        card.querySelector('.overlay-subtitle').textContent = detail;
+
+        const okButton = document.createElement('button');
+        okButton.className = 'overlay-btn';
+        okButton.textContent = 'OK';
+        okButton.addEventListener('click', () => this.hideResult());
+        card.appendChild(okButton);
+
+        this.overlay.appendChild(card);
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Remove the result card
+     */
+    hideResult() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
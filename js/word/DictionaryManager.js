@@ -4,9 +4,10 @@
 export class DictionaryManager {
     /**
      * Load all word list CSV files and combine into a single dictionary Map
+     * @param {Function} readText - Async (filepath) => file text; defaults to fetch (pass an fs reader in Node)
      * @returns {Promise<Map<string, string>>} A Map with word->definition pairs
      */
-    static async loadDictionaries() {
+    static async loadDictionaries(readText = DictionaryManager.fetchText) {
         const files = [
             'word_list/3_letter_words.csv',
             'word_list/4_letter_words.csv',
@@ -21,7 +22,7 @@ export class DictionaryManager {
         
         for (const file of files) {
             try {
-                const wordDefs = await this.loadWordFile(file);
+                const wordDefs = await this.loadWordFile(file, readText);
                 wordDefs.forEach(({ word, definition }) => {
                     dictionary.set(word.toUpperCase().trim(), definition.trim());
                 });
@@ -43,19 +44,38 @@ export class DictionaryManager {
     }
     
     /**
-     * Load a single CSV word file and parse it
-     * CSV format expected: word,definition
-     * @param {string} filepath - Path to the CSV file
-     * @returns {Promise<Array>} Array of {word, definition} objects
+     * Fetch a file's text over HTTP (browser default for loadDictionaries)
+     * @param {string} filepath - Path to the file
+     * @returns {Promise<string>} File contents
      */
-    static async loadWordFile(filepath) {
+    static async fetchText(filepath) {
         const response = await fetch(filepath);
         
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         
-        const text = await response.text();
+        return response.text();
+    }
+    
+    /**
+     * Load a single CSV word file and parse it
+     * @param {string} filepath - Path to the CSV file
+     * @param {Function} readText - Async (filepath) => file text
+     * @returns {Promise<Array>} Array of {word, definition} objects
+     */
+    static async loadWordFile(filepath, readText = DictionaryManager.fetchText) {
+        const text = await readText(filepath);
+        return this.parseWordFile(text);
+    }
+    
+    /**
+     * Parse CSV word file text
+     * CSV format expected: word,definition
+     * @param {string} text - CSV file contents
+     * @returns {Array} Array of {word, definition} objects
+     */
+    static parseWordFile(text) {
         const lines = text.split(/\r?\n/);
         const wordDefs = [];
         
@@ -2,9 +2,18 @@
  * WordItem class - Represents a word found in the game with its metadata
  */
 export class WordItem {
-    constructor(text, definition, points) {
+    /**
+     * @param {string} text - The word
+     * @param {string} definition - Dictionary definition
+     * @param {number} points - Points scored
+     * @param {string|null} direction - Direction from WordResolver.getDirectionName (null for the NOODEL title word)
+     * @param {number|null} player - Index of the hot seat player credited with the word (null in single-player games)
+     */
+    constructor(text, definition, points, direction = null, player = null) {
         this.text = text;
         this.definition = definition;
         this.points = points;
+        this.direction = direction;
+        this.player = player;
     }
 }
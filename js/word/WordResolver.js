@@ -1,8 +1,8 @@
-import { CONFIG } from '../config.js';
 import { DictionaryManager } from './DictionaryManager.js';
 
 /**
  * WordResolver class - Detects and validates words on the game grid
+ * Reads letters from a BoardModel (not the DOM), so detection also runs headless
  */
 export class WordResolver {
     constructor(gameState, domCache, dictionary) {
@@ -25,18 +25,19 @@ export class WordResolver {
     /**
      * Check the entire grid for words after a letter is placed
      * Returns an array of found words with their positions
+     * @param {BoardModel} board - Board to scan (defaults to the live game board)
      */
-    checkForWords() {
+    checkForWords(board = this.gameState.board) {
         const foundWords = [];
         
         // Check horizontal words
-        foundWords.push(...this.checkHorizontal());
+        foundWords.push(...this.checkHorizontal(board));
         
         // Check vertical words
-        foundWords.push(...this.checkVertical());
+        foundWords.push(...this.checkVertical(board));
         
         // Check diagonal words (both directions)
-        foundWords.push(...this.checkDiagonals());
+        foundWords.push(...this.checkDiagonals(board));
         
         return foundWords;
     }
@@ -44,14 +45,14 @@ export class WordResolver {
     /**
      * Check for horizontal words (left to right)
      */
-    checkHorizontal() {
+    checkHorizontal(board = this.gameState.board) {
         const words = [];
         
-        for (let row = 0; row < CONFIG.GRID.ROWS; row++) {
-            for (let col = 0; col < CONFIG.GRID.COLUMNS; col++) {
+        for (let row = 0; row < board.rows; row++) {
+            for (let col = 0; col < board.columns; col++) {
                 // Try words of different lengths starting from this position
-                for (let length = 3; length <= CONFIG.GRID.COLUMNS - col; length++) {
-                    const wordData = this.extractWord(row, col, 0, 1, length);
+                for (let length = 3; length <= board.columns - col; length++) {
+                    const wordData = this.extractWord(row, col, 0, 1, length, board);
                     if (wordData && this.dictionary.has(wordData.word)) {
                         words.push(wordData);
                     }
@@ -65,14 +66,14 @@ export class WordResolver {
     /**
      * Check for vertical words (top to bottom)
      */
-    checkVertical() {
+    checkVertical(board = this.gameState.board) {
         const words = [];
         
-        for (let col = 0; col < CONFIG.GRID.COLUMNS; col++) {
-            for (let row = 0; row < CONFIG.GRID.ROWS; row++) {
+        for (let col = 0; col < board.columns; col++) {
+            for (let row = 0; row < board.rows; row++) {
                 // Try words of different lengths starting from this position
-                for (let length = 3; length <= CONFIG.GRID.ROWS - row; length++) {
-                    const wordData = this.extractWord(row, col, 1, 0, length);
+                for (let length = 3; length <= board.rows - row; length++) {
+                    const wordData = this.extractWord(row, col, 1, 0, length, board);
                     if (wordData && this.dictionary.has(wordData.word)) {
                         words.push(wordData);
                     }
@@ -86,18 +87,18 @@ export class WordResolver {
     /**
      * Check for diagonal words (both directions)
      */
-    checkDiagonals() {
+    checkDiagonals(board = this.gameState.board) {
         const words = [];
         
         // Diagonal down-right
-        for (let row = 0; row < CONFIG.GRID.ROWS; row++) {
-            for (let col = 0; col < CONFIG.GRID.COLUMNS; col++) {
+        for (let row = 0; row < board.rows; row++) {
+            for (let col = 0; col < board.columns; col++) {
                 const maxLength = Math.min(
-                    CONFIG.GRID.ROWS - row,
-                    CONFIG.GRID.COLUMNS - col
+                    board.rows - row,
+                    board.columns - col
                 );
                 for (let length = 3; length <= maxLength; length++) {
-                    const wordData = this.extractWord(row, col, 1, 1, length);
+                    const wordData = this.extractWord(row, col, 1, 1, length, board);
                     if (wordData && this.dictionary.has(wordData.word)) {
                         words.push(wordData);
                     }
@@ -106,14 +107,14 @@ export class WordResolver {
         }
         
         // Diagonal up-right (starting from bottom rows, moving up-right)
-        for (let row = 0; row < CONFIG.GRID.ROWS; row++) {
-            for (let col = 0; col < CONFIG.GRID.COLUMNS; col++) {
+        for (let row = 0; row < board.rows; row++) {
+            for (let col = 0; col < board.columns; col++) {
                 const maxLength = Math.min(
                     row + 1,  // Can go up from current row
-                    CONFIG.GRID.COLUMNS - col  // Can go right from current column
+                    board.columns - col  // Can go right from current column
                 );
                 for (let length = 3; length <= maxLength; length++) {
-                    const wordData = this.extractWord(row, col, -1, 1, length);
+                    const wordData = this.extractWord(row, col, -1, 1, length, board);
                     if (wordData && this.dictionary.has(wordData.word)) {
                         words.push(wordData);
                     }
@@ -131,24 +132,23 @@ export class WordResolver {
      * @param {number} rowDelta - Row direction (0, 1, or -1)
      * @param {number} colDelta - Column direction (0, 1, or -1)
      * @param {number} length - Length of word to extract
+     * @param {BoardModel} board - Board to read letters from
      * @returns {object|null} Word data object or null if invalid
      */
-    extractWord(row, col, rowDelta, colDelta, length) {
+    extractWord(row, col, rowDelta, colDelta, length, board = this.gameState.board) {
         let word = '';
         const positions = [];
         
         for (let i = 0; i < length; i++) {
             const currentRow = row + (i * rowDelta);
             const currentCol = col + (i * colDelta);
-            const index = currentRow * CONFIG.GRID.COLUMNS + currentCol;
-            const square = this.dom.getGridSquare(index);
             
-            if (!square || !square.classList.contains('filled')) {
+            if (!board.isFilled(currentRow, currentCol)) {
                 return null; // Empty cell or out of bounds
             }
             
-            word += square.textContent;
-            positions.push({ row: currentRow, col: currentCol, index });
+            word += board.getLetter(currentRow, currentCol);
+            positions.push({ row: currentRow, col: currentCol, index: board.getIndex(currentRow, currentCol) });
         }
         
         // Fetch definition from dictionary (or use placeholder if not found)
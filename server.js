@@ -1,10 +1,30 @@
 const express = require('express');
 const expressStaticGzip = require('express-static-gzip');
 const path = require('path');
+const { loadGameRules } = require('./server/GameRules');
+const { VersusServer } = require('./server/VersusServer');
+const { MatchStore } = require('./server/MatchStore');
+const { createMatchRouter } = require('./server/matchRoutes');
+const { ScoreStore } = require('./server/ScoreStore');
+const { createScoreRouter } = require('./server/scoreRoutes');
+const { UserStore } = require('./server/UserStore');
+const { createAccountRouter, createSessionMiddleware } = require('./server/accountRoutes');
+const { SyncStore } = require('./server/SyncStore');
+const { createSyncRouter } = require('./server/syncRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Server-side data (asynchronous matches, leaderboard scores, accounts, cloud saves) is kept in JSON files here
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const users = new UserStore(path.join(DATA_DIR, 'users.json'));
+const sync = new SyncStore(path.join(DATA_DIR, 'sync'));
+const matches = new MatchStore(path.join(DATA_DIR, 'matches.json'));
+const scores = new ScoreStore(path.join(DATA_DIR, 'scores.json'), users);
+
+// Server data files (DATA_DIR defaults to data/ under the site root) are never served
+app.use('/data', (req, res) => res.status(404).end());
+
 // Enable gzip compression for static files
 app.use('/', expressStaticGzip(path.join(__dirname), {
   enableBrotli: true,
@@ -29,12 +49,35 @@ app.use(express.static(__dirname, {
   etag: true
 }));
 
+// Every API request learns who is logged in from the session cookie (req.user)
+app.use('/api', createSessionMiddleware(users));
+
+// Player accounts (CONFIG.ACCOUNTS.API_PATH); answers 503 until the game rules have loaded
+app.use('/api/accounts', createAccountRouter(users));
+
+// Cloud saves of logged-in players (CONFIG.SYNC.API_PATH); also 503 until then
+app.use('/api/sync', createSyncRouter(sync));
+
+// Asynchronous matches (CONFIG.ASYNC_MATCHES.API_PATH); also 503 until then
+app.use('/api/matches', createMatchRouter(matches));
+
+// Leaderboard (CONFIG.LEADERBOARD.API_PATH); also 503 until the rules have loaded
+app.use('/api/scores', createScoreRouter(scores));
+
 // Handle SPA routing - serve index.html for unknown routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🎮 NOODEL Word Game server running on port ${PORT}`);
   console.log(`🌐 Access at: http://localhost:${PORT}`);
-});
\ No newline at end of file
+});
+
+// Accounts, cloud saves, matches and the leaderboard need the game rules and dictionary; the static site works without them
+loadGameRules()
+  .then((rules) => {
+    new VersusServer(rules).attach(server);
+    return Promise.all([users.open(rules), sync.open(rules), matches.open(rules), scores.open(rules)]);
+  })
+  .catch((error) => console.error('❌ Accounts, cloud saves, matches and leaderboard unavailable:', error.message));
\ No newline at end of file
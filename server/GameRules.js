@@ -0,0 +1,34 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Repository root (the game files and word lists are read from here)
+const ROOT = path.join(__dirname, '..');
+
+let rulesPromise = null;
+
+/**
+ * Load the game rules for the server, once: the same ES modules the browser runs
+ * (HeadlessGame plays a game with the real mode hooks and TurnRules, MoveLog reads
+ * recorded games, DailyChallenge names the day's seed) and the dictionary
+ * @returns {Promise<Object>} { HeadlessGame, MoveLog, DailyChallenge, GameModes, CONFIG, generateSeed, dictionary }
+ */
+function loadGameRules() {
+  if (!rulesPromise) {
+    rulesPromise = (async () => {
+      const [{ HeadlessGame }, { MoveLog }, { DailyChallenge }, { GameModes, CONFIG }, { DictionaryManager }, { generateSeed, parseSeed }] = await Promise.all([
+        import('../js/core/HeadlessGame.js'),
+        import('../js/replay/MoveLog.js'),
+        import('../js/daily/DailyChallenge.js'),
+        import('../js/config.js'),
+        import('../js/word/DictionaryManager.js'),
+        import('../js/letter/SeededRandom.js')
+      ]);
+      const dictionary = await DictionaryManager.loadDictionaries((file) => fs.readFile(path.join(ROOT, file), 'utf8'));
+
+      return { HeadlessGame, MoveLog, DailyChallenge, GameModes, CONFIG, generateSeed, parseSeed, dictionary };
+    })();
+  }
+  return rulesPromise;
+}
+
+module.exports = { loadGameRules };
@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * JsonStore - One JSON document kept in a file on disk
+ *
+ * The server holds the data in memory and writes the whole document back after each
+ * change. Writes go to a temporary file that is then renamed over the old one, so a crash
+ * mid-write never leaves a half-written file, and they run one at a time in call order.
+ */
+class JsonStore {
+  /**
+   * @param {string} file - Path of the JSON file (its directory is created on first save)
+   * @param {Object} defaults - Document to start with when the file doesn't exist yet
+   */
+  constructor(file, defaults) {
+    this.file = file;
+    this.defaults = defaults;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the document
+   * @returns {Promise<Object>} Stored document, or a copy of the defaults if there is no file
+   * @throws {Error} If the file exists but can't be read or parsed
+   */
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return structuredClone(this.defaults);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the document (after any writes still in progress)
+   * @param {Object} data - Document to store
+   * @returns {Promise<void>} Resolves once this write is on disk
+   */
+  save(data) {
+    const json = JSON.stringify(data);
+    const write = this.writing.then(async () => {
+      const temp = `${this.file}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(temp, json);
+      await fs.rename(temp, this.file);
+    });
+    // A failed write doesn't block the ones after it
+    this.writing = write.catch((error) => console.error(`❌ Failed to write ${this.file}:`, error.message));
+    return write;
+  }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const { JsonStore } = require('./JsonStore');
+const { ApiError } = require('./api');
+
+// Name shown for the second seat until someone joins
+const OPEN_SEAT_NAME = 'Opponent';
+
+/**
+ * MatchStore - Asynchronous two-player matches, kept in a JSON file (JsonStore)
+ *
+ * A match is a seed and the columns dropped so far, played by match (hot seat) rules:
+ * the players take turns, one drop each, whenever they like. Every move is replayed on a
+ * HeadlessGame before it is accepted, so the stored scores and turn are the server's own.
+ *
+ * Stored match: { id, seed, mode, status, players: [{ id, name }], moves: [column],
+ *   turn, scores, result, createdAt, updatedAt }
+ *   status: 'open' (waiting for a second player), 'active', 'finished' or 'expired'
+ *   result: { winner, scores, reason } once over (winner = seat index, or null for a tie)
+ *
+ * Player ids are secrets chosen by the client; they are never sent to the other player.
+ * A match nobody moved in for EXPIRE_AFTER_MS expires (the player on turn loses), and
+ * finished matches are deleted KEEP_MS after they ended.
+ */
+class MatchStore {
+  /**
+   * @param {string} file - Path of the matches file
+   */
+  constructor(file) {
+    this.store = new JsonStore(file, { matches: [] });
+    this.rules = null;       // Game rules, once open() has run
+    this.matches = null;     // Map of id → match
+    this.games = new Map();  // id → HeadlessGame of the match as last played (saves replaying every move)
+    this.sweeper = null;
+  }
+
+  /**
+   * Load the matches and start expiring stale ones
+   * @param {Object} rules - Game rules from loadGameRules()
+   * @returns {Promise<void>}
+   */
+  async open(rules) {
+    const data = await this.store.load();
+    this.rules = rules;
+    this.settings = rules.CONFIG.ASYNC_MATCHES;
+    this.matches = new Map(data.matches.map((match) => [match.id, match]));
+
+    await this.sweep();
+    this.sweeper = setInterval(() => this.sweep(), this.settings.SWEEP_MS);
+    this.sweeper.unref();
+
+    console.log(`📬 ${this.matches.size} asynchronous match(es) loaded`);
+  }
+
+  /**
+   * Write every match to disk
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.store.save({ matches: [...this.matches.values()] });
+  }
+
+  /**
+   * The player's matches, most recently played first
+   * @param {string} playerId - Player id
+   * @returns {Object[]} Matches as the player sees them (see view)
+   */
+  list(playerId) {
+    this.requireOpen();
+    return [...this.matches.values()]
+      .filter((match) => this.seatOf(match, playerId) >= 0)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map((match) => this.view(match, playerId));
+  }
+
+  /**
+   * One of the player's matches
+   * @param {string} id - Match id
+   * @param {string} playerId - Player id
+   * @returns {Object} Match as the player sees it
+   * @throws {ApiError} 404 if there is no such match with this player in it
+   */
+  get(id, playerId) {
+    return this.view(this.find(id, playerId), playerId);
+  }
+
+  /**
+   * Join the oldest match someone else is waiting in, or start a new one
+   * @param {string} playerId - Player id
+   * @param {string} name - Display name (trimmed to MAX_NAME_LENGTH; 'Player' if blank)
+   * @returns {Promise<Object>} The match joined or created
+   * @throws {ApiError} 409 if the player is in too many matches already
+   */
+  async join(playerId, name) {
+    this.requireOpen();
+    const { MAX_ACTIVE, MAX_NAME_LENGTH } = this.settings;
+    const now = Date.now();
+    name = (typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '') || 'Player';
+    const mine = [...this.matches.values()]
+      .filter((match) => this.seatOf(match, playerId) >= 0 && (match.status === 'open' || match.status === 'active'));
+    if (mine.length >= MAX_ACTIVE) {
+      throw new ApiError(409, `You can only play ${MAX_ACTIVE} matches at once`);
+    }
+
+    const waiting = [...this.matches.values()]
+      .filter((match) => match.status === 'open' && this.seatOf(match, playerId) < 0)
+      .sort((a, b) => a.createdAt - b.createdAt)[0];
+
+    let match = waiting;
+    if (match) {
+      match.players.push({ id: playerId, name });
+      match.status = 'active';
+      match.updatedAt = now;
+      this.games.delete(match.id); // Replayed with the new name
+      console.log(`📬 ${name} joined ${match.players[0].name}'s match ${match.id}`);
+    } else {
+      const { GameModes, generateSeed } = this.rules;
+      match = {
+        id: crypto.randomUUID(),
+        seed: generateSeed(),
+        mode: GameModes.MATCH,
+        status: 'open',
+        players: [{ id: playerId, name }],
+        moves: [],
+        turn: 0,
+        scores: [0, 0],
+        result: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.matches.set(match.id, match);
+      console.log(`📬 ${name} started match ${match.id}`);
+    }
+
+    await this.save();
+    return this.view(match, playerId);
+  }
+
+  /**
+   * Take a turn: drop the next letter into a column
+   * The first player may move before anyone has joined
+   * @param {string} id - Match id
+   * @param {string} playerId - Player id
+   * @param {number} column - Column to drop into
+   * @param {number} index - Number of moves the player's copy of the match had (guards against stale boards)
+   * @returns {Promise<Object>} The match after the move
+   * @throws {ApiError} 409 if the match is over, it isn't the player's turn or their board is out of date;
+   *   400 if the drop isn't legal
+   */
+  async move(id, playerId, column, index) {
+    const match = this.find(id, playerId);
+    if (match.status !== 'open' && match.status !== 'active') {
+      throw new ApiError(409, 'This match is over');
+    }
+    if (match.turn !== this.seatOf(match, playerId)) {
+      throw new ApiError(409, "It's not your turn");
+    }
+    if (index !== match.moves.length) {
+      throw new ApiError(409, 'The match has moved on - reload it');
+    }
+
+    const game = this.replay(match);
+    if (!game.canDrop(column)) {
+      throw new ApiError(400, `Can't drop into column ${column}`);
+    }
+    game.drop(column);
+
+    match.moves.push(column);
+    match.turn = game.state.turn;
+    match.scores = game.state.players.map((player) => player.score);
+    match.updatedAt = Date.now();
+    if (game.isGameOver()) {
+      this.finish(match, 'game over');
+    }
+
+    await this.save();
+    return this.view(match, playerId);
+  }
+
+  /**
+   * Leave a match: an open match is cancelled, an active one is resigned (the other player wins)
+   * @param {string} id - Match id
+   * @param {string} playerId - Player id
+   * @returns {Promise<Object|null>} The resigned match, or null if it was cancelled
+   * @throws {ApiError} 409 if the match is already over
+   */
+  async resign(id, playerId) {
+    const match = this.find(id, playerId);
+
+    if (match.status === 'open') {
+      this.remove(match);
+      await this.save();
+      return null;
+    }
+    if (match.status !== 'active') {
+      throw new ApiError(409, 'This match is over');
+    }
+
+    this.finish(match, 'resigned', 1 - this.seatOf(match, playerId));
+    match.updatedAt = Date.now();
+    await this.save();
+    return this.view(match, playerId);
+  }
+
+  /**
+   * Expire matches nobody moved in for too long and delete old finished ones
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<void>}
+   */
+  async sweep(now = Date.now()) {
+    const { EXPIRE_AFTER_MS, KEEP_MS } = this.settings;
+    let changed = false;
+
+    this.matches.forEach((match) => {
+      const idle = now - match.updatedAt;
+      if ((match.status === 'open' || match.status === 'active') && idle > EXPIRE_AFTER_MS) {
+        // Whoever kept the other player waiting loses (an open match has nobody to win)
+        match.status = 'expired';
+        match.result = {
+          winner: match.players.length > 1 ? 1 - match.turn : null,
+          scores: match.scores,
+          reason: 'expired'
+        };
+        match.updatedAt = now;
+        this.games.delete(match.id);
+        changed = true;
+      } else if ((match.status === 'finished' || match.status === 'expired') && idle > KEEP_MS) {
+        this.remove(match);
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      await this.save().catch(() => {}); // Logged by JsonStore; tried again on the next change
+    }
+  }
+
+  /**
+   * End a match
+   * @param {Object} match - Match to finish
+   * @param {string} reason - 'game over' or 'resigned'
+   * @param {number|null} winner - Winning seat, or undefined to go by the scores
+   */
+  finish(match, reason, winner) {
+    if (winner === undefined) {
+      const best = Math.max(...match.scores);
+      const leaders = match.scores.filter((score) => score === best);
+      winner = leaders.length > 1 ? null : match.scores.indexOf(best);
+    }
+    match.status = 'finished';
+    match.result = { winner, scores: match.scores, reason };
+    this.games.delete(match.id);
+
+    const [first, second] = match.players;
+    console.log(`🏁 Match ${match.id}: ${first.name} ${match.scores[0]} - ${match.scores[1]} ${second?.name ?? OPEN_SEAT_NAME} (${reason})`);
+  }
+
+  /**
+   * The match's game as it stands, from the cache or replayed from the seed
+   * @param {Object} match - Match
+   * @returns {HeadlessGame} Game with every stored move applied
+   */
+  replay(match) {
+    const cached = this.games.get(match.id);
+    if (cached && cached.moves === match.moves.length) {
+      return cached;
+    }
+
+    const { HeadlessGame, dictionary } = this.rules;
+    const game = new HeadlessGame(dictionary, { seed: match.seed, mode: match.mode, players: this.getNames(match) });
+    match.moves.forEach((column) => game.drop(column));
+    this.games.set(match.id, game);
+    return game;
+  }
+
+  /**
+   * A match with the player in it
+   * @param {string} id - Match id
+   * @param {string} playerId - Player id
+   * @returns {Object} Stored match
+   * @throws {ApiError} 404 if there is no such match with this player in it
+   */
+  find(id, playerId) {
+    this.requireOpen();
+    const match = this.matches.get(id);
+    if (!match || this.seatOf(match, playerId) < 0) {
+      throw new ApiError(404, 'Match not found');
+    }
+    return match;
+  }
+
+  /**
+   * Forget a match
+   * @param {Object} match - Match to delete
+   */
+  remove(match) {
+    this.matches.delete(match.id);
+    this.games.delete(match.id);
+  }
+
+  /**
+   * @throws {ApiError} 503 until open() has loaded the matches
+   */
+  requireOpen() {
+    if (!this.matches) {
+      throw new ApiError(503, 'Matches are not available yet');
+    }
+  }
+
+  /**
+   * Player's seat in a match
+   * @param {Object} match - Match
+   * @param {string} playerId - Player id
+   * @returns {number} Seat index, or -1 if they aren't in it
+   */
+  seatOf(match, playerId) {
+    return match.players.findIndex((player) => player.id === playerId);
+  }
+
+  /**
+   * Names in seat order (the open seat has a placeholder name)
+   * @param {Object} match - Match
+   * @returns {string[]} Two names
+   */
+  getNames(match) {
+    const names = match.players.map((player) => player.name);
+    return names.length > 1 ? names : [...names, OPEN_SEAT_NAME];
+  }
+
+  /**
+   * A match as one of its players sees it (no player ids)
+   * @param {Object} match - Stored match
+   * @param {string} playerId - Player asking
+   * @returns {Object} { id, seed, mode, status, players, seat, turn, yourTurn, moves, scores, result, updatedAt, expiresAt }
+   */
+  view(match, playerId) {
+    const seat = this.seatOf(match, playerId);
+    const playing = match.status === 'open' || match.status === 'active';
+    return {
+      id: match.id,
+      seed: match.seed,
+      mode: match.mode,
+      status: match.status,
+      players: this.getNames(match),
+      seat,
+      turn: match.turn,
+      yourTurn: playing && match.turn === seat,
+      moves: match.moves,
+      scores: match.scores,
+      result: match.result,
+      updatedAt: match.updatedAt,
+      expiresAt: playing ? match.updatedAt + this.settings.EXPIRE_AFTER_MS : null
+    };
+  }
+}
+
+module.exports = { MatchStore };
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const { JsonStore } = require('./JsonStore');
+const { ApiError } = require('./api');
+
+const DAY_MS = 86400000;
+
+/**
+ * ScoreStore - Leaderboard scores, kept in a JSON file (JsonStore)
+ *
+ * Scores are ranked per mode (CONFIG.LEADERBOARD.MODES), optionally for one seed only
+ * (everyone who played the same letters), over a time window: today, this week or all time.
+ * Days and weeks are UTC; weeks start on Monday. Ties go to the earlier score.
+ *
+ * Stored score: { id, name, mode, seed, score, words, userId, logDigest, createdAt } (seed
+ * normalised by parseSeed, as a string; userId is the account that submitted it, or null for
+ * a guest; logDigest identifies the moves played)
+ *
+ * A score is only accepted with the game's move log: the log is played back on a
+ * HeadlessGame (the same rules the browser plays by), must play to the end of the game
+ * and reach exactly the score and word count submitted. A game whose moves are already
+ * on the leaderboard can't be submitted again. Each account (or guest name) gets one
+ * daily challenge score a day, and guests can't use a name an account goes by.
+ *
+ * Every score is kept for KEEP_RECENT_MS; older ones are deleted unless they are among
+ * the KEEP_TOP best of their mode, which is all the all-time board can show.
+ */
+class ScoreStore {
+  /**
+   * @param {string} file - Path of the scores file
+   * @param {UserStore|null} users - Accounts, whose names guests can't submit under
+   */
+  constructor(file, users = null) {
+    this.store = new JsonStore(file, { scores: [] });
+    this.users = users;
+    this.rules = null;     // loadGameRules(), once open() has run
+    this.settings = null;  // CONFIG.LEADERBOARD
+    this.scores = null;
+  }
+
+  /**
+   * Load the scores
+   * @param {Object} rules - Game rules from loadGameRules()
+   * @returns {Promise<void>}
+   */
+  async open(rules) {
+    const data = await this.store.load();
+    this.rules = rules;
+    this.settings = rules.CONFIG.LEADERBOARD;
+    this.scores = data.scores;
+    console.log(`🏆 ${this.scores.length} leaderboard score(s) loaded`);
+  }
+
+  /**
+   * Add a finished game's score
+   * @param {Object} submission - { name, mode, seed, score, words, log } (log: MoveLog.toJSON())
+   * @param {Object|null} user - Logged-in account (UserStore); its display name replaces the submitted name
+   * @returns {Promise<Object>} { score, ranks: { daily, weekly, all } } - the stored score and its place on each board
+   * @throws {ApiError} 400 if a field is missing or invalid, 409 if the game was already submitted,
+   *   today's daily challenge was already submitted by this player or a guest's name belongs to an
+   *   account, 422 if the log doesn't play back to the score
+   */
+  async submit({ name, mode, seed, score, words, log } = {}, user = null) {
+    this.requireOpen();
+    const { MAX_NAME_LENGTH, MAX_SCORE } = this.settings;
+
+    if (user) {
+      name = user.displayName;
+    }
+    name = typeof name === 'string' ? name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '';
+    if (!name) {
+      throw new ApiError(400, 'A name is required');
+    }
+    if (!user && this.users?.isNameTaken(name)) {
+      throw new ApiError(409, `The name '${name}' belongs to an account - log in to use it`);
+    }
+    this.checkMode(mode);
+    seed = this.checkSeed(seed);
+    if (seed === null) {
+      throw new ApiError(400, 'A seed is required');
+    }
+    // The daily board is today's challenge only (UTC days, like the browser's)
+    const { DailyChallenge, GameModes } = this.rules;
+    if (mode === GameModes.DAILY && seed !== DailyChallenge.getSeed()) {
+      throw new ApiError(400, "Only today's daily challenge can be submitted");
+    }
+    if (mode === GameModes.DAILY && this.hasDailyScore(seed, name, user)) {
+      throw new ApiError(409, "You already have a score for today's daily challenge");
+    }
+    if (!Number.isInteger(score) || score < 0 || score > MAX_SCORE) {
+      throw new ApiError(400, `The score must be a whole number from 0 to ${MAX_SCORE}`);
+    }
+    if (!Number.isInteger(words) || words < 0) {
+      throw new ApiError(400, 'The word count must be a whole number');
+    }
+    const logDigest = this.verify(log, { mode, seed, score, words });
+    if (this.scores.some((entry) => entry.logDigest === logDigest)) {
+      throw new ApiError(409, 'This game is already on the leaderboard');
+    }
+
+    const entry = { id: crypto.randomUUID(), name, mode, seed, score, words, userId: user ? user.id : null, logDigest, createdAt: Date.now() };
+    this.scores.push(entry);
+    this.prune(entry.createdAt);
+    await this.store.save({ scores: this.scores });
+    console.log(`🏆 ${name} scored ${score} in ${mode}`);
+
+    const ranks = {};
+    this.settings.WINDOWS.forEach((window) => {
+      ranks[window] = this.rank(mode, window, null, entry.createdAt).findIndex((other) => other === entry) + 1;
+    });
+    return { score: this.view(entry), ranks };
+  }
+
+  /**
+   * Play a submitted game's move log back and check that it finished with the score claimed
+   * @param {Object} data - Move log (MoveLog.toJSON())
+   * @param {Object} claim - { mode, seed, score, words } as submitted
+   * @returns {string} Digest of the game's moves (the same for every copy of one game)
+   * @throws {ApiError} 400 if the log is missing or isn't for this game, 422 if it doesn't replay to the claim
+   */
+  verify(data, { mode, seed, score, words }) {
+    const { HeadlessGame, MoveLog, parseSeed, dictionary } = this.rules;
+
+    let log;
+    try {
+      log = MoveLog.fromJSON(data);
+    } catch (error) {
+      throw new ApiError(400, `A valid move log is required (${error.message})`);
+    }
+    // The log's seed is the one the game was played on, so it must already be normalised ("42" is played as 42)
+    seed = parseSeed(seed);
+    if (log.mode !== mode || log.seed !== seed) {
+      throw new ApiError(400, 'The move log is for a different game');
+    }
+    if (log.level || log.players.length > 0) {
+      throw new ApiError(400, 'Only single player games can be submitted');
+    }
+    // A recorded starting board (e.g. Clear Mode's) must be the one the mode sets up for the seed
+    if (log.startBoard) {
+      const setup = new HeadlessGame(dictionary, { seed: log.seed, mode: log.mode });
+      if (JSON.stringify(log.startBoard) !== JSON.stringify(setup.state.board.toArray())) {
+        throw new ApiError(400, "The game didn't start from the mode's own board");
+      }
+    }
+    if (log.length > this.settings.MAX_LOG_MOVES) {
+      throw new ApiError(400, `The move log is too long (at most ${this.settings.MAX_LOG_MOVES} moves)`);
+    }
+
+    let game;
+    try {
+      game = HeadlessGame.replayLog(dictionary, log);
+    } catch (error) {
+      throw new ApiError(422, "The move log can't be played back");
+    }
+    if (!game.isGameOver()) {
+      throw new ApiError(422, "The move log doesn't play to the end of the game");
+    }
+    if (game.state.score !== score || game.words.length !== words) {
+      console.warn(`ScoreStore: Rejected ${mode} score ${score} (the log plays back to ${game.state.score})`);
+      throw new ApiError(422, "The score doesn't match the game's moves");
+    }
+
+    // Only the columns (undos and hints included): move times and clock readings can be nudged without changing the game
+    const moves = Array.from({ length: log.length }, (_, index) => log.getMove(index).column);
+    const played = JSON.stringify({ mode, seed: String(seed), moves });
+    return crypto.createHash('sha256').update(played).digest('hex');
+  }
+
+  /**
+   * Check if a player already has a score for a daily challenge
+   * @param {string} seed - The day's seed
+   * @param {string} name - Submitted name (a guest is known by name, in any case)
+   * @param {Object|null} user - Logged-in account, or null for a guest
+   * @returns {boolean} True if the player submitted that day's challenge before
+   */
+  hasDailyScore(seed, name, user) {
+    const { GameModes } = this.rules;
+    const lower = name.toLowerCase();
+    return this.scores.some((entry) => entry.mode === GameModes.DAILY && entry.seed === seed &&
+      (user ? entry.userId === user.id : entry.userId === null && entry.name.toLowerCase() === lower));
+  }
+
+  /**
+   * One page of a leaderboard
+   * @param {Object} query - { mode, window, seed, page, pageSize } (seed optional; page is 1-based)
+   * @returns {Object} { scores: [{ rank, id, name, score, words, mode, seed, createdAt }], page, pageSize, total }
+   * @throws {ApiError} 400 if a parameter is invalid
+   */
+  query({ mode, window = 'all', seed = null, page = 1, pageSize } = {}) {
+    this.requireOpen();
+    const { WINDOWS, PAGE_SIZE, MAX_PAGE_SIZE } = this.settings;
+
+    this.checkMode(mode);
+    if (!WINDOWS.includes(window)) {
+      throw new ApiError(400, `The window must be one of: ${WINDOWS.join(', ')}`);
+    }
+    seed = this.checkSeed(seed);
+    pageSize = pageSize ?? PAGE_SIZE;
+    if (!Number.isInteger(page) || page < 1) {
+      throw new ApiError(400, 'The page must be a whole number from 1');
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw new ApiError(400, `The page size must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+
+    const ranked = this.rank(mode, window, seed, Date.now());
+    const start = (page - 1) * pageSize;
+    return {
+      scores: ranked.slice(start, start + pageSize).map((entry, index) => ({ rank: start + index + 1, ...this.view(entry) })),
+      page,
+      pageSize,
+      total: ranked.length
+    };
+  }
+
+  /**
+   * A board's scores, best first
+   * @param {string} mode - Mode id
+   * @param {string} window - 'daily', 'weekly' or 'all'
+   * @param {string|null} seed - Only scores on this seed, or null for all
+   * @param {number} now - Current time (ms)
+   * @returns {Object[]} Stored scores in rank order
+   */
+  rank(mode, window, seed, now) {
+    const since = this.getWindowStart(window, now);
+    return this.scores
+      .filter((entry) => entry.mode === mode && entry.createdAt >= since && (seed === null || entry.seed === seed))
+      .sort((a, b) => b.score - a.score || a.createdAt - b.createdAt);
+  }
+
+  /**
+   * When a window's board starts
+   * @param {string} window - 'daily', 'weekly' or 'all'
+   * @param {number} now - Current time (ms)
+   * @returns {number} Start time (ms), 0 for all time
+   */
+  getWindowStart(window, now) {
+    const today = Math.floor(now / DAY_MS) * DAY_MS;
+    if (window === 'daily') return today;
+    if (window === 'weekly') {
+      const daysSinceMonday = (new Date(today).getUTCDay() + 6) % 7;
+      return today - daysSinceMonday * DAY_MS;
+    }
+    return 0;
+  }
+
+  /**
+   * Delete scores older than KEEP_RECENT_MS that are not among their mode's KEEP_TOP best
+   * @param {number} now - Current time (ms)
+   */
+  prune(now) {
+    const { KEEP_RECENT_MS, KEEP_TOP } = this.settings;
+    const kept = new Set();
+    this.settings.MODES.forEach((mode) => {
+      this.rank(mode, 'all', null, now).slice(0, KEEP_TOP).forEach((entry) => kept.add(entry));
+    });
+    this.scores = this.scores.filter((entry) => kept.has(entry) || now - entry.createdAt <= KEEP_RECENT_MS);
+  }
+
+  /**
+   * @param {string} mode - Mode id to check
+   * @throws {ApiError} 400 if the mode has no leaderboard
+   */
+  checkMode(mode) {
+    if (!this.settings.MODES.includes(mode)) {
+      throw new ApiError(400, `The mode must be one of: ${this.settings.MODES.join(', ')}`);
+    }
+  }
+
+  /**
+   * @param {*} seed - Seed to check (string or number)
+   * @returns {string|null} Seed normalised by parseSeed as a string (" 042" and 42 are both "42"),
+   *   or null if there is none
+   * @throws {ApiError} 400 if the seed is not a string or number, or is too long
+   */
+  checkSeed(seed) {
+    if (seed === null || seed === undefined) return null;
+    if ((typeof seed !== 'string' && !Number.isFinite(seed)) || String(seed).length > 64) {
+      throw new ApiError(400, 'The seed must be a string or number of up to 64 characters');
+    }
+    const parsed = this.rules.parseSeed(seed);
+    return parsed === null ? null : String(parsed);
+  }
+
+  /**
+   * @throws {ApiError} 503 until open() has loaded the scores
+   */
+  requireOpen() {
+    if (!this.scores) {
+      throw new ApiError(503, 'The leaderboard is not available yet');
+    }
+  }
+
+  /**
+   * A stored score as sent to clients
+   * @param {Object} entry - Stored score
+   * @returns {Object} { id, name, score, words, mode, seed, createdAt }
+   */
+  view({ id, name, score, words, mode, seed, createdAt }) {
+    return { id, name, score, words, mode, seed, createdAt };
+  }
+}
+
+module.exports = { ScoreStore };
@@ -0,0 +1,174 @@
+const path = require('path');
+const { JsonStore } = require('./JsonStore');
+const { ApiError } = require('./api');
+
+// Keys the browser stores (e.g. 'noodel.save.classic', 'noodel.replays')
+const KEY_PATTERN = /^noodel\.[A-Za-z0-9_.-]{1,100}$/;
+
+/**
+ * SyncStore - Each account's synced browser storage, one JSON file per account (JsonStore)
+ *
+ * An account's data is a set of items, one per localStorage key the game keeps per account
+ * (save slots, daily results, level progress, replays...). Every item has a version that
+ * goes up by one with each write, and the time the writing browser changed it.
+ *
+ * A write names the version it was based on. If the item has moved on since (another
+ * device wrote it first) the write is refused as a conflict and the current item is sent
+ * back; the browser then keeps whichever change is newer (last writer wins) and, if that
+ * is its own, writes again on top of the new version. A value longer than MAX_ITEM_BYTES,
+ * or one that would take the account past MAX_ACCOUNT_BYTES in all, is refused on its own
+ * (in rejected) and the rest of the changes are still written.
+ *
+ * Accounts are read from disk on first use and kept in memory until nobody has used them
+ * for IDLE_MS.
+ *
+ * Stored item: { value, version, modifiedAt } (value null = deleted on the device that wrote it)
+ */
+class SyncStore {
+  /**
+   * @param {string} dir - Directory of the account files
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.settings = null;  // CONFIG.SYNC, once open() has run
+    this.accounts = new Map();  // userId → { loading: Promise of { store, items }, lastUsed }
+    this.sweeper = null;
+  }
+
+  /**
+   * Get ready to answer requests and start forgetting idle accounts
+   * @param {Object} rules - Game rules from loadGameRules()
+   * @returns {Promise<void>}
+   */
+  async open(rules) {
+    this.settings = rules.CONFIG.SYNC;
+    this.sweeper = setInterval(() => this.evictIdle(), this.settings.IDLE_MS);
+    this.sweeper.unref();
+    console.log('☁️  Cloud saves ready');
+  }
+
+  /**
+   * An account's items, loaded on first use
+   * @param {Object} user - Stored account (UserStore)
+   * @returns {Promise<Object>} { store, items }
+   */
+  load(user) {
+    let account = this.accounts.get(user.id);
+    if (!account) {
+      const store = new JsonStore(path.join(this.dir, `${user.id}.json`), { items: {} });
+      const loading = store.load().then((data) => ({ store, items: data.items }));
+      // A failed read is retried by the next request
+      loading.catch(() => this.accounts.delete(user.id));
+      account = { loading, lastUsed: 0 };
+      this.accounts.set(user.id, account);
+    }
+    account.lastUsed = Date.now();
+    return account.loading;
+  }
+
+  /**
+   * Forget the accounts nobody used for IDLE_MS (their files are up to date; the next request reads them again)
+   * @param {number} now - Current time (ms)
+   */
+  evictIdle(now = Date.now()) {
+    this.accounts.forEach((account, userId) => {
+      if (now - account.lastUsed > this.settings.IDLE_MS) {
+        this.accounts.delete(userId);
+      }
+    });
+  }
+
+  /**
+   * Every item of an account
+   * @param {Object} user - Stored account
+   * @returns {Promise<Object>} { items: { key: { value, version, modifiedAt } } }
+   */
+  async pull(user) {
+    this.requireOpen();
+    const { items } = await this.load(user);
+    return { items };
+  }
+
+  /**
+   * Write items that changed on a device
+   * @param {Object} user - Stored account
+   * @param {Object} changes - { key: { value, baseVersion, modifiedAt } } (baseVersion 0 for a new key)
+   * @returns {Promise<Object>} { saved: { key: { version, modifiedAt } }, conflicts: { key: item }, rejected: { key: reason } }
+   * @throws {ApiError} 400 if a change is malformed, 413 past MAX_ITEMS keys
+   */
+  async push(user, changes) {
+    this.requireOpen();
+    const { MAX_ITEMS, MAX_ITEM_BYTES, MAX_ACCOUNT_BYTES } = this.settings;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new ApiError(400, 'Changes must be an object of items');
+    }
+
+    const entries = Object.entries(changes);
+    entries.forEach(([key, change]) => {
+      if (!KEY_PATTERN.test(key)) {
+        throw new ApiError(400, `Invalid key '${key.slice(0, 100)}'`);
+      }
+      if (!change || !(typeof change.value === 'string' || change.value === null)) {
+        throw new ApiError(400, `The value of '${key}' must be a string or null`);
+      }
+      if (!Number.isInteger(change.baseVersion) || change.baseVersion < 0 || !Number.isFinite(change.modifiedAt)) {
+        throw new ApiError(400, `The change to '${key}' needs a baseVersion and modifiedAt`);
+      }
+    });
+
+    const rejected = {};
+    const accepted = entries.filter(([key, { value }]) => {
+      if (typeof value === 'string' && value.length > MAX_ITEM_BYTES) {
+        rejected[key] = `Too large to sync (at most ${MAX_ITEM_BYTES} characters)`;
+        return false;
+      }
+      return true;
+    });
+
+    const account = await this.load(user);
+    const { items } = account;
+    const newKeys = accepted.filter(([key]) => !Object.hasOwn(items, key)).length;
+    if (Object.keys(items).length + newKeys > MAX_ITEMS) {
+      throw new ApiError(413, `Too much to sync (at most ${MAX_ITEMS} items)`);
+    }
+
+    const now = Date.now();
+    const saved = {};
+    const conflicts = {};
+    const size = (item) => (item && typeof item.value === 'string' ? item.value.length : 0);
+    let total = Object.values(items).reduce((sum, item) => sum + size(item), 0);
+    accepted.forEach(([key, { value, baseVersion, modifiedAt }]) => {
+      const current = Object.hasOwn(items, key) ? items[key] : null;
+      if ((current ? current.version : 0) !== baseVersion) {
+        conflicts[key] = current || { value: null, version: 0, modifiedAt: 0 };
+        return;
+      }
+      // Smaller values and deletions always fit
+      const growth = size({ value }) - size(current);
+      if (growth > 0 && total + growth > MAX_ACCOUNT_BYTES) {
+        rejected[key] = `Not enough room left to sync (at most ${MAX_ACCOUNT_BYTES} characters per account)`;
+        return;
+      }
+      total += growth;
+      // A device clock running ahead must not win every later conflict
+      const item = { value, version: baseVersion + 1, modifiedAt: Math.min(modifiedAt, now) };
+      items[key] = item;
+      saved[key] = { version: item.version, modifiedAt: item.modifiedAt };
+    });
+
+    if (Object.keys(saved).length > 0) {
+      await account.store.save({ items });
+      // Idle time counts from the end of the write, so an account isn't forgotten while it is being saved
+      this.load(user);
+    }
+    return { saved, conflicts, rejected };
+  }
+
+  requireOpen() {
+    if (!this.settings) {
+      throw new ApiError(503, 'Cloud saves are not available yet');
+    }
+  }
+}
+
+module.exports = { SyncStore };
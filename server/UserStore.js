@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { JsonStore } = require('./JsonStore');
+const { ApiError } = require('./api');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Bytes of salt per password and of the derived hash
+const SALT_BYTES = 16;
+const HASH_BYTES = 64;
+
+/**
+ * UserStore - Player accounts and their login sessions, kept in a JSON file (JsonStore)
+ *
+ * Passwords are never stored: each account keeps a random salt and the scrypt hash of
+ * the password with it. A login hands out a random session token (sent to the browser
+ * as a cookie); only the token's SHA-256 is stored, so the file can't be used to log in.
+ *
+ * Stored account: { id, username, displayName, salt, hash, createdAt } (username in lower case)
+ * Stored session: { id, userId, expiresAt } (id = SHA-256 of the token)
+ */
+class UserStore {
+  /**
+   * @param {string} file - Path of the accounts file
+   */
+  constructor(file) {
+    this.store = new JsonStore(file, { users: [], sessions: [] });
+    this.settings = null;  // CONFIG.ACCOUNTS, once open() has run
+    this.users = null;
+    this.sessions = null;
+  }
+
+  /**
+   * Load the accounts and drop expired sessions
+   * @param {Object} rules - Game rules from loadGameRules()
+   * @returns {Promise<void>}
+   */
+  async open(rules) {
+    const data = await this.store.load();
+    this.settings = rules.CONFIG.ACCOUNTS;
+    this.users = data.users;
+    this.sessions = data.sessions.filter((session) => session.expiresAt > Date.now());
+    console.log(`👤 ${this.users.length} account(s) loaded`);
+  }
+
+  save() {
+    return this.store.save({ users: this.users, sessions: this.sessions });
+  }
+
+  /**
+   * Create an account and log it in
+   * @param {Object} details - { username, password, displayName } (display name defaults to the username)
+   * @returns {Promise<Object>} { user, token } - the account's public view and a new session token
+   * @throws {ApiError} 400 if a field is invalid, 409 if the username is taken
+   */
+  async register({ username, password, displayName } = {}) {
+    this.requireOpen();
+    username = this.checkUsername(username);
+    this.checkPassword(password);
+    if (this.findByUsername(username)) {
+      throw new ApiError(409, 'That username is taken');
+    }
+    displayName = this.cleanName(displayName) || username.slice(0, this.settings.MAX_NAME_LENGTH);
+
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const hash = (await scrypt(password, salt, HASH_BYTES)).toString('hex');
+    // Someone else may have taken the name while the password was hashing
+    if (this.findByUsername(username)) {
+      throw new ApiError(409, 'That username is taken');
+    }
+
+    const user = { id: crypto.randomUUID(), username, displayName, salt, hash, createdAt: Date.now() };
+    this.users.push(user);
+    const token = this.startSession(user);
+    await this.save();
+    console.log(`👤 Account created: ${username}`);
+    return { user: this.view(user), token };
+  }
+
+  /**
+   * Check a username and password and start a session
+   * @param {Object} credentials - { username, password }
+   * @returns {Promise<Object>} { user, token }
+   * @throws {ApiError} 401 if the username or password is wrong
+   */
+  async login({ username, password } = {}) {
+    this.requireOpen();
+    const user = typeof username === 'string' ? this.findByUsername(username.trim().toLowerCase()) : null;
+
+    // Hash even for unknown usernames, so the answer takes as long either way
+    const salt = user ? user.salt : crypto.randomBytes(SALT_BYTES).toString('hex');
+    const hash = await scrypt(typeof password === 'string' ? password : '', salt, HASH_BYTES);
+    if (!user || !crypto.timingSafeEqual(hash, Buffer.from(user.hash, 'hex'))) {
+      throw new ApiError(401, 'Wrong username or password');
+    }
+
+    const token = this.startSession(user);
+    await this.save();
+    return { user: this.view(user), token };
+  }
+
+  /**
+   * End a session
+   * @param {string|null} token - Session token from the cookie
+   * @returns {Promise<void>}
+   */
+  async logout(token) {
+    this.requireOpen();
+    const id = this.hashToken(token);
+    const before = this.sessions.length;
+    this.sessions = this.sessions.filter((session) => session.id !== id);
+    if (this.sessions.length !== before) {
+      await this.save();
+    }
+  }
+
+  /**
+   * The account a session token belongs to
+   * @param {string|null} token - Session token from the cookie
+   * @returns {Object|null} Stored account, or null if the token is unknown or expired (or the store isn't open)
+   */
+  authenticate(token) {
+    if (!this.sessions || typeof token !== 'string') return null;
+
+    const id = this.hashToken(token);
+    const session = this.sessions.find((other) => other.id === id);
+    if (!session || session.expiresAt <= Date.now()) return null;
+    return this.users.find((user) => user.id === session.userId) || null;
+  }
+
+  /**
+   * Change an account's profile
+   * @param {Object} user - Stored account (from authenticate)
+   * @param {Object} profile - { displayName }
+   * @returns {Promise<Object>} The account's public view
+   * @throws {ApiError} 400 if the display name is empty
+   */
+  async updateProfile(user, { displayName } = {}) {
+    this.requireOpen();
+    displayName = this.cleanName(displayName);
+    if (!displayName) {
+      throw new ApiError(400, 'A display name is required');
+    }
+
+    user.displayName = displayName;
+    await this.save();
+    return this.view(user);
+  }
+
+  /**
+   * Add a session for an account (expired sessions are dropped at the same time)
+   * @param {Object} user - Stored account
+   * @returns {string} The session token
+   */
+  startSession(user) {
+    const now = Date.now();
+    const token = crypto.randomBytes(32).toString('base64url');
+    this.sessions = this.sessions.filter((session) => session.expiresAt > now);
+    this.sessions.push({ id: this.hashToken(token), userId: user.id, expiresAt: now + this.settings.SESSION_MS });
+    return token;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  findByUsername(username) {
+    return this.users.find((user) => user.username === username) || null;
+  }
+
+  /**
+   * Check if a name is an account's display name or username (any case), so nobody
+   * else can post scores under it
+   * @param {string} name - Name to look up
+   * @returns {boolean} True if an account goes by the name
+   */
+  isNameTaken(name) {
+    this.requireOpen();
+    const lower = name.toLowerCase();
+    return this.users.some((user) => user.username === lower || user.displayName.toLowerCase() === lower);
+  }
+
+  /**
+   * Normalise and check a new username
+   * @param {*} username - Submitted username
+   * @returns {string} Username in lower case
+   * @throws {ApiError} 400 if it isn't 3-20 letters, digits or underscores
+   */
+  checkUsername(username) {
+    const { MIN_USERNAME_LENGTH, MAX_USERNAME_LENGTH } = this.settings;
+    username = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    if (!new RegExp(`^[a-z0-9_]{${MIN_USERNAME_LENGTH},${MAX_USERNAME_LENGTH}}$`).test(username)) {
+      throw new ApiError(400, `Usernames are ${MIN_USERNAME_LENGTH}-${MAX_USERNAME_LENGTH} letters, digits or underscores`);
+    }
+    return username;
+  }
+
+  checkPassword(password) {
+    const { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH } = this.settings;
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      throw new ApiError(400, `Passwords are ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  cleanName(name) {
+    return typeof name === 'string' ? name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, this.settings.MAX_NAME_LENGTH) : '';
+  }
+
+  requireOpen() {
+    if (!this.users) {
+      throw new ApiError(503, 'Accounts are not available yet');
+    }
+  }
+
+  /**
+   * What the player sees of an account
+   * @param {Object} user - Stored account
+   * @returns {Object} { id, username, displayName, createdAt }
+   */
+  view(user) {
+    return { id: user.id, username: user.username, displayName: user.displayName, createdAt: user.createdAt };
+  }
+}
+
+module.exports = { UserStore };
@@ -0,0 +1,283 @@
+const { WebSocketServer, WebSocket } = require('ws');
+
+/**
+ * VersusServer - Real-time head-to-head matches over a WebSocket endpoint (CONFIG.VERSUS.PATH)
+ *
+ * Players who join are paired in arrival order. Both players of a room get the same seed,
+ * and the server plays each of their games on a HeadlessGame: a move is only accepted if
+ * it is legal and drops the letter the server expects next, and the scores and boards sent
+ * to the opponent are the server's own. An illegal or out-of-sync move forfeits the match.
+ * A player whose game is over has a final score: their moves are ignored, and if they
+ * leave, the opponent plays on and the match is settled on the scores when they finish.
+ *
+ * Messages are JSON objects with a type:
+ *   client → server
+ *     { type: 'join', name }                 Look for an opponent
+ *     { type: 'move', column, letter }       Letter dropped into a column
+ *     { type: 'leave' }                      Give up the match (or stop waiting, or go once your game is over)
+ *   server → client
+ *     { type: 'waiting' }                    No opponent yet
+ *     { type: 'start', seed, mode, opponent } Match found (opponent = their name)
+ *     { type: 'opponent', board, score, lettersRemaining, words, over } The opponent moved
+ *     { type: 'result', score, opponentScore, outcome } Both games ended ('win', 'lose' or 'draw')
+ *     { type: 'rejected', reason }           Your move was refused; the match is forfeited
+ *     { type: 'opponentLeft' }               The opponent left or forfeited; you win
+ *     { type: 'error', message }             Malformed or unexpected message
+ */
+class VersusServer {
+  /**
+   * @param {Object} rules - Game rules from loadGameRules()
+   */
+  constructor(rules) {
+    this.rules = rules;
+    this.settings = rules.CONFIG.VERSUS;
+    this.waiting = null;  // Player waiting for an opponent
+    this.rooms = new Set();
+    this.wss = null;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Accept WebSocket connections on an HTTP server
+   * @param {http.Server} httpServer - The game's HTTP server
+   */
+  attach(httpServer) {
+    const { PATH, MAX_MESSAGE_BYTES, HEARTBEAT_MS } = this.settings;
+
+    this.wss = new WebSocketServer({ server: httpServer, path: PATH, maxPayload: MAX_MESSAGE_BYTES });
+    this.wss.on('connection', (socket) => this.handleConnection(socket));
+
+    // Drop connections that stopped answering pings (their close handler leaves the match)
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach((socket) => {
+        if (!socket.isAlive) {
+          socket.terminate();
+          return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+    this.wss.on('close', () => clearInterval(this.heartbeat));
+
+    console.log(`⚔️  Head-to-head matches on ${PATH}`);
+  }
+
+  /**
+   * Set up a new connection
+   * @param {WebSocket} socket - Client socket
+   */
+  handleConnection(socket) {
+    const player = { socket, name: null, game: null, room: null };
+
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        this.send(player, { type: 'error', message: 'Malformed message' });
+        return;
+      }
+      this.handleMessage(player, message);
+    });
+    // Oversized or invalid frames end the connection (close follows)
+    socket.on('error', (error) => console.warn('VersusServer: Connection error:', error.message));
+    socket.on('close', () => this.leave(player));
+  }
+
+  /**
+   * Route a client message
+   * @param {Object} player - Sender
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(player, message) {
+    switch (message?.type) {
+      case 'join':
+        this.join(player, message.name);
+        break;
+      case 'move':
+        this.move(player, message);
+        break;
+      case 'leave':
+        this.leave(player);
+        break;
+      default:
+        this.send(player, { type: 'error', message: `Unknown message type '${message?.type}'` });
+    }
+  }
+
+  /**
+   * Pair a player with the one waiting, or make them wait
+   * @param {Object} player - Joining player
+   * @param {string} name - Display name
+   */
+  join(player, name) {
+    if (player.room || this.waiting === player) {
+      this.send(player, { type: 'error', message: 'Already in a match' });
+      return;
+    }
+
+    player.name = (typeof name === 'string' ? name.trim().slice(0, this.settings.MAX_NAME_LENGTH) : '') || 'Player';
+
+    if (!this.waiting) {
+      this.waiting = player;
+      this.send(player, { type: 'waiting' });
+      return;
+    }
+
+    const opponent = this.waiting;
+    this.waiting = null;
+    this.startRoom(opponent, player);
+  }
+
+  /**
+   * Start a match: both players get a game on the same seed
+   * @param {Object} first - Player who waited
+   * @param {Object} second - Player who just joined
+   */
+  startRoom(first, second) {
+    const { HeadlessGame, GameModes, generateSeed, dictionary } = this.rules;
+    const seed = generateSeed();
+    const room = {
+      players: [first, second],
+      // The games stay with the room, so a player who leaves after their game is over still has a score
+      games: [first, second].map(() => new HeadlessGame(dictionary, { seed, mode: GameModes.VERSUS })),
+      seed,
+      mode: GameModes.VERSUS
+    };
+    this.rooms.add(room);
+
+    room.players.forEach((player, index) => {
+      const opponent = room.players[1 - index];
+      player.room = room;
+      player.opponent = opponent;
+      player.game = room.games[index];
+      this.send(player, { type: 'start', seed: room.seed, mode: room.mode, opponent: opponent.name });
+    });
+
+    console.log(`⚔️  ${first.name} vs ${second.name} (seed ${room.seed})`);
+  }
+
+  /**
+   * Check and apply a player's move, then tell the opponent
+   * @param {Object} player - Player who moved
+   * @param {Object} message - { column, letter }
+   */
+  move(player, { column, letter }) {
+    const { game, room } = player;
+    if (!room) {
+      this.send(player, { type: 'error', message: 'Not in a match' });
+      return;
+    }
+    // The score is final once the game is over; a late move is not a forfeit
+    if (game.isGameOver()) return;
+
+    if (letter !== game.getNextLetter() || !game.canDrop(column)) {
+      this.send(player, { type: 'rejected', reason: `Can't drop '${letter}' into column ${column}` });
+      this.leave(player);
+      return;
+    }
+
+    const { words } = game.drop(column);
+    this.sendInRoom(player.opponent, room, {
+      type: 'opponent',
+      board: game.state.board.toArray(),
+      score: game.state.score,
+      lettersRemaining: game.state.lettersRemaining,
+      words: words.map(({ word, points }) => ({ word, points })),
+      over: game.isGameOver()
+    });
+
+    if (room.games.every((other) => other.isGameOver())) {
+      this.finishRoom(room);
+    }
+  }
+
+  /**
+   * Both games are over: send each player the result
+   * @param {Object} room - Finished room
+   */
+  finishRoom(room) {
+    const scores = room.games.map((game) => game.state.score);
+    room.players.forEach((player, index) => {
+      const score = scores[index];
+      const opponentScore = scores[1 - index];
+      const outcome = score > opponentScore ? 'win' : score < opponentScore ? 'lose' : 'draw';
+      this.sendInRoom(player, room, { type: 'result', score, opponentScore, outcome });
+    });
+
+    const [first, second] = room.players;
+    console.log(`🏁 ${first.name} ${scores[0]} - ${scores[1]} ${second.name}`);
+    this.closeRoom(room);
+  }
+
+  /**
+   * A player leaves (disconnect or leave message). Mid-game that forfeits and their opponent
+   * wins; once their own game is over their score stands and the opponent plays on for the result.
+   * @param {Object} player - Leaving player
+   */
+  leave(player) {
+    if (this.waiting === player) {
+      this.waiting = null;
+    }
+    const { room } = player;
+    if (!room) return;
+
+    if (player.game.isGameOver()) {
+      this.release(player);
+      return;
+    }
+
+    this.sendInRoom(player.opponent, room, { type: 'opponentLeft' });
+    this.closeRoom(room);
+  }
+
+  /**
+   * Forget a room (its players can join another match)
+   * @param {Object} room - Room to close
+   */
+  closeRoom(room) {
+    room.players.forEach((player) => {
+      if (player.room === room) this.release(player);
+    });
+    this.rooms.delete(room);
+  }
+
+  /**
+   * Take a player out of their room (the room keeps their game)
+   * @param {Object} player - Player
+   */
+  release(player) {
+    player.room = null;
+    player.game = null;
+    player.opponent = null;
+  }
+
+  /**
+   * Send a message to a player who is still in a room (not one who left it)
+   * @param {Object} player - Recipient
+   * @param {Object} room - Room the message is about
+   * @param {Object} message - Message object
+   */
+  sendInRoom(player, room, message) {
+    if (player.room === room) {
+      this.send(player, message);
+    }
+  }
+
+  /**
+   * Send a message if the player's socket is still open
+   * @param {Object} player - Recipient
+   * @param {Object} message - Message object
+   */
+  send(player, message) {
+    if (player.socket.readyState === WebSocket.OPEN) {
+      player.socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+module.exports = { VersusServer };
@@ -0,0 +1,95 @@
+const express = require('express');
+const { ApiError, handle, handleBodyErrors } = require('./api');
+
+/**
+ * Session token from the request's cookie
+ * @param {express.Request} req - Request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Token, or null if there is no such cookie
+ */
+function readCookie(req, name) {
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+  for (const cookie of cookies) {
+    const index = cookie.indexOf('=');
+    if (index > 0 && cookie.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(cookie.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Middleware that sets req.user to the logged-in account for the routes after it
+ * (null when logged out, or until the account store has opened)
+ * @param {UserStore} users - Account store
+ * @returns {Function} Express middleware
+ */
+function createSessionMiddleware(users) {
+  return (req, res, next) => {
+    req.sessionToken = users.settings ? readCookie(req, users.settings.COOKIE_NAME) : null;
+    req.user = users.authenticate(req.sessionToken);
+    next();
+  };
+}
+
+/**
+ * REST routes for player accounts (mounted at /api/accounts, after the session middleware)
+ *
+ *   GET   /me         The logged-in account → { user } (user is null when logged out)
+ *   PATCH /me         { displayName }                  Change the profile → { user }
+ *   POST  /register   { username, password, displayName } Create an account and log in → { user }
+ *   POST  /login      { username, password }           Log in → { user }
+ *   POST  /logout     Log out → { user: null }
+ * Logging in sets an HttpOnly session cookie; logging out clears it.
+ * Errors are answered as { error } with a 4xx/5xx status.
+ *
+ * @param {UserStore} users - Account store
+ * @returns {express.Router} Router
+ */
+function createAccountRouter(users) {
+  const router = express.Router();
+  router.use(express.json({ limit: '4kb' }));
+
+  const setSession = (req, res, token) => {
+    const { COOKIE_NAME, SESSION_MS } = users.settings;
+    res.cookie(COOKIE_NAME, token, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: SESSION_MS, path: '/' });
+  };
+  const requireUser = (req) => {
+    if (!req.user) {
+      throw new ApiError(401, 'Log in first');
+    }
+    return req.user;
+  };
+
+  router.get('/me', handle((req) => ({ user: req.user ? users.view(req.user) : null })));
+
+  router.patch('/me', handle(async (req) => ({ user: await users.updateProfile(requireUser(req), req.body || {}) })));
+
+  router.post('/register', handle(async (req, res) => {
+    const { user, token } = await users.register(req.body || {});
+    setSession(req, res, token);
+    return { user };
+  }));
+
+  router.post('/login', handle(async (req, res) => {
+    const { user, token } = await users.login(req.body || {});
+    setSession(req, res, token);
+    return { user };
+  }));
+
+  router.post('/logout', handle(async (req, res) => {
+    await users.logout(req.sessionToken);
+    res.clearCookie(users.settings.COOKIE_NAME, { path: '/' });
+    return { user: null };
+  }));
+
+  router.use(handleBodyErrors);
+
+  return router;
+}
+
+module.exports = { createAccountRouter, createSessionMiddleware };
@@ -0,0 +1,49 @@
+/**
+ * Helpers shared by the REST routes (server/*Routes.js)
+ * Handlers return the response body (or a promise of it) and throw ApiError to refuse a
+ * request; every error is answered as { error } with its status.
+ */
+
+/**
+ * ApiError - A request the server refuses, with the HTTP status to answer with
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Reason shown to the player
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Wrap a route handler: answer with its result as JSON, or with its error
+ * @param {Function} action - (req, res) => body or Promise of body (res only to set headers or cookies)
+ * @returns {Function} Express handler
+ */
+function handle(action) {
+  return async (req, res) => {
+    try {
+      res.json(await action(req, res));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        res.status(error.status).json({ error: error.message });
+      } else {
+        console.error(`❌ ${req.method} ${req.originalUrl} failed:`, error);
+        res.status(500).json({ error: 'Something went wrong' });
+      }
+    }
+  };
+}
+
+/**
+ * Error middleware for bodies that aren't JSON or are too large (from express.json)
+ */
+function handleBodyErrors(error, req, res, next) {
+  res.status(error.status || 500).json({ error: error.expose ? error.message : 'Something went wrong' });
+}
+
+module.exports = { ApiError, handle, handleBodyErrors };
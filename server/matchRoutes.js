@@ -0,0 +1,55 @@
+const express = require('express');
+const { ApiError, handle, handleBodyErrors } = require('./api');
+
+// Player ids are random strings the client makes up and keeps (js/matches/MatchClient.js)
+const PLAYER_ID = /^[A-Za-z0-9_-]{16,64}$/;
+
+/**
+ * REST routes for asynchronous matches (mounted at /api/matches)
+ *
+ * Every request names its player in the X-Noodel-Player header.
+ *   GET    /                 The player's matches
+ *   POST   /                 { name } Join a waiting match or start one
+ *   GET    /:id              One match
+ *   POST   /:id/moves        { column, index } Take a turn (index = moves already played)
+ *   DELETE /:id              Cancel an open match or resign an active one
+ * Errors are answered as { error } with a 4xx/5xx status.
+ *
+ * @param {MatchStore} matches - Match store
+ * @returns {express.Router} Router
+ */
+function createMatchRouter(matches) {
+  const router = express.Router();
+  router.use(express.json({ limit: '4kb' }));
+
+  // The player named by the request's header
+  const player = (req) => {
+    const playerId = req.get('X-Noodel-Player');
+    if (!PLAYER_ID.test(playerId || '')) {
+      throw new ApiError(400, 'Missing or invalid X-Noodel-Player header');
+    }
+    return playerId;
+  };
+
+  router.get('/', handle((req) => ({ matches: matches.list(player(req)) })));
+
+  router.post('/', handle((req) => matches.join(player(req), req.body?.name)));
+
+  router.get('/:id', handle((req) => matches.get(req.params.id, player(req))));
+
+  router.post('/:id/moves', handle((req) => {
+    const { column, index } = req.body || {};
+    if (!Number.isInteger(column) || !Number.isInteger(index)) {
+      throw new ApiError(400, 'A move needs an integer column and index');
+    }
+    return matches.move(req.params.id, player(req), column, index);
+  }));
+
+  router.delete('/:id', handle(async (req) => ({ match: await matches.resign(req.params.id, player(req)) })));
+
+  router.use(handleBodyErrors);
+
+  return router;
+}
+
+module.exports = { createMatchRouter };
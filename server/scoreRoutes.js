@@ -0,0 +1,37 @@
+const express = require('express');
+const { handle, handleBodyErrors } = require('./api');
+
+/**
+ * REST routes for the leaderboard (mounted at /api/scores)
+ *
+ *   GET  /?mode=&window=&seed=&page=&pageSize=  One page of a board (window: daily, weekly or all;
+ *                                               seed optional) → { scores, page, pageSize, total }
+ *   POST /   { name, mode, seed, score, words, log }  Submit a finished game with its move log
+ *                                               → { score, ranks } (422 if the log doesn't make the score;
+ *                                               a logged-in player's score goes under their account)
+ * Errors are answered as { error } with a 4xx/5xx status.
+ *
+ * @param {ScoreStore} scores - Score store
+ * @returns {express.Router} Router
+ */
+function createScoreRouter(scores) {
+  const router = express.Router();
+  // Submissions carry the game's whole move log
+  router.use(express.json({ limit: '64kb' }));
+
+  // Query string numbers (left undefined when absent, so the defaults apply)
+  const toNumber = (value) => value === undefined ? undefined : Number(value);
+
+  router.get('/', handle((req) => {
+    const { mode, window, seed, page, pageSize } = req.query;
+    return scores.query({ mode, window, seed, page: toNumber(page), pageSize: toNumber(pageSize) });
+  }));
+
+  router.post('/', handle((req) => scores.submit(req.body || {}, req.user)));
+
+  router.use(handleBodyErrors);
+
+  return router;
+}
+
+module.exports = { createScoreRouter };
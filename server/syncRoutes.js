@@ -0,0 +1,39 @@
+const express = require('express');
+const { ApiError, handle, handleBodyErrors } = require('./api');
+
+/**
+ * REST routes for cloud saves (mounted at /api/sync, after the session middleware)
+ * Every route needs a logged-in account (401 otherwise).
+ *
+ *   GET  /               Every stored item of the account → { items: { key: { value, version, modifiedAt } } }
+ *   POST /   { items: { key: { value, baseVersion, modifiedAt } } }  Write changed items
+ *                        → { saved: { key: { version, modifiedAt } }, conflicts: { key: item }, rejected: { key: reason } }
+ * A change based on an older version than the stored one is not written; it comes back
+ * in conflicts with the stored item. A value too large to store comes back in rejected.
+ * Errors are answered as { error } with a 4xx/5xx status.
+ *
+ * @param {SyncStore} sync - Cloud save store
+ * @returns {express.Router} Router
+ */
+function createSyncRouter(sync) {
+  const router = express.Router();
+  // A first sync can carry every save slot and the replays at once
+  router.use(express.json({ limit: '1mb' }));
+
+  const requireUser = (req) => {
+    if (!req.user) {
+      throw new ApiError(401, 'Log in to sync');
+    }
+    return req.user;
+  };
+
+  router.get('/', handle((req) => sync.pull(requireUser(req))));
+
+  router.post('/', handle((req) => sync.push(requireUser(req), (req.body || {}).items)));
+
+  router.use(handleBodyErrors);
+
+  return router;
+}
+
+module.exports = { createSyncRouter };
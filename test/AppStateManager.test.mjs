@@ -0,0 +1,51 @@
+/**
+ * Gameplay states: the moves a game may make between them, and the game over flow
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AppStateManager } from '../js/core/AppStateManager.js';
+import { GameplayStates, isValidGameplayTransition } from '../js/core/GameplayStates.js';
+
+const { BOARD_READY, AWAITING_INPUT, PROCESSING_WORDS, GAME_OVER } = GameplayStates;
+
+describe('GameplayStates', () => {
+    test('a drop resolves back to input or ends the game', () => {
+        assert.equal(isValidGameplayTransition(AWAITING_INPUT, PROCESSING_WORDS), true);
+        assert.equal(isValidGameplayTransition(PROCESSING_WORDS, AWAITING_INPUT), true);
+        assert.equal(isValidGameplayTransition(PROCESSING_WORDS, GAME_OVER), true);
+    });
+
+    test('a game can be abandoned between moves or after it ends, but not mid-drop', () => {
+        assert.equal(isValidGameplayTransition(AWAITING_INPUT, BOARD_READY), true);
+        assert.equal(isValidGameplayTransition(GAME_OVER, BOARD_READY), true);
+        assert.equal(isValidGameplayTransition(PROCESSING_WORDS, BOARD_READY), false);
+        assert.equal(isValidGameplayTransition(GAME_OVER, AWAITING_INPUT), false);
+    });
+});
+
+describe('AppStateManager gameplay state', () => {
+    test('plays a game through to game over and a new game', () => {
+        const appState = new AppStateManager(null, null);
+        const changes = [];
+        appState.on('gameplayStateChanged', ({ from, to }) => changes.push(`${from}>${to}`));
+
+        [AWAITING_INPUT, PROCESSING_WORDS, AWAITING_INPUT, PROCESSING_WORDS, GAME_OVER, BOARD_READY]
+            .forEach(state => assert.equal(appState.setGameplayState(state), true, state));
+
+        assert.equal(appState.getGameplayState(), BOARD_READY);
+        assert.equal(changes.length, 6);
+        assert.equal(changes[4], `${PROCESSING_WORDS}>${GAME_OVER}`);
+    });
+
+    test('refuses a transition the flow does not allow and stays put', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const appState = new AppStateManager(null, null);
+        appState.setGameplayState(AWAITING_INPUT);
+        appState.setGameplayState(PROCESSING_WORDS);
+
+        assert.equal(appState.setGameplayState(BOARD_READY), false);
+        assert.equal(appState.setGameplayState('nonsense'), false);
+        assert.equal(appState.getGameplayState(), PROCESSING_WORDS);
+        assert.equal(appState.setGameplayState(PROCESSING_WORDS), true);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Balance tables: other letter weights and scoring values for the balance simulator, passed
+ * into a game without changing the game's own tables
+ */
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameModes } from '../js/config.js';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { LetterGenerator } from '../js/letter/LetterGenerator.js';
+import { createSeededRandom } from '../js/letter/SeededRandom.js';
+import { calculateWordScore, createScoringTables, getScoringTables } from '../js/scoring/ScoringUtils.js';
+import { loadDictionary } from './helpers.mjs';
+
+// Weights that leave only A and B in the bag
+const A_AND_B = Object.fromEntries(LetterGenerator.getFrequencies().map(({ letter }) => [letter, 0]));
+Object.assign(A_AND_B, { A: 1, B: 1 });
+
+describe('Balance tables', () => {
+    test('scoring overrides change only the values given, and only where passed', () => {
+        const defaults = getScoringTables();
+        const tables = createScoringTables({ letterValues: { q: 8 }, lengthBonuses: { 4: 2 } });
+
+        assert.equal(tables.letterValues.Q, 8);
+        assert.equal(tables.letterValues.A, defaults.letterValues.A);
+        assert.equal(calculateWordScore('QUIT', tables), 8 + 1 + 1 + 1 + 2);
+        assert.equal(calculateWordScore('QUIT'), 10 + 1 + 1 + 1 + defaults.lengthBonuses[4]);
+        assert.deepEqual(getScoringTables(), defaults);
+    });
+
+    test('refuses scoring values that are not numbers for letters and lengths', () => {
+        assert.throws(() => createScoringTables({ letterValues: { QU: 8 } }), /Invalid letter value QU=8/);
+        assert.throws(() => createScoringTables({ letterValues: { Q: '8' } }), /Invalid letter value/);
+        assert.throws(() => createScoringTables({ lengthBonuses: { long: 3 } }), /Invalid length bonus/);
+    });
+
+    test('weight overrides build a new table, highest first, without zero weights', () => {
+        const defaults = LetterGenerator.getFrequencies();
+        const table = LetterGenerator.createFrequencies({ z: 50, E: 0 });
+
+        assert.deepEqual(table[0], { letter: 'Z', weight: 50 });
+        assert.equal(table.some(({ letter }) => letter === 'E'), false);
+        assert.equal(table.length, defaults.length - 1);
+        assert.deepEqual(LetterGenerator.getFrequencies(), defaults);
+        assert.throws(() => LetterGenerator.createFrequencies({ E: -1 }), /Invalid weight E=-1/);
+    });
+
+    test('a generator deals from the table it is given', () => {
+        const frequencies = LetterGenerator.createFrequencies(A_AND_B);
+        const letters = new LetterGenerator(200, createSeededRandom(1), frequencies).generateAllLetters();
+        assert.deepEqual([...new Set(letters)].sort(), ['A', 'B']);
+
+        const plain = new LetterGenerator(200, createSeededRandom(1)).generateAllLetters();
+        assert.ok(new Set(plain).size > 2);
+    });
+
+    describe('in a game', () => {
+        let dictionary;
+        before(async () => {
+            dictionary = await loadDictionary();
+        });
+
+        /**
+         * Play the same drops in a game (quietly)
+         * @param {TestContext} t - Test context
+         * @param {Object} options - HeadlessGame options
+         * @returns {HeadlessGame} Game after 60 drops
+         */
+        function play(t, options) {
+            t.mock.method(console, 'log', () => {});
+            const game = new HeadlessGame(dictionary, { seed: 42, ...options });
+            for (let move = 0; move < 60; move++) {
+                const column = [0, 1, 2, 3, 4, 5, 6].map(offset => (move + offset) % 7).find(c => game.canDrop(c));
+                game.drop(column);
+            }
+            return game;
+        }
+
+        test('words score with the tables passed, and other games are unchanged', (t) => {
+            const plain = play(t, {});
+            const { letterValues, lengthBonuses } = getScoringTables();
+            const double = (table) => Object.fromEntries(Object.entries(table).map(([key, value]) => [key, value * 2]));
+            const doubled = play(t, { tables: createScoringTables({ letterValues: double(letterValues), lengthBonuses: double(lengthBonuses) }) });
+
+            assert.ok(plain.words.length > 0);
+            assert.deepEqual(doubled.words.map(({ word }) => word), plain.words.map(({ word }) => word));
+            assert.equal(doubled.state.score, plain.state.score * 2);
+            assert.deepEqual(play(t, {}).getStats(), plain.getStats());
+        });
+
+        test('letters and the Clear Mode board come from the weights passed', (t) => {
+            const letterFrequencies = LetterGenerator.createFrequencies(A_AND_B);
+            t.mock.method(console, 'log', () => {});
+            t.mock.method(console, 'warn', () => {});
+            const game = new HeadlessGame(dictionary, { seed: 5, mode: GameModes.CLEAR, tables: { letterFrequencies } });
+            const onBoard = game.state.board.toArray().flat().filter(Boolean);
+
+            assert.match(game.state.letterSequence, /^[AB]+$/);
+            assert.ok(onBoard.length > 0 && onBoard.every(letter => letter === 'A' || letter === 'B'));
+
+            const plain = new HeadlessGame(dictionary, { seed: 5, mode: GameModes.CLEAR });
+            assert.doesNotMatch(plain.state.letterSequence, /^[AB]+$/);
+        });
+    });
+});
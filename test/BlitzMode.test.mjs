@@ -0,0 +1,114 @@
+/**
+ * Blitz: the clock, its shrinking time bonuses and the speed streak
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, GameModes } from '../js/config.js';
+import { GameState } from '../js/core/GameState.js';
+import { BlitzMode } from '../js/modes/BlitzMode.js';
+import { pattern } from './helpers.mjs';
+
+/**
+ * A Blitz game's state, as it is once the clock has started
+ * @returns {GameState} State
+ */
+function blitzState() {
+    const state = new GameState(1);
+    state.setMode(GameModes.BLITZ);
+    return state;
+}
+
+describe('BlitzMode', () => {
+    const blitz = new BlitzMode();
+    const { DURATION_MS, BONUS_EVERY_POINTS, BONUS_MS, BONUS_SHRINK_MS, FAST_DROP_MS } = CONFIG.BLITZ_MODE;
+
+    test('starts with the full clock and unlimited letters', () => {
+        const state = blitzState();
+        assert.equal(state.timeRemaining, DURATION_MS);
+        assert.equal(state.hasUnlimitedLetters(), true);
+        assert.equal(state.isGameOver(), false);
+    });
+
+    test('each time bonus adds less than the one before, down to nothing', () => {
+        assert.equal(blitz.getTimeBonus(0), BONUS_MS);
+        assert.equal(blitz.getTimeBonus(1), BONUS_MS - BONUS_SHRINK_MS);
+
+        let total = 0;
+        for (let index = 0; blitz.getTimeBonus(index) > 0; index++) {
+            assert.ok(blitz.getTimeBonus(index + 1) < blitz.getTimeBonus(index));
+            total += blitz.getTimeBonus(index);
+        }
+        assert.equal(blitz.getTimeBonus(1000), 0);
+        assert.ok(total <= 64000);
+    });
+
+    test('the score earns each bonus once, even several in one move', () => {
+        const state = blitzState();
+        state.score = BONUS_EVERY_POINTS - 1;
+        blitz.afterMove(state);
+        assert.equal(state.timeRemaining, DURATION_MS);
+
+        state.score = BONUS_EVERY_POINTS * 3;
+        blitz.afterMove(state);
+        assert.equal(state.timeBonuses, 3);
+        assert.equal(state.timeRemaining, DURATION_MS + blitz.getTimeBonus(0) + blitz.getTimeBonus(1) + blitz.getTimeBonus(2));
+
+        const clock = state.timeRemaining;
+        blitz.afterMove(state);
+        assert.equal(state.timeRemaining, clock);
+        assert.equal(state.clockAtLastMove, clock);
+    });
+
+    test('quick drops build a speed streak that multiplies word scores', () => {
+        const state = blitzState();
+        for (let i = 0; i < 10; i++) {
+            state.timeRemaining -= FAST_DROP_MS;
+            blitz.beforeDrop(state);
+            blitz.afterMove(state);
+        }
+        assert.equal(state.speedStreak, 10);
+        assert.equal(blitz.getSpeedMultiplier(state), CONFIG.BLITZ_MODE.MAX_SPEED_MULTIPLIER);
+        assert.equal(blitz.scoreWord('CAT', { state }), 10);
+
+        state.timeRemaining -= FAST_DROP_MS + 1;
+        blitz.beforeDrop(state);
+        assert.equal(state.speedStreak, 0);
+        assert.equal(blitz.getSpeedMultiplier(state), 1);
+    });
+
+    test('ends when time runs out or the board fills', () => {
+        const state = blitzState();
+        state.timeRemaining = 0;
+        assert.equal(state.isGameOver(), true);
+        assert.equal(blitz.getEndResult(state).reason, 'Out of time');
+
+        state.timeRemaining = 5000;
+        state.board.loadPattern(pattern(Array(6).fill('XXXXXXX')));
+        assert.equal(state.isGameOver(), true);
+        assert.equal(blitz.getEndResult(state).reason, 'Board full');
+    });
+
+    test('shows the clock on the HUD, urgent in the last seconds', () => {
+        const state = blitzState();
+        state.timeRemaining = 65001;
+        assert.deepEqual(blitz.getHUD(state), { label: 'Time Left', value: '1:06', detail: '', urgent: false });
+
+        state.timeRemaining = CONFIG.BLITZ_MODE.URGENT_MS;
+        assert.equal(blitz.getHUD(state).urgent, true);
+        assert.equal(BlitzMode.formatClock(-500), '0:00');
+        assert.equal(blitz.describeProgress({ timeRemaining: 9000 }), '0:09 left');
+    });
+
+    test('runs out of time however fast the score grows', () => {
+        const state = blitzState();
+        let moves = 0;
+        while (!state.isGameOver()) {
+            state.timeRemaining -= 1000;
+            state.score += BONUS_EVERY_POINTS;
+            blitz.afterMove(state);
+            moves++;
+        }
+        assert.ok(moves <= (DURATION_MS + 64000) / 1000);
+        assert.equal(blitz.getEndResult(state).reason, 'Out of time');
+    });
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BoardModel } from '../js/grid/BoardModel.js';
+import { pattern } from './helpers.mjs';
+
+test('letters drop to the lowest free row until the column is full', () => {
+    const board = new BoardModel(3, 2);
+    assert.equal(board.dropLetter(0, 'A'), 2);
+    assert.equal(board.dropLetter(0, 'B'), 1);
+    assert.equal(board.dropLetter(0, 'C'), 0);
+    assert.equal(board.dropLetter(0, 'D'), -1);
+    assert.equal(board.isColumnFull(0), true);
+    assert.equal(board.isColumnFull(1), false);
+    assert.equal(board.getColumnHeight(0), 3);
+    assert.deepEqual(board.getColumnHeights(), [3, 0]);
+});
+
+test('gravity closes the gaps left by cleared cells', () => {
+    const board = BoardModel.fromArray(pattern(['A.', 'B.', 'CD']));
+    board.clearPositions([{ row: 1, col: 0 }, { row: 2, col: 0 }]);
+    const moves = board.applyGravity();
+
+    assert.deepEqual(moves, [{ col: 0, fromRow: 0, toRow: 2 }]);
+    assert.deepEqual(board.toArray(), pattern(['..', '..', 'AD']));
+});
+
+test('counts filled cells and knows a full or empty board', () => {
+    const board = BoardModel.fromArray(pattern(['AB', 'CD']));
+    assert.equal(board.isFull(), true);
+    assert.equal(board.getFilledCount(), 4);
+    board.clear();
+    assert.equal(board.isEmpty(), true);
+    assert.equal(board.isFilled(0, 0), false);
+    assert.equal(board.isFilled(5, 5), false);
+});
+
+test('a clone is independent of the original', () => {
+    const board = BoardModel.fromArray(pattern(['..', 'A.']));
+    const copy = board.clone();
+    copy.dropLetter(1, 'B');
+
+    assert.equal(board.getFilledCount(), 1);
+    assert.equal(copy.getFilledCount(), 2);
+});
@@ -0,0 +1,113 @@
+/**
+ * Bot player: picking moves by difficulty, planning ahead with the preview queue, and playing headless games
+ */
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameModes } from '../js/config.js';
+import { GameState } from '../js/core/GameState.js';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { BotPlayer, BotDifficulty } from '../js/ai/BotPlayer.js';
+import { createSeededRandom } from '../js/letter/SeededRandom.js';
+import { WordResolver } from '../js/word/WordResolver.js';
+import { loadDictionary, pattern } from './helpers.mjs';
+
+const NO_MISTAKES = () => 1;
+
+/**
+ * Game state on a given board with a given preview queue, and words found from a small word list
+ * @param {string[]} rows - Board rows (see pattern)
+ * @param {string[]} nextLetters - Preview queue, next letter first
+ * @returns {{state: GameState, wordResolver: WordResolver}} State and word finder
+ */
+function setup(rows, nextLetters) {
+    const state = new GameState(1);
+    state.board.loadPattern(pattern(rows));
+    state.nextLetters = nextLetters;
+    const wordResolver = new WordResolver(state, null, new Map([['CAT', 'A cat']]));
+    return { state, wordResolver };
+}
+
+// CA on the bottom row: a T in column 2 makes CAT
+const CA_BOARD = ['.......', '.......', '.......', '.......', '.......', 'CA.....'];
+
+describe('BotPlayer', () => {
+    test('refuses an unknown difficulty', () => {
+        assert.throws(() => new BotPlayer(null, 'expert'), /Unknown difficulty 'expert'/);
+    });
+
+    test('drops a letter where it makes a word, without changing the game', () => {
+        const { state, wordResolver } = setup(CA_BOARD, ['T', 'Q']);
+        const board = JSON.stringify(state.board.toArray());
+
+        assert.equal(new BotPlayer(wordResolver, BotDifficulty.EASY, NO_MISTAKES).chooseMove(state), 2);
+        assert.equal(new BotPlayer(wordResolver, BotDifficulty.HARD).chooseMove(state), 2);
+        assert.equal(JSON.stringify(state.board.toArray()), board);
+        assert.deepEqual(state.nextLetters, ['T', 'Q']);
+    });
+
+    test('looks ahead to keep a word open for the next letter', () => {
+        const { state, wordResolver } = setup(CA_BOARD, ['X', 'T']);
+
+        // Easy only sees the X, and column 2 is as low as any; medium saves it for the T
+        assert.equal(new BotPlayer(wordResolver, BotDifficulty.EASY, NO_MISTAKES).chooseMove(state), 2);
+        assert.notEqual(new BotPlayer(wordResolver, BotDifficulty.MEDIUM).chooseMove(state), 2);
+    });
+
+    test('easy sometimes plays a random open column', () => {
+        const { state, wordResolver } = setup(['X......', 'X......', 'X......', 'X......', 'X......', 'XA.....'], ['T']);
+        const rolls = [0, 0];
+        const bot = new BotPlayer(wordResolver, BotDifficulty.EASY, () => rolls.shift());
+
+        // The first roll makes a mistake, the second picks the first open column
+        assert.equal(bot.chooseMove(state), 1);
+    });
+
+    test('has no move without a letter or an open column', () => {
+        const bot = new BotPlayer(setup(CA_BOARD, []).wordResolver);
+        assert.equal(bot.chooseMove(setup(CA_BOARD, []).state), null);
+        assert.equal(bot.chooseMove(setup(Array(6).fill('XXXXXXX'), ['T']).state), null);
+    });
+
+    describe('playing headless games', () => {
+        let dictionary;
+        before(async () => {
+            dictionary = await loadDictionary();
+        });
+
+        /**
+         * Play a game to the end (quietly)
+         * @param {TestContext} t - Test context
+         * @param {Object} options - HeadlessGame options
+         * @param {string} difficulty - Bot difficulty
+         * @param {number} maxMoves - Move cap
+         * @returns {{game: HeadlessGame, stats: Object}} The game and its final stats
+         */
+        function play(t, options, difficulty = BotDifficulty.MEDIUM, maxMoves = Infinity) {
+            t.mock.method(console, 'log', () => {});
+            const game = new HeadlessGame(dictionary, options);
+            const bot = new BotPlayer(game.wordResolver, difficulty, createSeededRandom(options.seed));
+            return { game, stats: bot.play(game, maxMoves) };
+        }
+
+        test('plays a classic game to the end, the same way every time', (t) => {
+            const first = play(t, { seed: 42 });
+            const again = play(t, { seed: 42 });
+
+            assert.equal(first.game.isGameOver(), true);
+            assert.ok(first.stats.score > 0);
+            assert.deepEqual(again.stats, first.stats);
+        });
+
+        test('a harder bot beats an easier one on the same letters', (t) => {
+            const easy = play(t, { seed: 7 }, BotDifficulty.EASY).stats;
+            const medium = play(t, { seed: 7 }, BotDifficulty.MEDIUM).stats;
+            assert.ok(medium.score > easy.score, `${medium.score} vs ${easy.score}`);
+        });
+
+        test('stops modes that never end after the move cap', (t) => {
+            const { game, stats } = play(t, { seed: 3, mode: GameModes.ZEN }, BotDifficulty.EASY, 120);
+            assert.equal(game.isGameOver(), false);
+            assert.equal(stats.moves, 120);
+        });
+    });
+});
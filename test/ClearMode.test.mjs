@@ -0,0 +1,79 @@
+/**
+ * Clear Mode: the seeded starting board and the win and loss rules
+ */
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, GameModes } from '../js/config.js';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { GameState } from '../js/core/GameState.js';
+import { loadDictionary, pattern } from './helpers.mjs';
+
+describe('Clear Mode', () => {
+    let dictionary;
+    before(async () => {
+        dictionary = await loadDictionary();
+    });
+
+    /**
+     * Start a Clear Mode game (quietly)
+     * @param {TestContext} t - Test context
+     * @param {string|number} seed - Game seed
+     * @returns {HeadlessGame} Game
+     */
+    function clearGame(t, seed) {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+        return new HeadlessGame(dictionary, { seed, mode: GameModes.CLEAR });
+    }
+
+    test('the same seed always gives the same starting board', (t) => {
+        const board = clearGame(t, 42).state.board.toArray();
+        assert.deepEqual(clearGame(t, 42).state.board.toArray(), board);
+        assert.notDeepEqual(clearGame(t, 43).state.board.toArray(), board);
+    });
+
+    test('the board is about half full, settled and leaves the top rows open', (t) => {
+        const { FILL_RATIO, OPEN_ROWS } = CONFIG.CLEAR_MODE;
+        const { board } = clearGame(t, 7).state;
+        const target = Math.round(board.rows * board.columns * FILL_RATIO);
+
+        assert.ok(board.getFilledCount() > target * 0.8 && board.getFilledCount() <= target);
+        assert.ok(board.getColumnHeights().every(height => height <= board.rows - OPEN_ROWS));
+        assert.deepEqual(board.applyGravity(), []);
+    });
+
+    test('starts with no words to clear for free', (t) => {
+        const game = clearGame(t, 11);
+        assert.deepEqual(game.wordResolver.checkForWords(game.state.board), []);
+        assert.equal(game.state.startTileCount, game.state.board.getFilledCount());
+    });
+
+    test('the starting board does not change the letters dealt', (t) => {
+        const game = clearGame(t, 5);
+        const plain = new GameState(5);
+        plain.setMode(GameModes.CLEAR);
+        assert.equal(game.state.letterSequence, plain.generateLetterSequence(5));
+    });
+
+    test('is won on an empty board and lost on a full one', () => {
+        const state = new GameState(1);
+        state.setMode(GameModes.CLEAR);
+        const mode = state.getMode();
+        state.board.loadPattern(pattern(['.......', '.......', '.......', '.......', 'AB.....', 'CDEF...']));
+        state.markStartBoard();
+
+        assert.equal(state.isGameOver(), false);
+        assert.equal(mode.getHUD(state).value, '0%');
+
+        state.board.clearPositions([{ row: 4, col: 0 }, { row: 4, col: 1 }, { row: 5, col: 0 }]);
+        assert.equal(mode.getHUD(state).value, '50%');
+
+        state.board.clear();
+        assert.equal(state.isGameOver(), true);
+        assert.equal(mode.getEndResult(state).title, 'Board Cleared!');
+
+        state.board.loadPattern(pattern(Array(6).fill('XXXXXXX')));
+        assert.equal(state.isGameOver(), true);
+        assert.equal(mode.getEndResult(state).reason, 'Board full');
+    });
+});
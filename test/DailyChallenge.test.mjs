@@ -0,0 +1,110 @@
+/**
+ * Daily challenge: UTC day keys, one scored attempt a day and streaks
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DailyChallenge } from '../js/daily/DailyChallenge.js';
+import { memoryStorage } from './helpers.mjs';
+
+const stats = (totalScore) => ({ totalScore, totalWords: 3, longestWord: { text: 'NOODLE' } });
+
+/**
+ * Daily challenge with the given days completed
+ * @param {string[]} days - Date keys
+ * @returns {DailyChallenge} Challenge on in-memory storage
+ */
+function played(days) {
+    const daily = new DailyChallenge(memoryStorage());
+    days.forEach(day => daily.recordResult(stats(10), day));
+    return daily;
+}
+
+describe('DailyChallenge day keys', () => {
+    test('days roll over at midnight UTC, not local midnight', () => {
+        assert.equal(DailyChallenge.getDateKey(new Date('2026-10-19T23:59:59Z')), '2026-10-19');
+        assert.equal(DailyChallenge.getDateKey(new Date('2026-10-20T00:00:00Z')), '2026-10-20');
+        assert.equal(DailyChallenge.getDateKey(new Date('2026-10-19T23:30:00-05:00')), '2026-10-20');
+    });
+
+    test('the day before crosses months, years and leap days', () => {
+        assert.equal(DailyChallenge.getPreviousDateKey('2026-03-01'), '2026-02-28');
+        assert.equal(DailyChallenge.getPreviousDateKey('2028-03-01'), '2028-02-29');
+        assert.equal(DailyChallenge.getPreviousDateKey('2027-01-01'), '2026-12-31');
+    });
+
+    test('everyone gets the same seed on a day', () => {
+        assert.equal(DailyChallenge.getSeed('2026-10-19'), 'daily-2026-10-19');
+        assert.notEqual(DailyChallenge.getSeed('2026-10-19'), DailyChallenge.getSeed('2026-10-20'));
+    });
+});
+
+describe('DailyChallenge attempts', () => {
+    test('starting the day uses the attempt and the result fills it in', () => {
+        const daily = new DailyChallenge(memoryStorage());
+        assert.equal(daily.hasPlayed('2026-10-19'), false);
+
+        daily.markAttempt('2026-10-19');
+        assert.equal(daily.hasPlayed('2026-10-19'), true);
+        assert.equal(daily.getResult('2026-10-19').completed, false);
+
+        daily.recordResult(stats(120), '2026-10-19');
+        assert.deepEqual(daily.getResult('2026-10-19'), {
+            date: '2026-10-19',
+            seed: 'daily-2026-10-19',
+            completed: true,
+            score: 120,
+            totalWords: 3,
+            longestWord: 'NOODLE'
+        });
+    });
+
+    test('marking the attempt again keeps the finished result', () => {
+        const daily = played(['2026-10-19']);
+        daily.markAttempt('2026-10-19');
+        assert.equal(daily.getResult('2026-10-19').completed, true);
+    });
+
+    test('results survive a new instance on the same storage, or live in memory without one', () => {
+        const storage = memoryStorage();
+        new DailyChallenge(storage).recordResult(stats(5), '2026-10-19');
+        assert.equal(new DailyChallenge(storage).getResult('2026-10-19').score, 5);
+
+        const memoryOnly = new DailyChallenge(null);
+        memoryOnly.recordResult(stats(5), '2026-10-19');
+        assert.equal(memoryOnly.hasPlayed('2026-10-19'), true);
+    });
+
+    test('unreadable stored results count as none played', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const daily = new DailyChallenge(memoryStorage({ 'noodel.daily': '{not json' }));
+        assert.deepEqual(daily.getHistory(), []);
+    });
+});
+
+describe('DailyChallenge streaks', () => {
+    test('counts today once it is done, or runs through yesterday', () => {
+        const daily = played(['2026-10-17', '2026-10-18']);
+        assert.equal(daily.getStreak('2026-10-19'), 2);
+
+        daily.recordResult(stats(10), '2026-10-19');
+        assert.equal(daily.getStreak('2026-10-19'), 3);
+        assert.equal(daily.getStreak('2026-10-21'), 0);
+    });
+
+    test('an unfinished attempt breaks the streak', () => {
+        const daily = played(['2026-10-17', '2026-10-19']);
+        daily.markAttempt('2026-10-18');
+        assert.equal(daily.getStreak('2026-10-19'), 1);
+    });
+
+    test('the streak carries across a month end', () => {
+        assert.equal(played(['2026-09-29', '2026-09-30', '2026-10-01']).getStreak('2026-10-01'), 3);
+    });
+
+    test('the best streak is the longest run ever', () => {
+        const daily = played(['2026-01-01', '2026-01-02', '2026-01-03', '2026-02-10', '2026-02-11']);
+        assert.equal(daily.getBestStreak(), 3);
+        assert.deepEqual(daily.getHistory().map(({ date }) => date).slice(0, 2), ['2026-02-11', '2026-02-10']);
+        assert.equal(new DailyChallenge(memoryStorage()).getBestStreak(), 0);
+    });
+});
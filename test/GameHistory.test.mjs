@@ -0,0 +1,140 @@
+/**
+ * Lifetime stats (GameHistory): recording games per device and adding up every device's
+ * games, totals and personal bests
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../js/config.js';
+import { GameHistory } from '../js/stats/GameHistory.js';
+import { memoryStorage } from './helpers.mjs';
+
+/**
+ * Stats of a finished game, as ScoreController.getStats() gives them
+ * @param {string[]} words - Words made, each worth its length in points
+ * @param {number} lettersOnBoard - Letters left unused
+ * @returns {Object} Stats
+ */
+function gameStats(words, lettersOnBoard = 0) {
+    const made = words.map(text => ({ text, points: text.length }));
+    const byLength = [...made].sort((a, b) => b.text.length - a.text.length);
+    const lengthHistogram = {};
+    made.forEach(({ text }) => { lengthHistogram[text.length] = (lengthHistogram[text.length] || 0) + 1; });
+    return {
+        words: made,
+        totalScore: made.reduce((sum, { points }) => sum + points, 0),
+        totalWords: made.length,
+        longestWord: byLength[0] ?? null,
+        highestScoringWord: byLength[0] ?? null,
+        lettersOnBoard,
+        lengthHistogram
+    };
+}
+
+describe('GameHistory', () => {
+    test('each device writes only its own key', () => {
+        const storage = memoryStorage();
+        new GameHistory(storage, 'phone').record(gameStats(['CAT']), 'classic');
+        new GameHistory(storage, 'laptop').record(gameStats(['HOUSE']), 'classic');
+
+        assert.deepEqual(storage.getKeys().sort(), ['noodel.stats.laptop', 'noodel.stats.phone']);
+        assert.equal(JSON.parse(storage.getItem('noodel.stats.phone')).games.length, 1);
+    });
+
+    test("shows every device's games, newest first, with their totals added up", (t) => {
+        const storage = memoryStorage();
+        const phone = new GameHistory(storage, 'phone');
+        const laptop = new GameHistory(storage, 'laptop');
+        let now = 1000;
+        t.mock.method(Date, 'now', () => (now += 1000));
+
+        phone.record(gameStats(['CAT', 'DOG'], 4), 'classic');
+        laptop.record(gameStats(['HOUSE']), 'classic');
+        phone.record(gameStats(['ZEN']), 'zen');
+
+        assert.deepEqual(laptop.getGames().map(({ score }) => score), [3, 5, 6]);
+        assert.deepEqual(phone.getGames('classic').map(({ score }) => score), [5, 6]);
+
+        const classic = phone.getTotalsByMode().classic;
+        assert.equal(classic.games, 2);
+        assert.equal(classic.score, 11);
+        assert.equal(classic.lettersWasted, 4);
+        assert.deepEqual(classic.lengthHistogram, { 3: 2, 5: 1 });
+
+        assert.deepEqual(phone.getTotals(), {
+            games: 3, score: 14, words: 4, averageScore: 5, averagePoints: 3.5, lettersWasted: 4, lengthHistogram: { 3: 3, 5: 1 }
+        });
+    });
+
+    test('keeps the better personal best of each device', () => {
+        const storage = memoryStorage();
+        new GameHistory(storage, 'phone').record(gameStats(['CAT', 'DOG', 'EMU', 'OWL']), 'classic');
+        new GameHistory(storage, 'laptop').record(gameStats(['HOUSE']), 'classic');
+
+        const { best } = new GameHistory(storage, 'tablet').getTotalsByMode().classic;
+        assert.equal(best.score.value, 12);
+        assert.equal(best.words.value, 4);
+        assert.equal(best.longestWord, 'HOUSE');
+        assert.deepEqual(best.bestWord, { text: 'HOUSE', points: 5 });
+        assert.equal(best.averagePoints, 5);
+    });
+
+    test('still counts the stats kept before they were per device', () => {
+        const storage = memoryStorage();
+        const old = new GameHistory(storage, 'old');
+        old.record(gameStats(['CAT']), 'classic');
+        storage.setItem('noodel.stats', storage.getItem('noodel.stats.old'));
+        storage.removeItem('noodel.stats.old');
+
+        const history = new GameHistory(storage, 'phone');
+        history.record(gameStats(['DOG']), 'classic');
+        assert.equal(history.getTotals('classic').games, 2);
+        // The old key is only read, never written
+        assert.equal(JSON.parse(storage.getItem('noodel.stats')).games.length, 1);
+    });
+
+    test('combining totals adds counts and keeps the bests, without changing either side', () => {
+        const one = GameHistory.addToTotals(undefined, GameHistory.summarize(gameStats(['CAT']), 'classic', 1));
+        const two = GameHistory.addToTotals(undefined, GameHistory.summarize(gameStats(['HOUSE', 'DOG']), 'classic', 2));
+        const copy = structuredClone(one);
+        const combined = GameHistory.combineTotals(one, two);
+
+        assert.equal(combined.games, 2);
+        assert.equal(combined.words, 3);
+        assert.deepEqual(combined.best.score, { value: 8, playedAt: 2 });
+        assert.deepEqual(one, copy);
+        assert.equal(GameHistory.combineTotals(undefined, two), two);
+        assert.equal(GameHistory.combineTotals(one, undefined), one);
+    });
+
+    test('shows at most MAX_GAMES records in all', () => {
+        const storage = memoryStorage();
+        const record = (playedAt) => ({ ...GameHistory.summarize(gameStats(['CAT']), 'classic'), playedAt });
+        const { MAX_GAMES } = CONFIG.STATS;
+        ['phone', 'laptop'].forEach((device, index) => {
+            const games = Array.from({ length: MAX_GAMES }, (_, i) => record(i * 2 + index)).reverse();
+            storage.setItem(`noodel.stats.${device}`, JSON.stringify({ games, modes: {} }));
+        });
+
+        const games = new GameHistory(storage, 'phone').getGames();
+        assert.equal(games.length, MAX_GAMES);
+        assert.equal(games[0].playedAt, MAX_GAMES * 2 - 1);
+    });
+
+    test('makes up a device id once and keeps it in localStorage', (t) => {
+        const storage = memoryStorage();
+        globalThis.localStorage = storage;
+        t.after(() => { delete globalThis.localStorage; });
+
+        const id = GameHistory.getDeviceId();
+        assert.match(id, /^[0-9a-f]{16}$/);
+        assert.equal(GameHistory.getDeviceId(), id);
+        assert.equal(new GameHistory().key, `noodel.stats.${id}`);
+    });
+
+    test('works in memory without storage', () => {
+        const history = new GameHistory(null, 'phone');
+        history.record(gameStats(['CAT']), 'classic');
+        assert.equal(history.getTotals().games, 1);
+        assert.equal(history.getGames().length, 1);
+    });
+});
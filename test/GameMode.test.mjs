@@ -0,0 +1,95 @@
+/**
+ * Game modes: the registry and the classic rules every mode starts from
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, GameModes } from '../js/config.js';
+import { gameModes, GameMode, GameModeRegistry } from '../js/modes/index.js';
+import { GameState } from '../js/core/GameState.js';
+import { calculateWordScore } from '../js/scoring/ScoringUtils.js';
+import { pattern } from './helpers.mjs';
+
+describe('GameModeRegistry', () => {
+    test('registers every playable mode under its id', () => {
+        assert.deepEqual(gameModes.list().map(mode => mode.id).sort(), Object.values(GameModes).sort());
+        for (const id of Object.values(GameModes)) {
+            assert.equal(gameModes.get(id).id, id);
+        }
+    });
+
+    test('an unknown mode (e.g., an old save) falls back to classic', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        assert.equal(gameModes.has('speedrun'), false);
+        assert.equal(gameModes.get('speedrun').id, GameModes.CLASSIC);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+
+    test('a mode registered again replaces the old one, keeping its place', () => {
+        const registry = new GameModeRegistry([
+            new GameMode({ id: GameModes.CLASSIC, label: 'Classic' }),
+            new GameMode({ id: 'custom', label: 'Custom' })
+        ]);
+        const replacement = new GameMode({ id: GameModes.CLASSIC, label: 'Classic v2' });
+        registry.register(replacement);
+
+        assert.equal(registry.get(GameModes.CLASSIC), replacement);
+        assert.deepEqual(registry.list().map(mode => mode.label), ['Classic v2', 'Custom']);
+    });
+
+    test('a mode without an id is not registered', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const registry = new GameModeRegistry([new GameMode({ label: 'Nameless' }), null]);
+        assert.deepEqual(registry.list(), []);
+    });
+});
+
+describe('GameMode classic rules', () => {
+    const classic = gameModes.get(GameModes.CLASSIC);
+
+    test('a game starts with the letters in CONFIG and the NOODEL title word owed', () => {
+        const state = new GameState(3);
+        assert.equal(state.lettersRemaining, CONFIG.GAME.INITIAL_LETTERS);
+        assert.equal(state.score, -calculateWordScore('NOODEL'));
+        assert.equal(state.timeRemaining, null);
+        assert.equal(state.hasUnlimitedLetters(), false);
+    });
+
+    test('ends when the letters run out or the board fills', () => {
+        const state = new GameState(3);
+        assert.equal(state.isGameOver(), false);
+
+        state.lettersRemaining = 0;
+        assert.equal(state.isGameOver(), true);
+        assert.equal(classic.getEndResult(state).reason, 'Out of letters');
+
+        state.lettersRemaining = 10;
+        state.board.loadPattern(pattern(Array(6).fill('XXXXXXX')));
+        assert.equal(state.isGameOver(), true);
+        assert.deepEqual(classic.getEndResult(state), { title: 'Game Over', reason: 'Board full' });
+    });
+
+    test('shows the letters left on the HUD, progress bar and resume prompt', () => {
+        const state = new GameState(3);
+        state.lettersRemaining = 42;
+        assert.deepEqual(classic.getHUD(state), { label: 'Letters Remaining', value: 42 });
+        assert.deepEqual(state.getProgress(), { remaining: 42, total: CONFIG.GAME.INITIAL_LETTERS });
+        assert.equal(classic.describeProgress(state.toSnapshot()), '42 letters left');
+    });
+
+    test('undo and hint budgets come from CONFIG by mode id', () => {
+        assert.deepEqual(classic.getUndoConfig(), CONFIG.UNDO[GameModes.CLASSIC]);
+        assert.deepEqual(classic.getHintConfig(), CONFIG.HINTS[GameModes.CLASSIC]);
+        assert.deepEqual(new GameMode({ id: 'custom' }).getUndoConfig(), { LIMIT: 0, COST: 0 });
+    });
+
+    test('switching mode swaps the rules GameState plays by', () => {
+        const state = new GameState(3);
+        state.setMode(GameModes.ZEN);
+        assert.equal(state.getMode().id, GameModes.ZEN);
+        assert.equal(state.hasUnlimitedLetters(), true);
+
+        state.setMode(GameModes.CLASSIC);
+        assert.equal(state.hasUnlimitedLetters(), false);
+        assert.equal(state.lettersRemaining, CONFIG.GAME.INITIAL_LETTERS);
+    });
+});
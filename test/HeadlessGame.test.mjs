@@ -0,0 +1,52 @@
+/**
+ * Replaying a recorded game (HeadlessGame.replayLog), as the server does to check a score
+ */
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { MoveLog } from '../js/replay/MoveLog.js';
+import { loadDictionary } from './helpers.mjs';
+
+// A finished classic game on seed 42 (one hint and one undo along the way)
+const KNOWN_GAME = { file: 'fixtures/classic-seed-42.json', score: 97, words: 23 };
+
+const readLog = async () => JSON.parse(await fs.readFile(new URL(KNOWN_GAME.file, import.meta.url), 'utf8'));
+
+describe('HeadlessGame.replayLog', () => {
+    let dictionary;
+    before(async () => {
+        dictionary = await loadDictionary();
+    });
+
+    test('replays a known game to its score', async () => {
+        const log = MoveLog.fromJSON(await readLog());
+        const game = HeadlessGame.replayLog(dictionary, log);
+
+        assert.equal(game.isGameOver(), true);
+        assert.equal(game.state.score, KNOWN_GAME.score);
+        assert.equal(game.words.length, KNOWN_GAME.words);
+        assert.equal(game.state.hintsUsed, 1);
+        assert.equal(game.state.undosUsed, 1);
+    });
+
+    test('stops short of the end on a truncated log', async () => {
+        const data = await readLog();
+        const log = MoveLog.fromJSON({ ...data, moves: data.moves.slice(0, -10) });
+        const game = HeadlessGame.replayLog(dictionary, log);
+
+        assert.equal(game.isGameOver(), false);
+        assert.notEqual(game.state.score, KNOWN_GAME.score);
+    });
+
+    test('throws on a move the game would not allow', async () => {
+        const data = await readLog();
+        // Nothing to undo before the first drop
+        const undoFirst = MoveLog.fromJSON({ ...data, moves: [[-1, 0], ...data.moves] });
+        assert.throws(() => HeadlessGame.replayLog(dictionary, undoFirst), /Move 1 of the log isn't allowed/);
+
+        // Drops after the game has ended
+        const tooLong = MoveLog.fromJSON({ ...data, moves: [...data.moves, [0, 999999]] });
+        assert.throws(() => HeadlessGame.replayLog(dictionary, tooLong), /isn't allowed/);
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Hints: simulating a drop without touching the game, picking the best column, and the hint budget
+ */
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, GameModes } from '../js/config.js';
+import { GameState } from '../js/core/GameState.js';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { HintAdvisor } from '../js/core/HintAdvisor.js';
+import { simulateDrop } from '../js/core/TurnRules.js';
+import { WordResolver } from '../js/word/WordResolver.js';
+import { calculateWordScore } from '../js/scoring/ScoringUtils.js';
+import { loadDictionary, pattern } from './helpers.mjs';
+
+/**
+ * Game state on a given board, with words found from a small word list
+ * @param {string[]} rows - Board rows (see pattern)
+ * @returns {{state: GameState, wordResolver: WordResolver}} State and word finder
+ */
+function setup(rows) {
+    const state = new GameState(1);
+    state.board.loadPattern(pattern(rows));
+    const wordResolver = new WordResolver(state, null, new Map([['CAT', 'A cat'], ['DOG', 'A dog']]));
+    return { state, wordResolver };
+}
+
+// Dropping a T into column 2 makes CAT on row 4; D and O then fall onto the G for DOG
+const CASCADE_BOARD = [
+    '.......',
+    '.......',
+    'D......',
+    'O......',
+    'CA.....',
+    'GXY....'
+];
+
+describe('TurnRules.simulateDrop', () => {
+    test('plays the drop on a copy and leaves the state alone', () => {
+        const { state, wordResolver } = setup(CASCADE_BOARD);
+        const board = JSON.stringify(state.board.toArray());
+        const outcome = simulateDrop(state, wordResolver, 2, 'T');
+
+        assert.deepEqual(outcome.words.map(({ word, cascade }) => [word, cascade]), [['CAT', 1], ['DOG', 2]]);
+        assert.equal(outcome.points, calculateWordScore('CAT') + calculateWordScore('DOG'));
+        assert.equal(outcome.cleared, 6);
+        assert.equal(JSON.stringify(state.board.toArray()), board);
+        assert.equal(state.biggestCascade, 0);
+        assert.equal(simulateDrop(state, wordResolver, 0, 'T')?.column, 0);
+    });
+
+    test('returns null for a full column', () => {
+        const { state, wordResolver } = setup(Array(6).fill('X......'));
+        assert.equal(simulateDrop(state, wordResolver, 0, 'T'), null);
+    });
+
+    test('a simulated Blitz drop scores what the real drop does', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        const game = new HeadlessGame(await loadDictionary(), { seed: 3, mode: GameModes.BLITZ });
+        for (let i = 0; i < 60 && !game.isGameOver(); i++) {
+            // Quick drops build the speed multiplier, a slow one now and then resets it
+            game.passTime(i % 5 === 4 ? 3000 : 200);
+            const column = [0, 1, 2, 3, 4, 5, 6].map(offset => (i + offset) % 7).find(c => game.canDrop(c));
+            if (column === undefined) break;
+
+            const outcome = simulateDrop(game.state, game.wordResolver, column, game.getNextLetter());
+            const { words } = game.drop(column);
+            assert.equal(outcome.points, words.reduce((sum, { points }) => sum + points, 0), `drop ${i + 1}`);
+        }
+    });
+});
+
+describe('HintAdvisor', () => {
+    test('picks the column that scores the most', () => {
+        const { state, wordResolver } = setup(CASCADE_BOARD);
+        const best = new HintAdvisor(wordResolver).findBestMove(state, 'T');
+
+        assert.equal(best.column, 2);
+        assert.equal(HintAdvisor.describe(best), `💡 Drop in column 3: CAT, DOG with a cascade (+${best.points})`);
+    });
+
+    test('without a word, keeps the board lowest (leftmost on a tie)', () => {
+        const { state, wordResolver } = setup(['.......', '.......', '.......', '.......', 'XXX....', 'XXXX.XX']);
+        const best = new HintAdvisor(wordResolver).findBestMove(state, 'Q');
+
+        assert.equal(best.column, 4);
+        assert.equal(HintAdvisor.describe(best), '💡 No words this turn - column 5 keeps the board lowest');
+
+        state.board.setLetter(5, 4, 'X');
+        assert.equal(new HintAdvisor(wordResolver).findBestMove(state, 'Q').column, 3);
+    });
+
+    test('prefers clearing more letters when the points tie', () => {
+        const outcome = (column, points, cleared) => ({ column, points, cleared, board: new GameState(1).board });
+        const ranked = [outcome(0, 5, 2), outcome(1, 5, 4), outcome(2, 9, 0)].sort(HintAdvisor.compareOutcomes);
+        assert.deepEqual(ranked.map(({ column }) => column), [2, 1, 0]);
+    });
+
+    test('has nothing to suggest without a letter or an open column', () => {
+        const { state, wordResolver } = setup(Array(6).fill('XXXXXXX'));
+        const advisor = new HintAdvisor(wordResolver);
+        assert.equal(advisor.findBestMove(state, 'T'), null);
+        assert.equal(advisor.findBestMove(setup(CASCADE_BOARD).state, null), null);
+    });
+});
+
+describe('Hint budget', () => {
+    let dictionary;
+    before(async () => {
+        dictionary = await loadDictionary();
+    });
+
+    /**
+     * A game in a mode (quietly)
+     * @param {TestContext} t - Test context
+     * @param {string} mode - Mode id
+     * @returns {HeadlessGame} Game
+     */
+    function newGame(t, mode = GameModes.CLASSIC) {
+        t.mock.method(console, 'log', () => {});
+        return new HeadlessGame(dictionary, { seed: 42, mode });
+    }
+
+    test('each hint costs points, never taking the score below zero', (t) => {
+        const game = newGame(t);
+        const { COST } = CONFIG.HINTS.classic;
+        game.state.score = COST + 1;
+
+        assert.equal(game.useHint(), true);
+        assert.equal(game.state.score, 1);
+        game.drop(0);
+        game.state.score = 1;
+        assert.equal(game.useHint(), true);
+        assert.equal(game.state.score, 0);
+        assert.equal(game.state.hintsUsed, 2);
+    });
+
+    test('one hint is charged until a letter is dropped', (t) => {
+        const game = newGame(t);
+        assert.equal(game.useHint(), true);
+        assert.equal(game.useHint(), false);
+        game.drop(0);
+        assert.equal(game.useHint(), true);
+    });
+
+    test('each mode has its own budget, and the daily challenge has none', (t) => {
+        const game = newGame(t);
+        for (let i = 0; i < CONFIG.HINTS.classic.LIMIT; i++) {
+            assert.equal(game.useHint(), true);
+            game.drop(i % 7);
+        }
+        assert.equal(game.getHintsRemaining(), 0);
+        assert.equal(game.useHint(), false);
+
+        assert.equal(newGame(t, GameModes.DAILY).useHint(), false);
+        assert.equal(newGame(t, GameModes.BLITZ).getHintsRemaining(), CONFIG.HINTS.blitz.LIMIT);
+    });
+});
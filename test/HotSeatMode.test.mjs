@@ -0,0 +1,131 @@
+/**
+ * Hot seat: taking turns on one board, crediting words to the player who dropped, and the standings
+ */
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameModes } from '../js/config.js';
+import { GameState } from '../js/core/GameState.js';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { settleBoard } from '../js/core/TurnRules.js';
+import { WordResolver } from '../js/word/WordResolver.js';
+import { MoveLog } from '../js/replay/MoveLog.js';
+import { calculateWordScore } from '../js/scoring/ScoringUtils.js';
+import { loadDictionary, pattern } from './helpers.mjs';
+
+/**
+ * A hot seat game's state with players seated
+ * @param {string[]} names - Player names, in turn order
+ * @returns {GameState} State
+ */
+function hotSeatState(names) {
+    const state = new GameState(1);
+    state.setMode(GameModes.HOTSEAT);
+    state.setPlayers(names);
+    return state;
+}
+
+describe('HotSeatMode', () => {
+    test('credits every word of a cascade to the player who dropped, then passes the turn', () => {
+        const state = hotSeatState(['Ann', 'Bob']);
+        const mode = state.getMode();
+        state.turn = 1;
+        state.board.loadPattern(pattern(['.......', '.......', 'D......', 'O......', 'CA.....', 'GXY....']));
+        state.placeLetter(2, 'T');
+
+        const wordResolver = new WordResolver(state, null, new Map([['CAT', 'A cat'], ['DOG', 'A dog']]));
+        const steps = [...settleBoard(state, wordResolver)];
+        mode.afterMove(state);
+
+        assert.deepEqual(steps.map(({ words }) => words[0].player), [1, 1]);
+        assert.deepEqual(state.players, [
+            { name: 'Ann', score: 0 },
+            { name: 'Bob', score: calculateWordScore('CAT') + calculateWordScore('DOG') }
+        ]);
+        assert.equal(state.turn, 0);
+    });
+
+    test('turns go round every player in order', () => {
+        const state = hotSeatState(['Ann', 'Bob', 'Cat']);
+        const turns = [];
+        for (let i = 0; i < 5; i++) {
+            turns.push(state.getActivePlayer());
+            state.getMode().afterMove(state);
+        }
+        assert.deepEqual(turns, [0, 1, 2, 0, 1]);
+        assert.equal(new GameState(1).getActivePlayer(), null);
+    });
+
+    test('names the winner and ranks everyone, sharing places on a tie', () => {
+        const state = hotSeatState(['Ann', 'Bob', 'Cat']);
+        const mode = state.getMode();
+        state.lettersRemaining = 0;
+        [12, 30, 12].forEach((score, index) => { state.players[index].score = score; });
+
+        assert.deepEqual(mode.getEndResult(state), {
+            title: 'Bob Wins!',
+            reason: 'Out of letters',
+            notes: ['🥇 Bob - 30 pts', '🥈 Ann - 12 pts', '🥈 Cat - 12 pts']
+        });
+
+        state.players[0].score = 30;
+        assert.equal(mode.getEndResult(state).title, "It's a Tie!");
+    });
+
+    test('shows whose turn it is and the scores in the resume prompt', () => {
+        const state = hotSeatState(['Ann', 'Bob']);
+        const mode = state.getMode();
+        state.turn = 1;
+        state.players[0].score = 7;
+
+        assert.equal(mode.getHUD(state).detail, "▶ Bob's turn");
+        assert.equal(mode.describeProgress(state.toSnapshot()), '100 letters left · Ann 7 · Bob 0');
+    });
+
+    test('a rematch keeps the players, back to zero and the first player', () => {
+        const state = hotSeatState(['Ann', 'Bob']);
+        state.players[1].score = 20;
+        state.turn = 1;
+        state.reset(2, GameModes.HOTSEAT);
+
+        assert.deepEqual(state.players, [{ name: 'Ann', score: 0 }, { name: 'Bob', score: 0 }]);
+        assert.equal(state.turn, 0);
+    });
+
+    describe('a whole game', () => {
+        let dictionary;
+        before(async () => {
+            dictionary = await loadDictionary();
+        });
+
+        test('player scores add up to the words made, and a replay gives the same standings', (t) => {
+            t.mock.method(console, 'log', () => {});
+            const game = new HeadlessGame(dictionary, { seed: 42, mode: GameModes.HOTSEAT, players: ['Ann', 'Bob'] });
+            const log = new MoveLog({ seed: 42, mode: GameModes.HOTSEAT, players: ['Ann', 'Bob'] });
+
+            for (let move = 0; !game.isGameOver(); move++) {
+                const column = [0, 1, 2, 3, 4, 5, 6].map(offset => (move * 3 + offset) % 7).find(c => game.canDrop(c));
+                game.drop(column);
+                log.record(column);
+            }
+            const { players, score } = game.state;
+            const credited = (index) => game.words.filter(({ player }) => player === index).reduce((sum, { points }) => sum + points, 0);
+
+            assert.ok(game.words.length > 0);
+            assert.deepEqual(players.map(({ score: playerScore }) => playerScore), [credited(0), credited(1)]);
+            assert.equal(players[0].score + players[1].score, score);
+
+            // Replaying the log gives every player the same score
+            assert.deepEqual(HeadlessGame.replayLog(dictionary, log).state.players, players);
+        });
+
+        test("no undo, so a drop can never hand back another player's turn", (t) => {
+            t.mock.method(console, 'log', () => {});
+            const game = new HeadlessGame(dictionary, { seed: 42, mode: GameModes.HOTSEAT, players: ['Ann', 'Bob'] });
+            game.drop(0);
+
+            assert.equal(game.getUndosRemaining(), 0);
+            assert.equal(game.undo(), false);
+            assert.equal(game.state.turn, 1);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Level editor: checking a level as it is built, and the level files and share links it exports
+ */
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState } from '../js/core/GameState.js';
+import { WordResolver } from '../js/word/WordResolver.js';
+import { LevelEditor } from '../js/editor/LevelEditor.js';
+import { LevelLoader } from '../js/levels/LevelLoader.js';
+import { loadDictionary, pattern } from './helpers.mjs';
+
+/**
+ * Level data as the editor reads it from its form and board
+ * @param {string[]} rows - Board rows (see pattern)
+ * @param {Object} changes - Fields to replace
+ * @returns {{data: Object, board: BoardModel}} Level file data and the board it was read from
+ */
+function editorLevel(rows, changes = {}) {
+    const state = new GameState(1);
+    state.board.loadPattern(pattern(rows));
+    const data = {
+        id: 'test-level',
+        name: 'Test Level',
+        description: '',
+        board: state.board.toArray(),
+        letters: 'TG',
+        moveLimit: undefined,
+        goals: [{ type: 'clearBoard' }],
+        ...changes
+    };
+    return { data, board: state.board };
+}
+
+const START_BOARD = ['.......', '.......', '.......', '.......', '.......', 'CA.DO..'];
+
+describe('LevelEditor', () => {
+    let wordResolver;
+    before(async () => {
+        wordResolver = new WordResolver(new GameState(1), null, await loadDictionary());
+    });
+
+    test('accepts a level the loader reads and that starts without words', () => {
+        const { data, board } = editorLevel(START_BOARD);
+        const { level, problems, preformed } = LevelEditor.check(data, board, wordResolver);
+
+        assert.deepEqual(problems, []);
+        assert.equal(preformed.size, 0);
+        assert.deepEqual(level, LevelLoader.parse(data));
+    });
+
+    test('flags the squares of words already on the starting board', () => {
+        const { data, board } = editorLevel(['.......', '.......', '.......', '.......', '.......', 'CAT.DO.']);
+        const { level, problems, preformed } = LevelEditor.check(data, board, wordResolver);
+
+        assert.equal(level, null);
+        assert.deepEqual(problems, ['The starting board already has the word CAT']);
+        assert.deepEqual([...preformed].sort((a, b) => a - b), [35, 36, 37]);
+    });
+
+    test('lists what the loader refuses, without its prefix', () => {
+        const { data, board } = editorLevel(START_BOARD, { goals: [] });
+        const { level, problems } = LevelEditor.check(data, board, wordResolver);
+
+        assert.equal(level, null);
+        assert.deepEqual(problems, ["Level 'test-level' has no goals"]);
+    });
+
+    test('keeps names and descriptions to bounded plain text', () => {
+        const cases = [
+            [{ name: 'x'.repeat(41) }, /name of plain text, at most 40 characters/],
+            [{ name: '<img src=x onerror=alert(1)>' }, /name of plain text/],
+            [{ name: 'Line\nbreak' }, /name of plain text/],
+            [{ description: 'x'.repeat(201) }, /description of plain text, at most 200 characters/],
+            [{ description: '<script>' }, /description of plain text/]
+        ];
+        for (const [changes, message] of cases) {
+            const { data, board } = editorLevel(START_BOARD, changes);
+            const { problems } = LevelEditor.check(data, board, wordResolver);
+            assert.equal(problems.length, 1, JSON.stringify(changes));
+            assert.match(problems[0], message);
+        }
+
+        const { data, board } = editorLevel(START_BOARD, { name: 'x'.repeat(40), description: 'Tip: CAT & DOG' });
+        assert.notEqual(LevelEditor.check(data, board, wordResolver).level, null);
+    });
+
+    test('checks the fields only until the dictionary has loaded', () => {
+        const { data, board } = editorLevel(['.......', '.......', '.......', '.......', '.......', 'CAT.DO.']);
+        assert.deepEqual(LevelEditor.check(data, board, null).problems, []);
+    });
+
+    test('exports a level file that loads back to the same level', () => {
+        const level = LevelLoader.parse(editorLevel(START_BOARD, { moveLimit: 1, description: 'Spell "CAT"' }).data);
+        const text = LevelLoader.stringify(level);
+
+        assert.deepEqual(LevelLoader.parse(JSON.parse(text)), level);
+        assert.match(text, /\n {8}\["", "", "", "", "", "", ""\],\n/);
+        assert.doesNotMatch(LevelLoader.stringify({ ...level, moveLimit: 2 }), /moveLimit/);
+    });
+
+    test('test-play links carry a level, names with any characters included', () => {
+        const level = LevelLoader.parse(editorLevel(START_BOARD, { name: 'Café Crème ☕' }).data);
+        const code = LevelLoader.encode(level);
+
+        assert.match(code, /^[A-Za-z0-9_-]+$/);
+        assert.deepEqual(LevelLoader.decode(code), level);
+        assert.throws(() => LevelLoader.decode(LevelLoader.encode({ ...level, name: 'x'.repeat(41) })), /at most 40 characters/);
+    });
+});
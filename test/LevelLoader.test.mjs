@@ -0,0 +1,133 @@
+/**
+ * Puzzle levels: loading the campaign, validating level files and playing a level
+ */
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameModes } from '../js/config.js';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { LevelLoader } from '../js/levels/LevelLoader.js';
+import { validateGoal, describeGoal } from '../js/levels/LevelGoals.js';
+import { loadDictionary, readText } from './helpers.mjs';
+
+const EMPTY_ROW = ['', '', '', '', '', '', ''];
+
+/**
+ * A valid level file, with some fields changed
+ * @param {Object} changes - Fields to replace
+ * @returns {Object} Level file data
+ */
+function levelData(changes = {}) {
+    return {
+        id: 'test-level',
+        name: 'Test Level',
+        board: [...Array(5).fill(EMPTY_ROW), ['c', 'a', '', '', '', '', '']],
+        letters: 'tg',
+        goals: [{ type: 'clearBoard' }],
+        ...changes
+    };
+}
+
+describe('LevelLoader', () => {
+    test('loads every level of the campaign, in order', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        const levels = await LevelLoader.loadCampaign(readText);
+        const { levels: files } = JSON.parse(await readText('levels/index.json'));
+
+        assert.equal(levels.length, files.length);
+        assert.equal(levels[0].id, 'first-words');
+        assert.equal(new Set(levels.map(level => level.id)).size, levels.length);
+    });
+
+    test('skips a level that fails to load or repeats an id', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        const warn = t.mock.method(console, 'warn', () => {});
+        const files = {
+            'levels/index.json': JSON.stringify({ levels: ['a.json', 'broken.json', 'copy.json', 'missing.json'] }),
+            'levels/a.json': JSON.stringify(levelData()),
+            'levels/broken.json': JSON.stringify(levelData({ id: 'broken', goals: [] })),
+            'levels/copy.json': JSON.stringify(levelData({ name: 'Copy' }))
+        };
+        const read = async (file) => {
+            if (!(file in files)) throw new Error(`No file ${file}`);
+            return files[file];
+        };
+
+        const levels = await LevelLoader.loadCampaign(read);
+        assert.deepEqual(levels.map(level => level.name), ['Test Level']);
+        assert.equal(warn.mock.callCount(), 3);
+    });
+
+    test('fills in the defaults and uppercases the letters', () => {
+        const level = LevelLoader.parse(levelData({ name: '  Test Level ' }));
+        assert.equal(level.name, 'Test Level');
+        assert.equal(level.description, '');
+        assert.equal(level.letters, 'TG');
+        assert.equal(level.moveLimit, 2);
+        assert.deepEqual(level.board[5].slice(0, 2), ['C', 'A']);
+    });
+
+    test('refuses a level that breaks the format', () => {
+        const floating = [...Array(4).fill(EMPTY_ROW), ['X', '', '', '', '', '', ''], EMPTY_ROW];
+        const cases = [
+            [{ id: '' }, /has no id/],
+            [{ name: ' ' }, /has no name/],
+            [{ board: [EMPTY_ROW] }, /6x7 board/],
+            [{ board: [...Array(5).fill(EMPTY_ROW), ['AB', '', '', '', '', '', '']] }, /single letter/],
+            [{ board: floating }, /floating letter in column 0/],
+            [{ letters: 'T G' }, /A-Z letters/],
+            [{ moveLimit: 3 }, /move limit of 3/],
+            [{ moveLimit: 0 }, /move limit of 0/],
+            [{ goals: [] }, /has no goals/],
+            [{ goals: [{ type: 'word', word: 'cat' }] }, /invalid goal/]
+        ];
+
+        for (const [changes, message] of cases) {
+            assert.throws(() => LevelLoader.parse(levelData(changes)), { message }, JSON.stringify(changes));
+        }
+        assert.throws(() => LevelLoader.parse(null), /has no id/);
+    });
+
+    test('checks the fields of each goal type', () => {
+        assert.equal(validateGoal({ type: 'clearBoard' }), null);
+        assert.equal(validateGoal({ type: 'wordLength', length: 5 }), null);
+        assert.match(validateGoal({ type: 'wordLength', length: 2 }), /3 or more/);
+        assert.equal(validateGoal({ type: 'word', word: 'CAT' }), null);
+        assert.match(validateGoal({ type: 'score', points: 1.5 }), /positive points/);
+        assert.match(validateGoal({ type: 'wordCount', count: 0 }), /positive count/);
+        assert.match(validateGoal({ type: 'bonus' }), /unknown goal type 'bonus'/);
+        assert.equal(describeGoal({ type: 'wordCount', count: 3 }), 'Make 3 words');
+    });
+
+    describe('playing a level', () => {
+        let dictionary;
+        before(async () => {
+            dictionary = await loadDictionary();
+        });
+
+        test('is complete once its goals are met', (t) => {
+            t.mock.method(console, 'log', () => {});
+            const level = LevelLoader.parse(levelData());
+            const game = new HeadlessGame(dictionary, { mode: GameModes.PUZZLE, level });
+
+            game.drop(2);
+            assert.equal(game.isGameOver(), true);
+            assert.equal(game.state.getMode().getEndResult(game.state).title, 'Level Complete!');
+        });
+
+        test('fails when the moves run out', (t) => {
+            t.mock.method(console, 'log', () => {});
+            const level = LevelLoader.parse(levelData());
+            const game = new HeadlessGame(dictionary, { mode: GameModes.PUZZLE, level });
+
+            game.drop(6);
+            assert.equal(game.isGameOver(), false);
+            game.drop(6);
+            assert.deepEqual(game.state.getMode().getEndResult(game.state), {
+                title: 'Level Failed',
+                reason: 'Out of moves',
+                completed: false,
+                notes: ['❌ Clear the board']
+            });
+        });
+    });
+});
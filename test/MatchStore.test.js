@@ -0,0 +1,178 @@
+/**
+ * Asynchronous matches (MatchStore): pairing, turn order, server-checked moves, resigning and expiry
+ */
+const { test, describe, before, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { loadGameRules } = require('../server/GameRules');
+const { MatchStore } = require('../server/MatchStore');
+
+const ANN = 'ann-player-id-0001';
+const BOB = 'bob-player-id-0002';
+
+let rules;
+let dataDir;
+
+before(async () => {
+  // The store reports what it loads, saves and plays; keep that out of the test output
+  mock.method(console, 'log', () => {});
+  rules = await loadGameRules();
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'noodel-test-'));
+});
+
+after(() => {
+  mock.restoreAll();
+  return fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('MatchStore', () => {
+  let matches;
+  let file;
+
+  beforeEach(async (t) => {
+    file = path.join(dataDir, `matches-${t.name.replace(/\W+/g, '-')}.json`);
+    matches = new MatchStore(file);
+    await matches.open({ ...rules, generateSeed: () => 42 });
+  });
+
+  afterEach(() => clearInterval(matches.sweeper));
+
+  /**
+   * Ann starts a match and Bob joins it
+   * @returns {Promise<string>} Match id
+   */
+  async function startMatch() {
+    const { id } = await matches.join(ANN, 'Ann');
+    await matches.join(BOB, 'Bob');
+    return id;
+  }
+
+  test('pairs the next player with the oldest open match', async () => {
+    const open = await matches.join(ANN, '  Ann  ');
+    assert.equal(open.status, 'open');
+    assert.deepEqual(open.players, ['Ann', 'Opponent']);
+
+    // Joining again starts another match instead of playing yourself
+    const own = await matches.join(ANN, 'Ann');
+    assert.notEqual(own.id, open.id);
+
+    const joined = await matches.join(BOB, '');
+    assert.equal(joined.id, open.id);
+    assert.equal(joined.status, 'active');
+    assert.deepEqual(joined.players, ['Ann', 'Player']);
+    assert.equal(joined.seat, 1);
+    assert.equal(JSON.stringify(joined).includes(ANN), false);
+  });
+
+  test('limits how many matches a player is in at once', async () => {
+    const { MAX_ACTIVE } = rules.CONFIG.ASYNC_MATCHES;
+    for (let i = 0; i < MAX_ACTIVE; i++) {
+      await matches.join(ANN, 'Ann');
+    }
+    await assert.rejects(matches.join(ANN, 'Ann'), { status: 409, message: /only play/ });
+  });
+
+  test('the players take turns, one drop each', async () => {
+    const id = await startMatch();
+
+    await assert.rejects(matches.move(id, BOB, 0, 0), { status: 409, message: /not your turn/ });
+    const afterAnn = await matches.move(id, ANN, 3, 0);
+    assert.equal(afterAnn.turn, 1);
+    assert.equal(afterAnn.yourTurn, false);
+    await assert.rejects(matches.move(id, ANN, 3, 1), { status: 409, message: /not your turn/ });
+
+    const afterBob = await matches.move(id, BOB, 3, 1);
+    assert.deepEqual(afterBob.moves, [3, 3]);
+    assert.equal(matches.get(id, ANN).yourTurn, true);
+  });
+
+  test('the first player can move before anyone joins', async () => {
+    const { id } = await matches.join(ANN, 'Ann');
+    const moved = await matches.move(id, ANN, 0, 0);
+    assert.equal(moved.status, 'open');
+    assert.equal(moved.turn, 1);
+
+    const joined = await matches.join(BOB, 'Bob');
+    assert.equal(joined.id, id);
+    assert.equal(joined.yourTurn, true);
+  });
+
+  test('refuses a move from a stale board or off the board', async () => {
+    const id = await startMatch();
+    await matches.move(id, ANN, 0, 0);
+    await assert.rejects(matches.move(id, BOB, 0, 0), { status: 409, message: /moved on/ });
+    await assert.rejects(matches.move(id, BOB, rules.CONFIG.GRID.COLUMNS, 1), { status: 400 });
+    assert.deepEqual(matches.get(id, BOB).moves, [0]);
+  });
+
+  test('a match is only found by its players', async () => {
+    const id = await startMatch();
+    assert.throws(() => matches.get(id, 'carl-player-id-003'), { status: 404 });
+    assert.throws(() => matches.get('no-such-match', ANN), { status: 404 });
+  });
+
+  test("scores are the server's replay, and the higher score wins at the end", async () => {
+    const id = await startMatch();
+    const { HeadlessGame, dictionary, GameModes } = rules;
+    const game = new HeadlessGame(dictionary, { seed: 42, mode: GameModes.MATCH, players: ['Ann', 'Bob'] });
+
+    let match = matches.get(id, ANN);
+    while (match.status === 'active') {
+      const column = [0, 1, 2, 3, 4, 5, 6].map(offset => (match.moves.length * 3 + offset) % 7).find(c => game.canDrop(c));
+      game.drop(column);
+      match = await matches.move(id, match.turn === 0 ? ANN : BOB, column, match.moves.length);
+      assert.deepEqual(match.scores, game.state.players.map(({ score }) => score));
+    }
+
+    const [ann, bob] = match.scores;
+    assert.equal(match.status, 'finished');
+    assert.deepEqual(match.result, { winner: ann === bob ? null : ann > bob ? 0 : 1, scores: match.scores, reason: 'game over' });
+    await assert.rejects(matches.move(id, ANN, 0, match.moves.length), { status: 409, message: /over/ });
+  });
+
+  test('resigning hands the other player the win; leaving an open match cancels it', async () => {
+    const id = await startMatch();
+    const resigned = await matches.resign(id, BOB);
+    assert.equal(resigned.status, 'finished');
+    assert.deepEqual(resigned.result, { winner: 0, scores: [0, 0], reason: 'resigned' });
+    await assert.rejects(matches.resign(id, ANN), { status: 409 });
+
+    const { id: openId } = await matches.join(ANN, 'Ann');
+    assert.equal(await matches.resign(openId, ANN), null);
+    assert.throws(() => matches.get(openId, ANN), { status: 404 });
+  });
+
+  test('a match nobody moves in expires, and the player who kept the other waiting loses', async () => {
+    const { EXPIRE_AFTER_MS, KEEP_MS } = rules.CONFIG.ASYNC_MATCHES;
+    const id = await startMatch();
+    await matches.move(id, ANN, 0, 0);
+    const { id: openId } = await matches.join(ANN, 'Ann');
+    const later = Date.now() + EXPIRE_AFTER_MS + 1;
+
+    await matches.sweep(later);
+    const expired = matches.get(id, ANN);
+    assert.equal(expired.status, 'expired');
+    assert.equal(expired.expiresAt, null);
+    // Bob was on turn
+    assert.equal(expired.result.winner, 0);
+    assert.equal(matches.get(openId, ANN).result.winner, null);
+
+    // Kept for a while to be seen, then deleted
+    await matches.sweep(later + KEEP_MS + 1);
+    assert.deepEqual(matches.list(ANN), []);
+  });
+
+  test('matches are saved, and reload to the same turn and scores', async () => {
+    const id = await startMatch();
+    await matches.move(id, ANN, 2, 0);
+    const saved = matches.get(id, BOB);
+
+    const reloaded = new MatchStore(file);
+    await reloaded.open(rules);
+    clearInterval(reloaded.sweeper);
+    assert.deepEqual(reloaded.get(id, BOB), saved);
+    assert.deepEqual((await reloaded.move(id, BOB, 2, 1)).moves, [2, 2]);
+  });
+});
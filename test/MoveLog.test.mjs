@@ -0,0 +1,60 @@
+/**
+ * Move logs: recording moves, saving them as JSON and sharing them as ?replay= codes
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { MoveLog, MOVE_LOG_VERSION, UNDO_MOVE, HINT_MOVE } from '../js/replay/MoveLog.js';
+
+const readFixture = async () => JSON.parse(await fs.readFile(new URL('fixtures/classic-seed-42.json', import.meta.url), 'utf8'));
+
+describe('MoveLog', () => {
+    test('records drops, undos and hints with the time since the start', (t) => {
+        const now = t.mock.method(Date, 'now', () => 1000);
+        const log = new MoveLog({ seed: 42 });
+        now.mock.mockImplementation(() => 1250);
+        log.record(3);
+        log.recordUndo();
+        now.mock.mockImplementation(() => 1500);
+        log.recordHint();
+        log.record(0, 59000);
+
+        assert.deepEqual(log.moves, [[3, 250], [UNDO_MOVE, 250], [HINT_MOVE, 500], [0, 500, 59000]]);
+        assert.equal(log.length, 4);
+        assert.deepEqual(log.getMove(1), { column: UNDO_MOVE, t: 250, clock: null, undo: true, hint: false });
+        assert.deepEqual(log.getMove(3), { column: 0, t: 500, clock: 59000, undo: false, hint: false });
+    });
+
+    test('comes back the same from JSON', async () => {
+        const data = await readFixture();
+        const log = MoveLog.fromJSON(data);
+        assert.equal(log.mode, 'classic');
+        assert.equal(log.seed, 42);
+        assert.deepEqual(JSON.parse(JSON.stringify(log)), { ...data, version: MOVE_LOG_VERSION });
+    });
+
+    test('comes back the same from a share code, non-ASCII names included', () => {
+        const log = new MoveLog({ seed: 'daily-2026-10-19', mode: 'hotseat', players: ['Zoë', '李'], startedAt: 5, moves: [[1, 10], [2, 20]] });
+        const code = log.encode();
+
+        assert.match(code, /^[A-Za-z0-9_-]+$/);
+        assert.deepEqual(MoveLog.decode(code).toJSON(), log.toJSON());
+    });
+
+    test('refuses data that is not a log', async () => {
+        const data = await readFixture();
+        assert.throws(() => MoveLog.fromJSON(null), /Unsupported log version/);
+        assert.throws(() => MoveLog.fromJSON({ ...data, version: MOVE_LOG_VERSION + 1 }), /Unsupported log version/);
+        assert.throws(() => MoveLog.fromJSON({ ...data, seed: null }), /no seed/);
+        assert.throws(() => MoveLog.fromJSON({ ...data, moves: [[1.5, 0]] }), /malformed moves/);
+        assert.throws(() => MoveLog.fromJSON({ ...data, moves: [[-3, 0]] }), /malformed moves/);
+        assert.throws(() => MoveLog.fromJSON({ ...data, moves: [[1, 0, 'x']] }), /malformed moves/);
+        assert.throws(() => MoveLog.fromJSON({ ...data, players: [1] }), /malformed players/);
+        assert.throws(() => MoveLog.decode('not a log'));
+    });
+
+    test('drops anything past the clock reading of a move', () => {
+        const log = MoveLog.fromJSON({ version: MOVE_LOG_VERSION, seed: 1, moves: [[1, 2, 3, 4, 5]] });
+        assert.deepEqual(log.moves, [[1, 2, 3]]);
+    });
+});
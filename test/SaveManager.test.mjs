@@ -0,0 +1,93 @@
+/**
+ * Saving and resuming a game: save slots (SaveManager) and game snapshots (GameState)
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SaveManager } from '../js/core/SaveManager.js';
+import { GameState } from '../js/core/GameState.js';
+import { GameModes } from '../js/config.js';
+import { memoryStorage } from './helpers.mjs';
+
+describe('SaveManager', () => {
+    test('keeps one save per slot', () => {
+        const saves = new SaveManager(memoryStorage());
+        saves.save('classic', { score: 1 });
+        saves.save('classic', { score: 2 });
+        saves.save('zen', { score: 3 });
+
+        assert.equal(saves.load('classic').score, 2);
+        assert.equal(saves.load('classic').slot, 'classic');
+        assert.equal(saves.load('zen').score, 3);
+        assert.equal(saves.load('blitz'), null);
+
+        saves.clear('classic');
+        assert.equal(saves.load('classic'), null);
+        assert.equal(saves.load('zen').score, 3);
+    });
+
+    test('lists saves newest first and skips other keys', (t) => {
+        const storage = memoryStorage({ 'noodel.daily': '{}' });
+        const saves = new SaveManager(storage);
+        const now = t.mock.method(Date, 'now', () => 1000);
+        saves.save('classic', { score: 1 });
+        now.mock.mockImplementation(() => 3000);
+        saves.save('zen', { score: 2 });
+        now.mock.mockImplementation(() => 2000);
+        saves.save('clear', { score: 3 });
+
+        assert.deepEqual(saves.listSaves().map(({ slot }) => slot), ['zen', 'clear', 'classic']);
+    });
+
+    test('throws away saves from an older format and unreadable saves', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const storage = memoryStorage({
+            'noodel.save.classic': JSON.stringify({ version: 1, slot: 'classic', savedAt: 0 }),
+            'noodel.save.zen': '{broken'
+        });
+        const saves = new SaveManager(storage);
+
+        assert.equal(saves.load('classic'), null);
+        assert.equal(storage.getItem('noodel.save.classic'), null);
+        assert.equal(saves.load('zen'), null);
+        assert.deepEqual(saves.listSaves(), []);
+    });
+
+    test('works in memory without storage', () => {
+        const saves = new SaveManager(null);
+        saves.save('classic', { score: 5 });
+        assert.equal(saves.load('classic').score, 5);
+        assert.equal(saves.listSaves().length, 1);
+        saves.clear('classic');
+        assert.equal(saves.load('classic'), null);
+    });
+});
+
+describe('GameState snapshots', () => {
+    test('a saved game resumes where it left off', () => {
+        const state = new GameState(42);
+        state.setMode(GameModes.ZEN);
+        for (let i = 0; i < 5; i++) {
+            state.placeLetter(i % 3, state.takeNextLetter());
+        }
+        state.addToScore(17);
+        state.undosUsed = 1;
+
+        const saves = new SaveManager(memoryStorage());
+        saves.save(state.mode, { state: state.toSnapshot() });
+
+        const resumed = new GameState();
+        resumed.restoreSnapshot(saves.load(GameModes.ZEN).state);
+        assert.deepEqual(resumed.toSnapshot(), state.toSnapshot());
+        assert.equal(resumed.started, true);
+        assert.equal(resumed.takeNextLetter(), state.takeNextLetter());
+    });
+
+    test('a snapshot is a copy, not a view of the live game', () => {
+        const state = new GameState(1);
+        const snapshot = state.toSnapshot();
+        state.placeLetter(0, 'A');
+        state.nextLetters.push('B');
+        assert.equal(snapshot.board[5][0], '');
+        assert.deepEqual(snapshot.nextLetters, []);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Game over statistics: the summary ScoreController.getStats gives the game over screen
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScoreController } from '../js/scoring/ScoreController.js';
+import { GameState } from '../js/core/GameState.js';
+import { WordItem } from '../js/word/WordItem.js';
+
+/**
+ * Score controller for a game with the given words made (no DOM)
+ * @param {WordItem[]} words - Made words, oldest first
+ * @returns {ScoreController} Controller
+ */
+function scoreWith(words) {
+    const state = new GameState(1);
+    const score = new ScoreController(state, { wordsList: null, playersPanel: null });
+    score.madeWords = words;
+    return score;
+}
+
+describe('ScoreController.getStats', () => {
+    test('sums up the words made on the board, leaving out the title word', () => {
+        const score = scoreWith([
+            new WordItem('NOODEL', '', 6),
+            new WordItem('CAT', '', 3, 'horizontal'),
+            new WordItem('DOGS', '', 9, 'vertical'),
+            new WordItem('TEA', '', 4, 'diagonal-down'),
+            new WordItem('RAT', '', 3, 'diagonal-up'),
+            new WordItem('PLANE', '', 7, 'horizontal')
+        ]);
+        score.gameState.score = 26;
+        score.gameState.biggestCascade = 2;
+        score.gameState.board.dropLetter(0, 'A');
+
+        const stats = score.getStats();
+        assert.equal(stats.totalWords, 5);
+        assert.equal(stats.totalScore, 26);
+        assert.equal(stats.longestWord.text, 'PLANE');
+        assert.equal(stats.highestScoringWord.text, 'DOGS');
+        assert.deepEqual(stats.lengthHistogram, { 3: 3, 4: 1, 5: 1 });
+        assert.deepEqual(stats.directions, { horizontal: 2, vertical: 1, diagonal: 2 });
+        assert.equal(stats.biggestCascade, 2);
+        assert.equal(stats.lettersOnBoard, 1);
+    });
+
+    test('a game without words has empty bests', () => {
+        const stats = scoreWith([new WordItem('NOODEL', '', 6)]).getStats();
+        assert.equal(stats.totalWords, 0);
+        assert.equal(stats.longestWord.text, '');
+        assert.equal(stats.highestScoringWord.points, 0);
+        assert.deepEqual(stats.lengthHistogram, {});
+        assert.deepEqual(stats.directions, { horizontal: 0, vertical: 0, diagonal: 0 });
+    });
+
+    test('the list of words is a copy', () => {
+        const score = scoreWith([new WordItem('CAT', '', 3, 'horizontal')]);
+        score.getStats().words.pop();
+        assert.equal(score.madeWords.length, 1);
+    });
+});
@@ -0,0 +1,229 @@
+/**
+ * Leaderboard scores (ScoreStore): checking a score against its move log, who may submit
+ * under which name, the daily challenge limit, and the boards
+ */
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { loadGameRules } = require('../server/GameRules');
+const { ScoreStore } = require('../server/ScoreStore');
+const { UserStore } = require('../server/UserStore');
+
+// A finished classic game on seed 42 (see HeadlessGame.test.mjs)
+const KNOWN_GAME = { file: path.join(__dirname, 'fixtures', 'classic-seed-42.json'), score: 97, words: 23 };
+
+let rules;
+let dataDir;
+let knownLog;
+
+before(async () => {
+  // The stores report what they load and save; keep that out of the test output
+  mock.method(console, 'log', () => {});
+  rules = await loadGameRules();
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'noodel-test-'));
+  knownLog = JSON.parse(await fs.readFile(KNOWN_GAME.file, 'utf8'));
+});
+
+after(() => {
+  mock.restoreAll();
+  return fs.rm(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Play a game to the end, always into the first open column
+ * @param {string} mode - Mode id
+ * @param {string|number} seed - Seed (as parseSeed leaves it)
+ * @param {number} firstColumn - Column to try first (different columns make different games)
+ * @returns {Object} { mode, seed, score, words, log } ready to submit
+ */
+function playGame(mode, seed, firstColumn = 0) {
+  const { HeadlessGame, MoveLog, dictionary } = rules;
+  const game = new HeadlessGame(dictionary, { seed, mode });
+  const log = new MoveLog({ seed, mode });
+  while (!game.isGameOver()) {
+    const column = [0, 1, 2, 3, 4, 5, 6].map(offset => (firstColumn + offset) % 7).find(c => game.canDrop(c));
+    game.drop(column);
+    log.record(column);
+  }
+  return { mode, seed, score: game.state.score, words: game.words.length, log: log.toJSON() };
+}
+
+describe('ScoreStore', () => {
+  let scores;
+  const claim = { mode: 'classic', seed: '42', score: KNOWN_GAME.score, words: KNOWN_GAME.words };
+  const submission = (changes = {}) => ({ name: 'Tester', ...claim, log: knownLog, ...changes });
+
+  before(async () => {
+    scores = new ScoreStore(path.join(dataDir, 'scores.json'));
+    await scores.open(rules);
+  });
+
+  test('accepts a log that plays back to the score', () => {
+    assert.match(scores.verify(knownLog, claim), /^[0-9a-f]{64}$/);
+  });
+
+  test('refuses a score the moves do not add up to', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.throws(() => scores.verify(knownLog, { ...claim, score: claim.score + 1 }), { status: 422 });
+    assert.throws(() => scores.verify(knownLog, { ...claim, words: claim.words - 1 }), { status: 422 });
+  });
+
+  test('refuses a log that was tampered with', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const moves = knownLog.moves.map((move, index) => (index === 20 ? [(move[0] + 1) % 7, move[1]] : move));
+    assert.throws(() => scores.verify({ ...knownLog, moves }, claim), { status: 422 });
+    assert.throws(() => scores.verify({ ...knownLog, seed: 43 }, claim), { status: 400 });
+  });
+
+  test('takes a seed however it is written, but only a log played on that seed', () => {
+    const digest = scores.verify(knownLog, claim);
+    assert.equal(scores.verify(knownLog, { ...claim, seed: ' 042 ' }), digest);
+    assert.equal(scores.verify(knownLog, { ...claim, seed: 42 }), digest);
+    assert.equal(scores.checkSeed(' 042 '), '42');
+    assert.equal(scores.checkSeed('  '), null);
+
+    // A string seed "42" deals other letters than 42, so it is another game
+    assert.throws(() => scores.verify({ ...knownLog, seed: '42' }, claim), { status: 400, message: /different game/ });
+  });
+
+  test('refuses a log that stops before the game ends', () => {
+    const truncated = { ...knownLog, moves: knownLog.moves.slice(0, -1) };
+    assert.throws(() => scores.verify(truncated, claim), { status: 422, message: /play to the end/ });
+  });
+
+  test('refuses an oversized or malformed log', () => {
+    const { MAX_LOG_MOVES } = rules.CONFIG.LEADERBOARD;
+    const oversized = { ...knownLog, moves: Array.from({ length: MAX_LOG_MOVES + 1 }, (_, index) => [index % 7, index]) };
+    assert.throws(() => scores.verify(oversized, claim), { status: 400, message: /too long/ });
+    assert.throws(() => scores.verify({ ...knownLog, moves: [['x', 0]] }, claim), { status: 400 });
+    assert.throws(() => scores.verify(null, claim), { status: 400 });
+  });
+
+  test('stores a verified score once', async () => {
+    const { score } = await scores.submit(submission());
+    assert.equal(score.score, KNOWN_GAME.score);
+    assert.equal(score.logDigest, undefined);
+
+    await assert.rejects(scores.submit(submission()), { status: 409 });
+    // The same moves made at other times are still the same game
+    const retimed = { ...knownLog, moves: knownLog.moves.map(([column, t]) => [column, t + 1]) };
+    await assert.rejects(scores.submit(submission({ log: retimed })), { status: 409 });
+    await assert.rejects(scores.submit(submission({ score: 100001 })), { status: 400 });
+  });
+
+  test('refuses modes without a leaderboard and a missing name', async () => {
+    await assert.rejects(scores.submit(submission({ mode: 'zen' })), { status: 400, message: /mode must be/ });
+    // Blitz times come from the player's clock, which the server can't check
+    await assert.rejects(scores.submit(submission({ mode: 'blitz' })), { status: 400, message: /mode must be/ });
+    await assert.rejects(scores.submit(submission({ name: ' \u0007 ' })), { status: 400, message: /name is required/ });
+  });
+});
+
+describe('ScoreStore names and the daily challenge', () => {
+  let users;
+  let scores;
+  let account;
+  let today;
+
+  before(async () => {
+    users = new UserStore(path.join(dataDir, 'users.json'));
+    await users.open(rules);
+    ({ user: account } = await users.register({ username: 'annie_b', password: 'password123', displayName: 'Annie' }));
+
+    scores = new ScoreStore(path.join(dataDir, 'daily-scores.json'), users);
+    await scores.open(rules);
+    today = rules.DailyChallenge.getSeed();
+  });
+
+  test("a guest can't submit under an account's display name or username", async () => {
+    const game = playGame('classic', 7);
+    await assert.rejects(scores.submit({ ...game, name: 'ANNIE' }), { status: 409, message: /belongs to an account/ });
+    await assert.rejects(scores.submit({ ...game, name: 'Annie_B' }), { status: 409 });
+
+    // The account itself can, and its scores go under its display name
+    const { score } = await scores.submit({ ...game, name: 'whatever' }, account);
+    assert.equal(score.name, 'Annie');
+  });
+
+  test("only today's challenge goes on the daily board", async () => {
+    await assert.rejects(scores.submit({ ...playGame('daily', 'daily-2000-01-01'), name: 'Guest' }), {
+      status: 400, message: /today's daily challenge/
+    });
+  });
+
+  test('an account gets one daily challenge score a day', async () => {
+    await scores.submit({ ...playGame('daily', today, 0), name: 'Annie' }, account);
+    // Another game on the same letters is still a second attempt
+    await assert.rejects(scores.submit({ ...playGame('daily', today, 3), name: 'Annie' }, account), {
+      status: 409, message: /already have a score/
+    });
+  });
+
+  test('a guest name gets one daily challenge score a day, in any case', async () => {
+    await scores.submit({ ...playGame('daily', today, 1), name: 'Guest' });
+    await assert.rejects(scores.submit({ ...playGame('daily', today, 4), name: 'GUEST' }), { status: 409, message: /already have a score/ });
+
+    // Other guests still can
+    const { score } = await scores.submit({ ...playGame('daily', today, 4), name: 'Visitor' });
+    assert.equal(score.mode, 'daily');
+  });
+});
+
+describe('ScoreStore boards', () => {
+  let scores;
+  const DAY_MS = 86400000;
+  // Wednesday 2026-01-07, midday UTC
+  const WEDNESDAY = Date.UTC(2026, 0, 7, 12);
+
+  before(async () => {
+    scores = new ScoreStore(path.join(dataDir, 'board-scores.json'));
+    await scores.open(rules);
+    const entry = (name, score, createdAt, seed = '1') => ({ id: name, name, mode: 'classic', seed, score, words: 1, userId: null, logDigest: name, createdAt });
+    scores.scores = [
+      entry('Old', 90, WEDNESDAY - 10 * DAY_MS),
+      entry('Monday', 50, WEDNESDAY - 2 * DAY_MS),
+      entry('Early', 40, WEDNESDAY - 60000, '2'),
+      entry('Late', 40, WEDNESDAY)
+    ];
+  });
+
+  test('days start at midnight UTC and weeks on Monday', () => {
+    assert.equal(scores.getWindowStart('daily', WEDNESDAY), Date.UTC(2026, 0, 7));
+    assert.equal(scores.getWindowStart('weekly', WEDNESDAY), Date.UTC(2026, 0, 5));
+    assert.equal(scores.getWindowStart('all', WEDNESDAY), 0);
+  });
+
+  test('ranks best first, ties to the earlier score, in the window asked for', () => {
+    const names = (window, seed = null) => scores.rank('classic', window, seed, WEDNESDAY).map(({ name }) => name);
+    assert.deepEqual(names('all'), ['Old', 'Monday', 'Early', 'Late']);
+    assert.deepEqual(names('weekly'), ['Monday', 'Early', 'Late']);
+    assert.deepEqual(names('daily'), ['Early', 'Late']);
+    assert.deepEqual(names('all', '1'), ['Old', 'Monday', 'Late']);
+  });
+
+  test('finds a seed board however the seed is written', () => {
+    assert.deepEqual(scores.query({ mode: 'classic', seed: '002' }).scores.map(({ name }) => name), ['Early']);
+  });
+
+  test('pages a board and checks what is asked for', () => {
+    const page = scores.query({ mode: 'classic', page: 2, pageSize: 3 });
+    assert.equal(page.total, 4);
+    assert.deepEqual(page.scores.map(({ rank, name }) => [rank, name]), [[4, 'Late']]);
+    assert.equal(page.scores[0].userId, undefined);
+
+    assert.throws(() => scores.query({ mode: 'classic', window: 'monthly' }), { status: 400 });
+    assert.throws(() => scores.query({ mode: 'classic', page: 0 }), { status: 400 });
+    assert.throws(() => scores.query({ mode: 'classic', pageSize: 1000 }), { status: 400 });
+  });
+
+  test('old scores are deleted unless they are among the best of their mode', () => {
+    const { KEEP_RECENT_MS } = rules.CONFIG.LEADERBOARD;
+    scores.settings = { ...scores.settings, KEEP_TOP: 1 };
+    // Monday's score is just past KEEP_RECENT_MS; Old is older but the best
+    scores.prune(WEDNESDAY + KEEP_RECENT_MS - 2 * DAY_MS + 1);
+
+    assert.deepEqual(scores.scores.map(({ name }) => name), ['Old', 'Early', 'Late']);
+  });
+});
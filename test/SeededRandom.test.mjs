@@ -0,0 +1,84 @@
+/**
+ * Seeded letter sequences: the same seed always deals the same letters
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashSeed, createSeededRandom, parseSeed } from '../js/letter/SeededRandom.js';
+import { LetterGenerator } from '../js/letter/LetterGenerator.js';
+import { GameState } from '../js/core/GameState.js';
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+describe('SeededRandom', () => {
+    test('hashSeed uses 32-bit integers as-is and hashes everything else', () => {
+        assert.equal(hashSeed(42), 42);
+        assert.equal(hashSeed(0xFFFFFFFF), 0xFFFFFFFF);
+        assert.equal(hashSeed('daily-2026-10-19'), hashSeed('daily-2026-10-19'));
+        assert.notEqual(hashSeed('42'), 42);
+        assert.notEqual(hashSeed(-1), hashSeed(1));
+        assert.ok(Number.isInteger(hashSeed(2 ** 40)) && hashSeed(2 ** 40) <= 0xFFFFFFFF);
+    });
+
+    test('the same seed gives the same numbers, in [0, 1)', () => {
+        const first = draw(createSeededRandom('abc'), 1000);
+        assert.deepEqual(draw(createSeededRandom('abc'), 1000), first);
+        assert.notDeepEqual(draw(createSeededRandom('abd'), 1000), first);
+        assert.ok(first.every(value => value >= 0 && value < 1));
+    });
+
+    test('parseSeed turns digit strings into numbers and drops empty input', () => {
+        assert.equal(parseSeed('42'), 42);
+        assert.equal(parseSeed(' 42 '), 42);
+        assert.equal(parseSeed(42), 42);
+        assert.equal(parseSeed('4294967296'), '4294967296');
+        assert.equal(parseSeed('-1'), '-1');
+        assert.equal(parseSeed(' daily '), 'daily');
+        assert.equal(parseSeed(''), null);
+        assert.equal(parseSeed('   '), null);
+        assert.equal(parseSeed(null), null);
+        assert.equal(parseSeed(undefined), null);
+    });
+});
+
+describe('LetterGenerator', () => {
+    const letters = (seed, count = 100) => new LetterGenerator(count, createSeededRandom(seed)).generateAllLetters();
+
+    test('a seeded generator deals the same letters every time', () => {
+        assert.deepEqual(letters(7), letters(7));
+        assert.notDeepEqual(letters(7), letters(8));
+    });
+
+    test('never deals a letter three times in a row or three vowels or consonants in a row', () => {
+        const vowels = new Set(['A', 'E', 'I', 'O', 'U']);
+        const sequence = letters('rules', 2000);
+        for (let i = 2; i < sequence.length; i++) {
+            const run = sequence.slice(i - 2, i + 1);
+            assert.ok(!(run[0] === run[1] && run[1] === run[2]), `same letter at ${i}`);
+            const kinds = new Set(run.map(letter => vowels.has(letter)));
+            assert.equal(kinds.size, 2, `three of a kind at ${i}: ${run.join('')}`);
+        }
+    });
+
+    test('refuses to deal more letters than it was made for', () => {
+        const generator = new LetterGenerator(2, createSeededRandom(1));
+        generator.generateAllLetters();
+        assert.equal(generator.getRemainingCount(), 0);
+        assert.throws(() => generator.generateLetter(), /Maximum number of letters/);
+    });
+});
+
+describe('GameState letter sequence', () => {
+    test('two games on the same seed deal the same letters', () => {
+        const a = new GameState(42);
+        const b = new GameState(42);
+        assert.equal(a.seed, 42);
+        assert.equal(a.letterSequence, b.letterSequence);
+        assert.notEqual(new GameState(43).letterSequence, a.letterSequence);
+    });
+
+    test('a game without a seed picks one that replays it', () => {
+        const game = new GameState();
+        assert.equal(typeof game.seed, 'number');
+        assert.equal(new GameState(game.seed).letterSequence, game.letterSequence);
+    });
+});
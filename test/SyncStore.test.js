@@ -0,0 +1,99 @@
+/**
+ * Cloud saves (SyncStore): versioned pushes, conflicts, size limits and forgetting idle accounts
+ */
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { loadGameRules } = require('../server/GameRules');
+const { SyncStore } = require('../server/SyncStore');
+
+let rules;
+let dataDir;
+
+before(async () => {
+  // The stores report what they load and save; keep that out of the test output
+  mock.method(console, 'log', () => {});
+  rules = await loadGameRules();
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'noodel-test-'));
+});
+
+after(() => {
+  mock.restoreAll();
+  return fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('SyncStore', () => {
+  let sync;
+  const user = { id: 'test-user' };
+  const change = (value, baseVersion = 0) => ({ value, baseVersion, modifiedAt: Date.now() });
+
+  before(async () => {
+    sync = new SyncStore(path.join(dataDir, 'sync'));
+    await sync.open(rules);
+  });
+
+  after(() => clearInterval(sync.sweeper));
+
+  test('refuses an oversized item on its own and saves the rest', async () => {
+    const { MAX_ITEM_BYTES } = rules.CONFIG.SYNC;
+    const result = await sync.push(user, {
+      'noodel.save.zen': change('x'.repeat(MAX_ITEM_BYTES + 1)),
+      'noodel.stats': change('{"games":[]}')
+    });
+
+    assert.deepEqual(Object.keys(result.saved), ['noodel.stats']);
+    assert.deepEqual(Object.keys(result.rejected), ['noodel.save.zen']);
+    const { items } = await sync.pull(user);
+    assert.deepEqual(Object.keys(items), ['noodel.stats']);
+    assert.equal(items['noodel.stats'].version, 1);
+  });
+
+  test('sends back a conflict for a write based on an old version', async () => {
+    const result = await sync.push(user, { 'noodel.stats': change('{"games":[1]}', 0) });
+    assert.deepEqual(Object.keys(result.conflicts), ['noodel.stats']);
+    assert.equal(result.conflicts['noodel.stats'].value, '{"games":[]}');
+  });
+
+  test('refuses malformed changes and too many keys', async () => {
+    await assert.rejects(sync.push(user, { 'other.key': change('1') }), { status: 400 });
+    await assert.rejects(sync.push(user, { 'noodel.stats': { value: 5, baseVersion: 1, modifiedAt: 0 } }), { status: 400 });
+    await assert.rejects(sync.push(user, []), { status: 400 });
+
+    const { MAX_ITEMS } = rules.CONFIG.SYNC;
+    const many = Object.fromEntries(Array.from({ length: MAX_ITEMS }, (_, index) => [`noodel.test.${index}`, change('1')]));
+    await assert.rejects(sync.push(user, many), { status: 413 });
+  });
+
+  test('refuses what would take an account past its total size, but not smaller values', async () => {
+    const small = new SyncStore(path.join(dataDir, 'sync-small'));
+    await small.open({ CONFIG: { SYNC: { ...rules.CONFIG.SYNC, MAX_ACCOUNT_BYTES: 10 } } });
+    clearInterval(small.sweeper);
+
+    const first = await small.push(user, { 'noodel.a': change('123456'), 'noodel.b': change('12345') });
+    assert.deepEqual(Object.keys(first.saved), ['noodel.a']);
+    assert.match(first.rejected['noodel.b'], /at most 10 characters per account/);
+
+    // Shrinking or deleting an item makes room for another
+    const second = await small.push(user, { 'noodel.a': change(null, 1), 'noodel.b': change('1234567890') });
+    assert.deepEqual(Object.keys(second.saved), ['noodel.a', 'noodel.b']);
+    assert.deepEqual(second.rejected, {});
+  });
+
+  test('forgets idle accounts and reads them again when they come back', async () => {
+    const { IDLE_MS } = rules.CONFIG.SYNC;
+    const other = { id: 'idle-user' };
+    await sync.push(other, { 'noodel.stats': change('{"games":[2]}') });
+    assert.equal(sync.accounts.has(other.id), true);
+
+    sync.evictIdle(Date.now() + IDLE_MS / 2);
+    assert.equal(sync.accounts.has(other.id), true);
+    sync.evictIdle(Date.now() + IDLE_MS + 1);
+    assert.equal(sync.accounts.size, 0);
+
+    const { items } = await sync.pull(other);
+    assert.equal(items['noodel.stats'].value, '{"games":[2]}');
+    assert.equal(sync.accounts.has(other.id), true);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Synced storage: two devices of one account writing through a real SyncStore, and how
+ * their changes are merged (the newer change wins)
+ */
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../js/config.js';
+import { SyncedStorage } from '../js/accounts/SyncedStorage.js';
+import { SyncStore } from '../server/SyncStore.js';
+import { memoryStorage } from './helpers.mjs';
+
+const USER = { id: 'synced-user' };
+
+describe('SyncedStorage', () => {
+    let dataDir;
+    let server;
+    let clock;
+
+    /**
+     * A device logged in to the account, talking straight to the server's store
+     * @returns {SyncedStorage} The device's storage
+     */
+    function device() {
+        const client = {
+            pull: async () => (await server.pull(USER)).items,
+            push: (items) => server.push(USER, items)
+        };
+        return new SyncedStorage(memoryStorage(), client, USER.id);
+    }
+
+    /**
+     * Open the server's store with other sync settings
+     * @param {Object} settings - Overrides of CONFIG.SYNC
+     */
+    async function openServer(settings = {}) {
+        server = new SyncStore(dataDir);
+        await server.open({ CONFIG: { SYNC: { ...CONFIG.SYNC, ...settings } } });
+        clearInterval(server.sweeper);
+    }
+
+    beforeEach(async (t) => {
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'noodel-test-'));
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+        // Every change happens a second after the one before
+        clock = 1000000;
+        t.mock.method(Date, 'now', () => (clock += 1000));
+        await openServer();
+    });
+
+    afterEach(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+    test("a change on one device reaches the other's next sync", async () => {
+        const phone = device();
+        const laptop = device();
+
+        phone.setItem('noodel.save.classic', 'from the phone');
+        assert.equal(await phone.flush(), true);
+        assert.equal(await laptop.sync(), true);
+        assert.equal(laptop.getItem('noodel.save.classic'), 'from the phone');
+
+        phone.removeItem('noodel.save.classic');
+        await phone.flush();
+        await laptop.sync();
+        assert.equal(laptop.getItem('noodel.save.classic'), null);
+    });
+
+    test('when both devices changed a key, the later change wins on both', async () => {
+        const phone = device();
+        const laptop = device();
+        await phone.sync();
+        await laptop.sync();
+
+        phone.setItem('noodel.stats', 'older');
+        laptop.setItem('noodel.stats', 'newer');
+        // The older change reaches the server first, and is overwritten by the newer one
+        await phone.flush();
+        await laptop.flush();
+        await phone.sync();
+
+        assert.equal(phone.getItem('noodel.stats'), 'newer');
+        assert.equal(laptop.getItem('noodel.stats'), 'newer');
+        assert.equal((await server.pull(USER)).items['noodel.stats'].value, 'newer');
+    });
+
+    test('an older change that arrives second gives way to the one on the server', async () => {
+        const phone = device();
+        const laptop = device();
+
+        phone.setItem('noodel.stats', 'older');
+        laptop.setItem('noodel.stats', 'newer');
+        await laptop.flush();
+        await phone.flush();
+
+        assert.equal(phone.getItem('noodel.stats'), 'newer');
+        assert.equal((await server.pull(USER)).items['noodel.stats'].version, 1);
+    });
+
+    test('keys from before the first sync are sent, and keys the server lost are sent again', async () => {
+        const phone = device();
+        phone.storage.setItem('noodel.levels', 'kept from before');
+        await phone.sync();
+        assert.equal((await server.pull(USER)).items['noodel.levels'].value, 'kept from before');
+
+        await fs.rm(dataDir, { recursive: true, force: true });
+        await openServer();
+        await phone.sync();
+        assert.equal((await server.pull(USER)).items['noodel.levels'].value, 'kept from before');
+    });
+
+    test('a value the server refuses stays on this device until it changes', async () => {
+        await openServer({ MAX_ACCOUNT_BYTES: 20 });
+        const phone = device();
+
+        phone.setItem('noodel.save.zen', 'a very long zen session');
+        phone.setItem('noodel.stats', 'short');
+        assert.equal(await phone.flush(), true);
+
+        assert.deepEqual(phone.getLocalOnlyKeys(), ['noodel.save.zen']);
+        assert.deepEqual(Object.keys((await server.pull(USER)).items), ['noodel.stats']);
+
+        // Not sent again with later changes...
+        phone.setItem('noodel.stats', 'shorter');
+        await phone.flush();
+        assert.deepEqual(Object.keys((await server.pull(USER)).items), ['noodel.stats']);
+
+        // ...until it changes to something that fits
+        phone.setItem('noodel.save.zen', 'new session');
+        await phone.flush();
+        assert.deepEqual(phone.getLocalOnlyKeys(), []);
+        assert.equal((await server.pull(USER)).items['noodel.save.zen'].value, 'new session');
+    });
+
+    test('a change made offline stays marked until the server is back', async () => {
+        const phone = device();
+        const { push } = phone.client;
+        phone.client.push = async () => { throw new Error('offline'); };
+        phone.setItem('noodel.stats', 'offline');
+        assert.equal(await phone.flush(), false);
+
+        phone.client.push = push;
+        assert.equal(await phone.sync(), true);
+        assert.equal((await server.pull(USER)).items['noodel.stats'].value, 'offline');
+    });
+});
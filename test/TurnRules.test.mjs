@@ -0,0 +1,65 @@
+/**
+ * Turn rules shared by the browser and the server: settling the board after a drop
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState } from '../js/core/GameState.js';
+import { settleBoard } from '../js/core/TurnRules.js';
+import { WordResolver } from '../js/word/WordResolver.js';
+import { calculateWordScore } from '../js/scoring/ScoringUtils.js';
+import { pattern } from './helpers.mjs';
+
+/**
+ * Game state on a given board, with words found from a small word list
+ * @param {string[]} rows - Board rows (see pattern)
+ * @returns {{state: GameState, wordResolver: WordResolver}} State and word finder
+ */
+function setup(rows) {
+    const state = new GameState(1);
+    state.board.loadPattern(pattern(rows));
+    const wordResolver = new WordResolver(state, null, new Map([['CAT', 'A cat'], ['DOG', 'A dog']]));
+    return { state, wordResolver };
+}
+
+// Dropping a T into column 2 makes CAT on row 4; D and O then fall onto the G for DOG
+const CASCADE_BOARD = [
+    '.......',
+    '.......',
+    'D......',
+    'O......',
+    'CA.....',
+    'GXY....'
+];
+
+describe('TurnRules.settleBoard', () => {
+    test('clears each pass of a cascade and lets the letters fall', () => {
+        const { state, wordResolver } = setup(CASCADE_BOARD);
+        state.placeLetter(2, 'T');
+        const steps = [...settleBoard(state, wordResolver)];
+
+        assert.deepEqual(steps.map(({ type, cascade }) => [type, cascade]), [['words', 1], ['words', 2]]);
+        assert.deepEqual(steps.map(({ words }) => words[0].word), ['CAT', 'DOG']);
+        assert.equal(steps[0].words[0].points, calculateWordScore('CAT'));
+        assert.equal(state.biggestCascade, 2);
+        assert.deepEqual(state.board.toArray(), pattern(['.......', '.......', '.......', '.......', '.......', '.XY....']));
+    });
+
+    test('finds no words with word detection off', () => {
+        const { state, wordResolver } = setup(CASCADE_BOARD);
+        state.placeLetter(2, 'T');
+        const steps = [...settleBoard(state, wordResolver, { wordDetection: false })];
+
+        assert.equal(steps.length, 0);
+        assert.equal(state.board.getLetter(4, 2), 'T');
+    });
+
+    test('leaves cleared cells empty with gravity off', () => {
+        const { state, wordResolver } = setup(CASCADE_BOARD);
+        state.placeLetter(2, 'T');
+        const steps = [...settleBoard(state, wordResolver, { gravity: false })];
+
+        assert.deepEqual(steps.map(({ words }) => words[0].word), ['CAT']);
+        assert.equal(state.board.getLetter(3, 0), 'O');
+        assert.equal(state.board.getLetter(4, 0), '');
+    });
+});
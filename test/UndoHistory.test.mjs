@@ -0,0 +1,105 @@
+/**
+ * Undo: the bounded snapshot stack, the undo charge and the per-mode undo budget
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { UndoHistory } from '../js/core/UndoHistory.js';
+import { GameState } from '../js/core/GameState.js';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { undoMove, chargeHint } from '../js/core/TurnRules.js';
+import { CONFIG, GameModes } from '../js/config.js';
+
+// No words, so drops never score and the board only fills up
+const NO_WORDS = new Map();
+
+describe('UndoHistory', () => {
+    test('keeps only the most recent snapshots', () => {
+        const history = new UndoHistory(2);
+        [1, 2, 3].forEach(n => history.push({ n }));
+
+        assert.equal(history.pop().n, 3);
+        assert.equal(history.pop().n, 2);
+        assert.equal(history.pop(), null);
+        assert.equal(history.isEmpty(), true);
+    });
+
+    test('keeps nothing with no capacity and drops the oldest when shrinking', () => {
+        const none = new UndoHistory();
+        none.push({ n: 1 });
+        assert.equal(none.isEmpty(), true);
+
+        const history = new UndoHistory(3);
+        [1, 2, 3].forEach(n => history.push({ n }));
+        history.setCapacity(1);
+        assert.deepEqual(history.entries, [{ n: 3 }]);
+        history.setCapacity(-1);
+        assert.equal(history.capacity, 0);
+        assert.equal(history.isEmpty(), true);
+    });
+});
+
+describe('TurnRules.undoMove', () => {
+    const { COST: UNDO } = CONFIG.UNDO.classic;
+    const { COST: HINT } = CONFIG.HINTS.classic;
+
+    test('restores the board and charges the undo', () => {
+        const state = new GameState(1);
+        state.score = 20;
+        const snapshot = state.toSnapshot();
+        state.placeLetter(3, 'A');
+        state.addToScore(10);
+
+        undoMove(state, snapshot);
+        assert.equal(state.board.isEmpty(), true);
+        assert.equal(state.undosUsed, 1);
+        assert.equal(state.score, 20 - UNDO);
+    });
+
+    test('charges again for hints taken since the snapshot and never goes below zero', () => {
+        const state = new GameState(1);
+        state.score = 20;
+        const snapshot = state.toSnapshot();
+        chargeHint(state);
+
+        undoMove(state, snapshot);
+        assert.equal(state.hintsUsed, 1);
+        assert.equal(state.score, 20 - UNDO - HINT);
+
+        const broke = new GameState(1);
+        broke.score = 1;
+        undoMove(broke, broke.toSnapshot());
+        assert.equal(broke.score, 0);
+    });
+});
+
+describe('HeadlessGame undo budget', () => {
+    test('undoes up to the mode limit, then refuses', () => {
+        const game = new HeadlessGame(NO_WORDS, { seed: 5 });
+        const { LIMIT } = game.state.getMode().getUndoConfig();
+        assert.ok(LIMIT > 0);
+
+        for (let i = 0; i < LIMIT + 2; i++) game.drop(i % 7);
+        for (let i = 0; i < LIMIT; i++) assert.equal(game.undo(), true, `undo ${i + 1}`);
+
+        assert.equal(game.getUndosRemaining(), 0);
+        assert.equal(game.undo(), false);
+        assert.equal(game.moves, 2);
+        assert.equal(game.state.board.getFilledCount(), 2);
+    });
+
+    test('a snapshot taken before the undo puts the same letter back in the queue', () => {
+        const game = new HeadlessGame(NO_WORDS, { seed: 5 });
+        const letter = game.getNextLetter();
+        game.drop(0);
+        game.undo();
+        assert.equal(game.getNextLetter(), letter);
+        assert.equal(game.state.board.isEmpty(), true);
+    });
+
+    test('the daily challenge has no undos', () => {
+        const game = new HeadlessGame(NO_WORDS, { seed: 'daily-2026-10-19', mode: GameModes.DAILY });
+        game.drop(0);
+        assert.equal(game.getUndosRemaining(), 0);
+        assert.equal(game.undo(), false);
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Player accounts (UserStore): registering, password checks, sessions and profiles
+ */
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { loadGameRules } = require('../server/GameRules');
+const { UserStore } = require('../server/UserStore');
+const { createSessionMiddleware } = require('../server/accountRoutes');
+
+const PASSWORD = 'correct horse';
+
+let rules;
+let dataDir;
+
+before(async () => {
+  // The store reports what it loads and creates; keep that out of the test output
+  mock.method(console, 'log', () => {});
+  rules = await loadGameRules();
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'noodel-test-'));
+});
+
+after(() => {
+  mock.restoreAll();
+  return fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('UserStore', () => {
+  let users;
+  let file;
+
+  before(async () => {
+    file = path.join(dataDir, 'users.json');
+    users = new UserStore(file);
+    await users.open(rules);
+  });
+
+  test('registers an account under a lower case username, logged in', async () => {
+    const { user, token } = await users.register({ username: '  Ann_B ', password: PASSWORD });
+    assert.equal(user.username, 'ann_b');
+    assert.equal(user.displayName, 'ann_b');
+    assert.equal(user.hash, undefined);
+    assert.equal(users.authenticate(token).id, user.id);
+  });
+
+  test('refuses a taken username in any case, and bad usernames and passwords', async () => {
+    await assert.rejects(users.register({ username: 'ANN_B', password: PASSWORD }), { status: 409 });
+    await assert.rejects(users.register({ username: 'a!', password: PASSWORD }), { status: 400, message: /Usernames are 3-20/ });
+    await assert.rejects(users.register({ username: 'x'.repeat(21), password: PASSWORD }), { status: 400 });
+    await assert.rejects(users.register({ username: 'bob', password: 'short' }), { status: 400, message: /Passwords are 8-128/ });
+    await assert.rejects(users.register({ username: 'bob', password: 12345678 }), { status: 400 });
+  });
+
+  test('keeps only salted hashes of passwords and tokens', async () => {
+    const { token } = await users.register({ username: 'bob', password: PASSWORD, displayName: ' Bobby\u0007 ' });
+    const saved = await fs.readFile(file, 'utf8');
+    assert.equal(saved.includes(PASSWORD), false);
+    assert.equal(saved.includes(token), false);
+
+    // The same password hashes differently for each account
+    const [ann, bob] = JSON.parse(saved).users;
+    assert.notEqual(ann.salt, bob.salt);
+    assert.notEqual(ann.hash, bob.hash);
+    assert.equal(bob.displayName, 'Bobby');
+  });
+
+  test('logs in with the right password only, whatever the username case', async () => {
+    const { user, token } = await users.login({ username: 'BOB ', password: PASSWORD });
+    assert.equal(user.username, 'bob');
+    assert.equal(users.authenticate(token).username, 'bob');
+
+    await assert.rejects(users.login({ username: 'bob', password: 'wrong password' }), { status: 401, message: 'Wrong username or password' });
+    // An unknown username gets the same answer
+    await assert.rejects(users.login({ username: 'nobody', password: PASSWORD }), { status: 401, message: 'Wrong username or password' });
+    await assert.rejects(users.login({}), { status: 401 });
+  });
+
+  test('logging out ends that session only', async () => {
+    const first = await users.login({ username: 'bob', password: PASSWORD });
+    const second = await users.login({ username: 'bob', password: PASSWORD });
+
+    await users.logout(first.token);
+    assert.equal(users.authenticate(first.token), null);
+    assert.equal(users.authenticate(second.token).username, 'bob');
+    assert.equal(users.authenticate('made-up'), null);
+    assert.equal(users.authenticate(null), null);
+  });
+
+  test('sessions expire, and expired ones are dropped on load', async () => {
+    const { token } = await users.login({ username: 'ann_b', password: PASSWORD });
+    const session = users.sessions.find(({ id }) => id === users.hashToken(token));
+    assert.ok(session.expiresAt - Date.now() <= rules.CONFIG.ACCOUNTS.SESSION_MS);
+
+    session.expiresAt = Date.now() - 1;
+    assert.equal(users.authenticate(token), null);
+    await users.save();
+
+    const reloaded = new UserStore(file);
+    await reloaded.open(rules);
+    assert.equal(reloaded.sessions.some(({ id }) => id === session.id), false);
+    assert.equal(reloaded.users.length, users.users.length);
+  });
+
+  test('changes the display name, which must not be blank', async () => {
+    const { token } = await users.login({ username: 'ann_b', password: PASSWORD });
+    const user = users.authenticate(token);
+
+    assert.equal((await users.updateProfile(user, { displayName: '  Annie Banana Split ' })).displayName, 'Annie Banana');
+    await assert.rejects(users.updateProfile(user, { displayName: '   ' }), { status: 400 });
+    assert.equal(users.isNameTaken('ANNIE BANANA'), true);
+    assert.equal(users.isNameTaken('Ann_B'), true);
+    assert.equal(users.isNameTaken('Carl'), false);
+  });
+
+  test('the session middleware finds the account from the cookie', async () => {
+    const { token } = await users.login({ username: 'bob', password: PASSWORD });
+    const middleware = createSessionMiddleware(users);
+    const request = (cookie) => {
+      const req = { headers: { cookie } };
+      middleware(req, {}, () => {});
+      return req;
+    };
+
+    const { COOKIE_NAME } = rules.CONFIG.ACCOUNTS;
+    assert.equal(request(`theme=dark; ${COOKIE_NAME}=${encodeURIComponent(token)}`).user.username, 'bob');
+    assert.equal(request(`${COOKIE_NAME}=%E0%A4%A`).user, null);
+    assert.equal(request(undefined).user, null);
+  });
+
+  test('answers 503 until the accounts are loaded', async () => {
+    const closed = new UserStore(path.join(dataDir, 'closed.json'));
+    await assert.rejects(closed.login({ username: 'bob', password: PASSWORD }), { status: 503 });
+    assert.equal(closed.authenticate('token'), null);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Head-to-head matches (VersusServer): pairing, server-checked moves, forfeits and results
+ */
+const { test, describe, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { WebSocket } = require('ws');
+const { loadGameRules } = require('../server/GameRules');
+const { VersusServer } = require('../server/VersusServer');
+
+let rules;
+
+before(async () => {
+  // The server reports matches starting and ending; keep that out of the test output
+  mock.method(console, 'log', () => {});
+  rules = await loadGameRules();
+});
+
+after(() => mock.restoreAll());
+
+/**
+ * A connected client: messages go straight to the server, replies are collected
+ * @param {VersusServer} server - Server
+ * @returns {{send: Function, received: Object[], last: Function}} Client
+ */
+function connect(server) {
+  const socket = new EventEmitter();
+  const received = [];
+  socket.readyState = WebSocket.OPEN;
+  socket.send = (data) => received.push(JSON.parse(data));
+  server.handleConnection(socket);
+
+  return {
+    socket,
+    received,
+    send: (message) => socket.emit('message', JSON.stringify(message)),
+    last: () => received[received.length - 1]
+  };
+}
+
+describe('VersusServer', () => {
+  let server;
+  let ann;
+  let bob;
+  // Each player's own copy of the game, to know which letter comes next
+  let games;
+
+  /**
+   * Drop the next letter into the first open column from a starting column
+   * @param {Object} client - Client moving
+   * @param {number} column - Preferred column
+   */
+  function move(client, column = 0) {
+    const game = games.get(client);
+    const open = [0, 1, 2, 3, 4, 5, 6].map(offset => (column + offset) % 7).find(c => game.canDrop(c));
+    client.send({ type: 'move', column: open, letter: game.getNextLetter() });
+    game.drop(open);
+  }
+
+  /**
+   * Play a client's game to the end
+   * @param {Object} client - Client moving
+   */
+  function playOut(client) {
+    for (let turn = 0; !games.get(client).isGameOver(); turn++) {
+      move(client, turn * 3);
+    }
+  }
+
+  beforeEach(() => {
+    server = new VersusServer({ ...rules, generateSeed: () => 42 });
+    ann = connect(server);
+    bob = connect(server);
+    ann.send({ type: 'join', name: '  Ann  ' });
+    bob.send({ type: 'join', name: 'Bob' });
+    games = new Map([ann, bob].map((client) => [client, new rules.HeadlessGame(rules.dictionary, { seed: 42, mode: 'versus' })]));
+  });
+
+  test('pairs players in arrival order on the same seed', () => {
+    assert.deepEqual(ann.received, [{ type: 'waiting' }, { type: 'start', seed: 42, mode: 'versus', opponent: 'Bob' }]);
+    assert.deepEqual(bob.received, [{ type: 'start', seed: 42, mode: 'versus', opponent: 'Ann' }]);
+    assert.equal(server.rooms.size, 1);
+  });
+
+  test("sends the server's board and score to the opponent", () => {
+    move(ann);
+    const update = bob.last();
+    assert.equal(update.type, 'opponent');
+    assert.deepEqual(update.board, games.get(ann).state.board.toArray());
+    assert.equal(update.score, games.get(ann).state.score);
+    assert.equal(update.over, false);
+  });
+
+  test('a move with the wrong letter forfeits the match', () => {
+    ann.send({ type: 'move', column: 0, letter: games.get(ann).getNextLetter() === 'Q' ? 'Z' : 'Q' });
+    assert.equal(ann.last().type, 'rejected');
+    assert.deepEqual(bob.last(), { type: 'opponentLeft' });
+    assert.equal(server.rooms.size, 0);
+  });
+
+  test('leaving mid-game hands the opponent the win', () => {
+    move(ann);
+    ann.socket.emit('close');
+    assert.deepEqual(bob.last(), { type: 'opponentLeft' });
+    assert.equal(server.rooms.size, 0);
+  });
+
+  test('both games over: each player gets the result', () => {
+    playOut(ann);
+    playOut(bob);
+    const [annScore, bobScore] = [ann, bob].map((client) => games.get(client).state.score);
+
+    assert.deepEqual(ann.last(), { type: 'result', score: annScore, opponentScore: bobScore, outcome: 'draw' });
+    assert.deepEqual(bob.last(), { type: 'result', score: bobScore, opponentScore: annScore, outcome: 'draw' });
+    assert.equal(server.rooms.size, 0);
+  });
+
+  test('after a game is over, a stray move is ignored instead of forfeiting', () => {
+    playOut(ann);
+    const sent = [ann.received.length, bob.received.length];
+    ann.send({ type: 'move', column: 0, letter: 'A' });
+
+    assert.deepEqual([ann.received.length, bob.received.length], sent);
+    assert.equal(server.rooms.size, 1);
+  });
+
+  test('leaving after a game is over keeps the score; the opponent plays on for the result', () => {
+    for (let turn = 0; turn < 10; turn++) move(bob, turn);
+    playOut(ann);
+    ann.socket.emit('close');
+    assert.notDeepEqual(bob.last(), { type: 'opponentLeft' });
+
+    // The opponent plays a different game to a different score
+    playOut(bob);
+    const [annScore, bobScore] = [ann, bob].map((client) => games.get(client).state.score);
+    const outcome = bobScore > annScore ? 'win' : bobScore < annScore ? 'lose' : 'draw';
+
+    assert.deepEqual(bob.last(), { type: 'result', score: bobScore, opponentScore: annScore, outcome });
+    assert.equal(ann.last().type, 'opponent');
+    assert.equal(server.rooms.size, 0);
+  });
+
+  test('a player who left a finished game can start another match', () => {
+    playOut(ann);
+    ann.send({ type: 'leave' });
+    const carl = connect(server);
+    ann.send({ type: 'join', name: 'Ann' });
+    carl.send({ type: 'join', name: 'Carl' });
+
+    assert.deepEqual(carl.last(), { type: 'start', seed: 42, mode: 'versus', opponent: 'Ann' });
+    playOut(bob);
+    // The first match's result only goes to the player still in it
+    assert.equal(bob.last().type, 'result');
+    assert.equal(ann.last().type, 'start');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Zen: endless play, the full board making room, and the letters played
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, GameModes } from '../js/config.js';
+import { GameState } from '../js/core/GameState.js';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { settleBoard } from '../js/core/TurnRules.js';
+import { WordResolver } from '../js/word/WordResolver.js';
+import { ZenMode } from '../js/modes/ZenMode.js';
+import { pattern } from './helpers.mjs';
+
+const NO_WORDS = new Map();
+const FULL_BOARD = Array(6).fill('XXXXXXX');
+
+describe('ZenMode', () => {
+    const zen = new ZenMode();
+
+    test('a full board drops its bottom row and classic does not', () => {
+        const state = new GameState(1);
+        state.setMode(GameModes.ZEN);
+        state.board.loadPattern(pattern(FULL_BOARD));
+        const steps = [...settleBoard(state, new WordResolver(state, null, NO_WORDS))];
+
+        assert.deepEqual(steps.map(({ type }) => type), ['overflow']);
+        assert.deepEqual(steps[0].positions.map(({ row }) => row), Array(7).fill(5));
+        assert.equal(state.board.getFilledCount(), 35);
+        assert.equal(state.board.isColumnFull(0), false);
+
+        const classic = new GameState(1);
+        classic.board.loadPattern(pattern(FULL_BOARD));
+        assert.equal([...settleBoard(classic, new WordResolver(classic, null, NO_WORDS))].length, 0);
+        assert.equal(classic.board.isFull(), true);
+    });
+
+    test('never ends, however long it is played', (t) => {
+        t.mock.method(console, 'log', () => {});
+        const game = new HeadlessGame(NO_WORDS, { seed: 9, mode: GameModes.ZEN });
+
+        for (let move = 0; move < 3 * CONFIG.GAME.INITIAL_LETTERS; move++) {
+            game.drop(move % 7);
+            assert.equal(game.isGameOver(), false);
+        }
+        assert.equal(game.state.hasUnlimitedLetters(), true);
+        assert.deepEqual(game.state.getProgress(), { remaining: 1, total: 1 });
+    });
+
+    test('counts the letters played, not the ones dealt to the preview', (t) => {
+        t.mock.method(console, 'log', () => {});
+        const game = new HeadlessGame(NO_WORDS, { seed: 9, mode: GameModes.ZEN });
+        assert.deepEqual(zen.getHUD(game.state), { label: 'Letters Played', value: 0 });
+
+        for (let move = 0; move < 5; move++) game.drop(move);
+        assert.equal(zen.getHUD(game.state).value, 5);
+        assert.equal(zen.describeProgress(game.state.toSnapshot()), '5 letters played');
+    });
+
+    test('saves on a timer instead of after every move', () => {
+        assert.equal(zen.getAutosaveInterval(), CONFIG.ZEN_MODE.AUTOSAVE_MS);
+        assert.equal(new GameState(1).getMode().getAutosaveInterval(), null);
+    });
+});
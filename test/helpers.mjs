@@ -0,0 +1,57 @@
+/**
+ * Shared setup for the tests of the browser modules (test/*.test.mjs)
+ */
+import fs from 'fs/promises';
+import { DictionaryManager } from '../js/word/DictionaryManager.js';
+
+/**
+ * Read a game file relative to the repository root (word lists, levels)
+ * @param {string} file - Path from the repository root
+ * @returns {Promise<string>} File contents
+ */
+export const readText = (file) => fs.readFile(new URL(`../${file}`, import.meta.url), 'utf8');
+
+let dictionaryPromise = null;
+
+/**
+ * The game's full word list, loaded once per test file
+ * The loader logs each file it reads; that is kept quiet, as the test runner on Node 20 can
+ * fail to parse a file's output when stray lines are mixed into it
+ * @returns {Promise<Map<string, string>>} Dictionary
+ */
+export function loadDictionary() {
+    if (!dictionaryPromise) {
+        const log = console.log;
+        console.log = () => {};
+        dictionaryPromise = DictionaryManager.loadDictionaries(readText).finally(() => {
+            console.log = log;
+        });
+    }
+    return dictionaryPromise;
+}
+
+/**
+ * Board pattern from rows of letters ('.' for an empty cell), top row first
+ * @param {string[]} rows - One string per row
+ * @returns {string[][]} Pattern for BoardModel.loadPattern
+ */
+export function pattern(rows) {
+    return rows.map(row => [...row].map(cell => (cell === '.' ? '' : cell)));
+}
+
+/**
+ * In-memory stand-in for localStorage
+ * @param {Object} items - Starting items
+ * @returns {Object} Storage with getItem, setItem, removeItem, key, length and getKeys
+ */
+export function memoryStorage(items = {}) {
+    const data = new Map(Object.entries(items));
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => { data.set(key, String(value)); },
+        removeItem: (key) => { data.delete(key); },
+        key: (index) => [...data.keys()][index] ?? null,
+        get length() { return data.size; },
+        getKeys: () => [...data.keys()]
+    };
+}
@@ -0,0 +1,79 @@
+/**
+ * Let the AI play headless games in Node and print how it did
+ *
+ * Usage: node tools/bot.mjs [--difficulty easy|medium|hard] [--mode classic] [--seed 42]
+ *                           [--games 10] [--level <puzzle level id>] [--max-moves 500]
+ *
+ * With --seed the bot plays that letter sequence (a hard bot's score is a good measure of
+ * how rich a sequence is); otherwise it plays --games random ones. Timed modes charge
+ * CONFIG.BOT.THINK_MS per move, and --max-moves stops modes that never end (Zen).
+ */
+import fs from 'fs/promises';
+import { GameModes } from '../js/config.js';
+import { DictionaryManager } from '../js/word/DictionaryManager.js';
+import { LevelLoader } from '../js/levels/LevelLoader.js';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { BotPlayer, BotDifficulty } from '../js/ai/BotPlayer.js';
+import { parseSeed } from '../js/letter/SeededRandom.js';
+
+// Game files are read relative to the repository root
+const readText = (file) => fs.readFile(new URL(`../${file}`, import.meta.url), 'utf8');
+
+/**
+ * Read --name value pairs from the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options by name
+ */
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        if (!args[i].startsWith('--') || args[i + 1] === undefined) {
+            throw new Error(`Expected --name value, got '${args[i]}'`);
+        }
+        options[args[i].slice(2)] = args[i + 1];
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const difficulty = options.difficulty || BotDifficulty.MEDIUM;
+    if (!Object.values(BotDifficulty).includes(difficulty)) throw new Error(`Unknown difficulty '${difficulty}'`);
+    const maxMoves = Number(options['max-moves'] || 500);
+    const seed = parseSeed(options.seed);
+    const games = seed === null ? Number(options.games || 1) : 1;
+
+    let mode = options.mode || GameModes.CLASSIC;
+    let level = null;
+    if (options.level) {
+        const levels = await LevelLoader.loadCampaign(readText);
+        level = levels.find(other => other.id === options.level);
+        if (!level) throw new Error(`Unknown level '${options.level}'`);
+        mode = GameModes.PUZZLE;
+    }
+    if (!Object.values(GameModes).includes(mode)) throw new Error(`Unknown mode '${mode}'`);
+
+    const dictionary = await DictionaryManager.loadDictionaries(readText);
+    const results = [];
+
+    for (let i = 0; i < games; i++) {
+        const game = new HeadlessGame(dictionary, { seed, mode, level });
+        const bot = new BotPlayer(game.wordResolver, difficulty);
+        const stats = bot.play(game, maxMoves);
+        const ending = game.isGameOver() ? game.state.getMode().getEndResult(game.state).reason : `stopped after ${maxMoves} moves`;
+
+        results.push(stats);
+        console.log(`🤖 seed ${game.state.seed}: ${stats.score} points, ${stats.words} words in ${stats.moves} moves` +
+            (stats.bestWord ? `, best ${stats.bestWord}` : '') + ` (${ending})`);
+    }
+
+    if (results.length > 1) {
+        const average = (key) => (results.reduce((sum, stats) => sum + stats[key], 0) / results.length).toFixed(1);
+        console.log(`📊 ${difficulty} bot, ${mode}, ${results.length} games: ${average('score')} points and ${average('words')} words on average`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,222 @@
+/**
+ * Balance simulator - play many headless bot games and report how the letter weights
+ * and scoring values play out
+ *
+ * Usage: node tools/simulate.mjs [--games 1000] [--config balance.json] [--difficulty medium]
+ *                                [--mode classic] [--first-seed 1] [--max-moves 500] [--json true]
+ *
+ * Games use seeds first-seed, first-seed + 1, ... so two runs with different tables are
+ * played on the same seeds. The config file overrides any of the tables; anything left out
+ * keeps the game's values:
+ *
+ *   {
+ *     "letterFrequencies": { "E": 11.5, "Q": 0.3 },   // LetterGenerator weights
+ *     "letterValues": { "Q": 8 },                     // ScoringUtils points per letter
+ *     "lengthBonuses": { "4": 2, "5": 4 }             // ScoringUtils bonus per word length
+ *   }
+ */
+import fs from 'fs/promises';
+import { GameModes } from '../js/config.js';
+import { DictionaryManager } from '../js/word/DictionaryManager.js';
+import { LetterGenerator } from '../js/letter/LetterGenerator.js';
+import { createScoringTables } from '../js/scoring/ScoringUtils.js';
+import { HeadlessGame } from '../js/core/HeadlessGame.js';
+import { BotPlayer, BotDifficulty } from '../js/ai/BotPlayer.js';
+import { createSeededRandom } from '../js/letter/SeededRandom.js';
+
+// Game files are read relative to the repository root
+const readText = (file) => fs.readFile(new URL(`../${file}`, import.meta.url), 'utf8');
+
+/**
+ * Read --name value pairs from the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options by name
+ */
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        if (!args[i].startsWith('--') || args[i + 1] === undefined) {
+            throw new Error(`Expected --name value, got '${args[i]}'`);
+        }
+        options[args[i].slice(2)] = args[i + 1];
+    }
+    return options;
+}
+
+/**
+ * Tables to play with: the game's, with a balance config file's overrides applied
+ * @param {string|null} file - Path to the JSON file, or null for the game's own tables
+ * @returns {Promise<Object>} { letterFrequencies, letterValues, lengthBonuses } for HeadlessGame
+ */
+async function loadTables(file) {
+    const config = file ? JSON.parse(await fs.readFile(file, 'utf8')) : {};
+
+    return {
+        letterFrequencies: LetterGenerator.createFrequencies(config.letterFrequencies || {}),
+        ...createScoringTables({ letterValues: config.letterValues, lengthBonuses: config.lengthBonuses })
+    };
+}
+
+/**
+ * Tallies across all simulated games
+ */
+class BalanceReport {
+    constructor() {
+        this.games = [];             // { score, words, moves, deadBoard, lettersOnBoard, scorelessMoves }
+        this.wordLengths = {};       // Word count by length
+        this.lettersDealt = {};      // Letters dropped, by letter
+        this.lettersInWords = {};    // Letters that were part of a word, by letter
+    }
+
+    /**
+     * Play one game and add it to the tallies
+     * @param {HeadlessGame} game - Fresh game
+     * @param {BotPlayer} bot - Bot to play it
+     * @param {number} maxMoves - Move cap for modes that never end
+     */
+    playGame(game, bot, maxMoves) {
+        let scorelessMoves = 0;
+
+        const stats = bot.play(game, maxMoves, ({ letter, words }) => {
+            this.count(this.lettersDealt, letter);
+            if (words.length === 0) scorelessMoves++;
+            words.forEach(({ word }) => {
+                this.count(this.wordLengths, word.length);
+                [...word].forEach(inWord => this.count(this.lettersInWords, inWord));
+            });
+        });
+
+        this.games.push({
+            score: stats.score,
+            words: stats.words,
+            moves: stats.moves,
+            deadBoard: game.isGameOver() && game.state.board.isFull(),
+            lettersOnBoard: stats.lettersOnBoard,
+            scorelessMoves
+        });
+    }
+
+    /**
+     * Add one to a tally
+     * @param {Object} tally - Counts by key
+     * @param {string|number} key - Key to count
+     */
+    count(tally, key) {
+        tally[key] = (tally[key] || 0) + 1;
+    }
+
+    /**
+     * Summary numbers
+     * @returns {Object} Report data (also what --json prints)
+     */
+    summarize() {
+        const total = this.games.length;
+        const sum = (key) => this.games.reduce((acc, game) => acc + Number(game[key]), 0);
+        const scores = this.games.map(game => game.score).sort((a, b) => a - b);
+        const meanScore = sum('score') / total;
+        const wordCount = Object.values(this.wordLengths).reduce((a, b) => a + b, 0);
+        const dealt = Object.values(this.lettersDealt).reduce((a, b) => a + b, 0);
+
+        return {
+            games: total,
+            score: {
+                average: meanScore,
+                median: scores[Math.floor(total / 2)],
+                min: scores[0],
+                max: scores[total - 1],
+                stdDev: Math.sqrt(this.games.reduce((acc, game) => acc + (game.score - meanScore) ** 2, 0) / total)
+            },
+            wordsPerGame: sum('words') / total,
+            movesPerGame: sum('moves') / total,
+            deadBoardRate: sum('deadBoard') / total,
+            lettersLeftOnBoard: sum('lettersOnBoard') / total,
+            scorelessMoveRate: sum('scorelessMoves') / Math.max(1, sum('moves')),
+            wordLengths: Object.fromEntries(Object.entries(this.wordLengths)
+                .map(([length, count]) => [length, count / wordCount])),
+            letters: Object.fromEntries(Object.entries(this.lettersDealt)
+                .sort(([, a], [, b]) => b - a)
+                .map(([letter, count]) => [letter, {
+                    dealt: count / dealt,
+                    inWordsPerDealt: (this.lettersInWords[letter] || 0) / count
+                }]))
+        };
+    }
+}
+
+/**
+ * Print a report for people
+ * @param {Object} summary - BalanceReport.summarize()
+ * @param {Object} setup - Run settings
+ * @param {Object} tables - Tables the games were played with (loadTables)
+ */
+function printReport(summary, setup, tables) {
+    const pct = (value) => `${(value * 100).toFixed(1)}%`;
+    const { score } = summary;
+
+    console.log(`\n📊 Balance report: ${summary.games} ${setup.mode} games, ${setup.difficulty} bot, seeds ${setup.firstSeed}-${setup.firstSeed + summary.games - 1}`);
+    console.log(`Score:          avg ${score.average.toFixed(1)} · median ${score.median} · min ${score.min} · max ${score.max} · std dev ${score.stdDev.toFixed(1)}`);
+    console.log(`Words per game: ${summary.wordsPerGame.toFixed(1)} (in ${summary.movesPerGame.toFixed(1)} moves; ${pct(summary.scorelessMoveRate)} of moves make no word)`);
+    console.log(`Dead boards:    ${pct(summary.deadBoardRate)} of games ended on a full board · ${summary.lettersLeftOnBoard.toFixed(1)} letters left on the board on average`);
+    console.log(`Word lengths:   ${Object.entries(summary.wordLengths).map(([length, share]) => `${length}: ${pct(share)}`).join(' · ')}`);
+
+    console.log('\nLetter  Weight  Points  Dealt   In words per dealt');
+    const weights = Object.fromEntries(tables.letterFrequencies.map(({ letter, weight }) => [letter, weight]));
+    const { letterValues, lengthBonuses } = tables;
+    Object.entries(summary.letters).forEach(([letter, { dealt, inWordsPerDealt }]) => {
+        console.log(`${letter.padEnd(8)}${String(weights[letter] ?? 0).padEnd(8)}${String(letterValues[letter]).padEnd(8)}${pct(dealt).padEnd(8)}${inWordsPerDealt.toFixed(2)}`);
+    });
+
+    console.log(`\nLength bonuses: ${Object.entries(lengthBonuses).map(([length, bonus]) => `${length}: +${bonus}`).join(' · ')}`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const setup = {
+        games: Number(options.games || 1000),
+        difficulty: options.difficulty || BotDifficulty.MEDIUM,
+        mode: options.mode || GameModes.CLASSIC,
+        firstSeed: Number(options['first-seed'] || 1),
+        maxMoves: Number(options['max-moves'] || 500)
+    };
+    if (!Object.values(BotDifficulty).includes(setup.difficulty)) throw new Error(`Unknown difficulty '${setup.difficulty}'`);
+    if (!Object.values(GameModes).includes(setup.mode) || setup.mode === GameModes.PUZZLE) {
+        throw new Error(`Can't simulate mode '${setup.mode}'`);
+    }
+    if (!Number.isInteger(setup.games) || setup.games < 1) throw new Error('--games must be a positive whole number');
+
+    const tables = await loadTables(options.config || null);
+
+    // The dictionary and game modules log as they go (e.g., Clear Mode boards);
+    // keep stdout for the report
+    const log = console.log;
+    console.log = () => {};
+    const report = new BalanceReport();
+    try {
+        const dictionary = await DictionaryManager.loadDictionaries(readText);
+
+        for (let i = 0; i < setup.games; i++) {
+            const seed = setup.firstSeed + i;
+            const game = new HeadlessGame(dictionary, { seed, mode: setup.mode, tables });
+            report.playGame(game, new BotPlayer(game.wordResolver, setup.difficulty, createSeededRandom(seed)), setup.maxMoves);
+
+            if ((i + 1) % 100 === 0) {
+                process.stderr.write(`\r${i + 1}/${setup.games} games`);
+            }
+        }
+    } finally {
+        console.log = log;
+        process.stderr.write('\n');
+    }
+
+    const summary = report.summarize();
+    if (options.json === 'true') {
+        console.log(JSON.stringify({ setup, ...summary }, null, 2));
+    } else {
+        printReport(summary, setup, tables);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});